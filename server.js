@@ -54,7 +54,15 @@ app.use(morgan('combined', { stream: logger.stream }));
 /**
  * 요청 파싱 미들웨어
  */
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // 결제 웹훅은 서명 검증을 위해 원본 본문을 보관
+  verify: (req, res, buf) => {
+    if (req.originalUrl.split('?')[0].endsWith('/billing/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 /**
@@ -141,6 +149,9 @@ app.use('/api/shop', require('./src/routes/shop'));
 app.use('/api/inventory', require('./src/routes/shop'));
 app.use('/api/avatar', require('./src/routes/shop'));
 
+// 관리자 API
+app.use('/api/admin', require('./src/routes/admin'));
+
 // 레거시 API (호환성 유지)
 app.use('/api/task', require('./src/routes/task')); // 기존 호환성
 app.use('/api/customization', require('./src/routes/customization')); // 기존 호환성
@@ -194,6 +205,19 @@ const startServer = async () => {
     
     // 데이터베이스 연결
     await initializeDatabase();
+
+    // 초기 관리자 지정 (ADMIN_EMAILS: 쉼표 구분)
+    if (process.env.ADMIN_EMAILS) {
+      try {
+        const User = require('./src/models/User');
+        const promoted = await User.promoteAdmins(process.env.ADMIN_EMAILS.split(','));
+        if (promoted > 0) {
+          logger.info(`👑 관리자 계정 지정: ${promoted}명`);
+        }
+      } catch (adminError) {
+        logger.error(`관리자 계정 지정 실패: ${adminError.message}`);
+      }
+    }
     
     // 스케줄러 시작
     try {
@@ -108,6 +108,9 @@ const initializeDatabase = async () => {
     
     // 기본 데이터 시드
     await seedInitialData();
+
+    // 기존 데이터 이전
+    await runDataMigrations();
     
     logger.info('모든 데이터베이스 연결 완료');
     return { mongoose, redisClient };
@@ -137,9 +140,29 @@ const seedInitialData = async () => {
   }
 };
 
+/**
+ * 기존 데이터 이전 (서버 시작 시마다 실행, 이미 이전한 데이터는 건너뜀)
+ */
+const runDataMigrations = async () => {
+  const migrations = {
+    legacyPremium: () => require('../services/subscriptionService').migrateLegacyPremium(),
+    legacyRepeatingTasks: () => require('../services/taskService').migrateLegacyRepeatingTasks()
+  };
+
+  for (const [name, run] of Object.entries(migrations)) {
+    try {
+      await run();
+    } catch (error) {
+      logger.error(`데이터 이전 실패: ${name} - ${error.message}`);
+      // 이전 실패해도 서버는 계속 시작
+    }
+  }
+};
+
 module.exports = {
   initializeDatabase,
   connectMongoDB,
   connectRedis,
-  seedInitialData
+  seedInitialData,
+  runDataMigrations
 };
@@ -0,0 +1,79 @@
+/**
+ * 구독 플랜 정의
+ *
+ * - interval: moment 기간 단위 (month / year)
+ * - complimentary: 관리자 부여, 테스트 계정 등 결제 없는 기간제 프리미엄 (자동 갱신 없음)
+ */
+
+const PLANS = {
+  premium_monthly: {
+    name: '프리미엄 월간',
+    interval: 'month',
+    intervalCount: 1,
+    price: 4900,
+    currency: 'KRW',
+    autoRenew: true
+  },
+  premium_yearly: {
+    name: '프리미엄 연간',
+    interval: 'year',
+    intervalCount: 1,
+    price: 49000,
+    currency: 'KRW',
+    autoRenew: true
+  },
+  complimentary: {
+    name: '프리미엄 (무료 제공)',
+    interval: 'day',
+    intervalCount: null,
+    price: 0,
+    currency: 'KRW',
+    autoRenew: false
+  }
+};
+
+// 결제 가능한 플랜
+const PAID_PLANS = ['premium_monthly', 'premium_yearly'];
+
+// 갱신 결제 실패 후 프리미엄을 유지하는 기간
+const GRACE_PERIOD_DAYS = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+
+// 결제 세션 유효 시간
+const CHECKOUT_SESSION_TTL_MINUTES = parseInt(process.env.CHECKOUT_SESSION_TTL_MINUTES) || 60;
+
+// 인앱 결제 상품 ID → 플랜 (스토어 콘솔에 등록한 상품 ID)
+const IAP_PRODUCTS = {
+  app_store: {
+    [process.env.APPLE_PRODUCT_MONTHLY || 'com.fivlo.premium.monthly']: 'premium_monthly',
+    [process.env.APPLE_PRODUCT_YEARLY || 'com.fivlo.premium.yearly']: 'premium_yearly'
+  },
+  google_play: {
+    [process.env.GOOGLE_PLAY_PRODUCT_MONTHLY || 'fivlo_premium_monthly']: 'premium_monthly',
+    [process.env.GOOGLE_PLAY_PRODUCT_YEARLY || 'fivlo_premium_yearly']: 'premium_yearly'
+  }
+};
+
+// 결제사가 갱신/해지를 관리하는 구독 경로
+const STORE_PROVIDERS = Object.keys(IAP_PRODUCTS);
+
+// 웹 결제 웹훅 이벤트 종류
+// - checkout.completed: 첫 결제 완료 / invoice.paid: 갱신 결제 완료 / invoice.payment_failed: 갱신 결제 실패
+// - subscription.deleted: 결제사 측 해지 / charge.refunded, charge.dispute_created: 환불, 차지백 (프리미엄 즉시 회수)
+const WEBHOOK_EVENT_TYPES = [
+  'checkout.completed',
+  'invoice.paid',
+  'invoice.payment_failed',
+  'subscription.deleted',
+  'charge.refunded',
+  'charge.dispute_created'
+];
+
+module.exports = {
+  PLANS,
+  PAID_PLANS,
+  GRACE_PERIOD_DAYS,
+  CHECKOUT_SESSION_TTL_MINUTES,
+  IAP_PRODUCTS,
+  STORE_PROVIDERS,
+  WEBHOOK_EVENT_TYPES
+};
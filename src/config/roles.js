@@ -0,0 +1,41 @@
+/**
+ * 역할 및 권한 정의
+ *
+ * - 역할마다 기본 권한 목록을 가지며, 사용자별로 User.permissions에 추가 권한을 줄 수 있음
+ * - '*'는 모든 권한
+ */
+
+const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_MANAGE_ROLES: 'users:manage_roles',
+  SHOP_MANAGE: 'shop:manage',
+  PREMIUM_GRANT: 'premium:grant',
+  COINS_ADJUST: 'coins:adjust',
+  SCHEDULER_MANAGE: 'scheduler:manage',
+  AUDIT_READ: 'audit:read'
+};
+
+const ROLES = {
+  user: [],
+  // 고객 지원: 조회와 보상 처리
+  support: [
+    PERMISSIONS.USERS_READ,
+    PERMISSIONS.PREMIUM_GRANT,
+    PERMISSIONS.COINS_ADJUST
+  ],
+  admin: ['*']
+};
+
+/**
+ * 역할 + 개별 권한으로 권한 보유 여부 확인
+ */
+const hasPermission = (role, extraPermissions = [], permission) => {
+  const granted = [...(ROLES[role] || []), ...extraPermissions];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  hasPermission
+};
@@ -1,7 +1,35 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
+const { hasPermission } = require('../config/roles');
 const logger = require('../utils/logger');
 
+/**
+ * 액세스 토큰 검증
+ * 리프레시 토큰으로 API를 호출하거나, 폐기된 세션(sid)의 토큰이면 거부합니다.
+ * @param {String} token - 액세스 토큰
+ * @returns {Object} 디코딩된 페이로드
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = verifyToken(token);
+
+  if (decoded.type === 'refresh') {
+    throw new Error('액세스 토큰이 아닙니다.');
+  }
+
+  if (decoded.sid) {
+    const isActive = mongoose.isValidObjectId(decoded.sid) &&
+      await RefreshTokenFamily.isSessionActive(decoded.sid);
+
+    if (!isActive) {
+      throw new Error('로그아웃된 세션입니다. 다시 로그인해주세요.');
+    }
+  }
+
+  return decoded;
+};
+
 /**
  * JWT 토큰 인증 미들웨어
  * @param {Object} req - Express 요청 객체
@@ -26,7 +54,7 @@ const authenticateToken = async (req, res, next) => {
     }
 
     // 토큰 검증
-    const decoded = verifyToken(token);
+    const decoded = await verifyAccessToken(token);
     
     // 사용자 정보 조회
     const user = await User.findById(decoded.userId);
@@ -54,6 +82,7 @@ const authenticateToken = async (req, res, next) => {
     // 사용자 정보를 req 객체에 추가
     req.user = user;
     req.token = token;
+    req.sessionId = decoded.sid || null;
     
     // 마지막 활동 시간 업데이트 (비동기로 처리)
     user.updateLastActive().catch(err => {
@@ -101,12 +130,13 @@ const optionalAuth = async (req, res, next) => {
 
     // 토큰이 있으면 검증 시도
     try {
-      const decoded = verifyToken(token);
+      const decoded = await verifyAccessToken(token);
       const user = await User.findById(decoded.userId);
       
       if (user && user.isActive) {
         req.user = user;
         req.token = token;
+        req.sessionId = decoded.sid || null;
         
         // 마지막 활동 시간 업데이트
         user.updateLastActive().catch(err => {
@@ -180,46 +210,72 @@ const requirePremium = (req, res, next) => {
 };
 
 /**
- * 관리자 권한 확인 미들웨어 (향후 확장용)
- * @param {Object} req - Express 요청 객체
- * @param {Object} res - Express 응답 객체
- * @param {Function} next - 다음 미들웨어 함수
+ * 역할 확인 미들웨어 생성
+ * @param {...String} roles - 허용할 역할 (config/roles.js)
+ * @returns {Function} Express 미들웨어
  */
-const requireAdmin = (req, res, next) => {
-  try {
-    if (!req.user) {
-      return res.status(401).json({
-        error: '인증이 필요합니다.',
-        message: '로그인 후 이용해주세요.'
-      });
-    }
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: '인증이 필요합니다.',
+      message: '로그인 후 이용해주세요.'
+    });
+  }
 
-    // 관리자 권한 확인 (향후 User 모델에 role 필드 추가 시 구현)
-    if (req.user.email !== 'admin@fivlo.com') {
-      logger.warn('관리자 권한 부족', { 
-        userId: req.user._id,
-        email: req.user.email 
-      });
-      
-      return res.status(403).json({
-        error: '관리자 권한이 필요합니다.',
-        message: '이 기능은 관리자만 사용할 수 있습니다.'
-      });
-    }
+  if (!roles.includes(req.user.role)) {
+    logger.warn('역할 권한 부족', { 
+      userId: req.user._id,
+      role: req.user.role,
+      requiredRoles: roles,
+      path: req.originalUrl
+    });
 
-    next();
-  } catch (error) {
-    logger.error(`관리자 권한 확인 오류: ${error.message}`, { 
-      userId: req.user?._id 
+    return res.status(403).json({
+      error: '관리자 권한이 필요합니다.',
+      message: '이 기능을 사용할 권한이 없습니다.'
     });
-    
-    return res.status(500).json({
-      error: '권한 확인 중 오류가 발생했습니다.',
-      message: '잠시 후 다시 시도해주세요.'
+  }
+
+  next();
+};
+
+/**
+ * 권한 확인 미들웨어 생성
+ * 역할 기본 권한과 사용자별 추가 권한을 함께 확인합니다.
+ * @param {String} permission - 필요한 권한 (config/roles.js PERMISSIONS)
+ * @returns {Function} Express 미들웨어
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: '인증이 필요합니다.',
+      message: '로그인 후 이용해주세요.'
     });
   }
+
+  if (!hasPermission(req.user.role, req.user.permissions, permission)) {
+    logger.warn('권한 부족', { 
+      userId: req.user._id,
+      role: req.user.role,
+      permission,
+      path: req.originalUrl
+    });
+
+    return res.status(403).json({
+      error: '권한이 없습니다.',
+      message: '이 기능을 사용할 권한이 없습니다.',
+      requiredPermission: permission
+    });
+  }
+
+  next();
 };
 
+/**
+ * 관리자 확인 미들웨어
+ */
+const requireAdmin = requireRole('admin');
+
 /**
  * 이메일 인증 확인 미들웨어
  * @param {Object} req - Express 요청 객체
@@ -266,6 +322,8 @@ module.exports = {
   optionalAuth,
   requirePremium,
   premiumMiddleware: requirePremium, // premiumMiddleware alias 추가
+  requireRole,
+  requirePermission,
   requireAdmin,
   requireEmailVerified
 };
@@ -40,8 +40,8 @@ const checkPremiumStatus = async (req, res, next) => {
     if (!isPremiumActive) {
       logger.warn(`Premium access denied for user ${user.id} - subscription inactive`, {
         userId: user.id,
-        subscriptionStatus: user.subscriptionStatus,
-        subscriptionEndDate: user.subscriptionEndDate
+        isPremium: user.isPremium,
+        premiumEndDate: user.premiumEndDate
       });
       
       return res.status(402).json({
@@ -49,8 +49,8 @@ const checkPremiumStatus = async (req, res, next) => {
         error: 'PREMIUM_REQUIRED',
         message: '이 기능은 프리미엄 구독자만 이용할 수 있습니다.',
         subscriptionInfo: {
-          status: user.subscriptionStatus,
-          expiryDate: user.subscriptionEndDate,
+          isPremium: false,
+          expiryDate: user.premiumEndDate,
           upgradeRequired: true
         }
       });
@@ -58,7 +58,11 @@ const checkPremiumStatus = async (req, res, next) => {
 
     // Premium 사용자 정보를 request에 추가
     req.premiumUser = true;
-    req.subscriptionInfo = user.subscriptionInfo;
+    req.subscriptionInfo = {
+      isPremium: true,
+      startDate: user.premiumStartDate,
+      expiryDate: user.premiumEndDate
+    };
     
     next();
     
@@ -95,7 +99,7 @@ const requirePremiumFeature = (feature) => {
         logger.warn(`Feature access denied: ${feature}`, {
           userId: user.id,
           feature,
-          subscriptionStatus: user.subscriptionStatus
+          premiumEndDate: user.premiumEndDate
         });
         
         return res.status(403).json({
@@ -104,8 +108,8 @@ const requirePremiumFeature = (feature) => {
           message: `${getFeatureDisplayName(feature)} 기능은 프리미엄 구독자만 이용할 수 있습니다.`,
           feature,
           subscriptionInfo: {
-            status: user.subscriptionStatus,
-            expiryDate: user.subscriptionEndDate,
+            isPremium: false,
+            expiryDate: user.premiumEndDate,
             requiredPlan: 'premium'
           },
           upgradeUrl: '/billing/checkout'
@@ -335,9 +339,8 @@ const getPremiumStatus = (user) => {
   
   return {
     isPremium: isPremiumActive,
-    subscriptionStatus: user.subscriptionStatus,
-    subscriptionPlan: user.subscriptionPlan,
-    expiryDate: user.subscriptionEndDate,
+    startDate: user.premiumStartDate,
+    expiryDate: user.premiumEndDate,
     features: {
       coins: isPremiumActive,
       locationReminders: isPremiumActive,
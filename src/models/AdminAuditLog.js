@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * 관리자 작업 감사 로그
+ * 관리자 API의 모든 변경 작업(실패 포함)을 기록합니다.
+ */
+const adminAuditLogSchema = new mongoose.Schema({
+  // 작업한 관리자
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  adminEmail: {
+    type: String,
+    default: null
+  },
+
+  // 작업 종류 (예: shop_item.create, user.premium_grant)
+  action: {
+    type: String,
+    required: true
+  },
+
+  // 작업 대상
+  targetType: {
+    type: String,
+    enum: ['user', 'shop_item', 'scheduler_task'],
+    required: true
+  },
+
+  targetId: {
+    type: String,
+    default: null
+  },
+
+  // 작업 요청 내용과 변경 전/후 값
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['success', 'failed'],
+    required: true
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  // 요청 정보
+  ip: {
+    type: String,
+    default: null
+  },
+
+  userAgent: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// 인덱스 설정
+adminAuditLogSchema.index({ createdAt: -1 });
+adminAuditLogSchema.index({ adminId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+adminAuditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AdminAuditLog = mongoose.model('AdminAuditLog', adminAuditLogSchema);
+
+module.exports = AdminAuditLog;
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+/**
+ * 결제사 웹훅 이벤트 기록
+ * (provider, eventId) 유니크 인덱스로 같은 이벤트의 중복 처리를 막습니다.
+ * 실패한 이벤트는 결제사가 재전송하면 다시 처리합니다.
+ */
+const billingEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['checkout', 'app_store', 'google_play'],
+    required: true
+  },
+
+  // 결제사 이벤트 ID
+  eventId: {
+    type: String,
+    required: true
+  },
+
+  // 이벤트 종류 (checkout.completed, invoice.paid, charge.refunded 등)
+  type: {
+    type: String,
+    required: true
+  },
+
+  // 결제사에서 이벤트가 발생한 시각 (도착 순서와 다를 수 있음)
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+
+  // ignored 사유 (stale_event, unsupported_type 등)
+  reason: {
+    type: String,
+    default: null
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  // 처리 결과로 연결된 구독/사용자
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+    default: null
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  processedAt: {
+    type: Date,
+    default: null
+  },
+
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// 인덱스 설정
+billingEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+billingEventSchema.index({ subscriptionId: 1, occurredAt: -1 });
+billingEventSchema.index({ status: 1, updatedAt: -1 });
+
+const BillingEvent = mongoose.model('BillingEvent', billingEventSchema);
+
+module.exports = BillingEvent;
@@ -36,7 +36,8 @@ const coinTransactionSchema = new mongoose.Schema({
       // 코인 소모 이유
       'item_purchase',       // 아이템 구매
       'customization',       // 커스터마이징
-      'admin_adjustment'     // 관리자 조정
+      'admin_adjustment',    // 관리자 조정
+      'daily_tasks_revoked'  // 하루 전체 Task 완료 보상 회수 (완료 취소)
     ],
     required: true
   },
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const ddayGoalSchema = new mongoose.Schema({
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 목표 이름 (포모도로 세션의 goal과 같은 이름의 집중 시간을 집계)
+  goal: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+
+  // 집계 시작일 (사용자 현지 날짜의 시작 시점)
+  startDate: {
+    type: Date,
+    required: true
+  },
+
+  // 목표일 (사용자 현지 날짜의 시작 시점)
+  targetDate: {
+    type: Date,
+    required: true
+  },
+
+  // 일일 목표 집중 시간 (분)
+  dailyTargetMinutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 1440
+  }
+
+}, {
+  timestamps: true
+});
+
+// 인덱스 설정
+ddayGoalSchema.index({ userId: 1, goal: 1 }, { unique: true });
+ddayGoalSchema.index({ userId: 1, targetDate: 1 });
+
+// 정적 메서드: 사용자 D-Day 목표 목록 (목표일 가까운 순)
+ddayGoalSchema.statics.getUserGoals = function(userId) {
+  return this.find({ userId }).sort({ targetDate: 1, createdAt: 1 });
+};
+
+const DDayGoal = mongoose.model('DDayGoal', ddayGoalSchema);
+
+module.exports = DDayGoal;
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const jobRunSchema = new mongoose.Schema({
+  // 작업 이름
+  jobName: {
+    type: String,
+    required: true
+  },
+
+  // 실행한 서버 인스턴스
+  instanceId: {
+    type: String,
+    required: true
+  },
+
+  // 실행 계기
+  trigger: {
+    type: String,
+    enum: ['cron', 'manual'],
+    default: 'cron'
+  },
+
+  // 실행 상태
+  status: {
+    type: String,
+    enum: ['running', 'success', 'failed'],
+    default: 'running'
+  },
+
+  startedAt: {
+    type: Date,
+    required: true
+  },
+
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+
+  durationMs: {
+    type: Number,
+    default: null
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  // 핸들러가 반환한 요약 결과
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// 실행 이력은 30일 후 자동 삭제
+jobRunSchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+// 정적 메서드: 작업별 최근 실행 이력
+jobRunSchema.statics.getRecentRuns = function(jobName, limit = 20) {
+  const query = jobName ? { jobName } : {};
+
+  return this.find(query)
+    .sort({ startedAt: -1 })
+    .limit(limit);
+};
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const notificationLogSchema = new mongoose.Schema({
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+
+  // 알림 종류 (reminder, location_reminder, coin_reward 등)
+  type: {
+    type: String,
+    default: 'general'
+  },
+
+  // 알림 내용
+  title: {
+    type: String,
+    default: ''
+  },
+
+  body: {
+    type: String,
+    default: ''
+  },
+
+  // 발송 대상 디바이스
+  platform: {
+    type: String,
+    enum: ['ios', 'android', 'web', null],
+    default: null
+  },
+
+  // 토큰 전체 대신 식별용 끝자리만 저장
+  tokenSuffix: {
+    type: String,
+    default: null
+  },
+
+  // 사용한 프로바이더
+  provider: {
+    type: String,
+    default: null
+  },
+
+  // 발송 결과
+  status: {
+    type: String,
+    enum: ['sent', 'failed', 'invalid_token'],
+    required: true
+  },
+
+  // 시도 횟수 (재시도 포함)
+  attempts: {
+    type: Number,
+    default: 1
+  },
+
+  messageId: {
+    type: String,
+    default: null
+  },
+
+  error: {
+    type: String,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+notificationLogSchema.index({ userId: 1, createdAt: -1 });
+notificationLogSchema.index({ status: 1, createdAt: -1 });
+// 발송 로그는 90일 후 자동 삭제
+notificationLogSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+// 정적 메서드: 사용자별 발송 로그 조회
+notificationLogSchema.statics.getUserLogs = function(userId, limit = 50) {
+  return this.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+const NotificationLog = mongoose.model('NotificationLog', notificationLogSchema);
+
+module.exports = NotificationLog;
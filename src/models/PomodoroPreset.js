@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const TimerUtils = require('../utils/timer');
+
+const { MAX_DURATION } = TimerUtils.POMODORO_DURATIONS;
+
+const pomodoroPresetSchema = new mongoose.Schema({
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 프리셋 이름 (예: "50/10 딥워크")
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 30
+  },
+
+  // 세션 시간 (분 단위)
+  focusMinutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_DURATION
+  },
+
+  shortBreakMinutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_DURATION
+  },
+
+  longBreakMinutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: MAX_DURATION
+  },
+
+  // 긴 휴식 간격 (집중 세션 N회마다 긴 휴식, 사이클 길이)
+  longBreakInterval: {
+    type: Number,
+    default: 4,
+    min: 1,
+    max: 8
+  },
+
+  // 집중 세션 완료 후 휴식 자동 시작
+  autoStartBreaks: {
+    type: Boolean,
+    default: true
+  },
+
+  // 휴식 완료 후 다음 집중 자동 시작
+  autoStartFocus: {
+    type: Boolean,
+    default: false
+  },
+
+  // 프리셋 ID 없이 세션/사이클을 만들 때 사용
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+pomodoroPresetSchema.index({ userId: 1, name: 1 }, { unique: true });
+pomodoroPresetSchema.index({ userId: 1, isDefault: 1 });
+
+// 가상 필드: 사이클 전체 시간 (분)
+pomodoroPresetSchema.virtual('cycleMinutes').get(function() {
+  return this.focusMinutes * this.longBreakInterval +
+         this.shortBreakMinutes * (this.longBreakInterval - 1) +
+         this.longBreakMinutes;
+});
+
+// 인스턴스 메서드: 세션 유형별 시간 (분)
+pomodoroPresetSchema.methods.getDuration = function(sessionType) {
+  switch (sessionType) {
+    case 'break':
+      return this.shortBreakMinutes;
+    case 'long_break':
+      return this.longBreakMinutes;
+    default:
+      return this.focusMinutes;
+  }
+};
+
+// 인스턴스 메서드: 이전 세션 완료 후 해당 유형 세션을 자동 시작할지 여부
+pomodoroPresetSchema.methods.shouldAutoStart = function(sessionType) {
+  return sessionType === 'focus' ? this.autoStartFocus : this.autoStartBreaks;
+};
+
+const PomodoroPreset = mongoose.model('PomodoroPreset', pomodoroPresetSchema);
+
+module.exports = PomodoroPreset;
@@ -31,7 +31,7 @@ const pomodoroSessionSchema = new mongoose.Schema({
   // 세션 타입
   type: {
     type: String,
-    enum: ['focus', 'break'],
+    enum: ['focus', 'break', 'long_break'],
     required: true
   },
 
@@ -90,6 +90,45 @@ const pomodoroSessionSchema = new mongoose.Schema({
     default: 1 // 사이클 내 순서 (1: 첫 집중, 2: 첫 휴식, 3: 두번째 집중...)
   },
 
+  // 서버가 만든 사이클의 전체 세션 수 (직접 만든 세션은 null)
+  cycleLength: {
+    type: Number,
+    default: null
+  },
+
+  // 이전 세션 완료 시 자동 시작 여부 (서버가 만든 사이클)
+  autoStart: {
+    type: Boolean,
+    default: true
+  },
+
+  // 연결된 Task (집중 시간을 Task의 실제 소요 시간에 누적)
+  taskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+
+  // 세션 생성 시점의 Task 카테고리 (카테고리별 집중 시간 분석용)
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Task 실제 소요 시간 반영 여부
+  taskMinutesRecorded: {
+    type: Boolean,
+    default: false
+  },
+
+  // 적용한 프리셋
+  presetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PomodoroPreset',
+    default: null
+  },
+
   // 완료 관련
   isCompleted: {
     type: Boolean,
@@ -101,6 +140,12 @@ const pomodoroSessionSchema = new mongoose.Schema({
     default: null
   },
 
+  // 방치되어 서버가 자동으로 종료한 세션
+  autoRecovered: {
+    type: Boolean,
+    default: false
+  },
+
   // 코인 지급 여부
   coinAwarded: {
     type: Boolean,
@@ -148,6 +193,7 @@ pomodoroSessionSchema.index({ userId: 1, createdAt: -1 });
 pomodoroSessionSchema.index({ userId: 1, status: 1 });
 pomodoroSessionSchema.index({ userId: 1, type: 1, createdAt: -1 });
 pomodoroSessionSchema.index({ cycleId: 1, cyclePosition: 1 });
+pomodoroSessionSchema.index({ userId: 1, taskId: 1 });
 pomodoroSessionSchema.index({ createdAt: -1 });
 pomodoroSessionSchema.index({ completedAt: -1 });
 
@@ -220,6 +266,35 @@ pomodoroSessionSchema.post('save', async function(doc) {
   }
 });
 
+// 미들웨어: 완료된 집중 세션 시간을 연결된 Task의 실제 소요 시간에 누적
+// 세션이 여러 번 저장되어도 한 번만 반영되도록 반영 여부를 먼저 원자적으로 표시합니다.
+pomodoroSessionSchema.post('save', async function(doc) {
+  if (!doc.isCompleted || doc.type !== 'focus' || !doc.taskId || doc.taskMinutesRecorded) {
+    return;
+  }
+
+  try {
+    const claimed = await doc.constructor.updateOne(
+      { _id: doc._id, taskMinutesRecorded: false },
+      { $set: { taskMinutesRecorded: true } }
+    );
+    if (claimed.modifiedCount === 0) return;
+
+    doc.taskMinutesRecorded = true;
+
+    const focusMinutes = Math.floor(doc.actualDuration / 60);
+    if (focusMinutes > 0) {
+      const Task = mongoose.model('Task');
+      await Task.updateOne(
+        { _id: doc.taskId, userId: doc.userId },
+        [{ $set: { actualMinutes: { $add: [{ $ifNull: ['$actualMinutes', 0] }, focusMinutes] } } }]
+      );
+    }
+  } catch (error) {
+    console.error('Task 집중 시간 반영 실패:', error);
+  }
+});
+
 // 정적 메서드: 활성 세션 조회
 pomodoroSessionSchema.statics.findActiveSession = function(userId) {
   return this.findOne({
@@ -264,6 +339,12 @@ pomodoroSessionSchema.statics.checkCycleCompletion = async function(cycleId) {
   
   // 최소 포모도로 사이클: 집중(25분) + 휴식(5분)
   if (sessions.length < 2) return false;
+
+  // 서버가 만든 사이클은 계획된 모든 세션이 완료되어야 함
+  if (sessions[0].cycleLength) {
+    return sessions.length === sessions[0].cycleLength &&
+           sessions.every(s => s.isCompleted);
+  }
   
   const focusSession = sessions.find(s => s.type === 'focus');
   const breakSession = sessions.find(s => s.type === 'break');
@@ -321,6 +402,37 @@ pomodoroSessionSchema.methods.cancel = function() {
   return this.save();
 };
 
+// 인스턴스 메서드: 방치된 세션 자동 종료
+// 타이머가 끝난 진행 중 세션은 예정 종료 시각으로 완료, 오래 일시정지된 세션은 일시정지 시각으로 취소
+// 사이클 진행 등 후속 처리는 pomodoroService.recoverAbandonedSessions에서 합니다.
+pomodoroSessionSchema.methods.recoverIfAbandoned = async function(idleTimeoutMs, now = new Date()) {
+  if (this.status === 'running' && this.startTime) {
+    if (this.remainingTime > 0) return null;
+
+    const expectedEnd = new Date(this.startTime.getTime() + (this.duration * 60 + this.totalPausedTime) * 1000);
+    if (now - expectedEnd < idleTimeoutMs) return null;
+
+    this.endTime = expectedEnd;
+    this.actualDuration = this.elapsedTime;
+    this.isCompleted = true;
+    this.completedAt = expectedEnd;
+    this.status = 'completed';
+  } else if (this.status === 'paused' && this.pausedAt) {
+    if (now - this.pausedAt < idleTimeoutMs) return null;
+
+    this.endTime = this.pausedAt;
+    this.actualDuration = this.elapsedTime;
+    this.status = 'cancelled';
+  } else {
+    return null;
+  }
+
+  this.autoRecovered = true;
+  await this.save();
+
+  return this.status;
+};
+
 const PomodoroSession = mongoose.model('PomodoroSession', pomodoroSessionSchema);
 
 module.exports = PomodoroSession;
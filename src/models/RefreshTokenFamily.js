@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+/**
+ * 리프레시 토큰 패밀리 (로그인 세션 단위)
+ * 로그인할 때 하나 생성되고, /api/auth/refresh 마다 currentJti가 새 토큰으로 교체됩니다.
+ * 이미 교체된 토큰(jti 불일치)이 다시 사용되면 탈취로 보고 패밀리 전체를 폐기합니다.
+ */
+const refreshTokenFamilySchema = new mongoose.Schema({
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 현재 유효한 리프레시 토큰 ID
+  currentJti: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  // 교체 횟수
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+
+  // 접속 정보 (세션 목록 표시용)
+  userAgent: {
+    type: String,
+    default: null,
+    maxlength: 500
+  },
+
+  ip: {
+    type: String,
+    default: null
+  },
+
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // 현재 리프레시 토큰 만료 시점 (교체 시 연장)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  // 폐기 정보
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'reuse_detected', 'password_changed', 'account_disabled'],
+    default: null
+  }
+
+}, {
+  timestamps: true
+});
+
+// 인덱스 설정
+refreshTokenFamilySchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// 만료된 패밀리 자동 삭제
+refreshTokenFamilySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 가상 필드: 사용 가능 여부
+refreshTokenFamilySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// 정적 메서드: 사용자 활성 세션 목록 (최근 사용 순)
+refreshTokenFamilySchema.statics.findActiveByUser = function(userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+// 정적 메서드: 세션 사용 가능 여부 (액세스 토큰 검증용)
+refreshTokenFamilySchema.statics.isSessionActive = async function(sessionId) {
+  const session = await this.exists({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return !!session;
+};
+
+// 정적 메서드: 세션 폐기
+refreshTokenFamilySchema.statics.revoke = async function(query, reason) {
+  const result = await this.updateMany(
+    { ...query, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+const RefreshTokenFamily = mongoose.model('RefreshTokenFamily', refreshTokenFamilySchema);
+
+module.exports = RefreshTokenFamily;
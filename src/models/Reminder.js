@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const TimezoneUtils = require('../utils/timezone');
+
+// 서머타임 해제로 같은 현지 시각이 반복될 때 재발송을 막는 간격
+const REPEAT_GUARD_MS = 2 * 60 * 60 * 1000;
+
+// 다시 알림 허용 간격 (분)
+const SNOOZE_OPTIONS = [5, 10, 30];
 
 const reminderSchema = new mongoose.Schema({
   // 사용자 정보
@@ -70,6 +77,31 @@ const reminderSchema = new mongoose.Schema({
     }
   },
 
+  // 지오펜스 상태 (위치 업데이트로 진입/이탈 판단)
+  geofence: {
+    state: {
+      type: String,
+      enum: ['unknown', 'inside', 'outside'],
+      default: 'unknown'
+    },
+    lastDistance: {
+      type: Number,
+      default: null
+    },
+    lastEvaluatedAt: {
+      type: Date,
+      default: null
+    },
+    lastTransitionAt: {
+      type: Date,
+      default: null
+    },
+    lastNotifiedAt: {
+      type: Date,
+      default: null
+    }
+  },
+
   // 알림 활성 상태
   isActive: {
     type: Boolean,
@@ -102,6 +134,33 @@ const reminderSchema = new mongoose.Schema({
     completedAt: {
       type: Date,
       default: null
+    },
+    // 발생 상태 (이전 기록은 completed 값으로 결정)
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'snoozed', 'missed'],
+      default: function() {
+        return this.completed ? 'completed' : 'pending';
+      }
+    },
+    // 마지막으로 알림을 보낸 시간 (재알림 기준)
+    notifiedAt: {
+      type: Date,
+      default: null
+    },
+    // 다시 알림 예정 시간
+    snoozedUntil: {
+      type: Date,
+      default: null
+    },
+    snoozeCount: {
+      type: Number,
+      default: 0
+    },
+    // 미확인 재알림 횟수
+    escalationCount: {
+      type: Number,
+      default: 0
     }
   }],
 
@@ -115,9 +174,25 @@ const reminderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    totalMissed: {
+      type: Number,
+      default: 0
+    },
+    totalSnoozed: {
+      type: Number,
+      default: 0
+    },
     completionRate: {
       type: Number,
       default: 0
+    },
+    missedRate: {
+      type: Number,
+      default: 0
+    },
+    snoozeRate: {
+      type: Number,
+      default: 0
     }
   }
 
@@ -132,6 +207,7 @@ reminderSchema.index({ userId: 1, isActive: 1 });
 reminderSchema.index({ userId: 1, createdAt: -1 });
 reminderSchema.index({ 'time.hour': 1, 'time.minute': 1 });
 reminderSchema.index({ days: 1 });
+reminderSchema.index({ 'completionHistory.status': 1 });
 
 // 가상 필드
 reminderSchema.virtual('timeString').get(function() {
@@ -148,36 +224,51 @@ reminderSchema.virtual('isTimeOnly').get(function() {
   return this.type === 'time_only' || !this.hasLocation;
 });
 
-// 인스턴스 메서드: 오늘 알림이 이미 완료되었는지 확인
-reminderSchema.methods.isCompletedToday = function() {
-  const today = new Date();
-  const todayString = today.toISOString().split('T')[0];
+// 알림 소유자의 시간대 (userId가 populate된 경우)
+const getOwnerTimezone = (reminder) => {
+  return reminder.userId && reminder.userId.timezone;
+};
+
+// 인스턴스 메서드: 오늘(사용자 현지 날짜) 알림이 이미 완료되었는지 확인
+reminderSchema.methods.isCompletedToday = function(timezone = getOwnerTimezone(this)) {
+  const todayString = TimezoneUtils.getLocalDateString(new Date(), timezone);
   
   return this.completionHistory.some(record => {
-    const recordDate = record.date.toISOString().split('T')[0];
+    const recordDate = TimezoneUtils.getLocalDateString(record.date, timezone);
     return recordDate === todayString && record.completed;
   });
 };
 
+// 인스턴스 메서드: 오늘(사용자 현지 날짜) 발생 기록 조회
+reminderSchema.methods.getTodayOccurrence = function(timezone = getOwnerTimezone(this)) {
+  const todayString = TimezoneUtils.getLocalDateString(new Date(), timezone);
+
+  return this.completionHistory.find(record => {
+    return TimezoneUtils.getLocalDateString(record.date, timezone) === todayString;
+  }) || null;
+};
+
 // 인스턴스 메서드: 알림 완료 처리
-reminderSchema.methods.markCompleted = function() {
-  const today = new Date();
-  const todayString = today.toISOString().split('T')[0];
-  
+reminderSchema.methods.markCompleted = function(timezone = getOwnerTimezone(this)) {
   // 오늘 기록이 있는지 확인
-  const existingRecord = this.completionHistory.find(record => {
-    const recordDate = record.date.toISOString().split('T')[0];
-    return recordDate === todayString;
-  });
+  const existingRecord = this.getTodayOccurrence(timezone);
 
   if (existingRecord) {
+    // 놓친 알림을 뒤늦게 완료한 경우 미완료 통계에서 제외
+    if (existingRecord.status === 'missed') {
+      this.stats.totalMissed = Math.max(0, this.stats.totalMissed - 1);
+    }
+
     existingRecord.completed = true;
     existingRecord.completedAt = new Date();
+    existingRecord.status = 'completed';
+    existingRecord.snoozedUntil = null;
   } else {
     this.completionHistory.push({
       date: new Date(),
       completed: true,
-      completedAt: new Date()
+      completedAt: new Date(),
+      status: 'completed'
     });
   }
 
@@ -188,19 +279,103 @@ reminderSchema.methods.markCompleted = function() {
   return this.save();
 };
 
-// 인스턴스 메서드: 완료율 업데이트
+// 인스턴스 메서드: 완료율 업데이트 (놓침/다시 알림 비율은 별도 집계)
 reminderSchema.methods.updateCompletionRate = function() {
   if (this.stats.totalSent === 0) {
     this.stats.completionRate = 0;
+    this.stats.missedRate = 0;
+    this.stats.snoozeRate = 0;
   } else {
     this.stats.completionRate = Math.round((this.stats.totalCompleted / this.stats.totalSent) * 100);
+    this.stats.missedRate = Math.round((this.stats.totalMissed / this.stats.totalSent) * 100);
+    this.stats.snoozeRate = Math.round((this.stats.totalSnoozed / this.stats.totalSent) * 100);
   }
 };
 
-// 인스턴스 메서드: 알림 발송 기록
-reminderSchema.methods.recordNotification = function() {
-  this.lastNotifiedAt = new Date();
+// 인스턴스 메서드: 알림 발송 기록 (오늘 발생 기록을 확인 대기 상태로 생성)
+reminderSchema.methods.recordNotification = function(timezone = getOwnerTimezone(this)) {
+  const now = new Date();
+  this.lastNotifiedAt = now;
   this.stats.totalSent += 1;
+
+  const occurrence = this.getTodayOccurrence(timezone);
+  if (!occurrence) {
+    this.completionHistory.push({
+      date: now,
+      completed: false,
+      status: 'pending',
+      notifiedAt: now
+    });
+  } else if (!occurrence.completed) {
+    occurrence.notifiedAt = now;
+  }
+
+  this.updateCompletionRate();
+  return this.save();
+};
+
+// 인스턴스 메서드: 다시 알림 (5/10/30분 후)
+reminderSchema.methods.snooze = function(minutes, timezone = getOwnerTimezone(this)) {
+  if (!SNOOZE_OPTIONS.includes(minutes)) {
+    throw new Error('INVALID_SNOOZE_MINUTES');
+  }
+
+  const now = new Date();
+  let occurrence = this.getTodayOccurrence(timezone);
+
+  if (occurrence && occurrence.completed) {
+    throw new Error('ALREADY_COMPLETED');
+  }
+
+  if (!occurrence) {
+    this.completionHistory.push({
+      date: now,
+      completed: false,
+      status: 'pending',
+      notifiedAt: now
+    });
+    occurrence = this.completionHistory[this.completionHistory.length - 1];
+  }
+
+  if (occurrence.status === 'missed') {
+    this.stats.totalMissed = Math.max(0, this.stats.totalMissed - 1);
+  }
+
+  // 한 발생 건에서 여러 번 미뤄도 다시 알림 통계는 1회로 집계
+  if (occurrence.snoozeCount === 0) {
+    this.stats.totalSnoozed += 1;
+  }
+
+  occurrence.status = 'snoozed';
+  occurrence.snoozedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+  occurrence.snoozeCount += 1;
+  occurrence.escalationCount = 0;
+
+  this.updateCompletionRate();
+  return this.save();
+};
+
+// 인스턴스 메서드: 다시 알림/미확인 재알림 발송 기록
+reminderSchema.methods.recordFollowUp = function(occurrence) {
+  const now = new Date();
+
+  if (occurrence.status === 'pending') {
+    occurrence.escalationCount += 1;
+  }
+
+  occurrence.status = 'pending';
+  occurrence.snoozedUntil = null;
+  occurrence.notifiedAt = now;
+  this.lastNotifiedAt = now;
+
+  return this.save();
+};
+
+// 인스턴스 메서드: 놓친 알림 처리
+reminderSchema.methods.markMissed = function(occurrence) {
+  occurrence.status = 'missed';
+  occurrence.snoozedUntil = null;
+  this.stats.totalMissed += 1;
   this.updateCompletionRate();
   return this.save();
 };
@@ -213,22 +388,88 @@ reminderSchema.statics.getActiveReminders = function(userId = null) {
   }
   
   return this.find(query)
-    .populate('userId', 'isPremium deviceTokens')
+    .populate('userId', 'isPremium premiumEndDate deviceTokens notificationSettings timezone')
     .sort({ 'time.hour': 1, 'time.minute': 1 });
 };
 
-// 정적 메서드: 특정 시간의 알림 조회
-reminderSchema.statics.getRemindersByTime = function(hour, minute, dayOfWeek) {
+// 정적 메서드: 특정 시점에 발송할 알림 조회
+// 각 사용자의 시간대(User.timezone)로 현지 시각/요일을 계산해 매칭합니다.
+reminderSchema.statics.getRemindersByTime = async function(date = new Date()) {
+  const User = mongoose.model('User');
+
+  const timezones = new Set(
+    (await User.distinct('timezone')).map(timezone => TimezoneUtils.resolveTimezone(timezone))
+  );
+  timezones.add(TimezoneUtils.DEFAULT_TIMEZONE);
+
+  // 같은 현지 시각을 가진 시간대끼리 묶어 쿼리 수를 줄임
+  const slots = new Map();
+  timezones.forEach(timezone => {
+    TimezoneUtils.getLocalTimeSlots(date, timezone).forEach(slot => {
+      const key = `${slot.dayOfWeek}-${slot.hour}-${slot.minute}`;
+      if (!slots.has(key)) {
+        slots.set(key, { ...slot, timezones: new Set() });
+      }
+      slots.get(key).timezones.add(timezone);
+    });
+  });
+
+  const recentThreshold = new Date(date.getTime() - REPEAT_GUARD_MS);
+  const reminders = [];
+
+  for (const slot of slots.values()) {
+    const candidates = await this.find({
+      isActive: true,
+      'time.hour': slot.hour,
+      'time.minute': slot.minute,
+      days: slot.dayOfWeek,
+      $or: [
+        { lastNotifiedAt: null },
+        { lastNotifiedAt: { $lt: recentThreshold } }
+      ]
+    }).populate('userId', 'isPremium premiumEndDate deviceTokens notificationSettings timezone');
+
+    candidates.forEach(reminder => {
+      if (!reminder.userId) return;
+
+      const timezone = TimezoneUtils.resolveTimezone(reminder.userId.timezone);
+      if (slot.timezones.has(timezone)) {
+        reminders.push(reminder);
+      }
+    });
+  }
+
+  return reminders;
+};
+
+// 정적 메서드: 사용자의 활성 위치 기반 알림 조회
+reminderSchema.statics.getActiveLocationReminders = function(userId) {
+  return this.find({
+    userId,
+    isActive: true,
+    type: 'time_and_location',
+    'location.latitude': { $ne: null },
+    'location.longitude': { $ne: null }
+  });
+};
+
+// 정적 메서드: 후속 처리가 필요한 알림 조회 (다시 알림 시각 도래, 미확인 재알림/놓침 대상)
+reminderSchema.statics.getFollowUpReminders = function(date = new Date(), escalationMinutes = 15) {
+  const escalationThreshold = new Date(date.getTime() - escalationMinutes * 60 * 1000);
+
   return this.find({
     isActive: true,
-    'time.hour': hour,
-    'time.minute': minute,
-    days: dayOfWeek
-  }).populate('userId', 'isPremium deviceTokens');
+    $or: [
+      { completionHistory: { $elemMatch: { status: 'snoozed', snoozedUntil: { $lte: date } } } },
+      { completionHistory: { $elemMatch: { status: 'pending', notifiedAt: { $lte: escalationThreshold } } } }
+    ]
+  }).populate('userId', 'isPremium premiumEndDate deviceTokens notificationSettings timezone');
 };
 
 // 정적 메서드: 사용자별 알림 통계
-reminderSchema.statics.getUserStats = async function(userId, days = 30) {
+reminderSchema.statics.getUserStats = async function(userId, days = 30, timezone = null) {
+  const zone = TimezoneUtils.resolveTimezone(timezone);
+
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
 
@@ -250,15 +491,25 @@ reminderSchema.statics.getUserStats = async function(userId, days = 30) {
     {
       $group: {
         _id: {
-          year: { $year: '$completionHistory.date' },
-          month: { $month: '$completionHistory.date' },
-          day: { $dayOfMonth: '$completionHistory.date' }
+          year: { $year: { date: '$completionHistory.date', timezone: zone } },
+          month: { $month: { date: '$completionHistory.date', timezone: zone } },
+          day: { $dayOfMonth: { date: '$completionHistory.date', timezone: zone } }
         },
         completed: {
           $sum: {
             $cond: [{ $eq: ['$completionHistory.completed', true] }, 1, 0]
           }
         },
+        missed: {
+          $sum: {
+            $cond: [{ $eq: ['$completionHistory.status', 'missed'] }, 1, 0]
+          }
+        },
+        snoozed: {
+          $sum: {
+            $cond: [{ $gt: ['$completionHistory.snoozeCount', 0] }, 1, 0]
+          }
+        },
         total: { $sum: 1 }
       }
     },
@@ -270,6 +521,18 @@ reminderSchema.statics.getUserStats = async function(userId, days = 30) {
   return stats;
 };
 
+// 정적 메서드: 오래된 완료 기록 정리
+reminderSchema.statics.pruneCompletionHistory = async function(before) {
+  const result = await this.updateMany(
+    { 'completionHistory.date': { $lt: before } },
+    { $pull: { completionHistory: { date: { $lt: before } } } }
+  );
+
+  return result.modifiedCount;
+};
+
 const Reminder = mongoose.model('Reminder', reminderSchema);
 
+Reminder.SNOOZE_OPTIONS = SNOOZE_OPTIONS;
+
 module.exports = Reminder;
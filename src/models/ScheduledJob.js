@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+const scheduledJobSchema = new mongoose.Schema({
+  // 작업 이름 (고유)
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+
+  // cron 표현식
+  cronExpression: {
+    type: String,
+    required: true
+  },
+
+  // 실행할 핸들러 이름 (SchedulerService에 등록된 함수)
+  handler: {
+    type: String,
+    required: true
+  },
+
+  // 핸들러에 전달할 데이터
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // 활성 상태
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // 서버 기본 작업 여부 (알림 체크, 일일 정리 등)
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+
+  // 분산 잠금 (한 번에 한 인스턴스만 실행)
+  lock: {
+    owner: {
+      type: String,
+      default: null
+    },
+    lockedUntil: {
+      type: Date,
+      default: null
+    }
+  },
+
+  // 마지막으로 처리한 cron 실행 시점 (같은 시점 중복 실행 방지)
+  lastTickAt: {
+    type: Date,
+    default: null
+  },
+
+  // 마지막 실행 결과
+  lastRunAt: {
+    type: Date,
+    default: null
+  },
+
+  lastStatus: {
+    type: String,
+    enum: ['success', 'failed', null],
+    default: null
+  },
+
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  lastDurationMs: {
+    type: Number,
+    default: null
+  },
+
+  runCount: {
+    type: Number,
+    default: 0
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정 (name은 unique: true로 이미 인덱스가 있음)
+scheduledJobSchema.index({ enabled: 1 });
+
+// 가상 필드
+scheduledJobSchema.virtual('isLocked').get(function() {
+  return !!(this.lock && this.lock.lockedUntil && this.lock.lockedUntil > new Date());
+});
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+module.exports = ScheduledJob;
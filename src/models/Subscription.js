@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { PLANS } = require('../config/plans');
+
+/**
+ * 구독
+ * 프리미엄 이용 권한의 유일한 원천입니다.
+ * User.isPremium / premiumEndDate는 subscriptionService가 이 컬렉션에서 계산해 저장하는 캐시입니다.
+ *
+ * 상태 흐름:
+ * incomplete (결제 대기) → active → grace (갱신 결제 실패) → active | expired
+ * active + cancelAtPeriodEnd → 기간 종료 시 expired
+ * canceled: 환불 등으로 즉시 종료
+ */
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  // 상태를 바꾼 이벤트 (checkout_completed, renewed, payment_failed, cancel_requested 등)
+  event: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    default: null
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const subscriptionSchema = new mongoose.Schema({
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    required: true
+  },
+
+  // 결제 경로
+  provider: {
+    type: String,
+    enum: ['checkout', 'app_store', 'google_play', 'admin', 'system'],
+    required: true
+  },
+
+  // 결제사 구독 ID / 결제 세션 ID
+  externalId: {
+    type: String,
+    default: null
+  },
+
+  checkoutSessionId: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['incomplete', 'active', 'grace', 'expired', 'canceled'],
+    default: 'incomplete'
+  },
+
+  autoRenew: {
+    type: Boolean,
+    default: true
+  },
+
+  // 기간 종료 시 갱신하지 않고 종료
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+
+  currentPeriodStart: {
+    type: Date,
+    default: null
+  },
+
+  currentPeriodEnd: {
+    type: Date,
+    default: null
+  },
+
+  // 유예 기간 종료 시점 (grace 상태일 때만)
+  graceEndsAt: {
+    type: Date,
+    default: null
+  },
+
+  // 결제 세션 만료 시점 (incomplete 상태일 때만)
+  checkoutExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  renewalCount: {
+    type: Number,
+    default: 0
+  },
+
+  canceledAt: {
+    type: Date,
+    default: null
+  },
+
+  endedAt: {
+    type: Date,
+    default: null
+  },
+
+  // 반영한 결제사 이벤트 중 가장 늦게 발생한 시각 (늦게 도착한 이전 이벤트 무시용)
+  lastEventAt: {
+    type: Date,
+    default: null
+  },
+
+  statusHistory: [statusHistorySchema]
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+subscriptionSchema.index({ userId: 1, status: 1 });
+subscriptionSchema.index({ checkoutSessionId: 1 }, { sparse: true });
+subscriptionSchema.index({ provider: 1, externalId: 1 }, { sparse: true });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+subscriptionSchema.index({ status: 1, graceEndsAt: 1 });
+subscriptionSchema.index({ status: 1, checkoutExpiresAt: 1 });
+
+// 이용 중인 상태 (프리미엄 권한 계산 대상)
+subscriptionSchema.statics.LIVE_STATUSES = ['active', 'grace'];
+
+// 가상 필드: 프리미엄 이용 가능 종료 시점
+subscriptionSchema.virtual('accessEndsAt').get(function() {
+  if (this.status === 'active') return this.currentPeriodEnd;
+  if (this.status === 'grace') return this.graceEndsAt;
+  return null;
+});
+
+// 인스턴스 메서드: 상태 변경 + 이력 기록
+subscriptionSchema.methods.transition = function(status, event, note = null) {
+  this.status = status;
+  this.statusHistory.push({ status, event, note, at: new Date() });
+
+  if (['expired', 'canceled'].includes(status) && !this.endedAt) {
+    this.endedAt = new Date();
+  }
+
+  return this;
+};
+
+// 인스턴스 메서드: 지정 시점에 프리미엄 이용 가능 여부
+subscriptionSchema.methods.hasAccess = function(now = new Date()) {
+  const accessEndsAt = this.accessEndsAt;
+  return !!accessEndsAt && accessEndsAt > now;
+};
+
+// 정적 메서드: 사용자의 이용 중인 구독
+subscriptionSchema.statics.findLive = function(userId) {
+  return this.find({
+    userId,
+    status: { $in: this.LIVE_STATUSES }
+  }).sort({ currentPeriodEnd: -1 });
+};
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+
+module.exports = Subscription;
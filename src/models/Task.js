@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const RecurrenceUtils = require('../utils/recurrence');
 
 const taskSchema = new mongoose.Schema({
   // 사용자 정보
@@ -56,26 +57,62 @@ const taskSchema = new mongoose.Schema({
     default: null
   },
 
-  // 반복 설정
+  // 체크리스트 (배열 순서가 표시 순서)
+  checklist: [{
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100
+    },
+    isCompleted: {
+      type: Boolean,
+      default: false
+    },
+    completedAt: {
+      type: Date,
+      default: null
+    },
+    estimatedMinutes: {
+      type: Number,
+      min: 0,
+      default: null
+    }
+  }],
+
+  // 체크리스트를 모두 완료하면 Task 자동 완료 (항목을 다시 해제하면 완료 취소)
+  autoCompleteChecklist: {
+    type: Boolean,
+    default: false
+  },
+
+  // 반복 설정 (반복 Task 원본에만 설정, 발생일은 조회할 때 계산)
   isRepeating: {
     type: Boolean,
     default: false
   },
 
-  repeatType: {
+  // 반복 규칙 (iCalendar RRULE, 시작일은 date) - 예: FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE
+  recurrenceRule: {
     type: String,
-    enum: ['daily', 'weekly', 'monthly', 'custom'],
     default: null
   },
 
-  repeatDays: [{
-    type: Number, // 0: 일요일, 1: 월요일, ..., 6: 토요일
-    min: 0,
-    max: 6
+  // 마지막 발생 시점 (COUNT/UNTIL로 계산, 무기한 반복이면 null) - 조회 기간 필터용
+  recurrenceEndsAt: {
+    type: Date,
+    default: null
+  },
+
+  // 제외한 발생일 (EXDATE, YYYY-MM-DD)
+  excludedDates: [{
+    type: String
   }],
 
-  repeatEndDate: {
-    type: Date,
+  // 개별 저장된 발생의 원래 발생일 (RECURRENCE-ID, YYYY-MM-DD)
+  // 반복 Task의 발생은 완료하거나 수정할 때만 originalTaskId와 함께 저장됩니다.
+  occurrenceDate: {
+    type: String,
     default: null
   },
 
@@ -143,7 +180,7 @@ const taskSchema = new mongoose.Schema({
     default: ''
   },
 
-  // 원본 Task (반복 Task의 경우)
+  // 원본 반복 Task (개별 저장된 발생의 경우)
   originalTaskId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Task',
@@ -157,7 +194,7 @@ const taskSchema = new mongoose.Schema({
     default: null
   },
 
-  // 실제 소요 시간 (분)
+  // 실제 소요 시간 (분, 연결된 포모도로 집중 세션 완료 시 누적)
   actualMinutes: {
     type: Number,
     min: 0,
@@ -176,6 +213,64 @@ taskSchema.index({ userId: 1, isCompleted: 1, date: 1 });
 taskSchema.index({ userId: 1, categoryId: 1, date: 1 });
 taskSchema.index({ userId: 1, isRepeating: 1 });
 taskSchema.index({ date: 1, isCompleted: 1 });
+taskSchema.index(
+  { originalTaskId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { occurrenceDate: { $type: 'string' } } }
+);
+
+// 날짜 기준 상태 계산 (저장되지 않은 반복 발생에도 사용)
+const toStartOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const isOverdueDate = (date, isCompleted) => {
+  if (isCompleted) return false;
+  return toStartOfDay(date) < toStartOfDay(new Date());
+};
+
+const isTodayDate = (date) => toStartOfDay(date).getTime() === toStartOfDay(new Date()).getTime();
+
+// 체크리스트 진행률 (항목이 없으면 null)
+const getChecklistProgress = (checklist = []) => {
+  if (checklist.length === 0) return null;
+
+  const completed = checklist.filter(item => item.isCompleted).length;
+  return {
+    total: checklist.length,
+    completed,
+    percentage: Math.round((completed / checklist.length) * 100)
+  };
+};
+
+// 예상 대비 실제 소요 시간 (예상 시간이 없으면 체크리스트 예상 시간 합계, 둘 다 없으면 비율은 null)
+const getTimeProgress = (task) => {
+  const checklistEstimates = (task.checklist || [])
+    .filter(item => item.estimatedMinutes !== null && item.estimatedMinutes !== undefined);
+  const estimatedMinutes = task.estimatedMinutes ?? (checklistEstimates.length > 0
+    ? checklistEstimates.reduce((sum, item) => sum + item.estimatedMinutes, 0)
+    : null);
+  const actualMinutes = task.actualMinutes || 0;
+
+  return {
+    estimatedMinutes,
+    actualMinutes,
+    remainingMinutes: estimatedMinutes === null ? null : Math.max(0, estimatedMinutes - actualMinutes),
+    percentage: estimatedMinutes ? Math.round((actualMinutes / estimatedMinutes) * 100) : null,
+    isOverEstimate: estimatedMinutes === null ? false : actualMinutes > estimatedMinutes
+  };
+};
+
+// 반복 발생 ID: {원본 Task ID}_{YYYY-MM-DD}
+const OCCURRENCE_ID_PATTERN = /^([a-f0-9]{24})_(\d{4}-\d{2}-\d{2})$/;
+
+// 개별 저장된 발생과 나눈 반복 Task가 원본에서 물려받는 필드
+const SERIES_FIELDS = [
+  'userId', 'categoryId', 'title', 'description', 'time',
+  'hasGrowthAlbum', 'growthAlbumRequired', 'aiGenerated', 'aiGoalId', 'aiTaskIndex',
+  'priority', 'color', 'tags', 'notes', 'estimatedMinutes', 'autoCompleteChecklist'
+];
 
 // 가상 필드
 taskSchema.virtual('formattedDate').get(function() {
@@ -183,20 +278,45 @@ taskSchema.virtual('formattedDate').get(function() {
 });
 
 taskSchema.virtual('isOverdue').get(function() {
-  if (this.isCompleted) return false;
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const taskDate = new Date(this.date);
-  taskDate.setHours(0, 0, 0, 0);
-  return taskDate < today;
+  return isOverdueDate(this.date, this.isCompleted);
 });
 
 taskSchema.virtual('isToday').get(function() {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const taskDate = new Date(this.date);
-  taskDate.setHours(0, 0, 0, 0);
-  return taskDate.getTime() === today.getTime();
+  return isTodayDate(this.date);
+});
+
+taskSchema.virtual('checklistProgress').get(function() {
+  return getChecklistProgress(this.checklist);
+});
+
+// 예상 대비 실제 소요 시간 (실제 시간은 연결된 포모도로 집중 세션에서 누적)
+taskSchema.virtual('timeProgress').get(function() {
+  return getTimeProgress(this);
+});
+
+// 반복 주기 (RRULE의 FREQ, 예: 'daily')
+taskSchema.virtual('repeatType').get(function() {
+  const match = /FREQ=([A-Z]+)/.exec(this.recurrenceRule || '');
+  return match ? match[1].toLowerCase() : null;
+});
+
+// 미들웨어: 반복 규칙 정규화 및 마지막 발생 시점 계산
+taskSchema.pre('save', function(next) {
+  if (!this.isModified('recurrenceRule') && !this.isModified('date')) return next();
+
+  try {
+    if (this.recurrenceRule) {
+      this.recurrenceRule = RecurrenceUtils.normalize(this.recurrenceRule);
+      this.recurrenceEndsAt = RecurrenceUtils.getEndDate(this.recurrenceRule, this.date);
+      this.isRepeating = true;
+    } else if (this.isModified('recurrenceRule')) {
+      this.recurrenceEndsAt = null;
+      this.isRepeating = false;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
 });
 
 // 미들웨어: Task 완료 시 카테고리 통계 업데이트
@@ -235,15 +355,7 @@ taskSchema.statics.getTasksByDate = function(userId, date) {
   const endOfDay = new Date(date);
   endOfDay.setHours(23, 59, 59, 999);
 
-  return this.find({
-    userId,
-    date: {
-      $gte: startOfDay,
-      $lte: endOfDay
-    }
-  })
-  .populate('categoryId', 'name color')
-  .sort({ time: 1, createdAt: 1 });
+  return this.findInRange(userId, startOfDay, endOfDay);
 };
 
 // 정적 메서드: 월별 Task 조회 (캘린더용)
@@ -251,66 +363,226 @@ taskSchema.statics.getMonthlyTasks = function(userId, year, month) {
   const startOfMonth = new Date(year, month - 1, 1);
   const endOfMonth = new Date(year, month, 0, 23, 59, 59, 999);
 
-  return this.find({
-    userId,
-    date: {
-      $gte: startOfMonth,
-      $lte: endOfMonth
-    }
-  })
-  .populate('categoryId', 'name color')
-  .sort({ date: 1, time: 1 });
+  return this.findInRange(userId, startOfMonth, endOfMonth);
 };
 
-// 정적 메서드: 반복 Task 생성
-taskSchema.statics.createRepeatingTasks = async function(originalTask, endDate) {
-  const tasks = [];
-  const currentDate = new Date(originalTask.date);
-  currentDate.setDate(currentDate.getDate() + 1); // 다음 날부터 시작
-
-  while (currentDate <= endDate) {
-    let shouldCreate = false;
-
-    switch (originalTask.repeatType) {
-      case 'daily':
-        shouldCreate = true;
-        break;
-      case 'weekly':
-        if (originalTask.repeatDays.includes(currentDate.getDay())) {
-          shouldCreate = true;
-        }
-        break;
-      case 'monthly':
-        if (currentDate.getDate() === originalTask.date.getDate()) {
-          shouldCreate = true;
+// 정적 메서드: 기간 내 Task 조회 (반복 Task는 기간 내 발생으로 펼쳐서 포함)
+// 개별 저장된 발생(완료/수정)이 있으면 계산한 발생 대신 저장된 Task를 사용합니다.
+taskSchema.statics.findInRange = async function(userId, start, end) {
+  const [tasks, series] = await Promise.all([
+    this.find({
+      userId,
+      recurrenceRule: null,
+      date: { $gte: start, $lte: end }
+    }).populate('categoryId', 'name color'),
+    this.find({
+      userId,
+      isRepeating: true,
+      recurrenceRule: { $ne: null },
+      date: { $lte: end },
+      $or: [{ recurrenceEndsAt: null }, { recurrenceEndsAt: { $gte: start } }]
+    }).populate('categoryId', 'name color')
+  ]);
+
+  const results = [...tasks];
+
+  if (series.length > 0) {
+    // 날짜를 옮긴 발생도 원래 발생일을 대체하므로 occurrenceDate로 조회
+    const saved = await this.find({
+      originalTaskId: { $in: series.map(task => task._id) },
+      occurrenceDate: {
+        $gte: RecurrenceUtils.toDateKey(start),
+        $lte: RecurrenceUtils.toDateKey(end)
+      }
+    }).select('originalTaskId occurrenceDate');
+
+    const savedKeys = new Set(saved.map(task => `${task.originalTaskId}_${task.occurrenceDate}`));
+
+    series.forEach(task => {
+      task.getOccurrences(start, end).forEach(date => {
+        const occurrence = task.toOccurrence(date);
+        if (!savedKeys.has(occurrence._id)) {
+          results.push(occurrence);
         }
-        break;
+      });
+    });
+  }
+
+  return results.sort((a, b) =>
+    a.formattedDate.localeCompare(b.formattedDate)
+    || (a.time || '').localeCompare(b.time || '')
+    || new Date(a.createdAt) - new Date(b.createdAt)
+  );
+};
+
+// 정적 메서드: 반복 발생 ID 파싱
+taskSchema.statics.parseOccurrenceId = function(taskId) {
+  const match = OCCURRENCE_ID_PATTERN.exec(String(taskId));
+  return match ? { seriesId: match[1], dateKey: match[2] } : null;
+};
+
+// 정적 메서드: 사용자 Task 조회 (반복 발생 ID면 해당 발생을 개별 Task로 저장해 반환)
+taskSchema.statics.findForUpdate = async function(userId, taskId) {
+  const occurrence = this.parseOccurrenceId(taskId);
+  if (occurrence) {
+    return this.materializeOccurrence(userId, occurrence.seriesId, occurrence.dateKey);
+  }
+
+  if (!mongoose.isValidObjectId(taskId)) {
+    return null;
+  }
+
+  return this.findOne({ _id: taskId, userId });
+};
+
+// 정적 메서드: 수정/삭제 대상과 반복 원본 조회
+// 반환: { task, series, dateKey }
+// - 반복 발생: task = 개별 저장된 발생(없으면 null), series = 원본, dateKey = 발생일
+// - 반복 원본: task = null, series = 원본, dateKey = null
+// - 일반 Task (원본이 삭제되었거나 반복이 해제된 발생 포함): task = Task, series = null
+taskSchema.statics.findSeriesTarget = async function(userId, taskId) {
+  const occurrence = this.parseOccurrenceId(taskId);
+
+  if (occurrence) {
+    const [series, task] = await Promise.all([
+      this.findOne({ _id: occurrence.seriesId, userId, recurrenceRule: { $ne: null } }),
+      this.findOne({ userId, originalTaskId: occurrence.seriesId, occurrenceDate: occurrence.dateKey })
+    ]);
+
+    if (!series) {
+      return task ? { task, series: null, dateKey: null } : null;
+    }
+    if (!task && !series.getOccurrenceDate(occurrence.dateKey)) {
+      return null;
     }
+    return { task, series, dateKey: occurrence.dateKey };
+  }
 
-    if (shouldCreate) {
-      const newTask = new this({
-        ...originalTask.toObject(),
-        _id: undefined,
-        date: new Date(currentDate),
-        isCompleted: false,
-        completedAt: null,
-        originalTaskId: originalTask._id,
-        createdAt: undefined,
-        updatedAt: undefined
-      });
+  if (!mongoose.isValidObjectId(taskId)) {
+    return null;
+  }
 
-      tasks.push(newTask);
+  const task = await this.findOne({ _id: taskId, userId });
+  if (!task) {
+    return null;
+  }
+  if (task.recurrenceRule) {
+    return { task: null, series: task, dateKey: null };
+  }
+
+  if (task.occurrenceDate && task.originalTaskId) {
+    const series = await this.findOne({ _id: task.originalTaskId, userId, recurrenceRule: { $ne: null } });
+    if (series) {
+      return { task, series, dateKey: task.occurrenceDate };
     }
+  }
+
+  return { task, series: null, dateKey: null };
+};
 
-    // 다음 날로 이동
-    currentDate.setDate(currentDate.getDate() + 1);
+// 정적 메서드: 반복 발생을 개별 Task로 저장 (이미 저장된 경우 그대로 반환)
+taskSchema.statics.materializeOccurrence = async function(userId, seriesId, dateKey) {
+  const existing = await this.findOne({ userId, originalTaskId: seriesId, occurrenceDate: dateKey });
+  if (existing) {
+    return existing;
   }
 
-  if (tasks.length > 0) {
-    return await this.insertMany(tasks);
+  const series = await this.findOne({ _id: seriesId, userId, recurrenceRule: { $ne: null } });
+  const date = series && series.getOccurrenceDate(dateKey);
+  if (!date) {
+    return null;
+  }
+
+  const occurrence = new this({
+    ...series.getSeriesFields(),
+    date,
+    originalTaskId: series._id,
+    occurrenceDate: dateKey
+  });
+
+  try {
+    await occurrence.save();
+  } catch (error) {
+    // 동시에 같은 발생을 저장한 경우
+    if (error.code === 11000) {
+      return this.findOne({ userId, originalTaskId: seriesId, occurrenceDate: dateKey });
+    }
+    throw error;
   }
 
-  return [];
+  return occurrence;
+};
+
+// 인스턴스 메서드: 반복 발생과 나눈 반복 Task가 물려받는 필드
+// 체크리스트는 항목만 물려받고 완료 상태는 새로 시작합니다.
+// 발생은 조회 응답(toOccurrence)과 같은 항목 ID를 유지하고, 나눈 반복 Task(newChecklistIds)만 새 ID를 받습니다.
+taskSchema.methods.getSeriesFields = function({ newChecklistIds = false } = {}) {
+  const fields = {};
+  SERIES_FIELDS.forEach(field => {
+    fields[field] = this[field];
+  });
+
+  fields.checklist = this.checklist.map(item => ({
+    ...(newChecklistIds ? {} : { _id: item._id }),
+    title: item.title,
+    estimatedMinutes: item.estimatedMinutes
+  }));
+  return fields;
+};
+
+// 인스턴스 메서드: 기간 내 반복 발생 시점
+taskSchema.methods.getOccurrences = function(start, end) {
+  if (!this.recurrenceRule) return [];
+
+  return RecurrenceUtils.expand(this.recurrenceRule, this.date, {
+    from: start,
+    to: end,
+    exdates: this.excludedDates
+  });
+};
+
+// 인스턴스 메서드: 특정 날짜(YYYY-MM-DD)의 반복 발생 시점 (발생일이 아니면 null)
+taskSchema.methods.getOccurrenceDate = function(dateKey) {
+  if (!this.recurrenceRule) return null;
+
+  return RecurrenceUtils.getOccurrence(this.recurrenceRule, this.date, dateKey, this.excludedDates);
+};
+
+// 인스턴스 메서드: 첫 반복 발생 시점 (시작일이 규칙상 발생일이 아니면 그 이후 첫 발생일, 발생이 없으면 null)
+taskSchema.methods.getFirstOccurrence = function() {
+  if (!this.recurrenceRule) return null;
+
+  const [first] = RecurrenceUtils.expand(this.recurrenceRule, this.date, {
+    exdates: this.excludedDates,
+    limit: 1
+  });
+  return first || null;
+};
+
+// 인스턴스 메서드: 저장되지 않은 반복 발생 (조회 응답용)
+taskSchema.methods.toOccurrence = function(date) {
+  const dateKey = RecurrenceUtils.toDateKey(date);
+  const id = `${this._id}_${dateKey}`;
+  const json = this.toJSON();
+  const checklist = json.checklist.map(item => ({ ...item, isCompleted: false, completedAt: null }));
+
+  return {
+    ...json,
+    _id: id,
+    id,
+    date,
+    formattedDate: dateKey,
+    isOverdue: isOverdueDate(date, false),
+    isToday: isTodayDate(date),
+    isCompleted: false,
+    completedAt: null,
+    actualMinutes: null,
+    checklist,
+    checklistProgress: getChecklistProgress(checklist),
+    timeProgress: getTimeProgress({ ...json, checklist, actualMinutes: null }),
+    originalTaskId: this._id,
+    occurrenceDate: dateKey
+  };
 };
 
 // 인스턴스 메서드: Task 완료 처리
@@ -330,15 +602,6 @@ taskSchema.methods.uncomplete = function() {
   return this.save();
 };
 
-// 인스턴스 메서드: 반복 Task 생성
-taskSchema.methods.createRepeatingTasks = async function() {
-  if (!this.isRepeating || !this.repeatEndDate) {
-    return [];
-  }
-
-  return await this.constructor.createRepeatingTasks(this, this.repeatEndDate);
-};
-
 // 인스턴스 메서드: Task 복제
 taskSchema.methods.duplicate = function(newDate) {
   const duplicatedTask = new this.constructor({
@@ -348,6 +611,7 @@ taskSchema.methods.duplicate = function(newDate) {
     isCompleted: false,
     completedAt: null,
     originalTaskId: null,
+    occurrenceDate: null,
     createdAt: undefined,
     updatedAt: undefined
   });
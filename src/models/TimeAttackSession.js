@@ -91,6 +91,12 @@ const timeAttackSessionSchema = new mongoose.Schema({
     default: 0 // 일시정지된 총 시간 (초)
   },
 
+  // 방치되어 서버가 자동으로 종료한 세션
+  autoRecovered: {
+    type: Boolean,
+    default: false
+  },
+
   // AI 추천 여부
   isAiGenerated: {
     type: Boolean,
@@ -316,6 +322,66 @@ timeAttackSessionSchema.statics.getUserStats = async function(userId, period = '
   };
 };
 
+// 정적 메서드: 최근 완료 세션의 단계 시간 정확도 (calculateStepAccuracy 기록)
+timeAttackSessionSchema.statics.getStepAccuracyHistory = async function(userId, limit = 10) {
+  const sessions = await this.find({
+    userId,
+    status: 'completed',
+    'performance.stepAccuracy': { $gt: 0 }
+  })
+    .sort({ completedAt: -1 })
+    .limit(limit)
+    .select('performance.stepAccuracy');
+
+  const accuracies = sessions.map(session => session.performance.stepAccuracy);
+
+  return {
+    sessionCount: accuracies.length,
+    averageAccuracy: accuracies.length > 0
+      ? accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length
+      : null
+  };
+};
+
+// 인스턴스 메서드: 방치된 세션 자동 포기 처리
+// 계획 시간이 끝난 진행 중 세션과 오래 일시정지된 세션은 남은 단계가 있어도 포기로 기록
+timeAttackSessionSchema.methods.recoverIfAbandoned = async function(idleTimeoutMs, now = new Date()) {
+  if (this.status === 'in_progress' && this.startedAt) {
+    // 남은 시간은 remainingTime(현재 시각 기준) 대신 now 기준으로 계산
+    const expectedEnd = new Date(this.startedAt.getTime() + (this.totalMinutes * 60 + this.pauseDuration) * 1000);
+    if (expectedEnd > now || now - expectedEnd < idleTimeoutMs) return null;
+
+    this.actualDuration = this.totalMinutes * 60;
+  } else if (this.status === 'paused' && this.pausedAt && this.startedAt) {
+    if (now - this.pausedAt < idleTimeoutMs) return null;
+
+    this.actualDuration = Math.max(0, Math.floor((this.pausedAt - this.startedAt) / 1000) - this.pauseDuration);
+  } else {
+    return null;
+  }
+
+  this.status = 'abandoned';
+  this.autoRecovered = true;
+  await this.save();
+
+  return this.status;
+};
+
+// 정적 메서드: 방치된 세션 일괄 자동 포기 처리
+timeAttackSessionSchema.statics.recoverAbandonedSessions = async function(idleTimeoutMs, userId = null, now = new Date()) {
+  const query = { status: { $in: ['in_progress', 'paused'] } };
+  if (userId) query.userId = userId;
+
+  const sessions = await this.find(query);
+  let abandoned = 0;
+
+  for (const session of sessions) {
+    if (await session.recoverIfAbandoned(idleTimeoutMs, now)) abandoned += 1;
+  }
+
+  return { abandoned };
+};
+
 const TimeAttackSession = mongoose.model('TimeAttackSession', timeAttackSessionSchema);
 
 module.exports = TimeAttackSession;
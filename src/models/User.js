@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
 
 const userSchema = new mongoose.Schema({
   // 기본 정보
@@ -58,7 +59,7 @@ const userSchema = new mongoose.Schema({
     required: true
   },
 
-  // 구독 정보
+  // 구독 정보 (Subscription 컬렉션에서 subscriptionService.syncUser가 계산하는 캐시, 직접 수정 금지)
   isPremium: {
     type: Boolean,
     default: false
@@ -96,6 +97,11 @@ const userSchema = new mongoose.Schema({
       type: Date,
       required: true
     },
+    // 보상 대상 날짜 (사용자 현지 YYYY-MM-DD, 날짜별 1회 지급 보상)
+    dateKey: {
+      type: String,
+      default: null
+    },
     description: {
       type: String,
       default: ''
@@ -145,6 +151,19 @@ const userSchema = new mongoose.Schema({
     }
   },
 
+  // 권한 (config/roles.js)
+  role: {
+    type: String,
+    enum: Object.keys(ROLES),
+    default: 'user'
+  },
+
+  // 역할 외에 개별로 부여한 권한
+  permissions: [{
+    type: String,
+    enum: Object.values(PERMISSIONS)
+  }],
+
   // 계정 상태
   isActive: {
     type: Boolean,
@@ -156,11 +175,17 @@ const userSchema = new mongoose.Schema({
     default: false
   },
 
+  // 인증/재설정 토큰은 SHA-256 해시로만 저장
   emailVerificationToken: {
     type: String,
     select: false
   },
 
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+
   passwordResetToken: {
     type: String,
     select: false
@@ -189,6 +214,14 @@ const userSchema = new mongoose.Schema({
       type: String,
       enum: ['ios', 'android', 'web']
     },
+    appVersion: {
+      type: String,
+      default: null
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now
+    },
     createdAt: {
       type: Date,
       default: Date.now
@@ -202,6 +235,7 @@ const userSchema = new mongoose.Schema({
     transform: function(doc, ret) {
       delete ret.password;
       delete ret.emailVerificationToken;
+      delete ret.emailVerificationExpires;
       delete ret.passwordResetToken;
       delete ret.passwordResetExpires;
       return ret;
@@ -214,21 +248,14 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ socialId: 1, socialProvider: 1 });
 userSchema.index({ createdAt: -1 });
 userSchema.index({ lastActiveAt: -1 });
+userSchema.index({ 'deviceTokens.token': 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ role: 1 });
 
 // 가상 필드
 userSchema.virtual('isPremiumActive').get(function() {
-  return this.subscriptionStatus === 'premium' && 
-         this.subscriptionEndDate && 
-         this.subscriptionEndDate > new Date();
-});
-
-userSchema.virtual('subscriptionInfo').get(function() {
-  return {
-    status: this.subscriptionStatus,
-    plan: this.subscriptionPlan,
-    expiryDate: this.subscriptionEndDate,
-    isActive: this.isPremiumActive
-  };
+  return this.checkPremiumStatus();
 });
 
 // 비밀번호 해싱 미들웨어
@@ -252,36 +279,14 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// 프리미엄 만료 확인 메서드
-userSchema.methods.checkPremiumStatus = function() {
-  if (this.subscriptionStatus !== 'premium') return false;
-  if (!this.subscriptionEndDate) return false;
-  
-  if (this.subscriptionEndDate <= new Date()) {
-    this.subscriptionStatus = 'free';
-    this.subscriptionPlan = null;
-    this.save();
-    return false;
-  }
-  
-  return true;
+// 권한 확인 메서드
+userSchema.methods.hasPermission = function(permission) {
+  return hasPermission(this.role, this.permissions, permission);
 };
 
-// 구독 활성화 메서드
-userSchema.methods.activatePremium = function(plan, duration) {
-  this.subscriptionStatus = 'premium';
-  this.subscriptionPlan = plan;
-  this.subscriptionStartDate = new Date();
-  
-  const endDate = new Date();
-  if (plan === 'premium_monthly') {
-    endDate.setMonth(endDate.getMonth() + 1);
-  } else if (plan === 'premium_yearly') {
-    endDate.setFullYear(endDate.getFullYear() + 1);
-  }
-  this.subscriptionEndDate = endDate;
-  
-  return this.save();
+// 프리미엄 이용 가능 여부 (구독 캐시 기준, 만료 시점이 지나면 즉시 false)
+userSchema.methods.checkPremiumStatus = function(now = new Date()) {
+  return !!this.isPremium && !!this.premiumEndDate && this.premiumEndDate > now;
 };
 
 // 코인 추가 메서드
@@ -305,6 +310,19 @@ userSchema.methods.updateLastActive = function() {
   return this.save();
 };
 
+// 정적 메서드: 지정한 이메일의 계정을 관리자로 지정 (초기 관리자 설정용)
+userSchema.statics.promoteAdmins = async function(emails = []) {
+  const normalized = emails.map(email => email.trim().toLowerCase()).filter(Boolean);
+  if (normalized.length === 0) return 0;
+
+  const result = await this.updateMany(
+    { email: { $in: normalized }, role: { $ne: 'admin' } },
+    { $set: { role: 'admin' } }
+  );
+
+  return result.modifiedCount;
+};
+
 // 정적 메서드: 테스트 계정 생성
 userSchema.statics.createTestAccount = async function() {
   const testEmail = process.env.TEST_USER_EMAIL || 'example@example.com';
@@ -322,10 +340,6 @@ userSchema.statics.createTestAccount = async function() {
     password: testPassword,
     profileName: '테스트 사용자',
     userType: '집중력개선',
-    subscriptionStatus: 'premium',
-    subscriptionPlan: 'premium_yearly',
-    subscriptionStartDate: new Date(),
-    subscriptionEndDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1년
     coins: 100,
     isEmailVerified: true
   });
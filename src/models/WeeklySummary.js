@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const weeklySummarySchema = new mongoose.Schema({
+  // 사용자 정보
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 주 키 (사용자 시간대 기준, 예: "2025-W30")
+  weekKey: {
+    type: String,
+    required: true
+  },
+
+  weekStart: {
+    type: Date,
+    required: true
+  },
+
+  weekEnd: {
+    type: Date,
+    required: true
+  },
+
+  // 집계 기준 시간대
+  timezone: {
+    type: String,
+    required: true
+  },
+
+  // 포모도로 집중 통계
+  focus: {
+    totalSessions: { type: Number, default: 0 },
+    completedSessions: { type: Number, default: 0 },
+    totalFocusMinutes: { type: Number, default: 0 },
+    // 요일별 집중 시간 (0=일요일)
+    dailyMinutes: {
+      type: [Number],
+      default: () => Array(7).fill(0)
+    },
+    bestDay: { type: Number, default: null },
+    peakHour: { type: Number, default: null }
+  },
+
+  // 알림 통계
+  reminders: {
+    totalNotified: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    missed: { type: Number, default: 0 },
+    snoozed: { type: Number, default: 0 },
+    completionRate: { type: Number, default: 0 },
+    // 알림이 가장 많이 발송된 시간대
+    peakHour: { type: Number, default: null },
+    // 위치 기반 알림 완료율
+    locationCompletionRate: { type: Number, default: null }
+  },
+
+  // 타임어택 통계
+  timeAttack: {
+    totalSessions: { type: Number, default: 0 },
+    completedSessions: { type: Number, default: 0 },
+    totalMinutes: { type: Number, default: 0 }
+  },
+
+  generatedAt: {
+    type: Date,
+    default: Date.now
+  }
+
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// 인덱스 설정
+weeklySummarySchema.index({ userId: 1, weekKey: 1 }, { unique: true });
+weeklySummarySchema.index({ userId: 1, weekStart: -1 });
+
+// 정적 메서드: 사용자 최근 주간 요약
+weeklySummarySchema.statics.getUserSummaries = function(userId, limit = 12) {
+  return this.find({ userId })
+    .sort({ weekStart: -1 })
+    .limit(limit);
+};
+
+const WeeklySummary = mongoose.model('WeeklySummary', weeklySummarySchema);
+
+module.exports = WeeklySummary;
@@ -0,0 +1,731 @@
+/**
+ * 관리자 API 라우터
+ * 스케줄러 관리, 상점 아이템 관리, 사용자 조회/프리미엄 부여/코인 조정, 감사 로그
+ *
+ * 기능별로 권한(config/roles.js)을 확인합니다. 역할의 기본 권한과 사용자에게 개별로 부여한 권한을 모두 사용합니다.
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS, ROLES } = require('../config/roles');
+const adminService = require('../services/adminService');
+const schedulerService = require('../utils/scheduler');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: 관리자 전용 기능
+ */
+
+/**
+ * 유효성 검사 에러 처리 미들웨어
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'VALIDATION_ERROR',
+      message: '입력값이 올바르지 않습니다.',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * 감사 로그에 남길 작업 주체 정보
+ */
+const getActor = (req) => ({
+  user: req.user,
+  ip: req.ip,
+  userAgent: req.get('User-Agent') || null
+});
+
+/**
+ * 관리자 서비스 오류 응답
+ */
+const ADMIN_ERRORS = {
+  USER_NOT_FOUND: [404, '사용자를 찾을 수 없습니다.'],
+  SHOP_ITEM_NOT_FOUND: [404, '상점 아이템을 찾을 수 없습니다.'],
+  INVALID_SHOP_ITEM: [400, '상점 아이템 정보가 올바르지 않습니다.'],
+  NO_CHANGES: [400, '변경할 항목이 없습니다.'],
+  INVALID_PREMIUM_DAYS: [400, '프리미엄 부여 기간이 올바르지 않습니다.'],
+  INVALID_COIN_AMOUNT: [400, '조정할 코인 수가 올바르지 않습니다.'],
+  INSUFFICIENT_COINS: [409, '차감할 코인이 잔액보다 많습니다.'],
+  INVALID_ROLE: [400, '역할 또는 권한이 올바르지 않습니다.'],
+  CANNOT_CHANGE_OWN_ROLE: [403, '자신의 역할은 변경할 수 없습니다.'],
+  ROLE_CHANGE_NOT_ALLOWED: [403, '보유하지 않은 역할이나 권한은 변경할 수 없습니다.']
+};
+
+const handleAdminError = (res, error, fallbackCode, fallbackMessage) => {
+  const mapped = ADMIN_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({
+      success: false,
+      error: error.message,
+      message: mapped[1],
+      ...(error.details && { details: error.details })
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+// 모든 관리자 API는 인증 필요, 접근 권한은 API별 requirePermission으로 확인
+// (역할과 관계없이 사용자에게 개별로 부여한 권한도 사용할 수 있도록 역할로 먼저 막지 않음)
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/admin/scheduler:
+ *   get:
+ *     summary: 스케줄러 상태 조회 (작업 목록, 잠금, 마지막 실행 결과)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/scheduler', requirePermission(PERMISSIONS.SCHEDULER_MANAGE), async (req, res) => {
+  try {
+    const status = await schedulerService.getStatus();
+
+    res.json({
+      success: true,
+      ...status
+    });
+
+  } catch (error) {
+    logger.error('스케줄러 상태 조회 오류:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'SCHEDULER_STATUS_FAILED',
+      message: '스케줄러 상태 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/scheduler/tasks:
+ *   get:
+ *     summary: 스케줄 작업 목록 조회
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/scheduler/tasks', requirePermission(PERMISSIONS.SCHEDULER_MANAGE), async (req, res) => {
+  try {
+    const tasks = await schedulerService.getScheduledTasks();
+
+    res.json({
+      success: true,
+      tasks
+    });
+
+  } catch (error) {
+    logger.error('스케줄 작업 목록 조회 오류:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'SCHEDULER_TASKS_FAILED',
+      message: '스케줄 작업 목록 조회 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/scheduler/tasks/{name}/runs:
+ *   get:
+ *     summary: 스케줄 작업 실행 이력 조회
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ */
+router.get('/scheduler/tasks/:name/runs',
+  requirePermission(PERMISSIONS.SCHEDULER_MANAGE),
+  [
+    param('name').isString().trim().notEmpty(),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('limit은 1-100 사이여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 20;
+      const runs = await schedulerService.getRunHistory(req.params.name, limit);
+
+      res.json({
+        success: true,
+        runs
+      });
+
+    } catch (error) {
+      logger.error('스케줄 작업 실행 이력 조회 오류:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'SCHEDULER_RUNS_FAILED',
+        message: '실행 이력 조회 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/scheduler/tasks/{name}/run:
+ *   post:
+ *     summary: 스케줄 작업 수동 실행
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 실행 완료
+ *       409:
+ *         description: 다른 인스턴스에서 실행 중
+ */
+router.post('/scheduler/tasks/:name/run',
+  requirePermission(PERMISSIONS.SCHEDULER_MANAGE),
+  [
+    param('name').isString().trim().notEmpty()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { name } = req.params;
+
+      logger.info('스케줄 작업 수동 실행 요청', { name, adminId: req.user._id });
+
+      const result = await adminService.runSchedulerTask(getActor(req), name);
+
+      if (!result.executed) {
+        return res.status(409).json({
+          success: false,
+          error: 'TASK_NOT_EXECUTED',
+          message: result.reason === 'locked'
+            ? '작업이 이미 실행 중입니다.'
+            : '작업을 실행할 수 없습니다.',
+          reason: result.reason
+        });
+      }
+
+      res.json({
+        success: result.status === 'success',
+        message: result.status === 'success' ? '작업이 실행되었습니다.' : '작업 실행 중 오류가 발생했습니다.',
+        run: result
+      });
+
+    } catch (error) {
+      logger.error('스케줄 작업 수동 실행 오류:', error);
+
+      if (error.message === 'TASK_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'TASK_NOT_FOUND',
+          message: '존재하지 않는 스케줄 작업입니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'SCHEDULER_RUN_FAILED',
+        message: '작업 실행 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * 페이지네이션 쿼리 검증
+ */
+const paginationRules = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page는 1 이상이어야 합니다.'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit은 1-100 사이여야 합니다.')
+];
+
+/**
+ * @swagger
+ * /api/admin/shop/items:
+ *   get:
+ *     summary: 상점 아이템 목록 조회 (판매 중지 아이템 포함)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/shop/items',
+  requirePermission(PERMISSIONS.SHOP_MANAGE),
+  [
+    query('category')
+      .optional()
+      .isIn(['top', 'bottom', 'accessory', 'background'])
+      .withMessage('올바른 카테고리가 아닙니다.'),
+    query('includeInactive').optional().isBoolean(),
+    ...paginationRules
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await adminService.getShopItems({
+        category: req.query.category,
+        includeInactive: req.query.includeInactive !== 'false',
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('관리자 상점 아이템 목록 조회 오류:', error);
+      handleAdminError(res, error, 'SHOP_ITEMS_FETCH_FAILED', '상점 아이템 목록 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items:
+ *   post:
+ *     summary: 상점 아이템 추가
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/shop/items',
+  requirePermission(PERMISSIONS.SHOP_MANAGE),
+  [
+    body('name').isString().trim().notEmpty().withMessage('아이템 이름이 필요합니다.'),
+    body('price').isInt({ min: 0 }).withMessage('가격은 0 이상의 정수여야 합니다.'),
+    body('category').notEmpty().withMessage('카테고리가 필요합니다.'),
+    body('type').notEmpty().withMessage('아이템 타입이 필요합니다.'),
+    body('imageUrl').isString().notEmpty().withMessage('이미지 URL이 필요합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await adminService.createShopItem(getActor(req), req.body);
+
+      res.status(201).json({
+        success: true,
+        message: '상점 아이템이 추가되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('관리자 상점 아이템 추가 오류:', error);
+      handleAdminError(res, error, 'SHOP_ITEM_CREATE_FAILED', '상점 아이템 추가 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}:
+ *   put:
+ *     summary: 상점 아이템 수정
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/shop/items/:itemId',
+  requirePermission(PERMISSIONS.SHOP_MANAGE),
+  [
+    param('itemId').isMongoId().withMessage('올바른 아이템 ID가 아닙니다.'),
+    body('price').optional().isInt({ min: 0 }).withMessage('가격은 0 이상의 정수여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await adminService.updateShopItem(getActor(req), req.params.itemId, req.body);
+
+      res.json({
+        success: true,
+        message: '상점 아이템이 수정되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('관리자 상점 아이템 수정 오류:', error);
+      handleAdminError(res, error, 'SHOP_ITEM_UPDATE_FAILED', '상점 아이템 수정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/shop/items/{itemId}:
+ *   delete:
+ *     summary: 상점 아이템 삭제 (판매 중지)
+ *     description: 이미 구매한 사용자의 인벤토리는 유지됩니다.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/shop/items/:itemId',
+  requirePermission(PERMISSIONS.SHOP_MANAGE),
+  [
+    param('itemId').isMongoId().withMessage('올바른 아이템 ID가 아닙니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const item = await adminService.deleteShopItem(getActor(req), req.params.itemId);
+
+      res.json({
+        success: true,
+        message: '상점 아이템 판매가 중지되었습니다.',
+        item
+      });
+
+    } catch (error) {
+      logger.error('관리자 상점 아이템 삭제 오류:', error);
+      handleAdminError(res, error, 'SHOP_ITEM_DELETE_FAILED', '상점 아이템 삭제 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: 사용자 검색
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         description: 이메일 부분 일치
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ */
+router.get('/users',
+  requirePermission(PERMISSIONS.USERS_READ),
+  [
+    query('email').optional().isString().trim().isLength({ max: 100 }),
+    query('role')
+      .optional()
+      .isIn(Object.keys(ROLES))
+      .withMessage('올바른 역할이 아닙니다.'),
+    ...paginationRules
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await adminService.searchUsers({
+        email: req.query.email,
+        role: req.query.role,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('관리자 사용자 검색 오류:', error);
+      handleAdminError(res, error, 'USER_SEARCH_FAILED', '사용자 검색 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}:
+ *   get:
+ *     summary: 사용자 상세 조회 (최근 코인 거래 포함)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/users/:userId',
+  requirePermission(PERMISSIONS.USERS_READ),
+  [
+    param('userId').isMongoId().withMessage('올바른 사용자 ID가 아닙니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const user = await adminService.getUserDetail(req.params.userId);
+
+      res.json({
+        success: true,
+        user
+      });
+
+    } catch (error) {
+      logger.error('관리자 사용자 상세 조회 오류:', error);
+      handleAdminError(res, error, 'USER_FETCH_FAILED', '사용자 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/premium:
+ *   post:
+ *     summary: 프리미엄 기간 부여
+ *     description: 결제 구독과 별도인 무료 제공 기간을 부여합니다. 이미 무료 제공 기간이 있으면 이어서 연장됩니다.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - days
+ *               - reason
+ *             properties:
+ *               days:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 3650
+ *               reason:
+ *                 type: string
+ */
+router.post('/users/:userId/premium',
+  requirePermission(PERMISSIONS.PREMIUM_GRANT),
+  [
+    param('userId').isMongoId().withMessage('올바른 사용자 ID가 아닙니다.'),
+    body('days')
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('부여 기간은 1-3650일 사이여야 합니다.')
+      .toInt(),
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('부여 사유를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { days, reason } = req.body;
+      const premium = await adminService.grantPremium(getActor(req), req.params.userId, { days, reason });
+
+      res.json({
+        success: true,
+        message: `프리미엄 ${days}일이 부여되었습니다.`,
+        premium
+      });
+
+    } catch (error) {
+      logger.error('관리자 프리미엄 부여 오류:', error);
+      handleAdminError(res, error, 'PREMIUM_GRANT_FAILED', '프리미엄 부여 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/coins:
+ *   post:
+ *     summary: 코인 보정 (admin_adjustment)
+ *     description: 양수는 지급, 음수는 차감입니다. 잔액보다 많이 차감할 수 없습니다.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - description
+ *             properties:
+ *               amount:
+ *                 type: integer
+ *               description:
+ *                 type: string
+ *                 maxLength: 200
+ */
+router.post('/users/:userId/coins',
+  requirePermission(PERMISSIONS.COINS_ADJUST),
+  [
+    param('userId').isMongoId().withMessage('올바른 사용자 ID가 아닙니다.'),
+    body('amount')
+      .isInt({ min: -100000, max: 100000 })
+      .withMessage('조정할 코인 수는 -100000~100000 사이의 정수여야 합니다.')
+      .toInt(),
+    body('description')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('조정 사유를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { amount, description } = req.body;
+      const adjustment = await adminService.adjustCoins(getActor(req), req.params.userId, { amount, description });
+
+      res.json({
+        success: true,
+        message: '코인이 조정되었습니다.',
+        adjustment
+      });
+
+    } catch (error) {
+      logger.error('관리자 코인 조정 오류:', error);
+      handleAdminError(res, error, 'COIN_ADJUSTMENT_FAILED', '코인 조정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/role:
+ *   put:
+ *     summary: 사용자 역할 및 개별 권한 변경
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, support, admin]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       403:
+ *         description: 본인이 가지지 않은 역할/권한 변경 (관리자 역할 부여/회수는 관리자만)
+ */
+router.put('/users/:userId/role',
+  requirePermission(PERMISSIONS.USERS_MANAGE_ROLES),
+  [
+    param('userId').isMongoId().withMessage('올바른 사용자 ID가 아닙니다.'),
+    body('role')
+      .optional()
+      .isIn(Object.keys(ROLES))
+      .withMessage('올바른 역할이 아닙니다.'),
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('권한은 배열이어야 합니다.'),
+    body('permissions.*')
+      .isIn(Object.values(PERMISSIONS))
+      .withMessage('올바른 권한이 아닙니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { role, permissions } = req.body;
+      const result = await adminService.updateUserRole(getActor(req), req.params.userId, { role, permissions });
+
+      res.json({
+        success: true,
+        message: '사용자 권한이 변경되었습니다.',
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('관리자 사용자 권한 변경 오류:', error);
+      handleAdminError(res, error, 'ROLE_UPDATE_FAILED', '사용자 권한 변경 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: 관리자 작업 감사 로그 조회
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/audit-logs',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  [
+    query('adminId').optional().isMongoId(),
+    query('action').optional().isString().trim(),
+    query('targetType')
+      .optional()
+      .isIn(['user', 'shop_item', 'scheduler_task'])
+      .withMessage('올바른 대상 유형이 아닙니다.'),
+    query('targetId').optional().isString().trim(),
+    ...paginationRules
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const result = await adminService.getAuditLogs({
+        adminId: req.query.adminId,
+        action: req.query.action,
+        targetType: req.query.targetType,
+        targetId: req.query.targetId,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 50
+      });
+
+      res.json({
+        success: true,
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('감사 로그 조회 오류:', error);
+      handleAdminError(res, error, 'AUDIT_LOG_FETCH_FAILED', '감사 로그 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+module.exports = router;
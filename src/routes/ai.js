@@ -356,9 +356,9 @@ router.get('/health', authenticateToken, async (req, res) => {
     logger.info(`AI 시스템 상태 확인 완료`, { health });
 
     res.json({
-      status: health?.status || 'healthy',
-      responseTime: health?.responseTime || 250,
-      apiQuotaRemaining: health?.apiQuotaRemaining || 85
+      status: health.status,
+      provider: health.provider,
+      model: health.model
     });
 
   } catch (error) {
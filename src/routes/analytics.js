@@ -4,6 +4,7 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { authenticateToken, premiumMiddleware } = require('../middleware/auth');
 const analysisService = require('../services/analysisService');
@@ -124,6 +125,58 @@ router.get('/weekly', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/analytics/weekly/summaries:
+ *   get:
+ *     summary: 저장된 주간 요약 조회
+ *     description: 매주 생성되는 사용자별 주간 요약(집중, 알림, 타임어택)을 최신순으로 조회합니다.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: week
+ *         schema:
+ *           type: string
+ *         example: "2024-W30"
+ *         description: 특정 주만 조회
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *         description: 조회할 주 수 (최대 52)
+ *     responses:
+ *       200:
+ *         description: 주간 요약 조회 성공
+ */
+router.get('/weekly/summaries', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { week } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 12, 52);
+
+    const summaries = await analysisService.getWeeklySummaries(userId, { week, limit });
+
+    res.json({
+      summaries,
+      count: summaries.length
+    });
+
+  } catch (error) {
+    logger.error('주간 요약 조회 실패', { 
+      error: error.message, 
+      userId: req.user?._id,
+      week: req.query.week 
+    });
+    
+    res.status(500).json({
+      error: '주간 요약을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
 // =========================
 // 9.3 월간 분석
 // =========================
@@ -212,6 +265,7 @@ router.get('/monthly', authenticateToken, async (req, res) => {
  * /api/analytics/dday:
  *   get:
  *     summary: D-Day 목표 조회 (Premium)
+ *     description: 목표별 진행률은 같은 goal 이름으로 완료한 포모도로 집중 세션으로 계산됩니다.
  *     tags: [Analytics]
  *     security:
  *       - bearerAuth: []
@@ -238,7 +292,7 @@ router.get('/dday', authenticateToken, premiumMiddleware, async (req, res) => {
   } catch (error) {
     logger.error('D-Day 목표 조회 실패', { 
       error: error.message, 
-      userId: req.user?.userId 
+      userId: req.user?._id 
     });
     
     res.status(500).json({
@@ -268,6 +322,7 @@ router.get('/dday', authenticateToken, premiumMiddleware, async (req, res) => {
  *             properties:
  *               goal:
  *                 type: string
+ *                 description: 포모도로 세션의 목표 이름
  *                 example: "토익 900점 달성"
  *               targetDate:
  *                 type: string
@@ -275,10 +330,15 @@ router.get('/dday', authenticateToken, premiumMiddleware, async (req, res) => {
  *                 example: "2024-12-31"
  *               dailyTarget:
  *                 type: number
+ *                 description: 일일 목표 집중 시간 (분)
  *                 example: 60
  *     responses:
  *       201:
  *         description: D-Day 목표 생성 성공
+ *       400:
+ *         description: 입력값 오류
+ *       409:
+ *         description: 같은 이름의 D-Day 목표가 이미 있음
  */
 router.post('/dday', authenticateToken, premiumMiddleware, async (req, res) => {
   try {
@@ -294,35 +354,166 @@ router.post('/dday', authenticateToken, premiumMiddleware, async (req, res) => {
       });
     }
 
+    const validationError = validateDDayInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
     const ddayGoal = await analysisService.createDDayGoal(userId, {
       goal,
       targetDate,
       dailyTarget
     });
     
-    logger.info(`D-Day 목표 생성 완료`, { userId, goalId: ddayGoal._id });
-
-    res.status(201).json({
-      id: ddayGoal._id,
-      goal: ddayGoal.goal,
-      targetDate: ddayGoal.targetDate,
-      dailyTarget: ddayGoal.dailyTarget,
-      daysLeft: ddayGoal.daysLeft,
-      progress: ddayGoal.progress,
-      onTrack: ddayGoal.onTrack,
-      recommendation: ddayGoal.recommendation,
-      createdAt: ddayGoal.createdAt
-    });
+    logger.info(`D-Day 목표 생성 완료`, { userId, goalId: ddayGoal.id });
+
+    res.status(201).json(ddayGoal);
 
   } catch (error) {
-    logger.error('D-Day 목표 생성 실패', { 
-      error: error.message, 
-      userId: req.user?.userId 
+    handleDDayError(res, error, 'D-Day 목표 생성에 실패했습니다.', req);
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/dday/{goalId}:
+ *   get:
+ *     summary: D-Day 목표 상세 조회 (Premium)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: D-Day 목표 조회 성공
+ *       404:
+ *         description: D-Day 목표 없음
+ */
+router.get('/dday/:goalId', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.goalId)) {
+      return res.status(400).json({ error: '올바른 D-Day 목표 ID가 아닙니다.' });
+    }
+
+    const ddayGoal = await analysisService.getDDayGoal(req.user._id, req.params.goalId);
+
+    res.json(ddayGoal);
+
+  } catch (error) {
+    handleDDayError(res, error, 'D-Day 목표 데이터를 불러오는데 실패했습니다.', req);
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/dday/{goalId}:
+ *   put:
+ *     summary: D-Day 목표 수정 (Premium)
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               goal:
+ *                 type: string
+ *               targetDate:
+ *                 type: string
+ *                 format: date
+ *               dailyTarget:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: D-Day 목표 수정 성공
+ *       404:
+ *         description: D-Day 목표 없음
+ */
+router.put('/dday/:goalId', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { goalId } = req.params;
+    const { goal, targetDate, dailyTarget } = req.body;
+
+    if (!mongoose.isValidObjectId(goalId)) {
+      return res.status(400).json({ error: '올바른 D-Day 목표 ID가 아닙니다.' });
+    }
+
+    const validationError = validateDDayInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    logger.info(`D-Day 목표 수정 요청`, { userId, goalId });
+
+    const ddayGoal = await analysisService.updateDDayGoal(userId, goalId, {
+      goal,
+      targetDate,
+      dailyTarget
     });
-    
-    res.status(500).json({
-      error: 'D-Day 목표 생성에 실패했습니다.'
+
+    res.json(ddayGoal);
+
+  } catch (error) {
+    handleDDayError(res, error, 'D-Day 목표 수정에 실패했습니다.', req);
+  }
+});
+
+/**
+ * @swagger
+ * /api/analytics/dday/{goalId}:
+ *   delete:
+ *     summary: D-Day 목표 삭제 (Premium)
+ *     description: 목표만 삭제되며 포모도로 세션 기록은 유지됩니다.
+ *     tags: [Analytics]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: D-Day 목표 삭제 성공
+ *       404:
+ *         description: D-Day 목표 없음
+ */
+router.delete('/dday/:goalId', authenticateToken, premiumMiddleware, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { goalId } = req.params;
+
+    if (!mongoose.isValidObjectId(goalId)) {
+      return res.status(400).json({ error: '올바른 D-Day 목표 ID가 아닙니다.' });
+    }
+
+    await analysisService.deleteDDayGoal(userId, goalId);
+
+    logger.info(`D-Day 목표 삭제 완료`, { userId, goalId });
+
+    res.json({
+      id: goalId,
+      deleted: true
     });
+
+  } catch (error) {
+    handleDDayError(res, error, 'D-Day 목표 삭제에 실패했습니다.', req);
   }
 });
 
@@ -444,6 +635,51 @@ function getCurrentWeek() {
   return `${year}-W${weekNumber.toString().padStart(2, '0')}`;
 }
 
+/**
+ * D-Day 목표 입력값 검증 (전달된 필드만 검사)
+ * @returns {String|null} 오류 메시지
+ */
+function validateDDayInput({ goal, targetDate, dailyTarget }) {
+  if (goal !== undefined && (typeof goal !== 'string' || !goal.trim() || goal.trim().length > 100)) {
+    return '목표는 1-100자 사이로 입력해주세요.';
+  }
+
+  if (targetDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(targetDate)) {
+    return '목표 날짜는 YYYY-MM-DD 형식이어야 합니다.';
+  }
+
+  if (dailyTarget !== undefined && (!Number.isInteger(dailyTarget) || dailyTarget < 1 || dailyTarget > 1440)) {
+    return '일일 목표는 1-1440분 사이의 정수여야 합니다.';
+  }
+
+  return null;
+}
+
+/**
+ * D-Day 서비스 에러 응답
+ */
+function handleDDayError(res, error, message, req) {
+  const errorResponses = {
+    DDAY_GOAL_NOT_FOUND: [404, 'D-Day 목표를 찾을 수 없습니다.'],
+    DDAY_GOAL_DUPLICATE: [409, '같은 이름의 D-Day 목표가 이미 있습니다.'],
+    INVALID_TARGET_DATE: [400, '목표 날짜는 오늘 이후여야 합니다.'],
+    INVALID_DDAY_GOAL: [400, 'D-Day 목표 값이 올바르지 않습니다.']
+  };
+
+  const known = errorResponses[error.message];
+  if (known) {
+    return res.status(known[0]).json({ error: known[1] });
+  }
+
+  logger.error(message, {
+    error: error.message,
+    userId: req.user?._id,
+    goalId: req.params.goalId
+  });
+
+  res.status(500).json({ error: message });
+}
+
 function getCurrentMonth() {
   const now = new Date();
   const year = now.getFullYear();
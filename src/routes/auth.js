@@ -1,9 +1,13 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authService = require('../services/authService');
+const deviceService = require('../services/deviceService');
+const sessionService = require('../services/sessionService');
 const billingService = require('../services/billingService');
+const iapService = require('../services/iapService');
 const { authenticateToken } = require('../middleware/auth');
 const { getPremiumStatus } = require('../middleware/premiumMiddleware');
+const { WEBHOOK_EVENT_TYPES } = require('../config/plans');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -36,6 +40,14 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * 로그인 세션에 기록할 접속 정보
+ */
+const getClientContext = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ip: req.ip
+});
+
 /**
  * @swagger
  * /api/auth/register:
@@ -108,7 +120,7 @@ router.post('/register',
         password, 
         profileName,
         userType
-      });
+      }, getClientContext(req));
 
       logger.info('회원가입 성공', { 
         userId: result.user.id,
@@ -171,12 +183,12 @@ router.post('/login',
         userAgent: req.get('User-Agent')
       });
 
-      const result = await authService.loginWithEmail(email, password);
+      const result = await authService.loginWithEmail(email, password, getClientContext(req));
 
       logger.info('로그인 성공', { 
         userId: result.user.id,
         email: result.user.email,
-        subscriptionStatus: result.user.subscriptionStatus
+        isPremium: result.user.isPremium
       });
 
       res.json({
@@ -214,18 +226,69 @@ router.post('/login',
   }
 );
 
+/**
+ * 소셜 로그인 오류 응답 (Google/Apple 공통)
+ */
+const SOCIAL_LOGIN_ERRORS = {
+  SOCIAL_LOGIN_NOT_CONFIGURED: [503, '소셜 로그인이 설정되지 않았습니다.'],
+  SOCIAL_EMAIL_REQUIRED: [400, '이메일 제공에 동의해야 가입할 수 있습니다.'],
+  SOCIAL_EMAIL_NOT_VERIFIED: [403, '소셜 계정의 이메일이 인증되지 않았습니다.'],
+  EMAIL_VERIFICATION_REQUIRED: [409, '같은 이메일로 가입된 계정이 있습니다. 이메일 인증 후 다시 시도해주세요.'],
+  SOCIAL_ACCOUNT_CONFLICT: [409, '이 이메일은 다른 소셜 계정과 연결되어 있습니다.']
+};
+
+const handleSocialLoginError = (res, error, fallbackCode, fallbackMessage) => {
+  const mapped = SOCIAL_LOGIN_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({
+      success: false,
+      error: error.message,
+      message: mapped[1]
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
 /**
  * @swagger
  * /api/auth/google:
  *   post:
  *     summary: Google OAuth 로그인
+ *     description: Google ID 토큰의 서명(JWKS)과 aud / iss / exp / nonce를 검증합니다.
  *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - idToken
+ *             properties:
+ *               idToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 description: 로그인 요청에 사용한 nonce (토큰에 nonce가 있으면 필수)
+ *               userType:
+ *                 type: string
+ *                 enum: [집중력개선, 루틴형성, 목표관리]
  */
 router.post('/google',
   [
     body('idToken')
       .notEmpty()
       .withMessage('Google ID Token이 필요합니다.'),
+    body('nonce')
+      .optional()
+      .isString()
+      .isLength({ max: 256 })
+      .withMessage('올바른 nonce가 아닙니다.'),
     body('userType')
       .optional()
       .isIn(['집중력개선', '루틴형성', '목표관리'])
@@ -234,14 +297,14 @@ router.post('/google',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { idToken, userType } = req.body;
+      const { idToken, nonce, userType } = req.body;
 
       logger.info('Google OAuth 로그인 시도', { 
         userType,
         ip: req.ip
       });
 
-      const result = await authService.loginWithGoogle({ idToken, userType });
+      const result = await authService.loginWithGoogle({ idToken, nonce, userType }, getClientContext(req));
 
       logger.info('Google 로그인 성공', {
         userId: result.user.id,
@@ -268,11 +331,7 @@ router.post('/google',
         });
       }
 
-      res.status(500).json({
-        success: false,
-        error: 'GOOGLE_LOGIN_FAILED',
-        message: 'Google 로그인 중 오류가 발생했습니다.'
-      });
+      handleSocialLoginError(res, error, 'GOOGLE_LOGIN_FAILED', 'Google 로그인 중 오류가 발생했습니다.');
     }
   }
 );
@@ -282,13 +341,44 @@ router.post('/google',
  * /api/auth/apple:
  *   post:
  *     summary: Apple OAuth 로그인  
+ *     description: Apple identityToken의 서명(JWKS)과 aud / iss / exp / nonce를 검증합니다.
  *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - identityToken
+ *             properties:
+ *               identityToken:
+ *                 type: string
+ *               nonce:
+ *                 type: string
+ *                 description: 로그인 요청에 사용한 원본 nonce (SHA-256 해시를 요청에 넣은 경우에도 원본 전달)
+ *               profileName:
+ *                 type: string
+ *                 description: 최초 로그인 때 Apple이 앱에 전달한 이름
+ *               userType:
+ *                 type: string
+ *                 enum: [집중력개선, 루틴형성, 목표관리]
  */
 router.post('/apple',
   [
     body('identityToken')
       .notEmpty()
       .withMessage('Apple Identity Token이 필요합니다.'),
+    body('nonce')
+      .optional()
+      .isString()
+      .isLength({ max: 256 })
+      .withMessage('올바른 nonce가 아닙니다.'),
+    body('profileName')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('이름은 1-50자 사이로 입력해주세요.'),
     body('userType')
       .optional()
       .isIn(['집중력개선', '루틴형성', '목표관리'])
@@ -297,14 +387,14 @@ router.post('/apple',
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { identityToken, userType } = req.body;
+      const { identityToken, nonce, profileName, userType } = req.body;
 
       logger.info('Apple OAuth 로그인 시도', { 
         userType,
         ip: req.ip
       });
 
-      const result = await authService.loginWithApple({ identityToken, userType });
+      const result = await authService.loginWithApple({ identityToken, nonce, profileName, userType }, getClientContext(req));
 
       logger.info('Apple 로그인 성공', {
         userId: result.user.id,
@@ -331,11 +421,7 @@ router.post('/apple',
         });
       }
 
-      res.status(500).json({
-        success: false,
-        error: 'APPLE_LOGIN_FAILED',
-        message: 'Apple 로그인 중 오류가 발생했습니다.'
-      });
+      handleSocialLoginError(res, error, 'APPLE_LOGIN_FAILED', 'Apple 로그인 중 오류가 발생했습니다.');
     }
   }
 );
@@ -382,10 +468,10 @@ router.post('/refresh',
         userAgent: req.get('User-Agent')
       });
 
-      const result = await authService.refreshTokens(refreshToken);
+      const result = await authService.refreshTokens(refreshToken, getClientContext(req));
 
       logger.info('토큰 재발급 성공', { 
-        userId: result.userId
+        userId: result.user.id
       });
 
       res.json({
@@ -413,6 +499,14 @@ router.post('/refresh',
         });
       }
 
+      if (error.message === 'REFRESH_TOKEN_REUSED') {
+        return res.status(401).json({
+          success: false,
+          error: 'REFRESH_TOKEN_REUSED',
+          message: '이미 사용된 리프레시 토큰입니다. 보안을 위해 해당 세션이 로그아웃되었습니다.'
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'TOKEN_REFRESH_FAILED',
@@ -426,7 +520,7 @@ router.post('/refresh',
  * @swagger
  * /api/auth/logout:
  *   post:
- *     summary: 리프레시 토큰 폐기
+ *     summary: 리프레시 토큰 폐기 (deviceToken 전달 시 해당 디바이스 푸시 해제)
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -436,12 +530,16 @@ router.post('/logout',
   [
     body('refreshToken')
       .notEmpty()
-      .withMessage('리프레시 토큰이 필요합니다.')
+      .withMessage('리프레시 토큰이 필요합니다.'),
+    body('deviceToken')
+      .optional()
+      .isString()
+      .withMessage('디바이스 토큰 형식이 올바르지 않습니다.')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { refreshToken } = req.body;
+      const { refreshToken, deviceToken } = req.body;
       const userId = req.user.id;
 
       logger.info('로그아웃 요청', { 
@@ -449,7 +547,7 @@ router.post('/logout',
         ip: req.ip
       });
 
-      await authService.logout(userId, refreshToken);
+      await authService.logout(userId, refreshToken, deviceToken);
 
       logger.info('로그아웃 성공', { 
         userId
@@ -463,6 +561,14 @@ router.post('/logout',
     } catch (error) {
       logger.error('로그아웃 오류:', error);
 
+      if (error.message === 'INVALID_REFRESH_TOKEN') {
+        return res.status(401).json({
+          success: false,
+          error: 'INVALID_REFRESH_TOKEN',
+          message: '유효하지 않은 리프레시 토큰입니다.'
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'LOGOUT_FAILED',
@@ -474,46 +580,50 @@ router.post('/logout',
 
 /**
  * @swagger
- * /api/users/me/subscription:
- *   get:
- *     summary: 사용자 구독 정보 조회 (free / premium 등급, 만료일)
+ * /api/auth/email/verification:
+ *   post:
+ *     summary: 이메일 인증 메일 재발송
+ *     description: 가입 시 발송된 인증 메일을 다시 보냅니다. 이전에 받은 링크는 더 이상 사용할 수 없습니다.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
  */
-router.get('/me/subscription',
+router.post('/email/verification',
   authenticateToken,
   async (req, res) => {
     try {
-      const user = req.user;
-      
-      // 구독 상태 최신화
-      user.checkPremiumStatus();
-      
-      const premiumStatus = getPremiumStatus(user);
-
-      logger.info('구독 정보 조회', { 
-        userId: user.id,
-        subscriptionStatus: user.subscriptionStatus
-      });
+      const result = await authService.requestEmailVerification(req.user._id);
 
       res.json({
         success: true,
-        subscriptionStatus: user.subscriptionStatus,
-        subscriptionPlan: user.subscriptionPlan,
-        expiryDate: user.subscriptionEndDate,
-        coins: user.coins,
-        features: premiumStatus.features,
-        benefits: premiumStatus.benefits
+        message: '인증 메일이 발송되었습니다.',
+        email: result.email,
+        expiresInHours: result.expiresInHours
       });
 
     } catch (error) {
-      logger.error('구독 정보 조회 오류:', error);
+      logger.error('이메일 인증 메일 발송 오류:', error);
+
+      if (error.message === 'EMAIL_ALREADY_VERIFIED') {
+        return res.status(409).json({
+          success: false,
+          error: 'EMAIL_ALREADY_VERIFIED',
+          message: '이미 인증된 이메일입니다.'
+        });
+      }
+
+      if (error.message === 'EMAIL_VERIFICATION_COOLDOWN') {
+        return res.status(429).json({
+          success: false,
+          error: 'EMAIL_VERIFICATION_COOLDOWN',
+          message: '잠시 후 다시 요청해주세요.'
+        });
+      }
 
       res.status(500).json({
         success: false,
-        error: 'SUBSCRIPTION_INFO_FAILED',
-        message: '구독 정보 조회 중 오류가 발생했습니다.'
+        error: 'EMAIL_VERIFICATION_REQUEST_FAILED',
+        message: '인증 메일 발송 중 오류가 발생했습니다.'
       });
     }
   }
@@ -521,66 +631,107 @@ router.get('/me/subscription',
 
 /**
  * @swagger
- * /api/billing/checkout:
+ * /api/auth/email/verify:
  *   post:
- *     summary: 구독 결제 세션 생성 (잠금 해제 트리거)
+ *     summary: 이메일 인증 완료
+ *     description: 인증 메일 링크의 토큰으로 이메일을 인증합니다. 토큰은 한 번만 사용할 수 있습니다.
  *     tags: [Authentication]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
  */
-router.post('/billing/checkout',
-  authenticateToken,
+router.post('/email/verify',
   [
-    body('plan')
-      .isIn(['premium_monthly', 'premium_yearly'])
-      .withMessage('올바른 구독 플랜을 선택해주세요.'),
-    body('returnUrl')
-      .optional()
-      .isURL()
-      .withMessage('올바른 리턴 URL을 입력해주세요.'),
-    body('cancelUrl')
-      .optional()
-      .isURL()
-      .withMessage('올바른 취소 URL을 입력해주세요.')
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('올바른 인증 토큰이 아닙니다.')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { plan, returnUrl, cancelUrl } = req.body;
-      const userId = req.user.id;
+      const user = await authService.verifyEmail(req.body.token);
 
-      logger.info('결제 세션 생성 요청', { 
-        userId,
-        plan,
-        ip: req.ip
+      res.json({
+        success: true,
+        message: '이메일 인증이 완료되었습니다.',
+        user
       });
 
-      const checkoutSession = await billingService.createCheckoutSession({
-        userId,
-        plan,
-        returnUrl,
-        cancelUrl
-      });
+    } catch (error) {
+      logger.error('이메일 인증 오류:', error);
 
-      logger.info('결제 세션 생성 성공', { 
-        userId,
-        sessionId: checkoutSession.id
+      if (error.message === 'INVALID_VERIFICATION_TOKEN') {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_VERIFICATION_TOKEN',
+          message: '인증 링크가 만료되었거나 이미 사용되었습니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'EMAIL_VERIFICATION_FAILED',
+        message: '이메일 인증 중 오류가 발생했습니다.'
       });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: 비밀번호 재설정 메일 요청
+ *     description: 가입 여부와 관계없이 항상 같은 응답을 반환합니다.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ */
+router.post('/password/forgot',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('유효한 이메일을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      logger.info('비밀번호 재설정 요청', { ip: req.ip });
+
+      await authService.requestPasswordReset(req.body.email);
 
       res.json({
         success: true,
-        message: '결제 세션이 생성되었습니다.',
-        checkoutUrl: checkoutSession.url,
-        sessionId: checkoutSession.id
+        message: '가입된 이메일이라면 비밀번호 재설정 메일이 발송됩니다.'
       });
 
     } catch (error) {
-      logger.error('결제 세션 생성 오류:', error);
+      logger.error('비밀번호 재설정 요청 오류:', error);
 
       res.status(500).json({
         success: false,
-        error: 'CHECKOUT_SESSION_FAILED',
-        message: '결제 세션 생성 중 오류가 발생했습니다.'
+        error: 'PASSWORD_RESET_REQUEST_FAILED',
+        message: '비밀번호 재설정 요청 중 오류가 발생했습니다.'
       });
     }
   }
@@ -588,44 +739,832 @@ router.post('/billing/checkout',
 
 /**
  * @swagger
- * /api/billing/webhook:
+ * /api/auth/password/reset:
  *   post:
- *     summary: PG 웹훅 - 결제 성공 시 premium 승격
+ *     summary: 비밀번호 재설정
+ *     description: 재설정 메일의 토큰으로 새 비밀번호를 설정합니다. 성공하면 모든 기기에서 로그아웃됩니다.
  *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 6
  */
-router.post('/billing/webhook',
+router.post('/password/reset',
+  [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('올바른 재설정 토큰이 아닙니다.'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('비밀번호는 최소 6자 이상이어야 합니다.')
+  ],
+  handleValidationErrors,
   async (req, res) => {
     try {
-      const webhookData = req.body;
+      await authService.resetPassword(req.body.token, req.body.password);
 
-      logger.info('결제 웹훅 수신', { 
-        event: webhookData.event,
-        userId: webhookData.userId,
-        ip: req.ip
+      res.json({
+        success: true,
+        message: '비밀번호가 변경되었습니다. 새 비밀번호로 다시 로그인해주세요.'
       });
 
-      const result = await billingService.handleWebhook(webhookData);
+    } catch (error) {
+      logger.error('비밀번호 재설정 오류:', error);
 
-      logger.info('웹훅 처리 성공', { 
-        event: webhookData.event,
-        userId: webhookData.userId,
-        result
+      if (error.message === 'INVALID_RESET_TOKEN') {
+        return res.status(400).json({
+          success: false,
+          error: 'INVALID_RESET_TOKEN',
+          message: '재설정 링크가 만료되었거나 이미 사용되었습니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'PASSWORD_RESET_FAILED',
+        message: '비밀번호 재설정 중 오류가 발생했습니다.'
       });
+    }
+  }
+);
+
+/**
+ * 구독/결제 오류 응답
+ */
+const BILLING_ERRORS = {
+  INVALID_PLAN: [400, '올바른 구독 플랜을 선택해주세요.'],
+  USER_NOT_FOUND: [404, '사용자를 찾을 수 없습니다.'],
+  NO_ACTIVE_SUBSCRIPTION: [404, '해지할 수 있는 구독이 없습니다.'],
+  ALREADY_SUBSCRIBED: [409, '이미 프리미엄 구독 중입니다.'],
+  ALREADY_CANCELED: [409, '이미 해지 예약된 구독입니다.'],
+  NOT_CANCELED: [409, '해지 예약된 구독이 아닙니다.'],
+  STORE_MANAGED_SUBSCRIPTION: [409, '앱스토어 / 구글 플레이에서 구독을 관리해주세요.'],
+  IAP_NOT_CONFIGURED: [503, '인앱 결제 검증이 설정되지 않았습니다.'],
+  IAP_VERIFICATION_UNAVAILABLE: [503, '스토어 서버에 연결할 수 없습니다. 잠시 후 다시 시도해주세요.'],
+  INVALID_RECEIPT: [400, '유효하지 않은 영수증입니다.'],
+  INVALID_PRODUCT: [400, '프리미엄 구독 상품이 아닙니다.'],
+  PURCHASE_NOT_ACTIVE: [400, '만료되었거나 환불된 구매입니다.'],
+  RECEIPT_ALREADY_USED: [409, '다른 계정에 연결된 구매입니다.'],
+  INVALID_NOTIFICATION: [400, '스토어 알림 검증에 실패했습니다.']
+};
+
+const handleBillingError = (res, error, fallbackCode, fallbackMessage) => {
+  const mapped = BILLING_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({
+      success: false,
+      error: error.message,
+      message: mapped[1]
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/users/me/subscription:
+ *   get:
+ *     summary: 사용자 구독 정보 조회 (프리미엄 여부, 현재 구독 상태, 만료일)
+ *     description: |
+ *       subscription.status는 incomplete / active / grace / expired / canceled 중 하나입니다.
+ *       grace는 갱신 결제가 실패해 유예 기간(graceEndsAt까지) 동안 프리미엄이 유지되는 상태입니다.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/me/subscription',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const summary = await billingService.getSubscriptionStatus(req.user.id);
+      const premiumStatus = getPremiumStatus(req.user);
 
       res.json({
         success: true,
-        message: '웹훅이 처리되었습니다.',
-        result
+        isPremium: summary.isPremium,
+        expiryDate: summary.premiumEndDate,
+        subscription: summary.subscription,
+        coins: summary.coins,
+        features: premiumStatus.features,
+        benefits: premiumStatus.benefits
       });
 
     } catch (error) {
-      logger.error('웹훅 처리 오류:', error);
+      logger.error('구독 정보 조회 오류:', error);
+      return handleBillingError(res, error, 'SUBSCRIPTION_INFO_FAILED', '구독 정보 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
 
-      res.status(500).json({
-        success: false,
-        error: 'WEBHOOK_PROCESSING_FAILED',
-        message: '웹훅 처리 중 오류가 발생했습니다.'
+/**
+ * @swagger
+ * /api/users/me/subscription/cancel:
+ *   post:
+ *     summary: 구독 해지 예약 (현재 결제 기간 종료 시 해지)
+ *     description: 유예 기간 중에는 남은 결제 기간이 없으므로 즉시 종료됩니다.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/me/subscription/cancel',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const subscription = await billingService.cancelSubscription(req.user.id);
+
+      res.json({
+        success: true,
+        message: '구독 해지가 예약되었습니다.',
+        subscription
       });
+
+    } catch (error) {
+      logger.error('구독 해지 오류:', error);
+      return handleBillingError(res, error, 'SUBSCRIPTION_CANCEL_FAILED', '구독 해지 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/subscription/resume:
+ *   post:
+ *     summary: 구독 해지 예약 철회
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/me/subscription/resume',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const subscription = await billingService.resumeSubscription(req.user.id);
+
+      res.json({
+        success: true,
+        message: '구독 해지 예약이 철회되었습니다.',
+        subscription
+      });
+
+    } catch (error) {
+      logger.error('구독 해지 철회 오류:', error);
+      return handleBillingError(res, error, 'SUBSCRIPTION_RESUME_FAILED', '구독 해지 철회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * 디바이스 API 에러 응답 처리
+ */
+const handleDeviceError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'DEVICE_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'DEVICE_NOT_FOUND',
+      message: '등록된 디바이스를 찾을 수 없습니다.'
+    });
+  }
+
+  if (error.message === 'USER_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'USER_NOT_FOUND',
+      message: '사용자를 찾을 수 없습니다.'
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/users/me/devices:
+ *   get:
+ *     summary: 푸시 알림 디바이스 목록 조회
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/me/devices',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const devices = await deviceService.getDevices(req.user._id);
+
+      res.json({
+        success: true,
+        devices
+      });
+
+    } catch (error) {
+      logger.error('디바이스 목록 조회 오류:', error);
+      handleDeviceError(res, error, 'DEVICE_LIST_FAILED', '디바이스 목록 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/devices:
+ *   post:
+ *     summary: 푸시 알림 디바이스 토큰 등록 (이미 있으면 갱신)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - platform
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: FCM/APNs 토큰 또는 Web Push 구독 JSON 문자열
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android, web]
+ *               appVersion:
+ *                 type: string
+ *                 example: "1.2.0"
+ *     responses:
+ *       201:
+ *         description: 신규 디바이스 등록
+ *       200:
+ *         description: 기존 디바이스 갱신
+ */
+router.post('/me/devices',
+  authenticateToken,
+  [
+    body('token')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 4096 })
+      .withMessage('디바이스 토큰이 필요합니다.'),
+    body('platform')
+      .isIn(['ios', 'android', 'web'])
+      .withMessage('올바른 플랫폼을 선택해주세요.'),
+    body('appVersion')
+      .optional()
+      .isString()
+      .isLength({ max: 30 })
+      .withMessage('앱 버전 형식이 올바르지 않습니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { token, platform, appVersion } = req.body;
+      const userId = req.user._id;
+
+      logger.info('디바이스 등록 요청', { userId, platform, appVersion });
+
+      const result = await deviceService.registerDevice(userId, { token, platform, appVersion });
+
+      res.status(result.isNew ? 201 : 200).json({
+        success: true,
+        message: result.isNew ? '디바이스가 등록되었습니다.' : '디바이스 정보가 갱신되었습니다.',
+        device: result.device,
+        evictedDevices: result.evictedDevices
+      });
+
+    } catch (error) {
+      logger.error('디바이스 등록 오류:', error);
+      handleDeviceError(res, error, 'DEVICE_REGISTER_FAILED', '디바이스 등록 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/devices/{deviceId}:
+ *   put:
+ *     summary: 디바이스 토큰 재발급/앱 버전 갱신 및 활동 시간 기록
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/me/devices/:deviceId',
+  authenticateToken,
+  [
+    param('deviceId')
+      .isMongoId()
+      .withMessage('올바른 디바이스 ID가 아닙니다.'),
+    body('token')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 4096 })
+      .withMessage('디바이스 토큰 형식이 올바르지 않습니다.'),
+    body('appVersion')
+      .optional()
+      .isString()
+      .isLength({ max: 30 })
+      .withMessage('앱 버전 형식이 올바르지 않습니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+      const { token, appVersion } = req.body;
+
+      const device = await deviceService.updateDevice(req.user._id, deviceId, { token, appVersion });
+
+      res.json({
+        success: true,
+        message: '디바이스 정보가 갱신되었습니다.',
+        device
+      });
+
+    } catch (error) {
+      logger.error('디바이스 갱신 오류:', error);
+      handleDeviceError(res, error, 'DEVICE_UPDATE_FAILED', '디바이스 갱신 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/devices/{deviceId}:
+ *   delete:
+ *     summary: 디바이스 삭제 (해당 기기 푸시 알림 중단)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/me/devices/:deviceId',
+  authenticateToken,
+  [
+    param('deviceId')
+      .isMongoId()
+      .withMessage('올바른 디바이스 ID가 아닙니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { deviceId } = req.params;
+
+      await deviceService.removeDevice(req.user._id, deviceId);
+
+      logger.info('디바이스 삭제 성공', { userId: req.user._id, deviceId });
+
+      res.json({
+        success: true,
+        message: '디바이스가 삭제되었습니다.'
+      });
+
+    } catch (error) {
+      logger.error('디바이스 삭제 오류:', error);
+      handleDeviceError(res, error, 'DEVICE_DELETE_FAILED', '디바이스 삭제 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/sessions:
+ *   get:
+ *     summary: 로그인 세션(기기) 목록 조회
+ *     description: current가 true인 항목이 현재 요청의 세션입니다.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/me/sessions',
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const sessions = await sessionService.getSessions(req.user._id, req.sessionId);
+
+      res.json({
+        success: true,
+        sessions
+      });
+
+    } catch (error) {
+      logger.error('로그인 세션 목록 조회 오류:', error);
+
+      res.status(500).json({
+        success: false,
+        error: 'SESSION_LIST_FAILED',
+        message: '로그인 세션 목록 조회 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/users/me/sessions/{sessionId}:
+ *   delete:
+ *     summary: 로그인 세션 종료 (다른 기기 로그아웃)
+ *     description: 해당 세션의 리프레시 토큰과 액세스 토큰이 즉시 무효화됩니다.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/me/sessions/:sessionId',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID가 아닙니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+
+      await sessionService.revokeSession(req.user._id, sessionId);
+
+      logger.info('로그인 세션 종료 성공', { userId: req.user._id, sessionId });
+
+      res.json({
+        success: true,
+        message: '세션이 로그아웃되었습니다.',
+        current: sessionId === req.sessionId
+      });
+
+    } catch (error) {
+      logger.error('로그인 세션 종료 오류:', error);
+
+      if (error.message === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'SESSION_NOT_FOUND',
+          message: '활성 상태의 로그인 세션을 찾을 수 없습니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'SESSION_REVOKE_FAILED',
+        message: '로그인 세션 종료 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/billing/checkout:
+ *   post:
+ *     summary: 구독 결제 세션 생성 (잠금 해제 트리거)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/billing/checkout',
+  authenticateToken,
+  [
+    body('plan')
+      .isIn(['premium_monthly', 'premium_yearly'])
+      .withMessage('올바른 구독 플랜을 선택해주세요.'),
+    body('returnUrl')
+      .optional()
+      .isURL()
+      .withMessage('올바른 리턴 URL을 입력해주세요.'),
+    body('cancelUrl')
+      .optional()
+      .isURL()
+      .withMessage('올바른 취소 URL을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { plan, returnUrl, cancelUrl } = req.body;
+      const userId = req.user.id;
+
+      logger.info('결제 세션 생성 요청', { 
+        userId,
+        plan,
+        ip: req.ip
+      });
+
+      const checkoutSession = await billingService.createCheckoutSession({
+        userId,
+        plan,
+        returnUrl,
+        cancelUrl
+      });
+
+      logger.info('결제 세션 생성 성공', { 
+        userId,
+        sessionId: checkoutSession.id
+      });
+
+      res.json({
+        success: true,
+        message: '결제 세션이 생성되었습니다.',
+        checkoutUrl: checkoutSession.url,
+        sessionId: checkoutSession.id,
+        amount: checkoutSession.amount,
+        currency: checkoutSession.currency,
+        expiresAt: checkoutSession.expiresAt
+      });
+
+    } catch (error) {
+      logger.error('결제 세션 생성 오류:', error);
+      return handleBillingError(res, error, 'CHECKOUT_SESSION_FAILED', '결제 세션 생성 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/billing/iap/verify:
+ *   post:
+ *     summary: 인앱 결제 영수증 검증 (구매, 구매 복원)
+ *     description: |
+ *       iOS는 App Store 영수증(receipt), Android는 Google Play 구매 토큰(purchaseToken)을 보냅니다.
+ *       검증된 상품을 구독 플랜으로 변환해 프리미엄을 활성화합니다. 스토어 구독 하나는 한 계정에만 연결됩니다.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [platform]
+ *             properties:
+ *               platform:
+ *                 type: string
+ *                 enum: [ios, android]
+ *               productId:
+ *                 type: string
+ *                 description: 스토어 상품 ID (Android 필수)
+ *               receipt:
+ *                 type: string
+ *                 description: App Store 영수증 (base64)
+ *               purchaseToken:
+ *                 type: string
+ *                 description: Google Play 구매 토큰
+ */
+router.post('/billing/iap/verify',
+  authenticateToken,
+  [
+    body('platform')
+      .isIn(['ios', 'android'])
+      .withMessage('플랫폼은 ios 또는 android여야 합니다.'),
+    body('productId')
+      .if(body('platform').equals('android'))
+      .notEmpty()
+      .withMessage('상품 ID를 입력해주세요.'),
+    body('productId')
+      .optional()
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage('올바른 상품 ID를 입력해주세요.'),
+    body('receipt')
+      .if(body('platform').equals('ios'))
+      .isString()
+      .notEmpty()
+      .withMessage('영수증을 입력해주세요.'),
+    body('purchaseToken')
+      .if(body('platform').equals('android'))
+      .isString()
+      .notEmpty()
+      .withMessage('구매 토큰을 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { platform, productId, receipt, purchaseToken } = req.body;
+
+      const result = await iapService.verifyPurchase(req.user.id, platform, { productId, receipt, purchaseToken });
+
+      res.json({
+        success: true,
+        message: '프리미엄 구독이 활성화되었습니다.',
+        ...result
+      });
+
+    } catch (error) {
+      logger.error('인앱 결제 검증 오류:', { userId: req.user.id, error: error.message });
+      return handleBillingError(res, error, 'IAP_VERIFICATION_FAILED', '인앱 결제 검증 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/billing/iap/notifications/{store}:
+ *   post:
+ *     summary: 스토어 서버 알림 (갱신, 결제 실패, 자동 갱신 변경, 만료, 환불)
+ *     description: |
+ *       app-store는 App Store Server Notifications V2(signedPayload), google-play는 실시간 개발자 알림
+ *       Pub/Sub push(?token= 필요)를 받습니다. 같은 알림은 한 번만 반영됩니다.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: store
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [app-store, google-play]
+ */
+router.post('/billing/iap/notifications/:store',
+  [
+    param('store')
+      .isIn(['app-store', 'google-play'])
+      .withMessage('지원하지 않는 스토어입니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    const provider = req.params.store === 'app-store' ? 'app_store' : 'google_play';
+
+    try {
+      const result = await iapService.handleNotification(provider, req.body, { token: req.query.token });
+
+      res.json({
+        success: true,
+        message: '스토어 알림이 처리되었습니다.',
+        result
+      });
+
+    } catch (error) {
+      logger.error('스토어 알림 처리 오류:', { provider, error: error.message, ip: req.ip });
+      return handleBillingError(res, error, 'IAP_NOTIFICATION_FAILED', '스토어 알림 처리 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * 결제 웹훅 오류 응답
+ */
+const WEBHOOK_ERRORS = {
+  WEBHOOK_NOT_CONFIGURED: [503, '결제 웹훅이 설정되지 않았습니다.'],
+  INVALID_WEBHOOK_SIGNATURE: [400, '웹훅 서명이 올바르지 않습니다.'],
+  INVALID_WEBHOOK_PAYLOAD: [400, '웹훅 본문 형식이 올바르지 않습니다.'],
+  SIMULATOR_DISABLED: [404, '결제 시뮬레이터를 사용할 수 없습니다.'],
+  CHECKOUT_SESSION_NOT_FOUND: [404, '결제 세션을 찾을 수 없습니다.']
+};
+
+const handleWebhookError = (res, error, fallbackCode, fallbackMessage) => {
+  const mapped = WEBHOOK_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({
+      success: false,
+      error: error.message,
+      message: mapped[1]
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    error: fallbackCode,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/billing/webhook:
+ *   post:
+ *     summary: PG 웹훅 - 결제/갱신/환불 이벤트를 구독 상태에 반영
+ *     description: |
+ *       Fivlo-Signature 헤더(t=<unix 초>,v1=<HMAC-SHA256(secret, "t.본문")>)를 검증합니다.
+ *       같은 이벤트 ID는 한 번만 반영되며(중복 수신 시 duplicate: true), 이미 반영된 이벤트보다
+ *       먼저 발생한 이벤트는 무시됩니다. 환불(charge.refunded)과 차지백(charge.dispute_created)은
+ *       순서와 관계없이 프리미엄을 즉시 회수합니다.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: header
+ *         name: Fivlo-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [id, type, created, data]
+ *             properties:
+ *               id:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [checkout.completed, invoice.paid, invoice.payment_failed, subscription.deleted, charge.refunded, charge.dispute_created]
+ *               created:
+ *                 type: integer
+ *                 description: 이벤트 발생 시각 (unix 초)
+ *               data:
+ *                 type: object
+ *                 properties:
+ *                   checkoutSessionId:
+ *                     type: string
+ *                   externalId:
+ *                     type: string
+ *                   periodEnd:
+ *                     type: string
+ *                     format: date-time
+ */
+router.post('/billing/webhook',
+  async (req, res) => {
+    try {
+      const result = await billingService.handleWebhook(req.rawBody, req.get('Fivlo-Signature'));
+
+      res.json({
+        success: true,
+        message: '웹훅이 처리되었습니다.',
+        result
+      });
+
+    } catch (error) {
+      logger.error('웹훅 처리 오류:', { error: error.message, ip: req.ip });
+      return handleWebhookError(res, error, 'WEBHOOK_PROCESSING_FAILED', '웹훅 처리 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/billing/simulator/events:
+ *   post:
+ *     summary: 로컬 결제 시뮬레이터 - 서명된 결제사 이벤트 발생
+ *     description: |
+ *       본인의 결제 세션(기본: 가장 최근)에 대한 이벤트를 서명해 웹훅 처리 경로로 전달합니다.
+ *       BILLING_SIMULATOR_ENABLED=true로 켠 환경에서만 사용할 수 있습니다.
+ *       응답의 payload / signature를 그대로 /api/billing/webhook에 보내 중복 처리를 확인할 수 있습니다.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [checkout.completed, invoice.paid, invoice.payment_failed, subscription.deleted, charge.refunded, charge.dispute_created]
+ *               sessionId:
+ *                 type: string
+ *               occurredAt:
+ *                 type: integer
+ *                 description: 이벤트 발생 시각 (unix 초, 순서 뒤바뀜 테스트용)
+ */
+router.post('/billing/simulator/events',
+  authenticateToken,
+  [
+    body('type')
+      .isIn(WEBHOOK_EVENT_TYPES)
+      .withMessage('지원하지 않는 이벤트 종류입니다.'),
+    body('sessionId')
+      .optional()
+      .matches(/^cs_[0-9a-f]{24}$/)
+      .withMessage('올바른 결제 세션 ID를 입력해주세요.'),
+    body('occurredAt')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('이벤트 발생 시각은 unix 초 단위 정수여야 합니다.')
+      .toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { type, sessionId, occurredAt } = req.body;
+
+      const simulated = await billingService.simulateEvent(req.user.id, { type, sessionId, occurredAt });
+
+      res.json({
+        success: true,
+        message: '시뮬레이터 이벤트가 처리되었습니다.',
+        ...simulated
+      });
+
+    } catch (error) {
+      logger.error('결제 시뮬레이터 오류:', error);
+      return handleWebhookError(res, error, 'SIMULATOR_EVENT_FAILED', '시뮬레이터 이벤트 처리 중 오류가 발생했습니다.');
     }
   }
 );
@@ -1,12 +1,38 @@
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const pomodoroService = require('../services/pomodoroService');
-const coinService = require('../services/coinService');
+const pomodoroPresetService = require('../services/pomodoroPresetService');
+const TimerUtils = require('../utils/timer');
 const { authenticateToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const { MAX_DURATION } = TimerUtils.POMODORO_DURATIONS;
+
+/**
+ * 연결할 Task ID 검증 (Task ID 또는 반복 발생 ID: {Task ID}_{YYYY-MM-DD})
+ * Task를 연결하면 목표와 색상은 생략할 수 있습니다 (Task 제목과 색상 사용).
+ */
+const taskIdValidation = body('taskId')
+  .optional()
+  .matches(/^[a-f0-9]{24}(_\d{4}-\d{2}-\d{2})?$/)
+  .withMessage('올바른 Task ID를 입력해주세요.');
+
+const unlessTaskLinked = (value, { req }) => !req.body.taskId || value !== undefined;
+
+const TASK_NOT_FOUND_RESPONSE = {
+  success: false,
+  error: 'TASK_NOT_FOUND',
+  message: '존재하지 않는 Task입니다.'
+};
+
+const TASK_OCCURRENCE_REQUIRED_RESPONSE = {
+  success: false,
+  error: 'TASK_OCCURRENCE_REQUIRED',
+  message: '반복 Task는 반복 발생 ID로 연결해주세요.'
+};
+
 /**
  * @swagger
  * tags:
@@ -40,6 +66,7 @@ const handleValidationErrors = (req, res, next) => {
  * /api/pomodoro/sessions:
  *   post:
  *     summary: 포모도로 세션 생성 (목표·색상 설정, 25분+5분)
+ *     description: taskId(Task ID 또는 반복 발생 ID, 반복 Task는 발생 ID만)를 보내면 세션이 Task에 연결되어 완료한 집중 시간이 Task의 실제 소요 시간에 누적됩니다. 이때 목표와 색상을 생략하면 Task 제목과 색상을 사용합니다.
  *     tags: [Pomodoro]
  *     security:
  *       - bearerAuth: []
@@ -48,12 +75,15 @@ router.post('/sessions',
   authenticateToken,
   [
     body('goal')
+      .if(unlessTaskLinked)
       .trim()
       .isLength({ min: 1, max: 100 })
       .withMessage('목표는 1-100자 사이로 입력해주세요.'),
     body('color')
+      .if(unlessTaskLinked)
       .matches(/^#[0-9A-Fa-f]{6}$/)
       .withMessage('올바른 색상 코드를 입력해주세요. (예: #FF6B6B)'),
+    taskIdValidation,
     body('focusMinutes')
       .optional()
       .isInt({ min: 5, max: 60 })
@@ -61,12 +91,16 @@ router.post('/sessions',
     body('breakMinutes')
       .optional()
       .isInt({ min: 1, max: 15 })
-      .withMessage('휴식 시간은 1-15분 사이여야 합니다.')
+      .withMessage('휴식 시간은 1-15분 사이여야 합니다.'),
+    body('presetId')
+      .optional()
+      .isMongoId()
+      .withMessage('올바른 프리셋 ID를 입력해주세요.')
   ],
   handleValidationErrors,
   async (req, res) => {
     try {
-      const { goal, color, focusMinutes = 25, breakMinutes = 5 } = req.body;
+      const { goal, color, focusMinutes = 25, breakMinutes = 5, presetId, taskId } = req.body;
       const userId = req.user.id;
 
       logger.info('포모도로 세션 생성 요청', { 
@@ -74,14 +108,17 @@ router.post('/sessions',
         goal, 
         color,
         focusMinutes,
-        breakMinutes
+        breakMinutes,
+        taskId
       });
 
       const session = await pomodoroService.createSession(userId, {
         goal,
         color,
         focusMinutes,
-        breakMinutes
+        breakMinutes,
+        presetId,
+        taskId
       });
 
       logger.info('포모도로 세션 생성 성공', { 
@@ -97,6 +134,7 @@ router.post('/sessions',
           id: session.id,
           goal: session.goal,
           color: session.color,
+          taskId: session.taskId,
           focusMinutes: session.focusMinutes,
           breakMinutes: session.breakMinutes,
           status: session.status,
@@ -108,6 +146,22 @@ router.post('/sessions',
     } catch (error) {
       logger.error('포모도로 세션 생성 오류:', error);
 
+      if (error.message === 'PRESET_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'PRESET_NOT_FOUND',
+          message: '존재하지 않는 프리셋입니다.'
+        });
+      }
+
+      if (error.message === 'TASK_NOT_FOUND') {
+        return res.status(404).json(TASK_NOT_FOUND_RESPONSE);
+      }
+
+      if (error.message === 'TASK_OCCURRENCE_REQUIRED') {
+        return res.status(400).json(TASK_OCCURRENCE_REQUIRED_RESPONSE);
+      }
+
       res.status(500).json({
         success: false,
         error: 'SESSION_CREATION_FAILED',
@@ -260,6 +314,144 @@ router.put('/sessions/:sessionId/pause',
   }
 );
 
+/**
+ * @swagger
+ * /api/pomodoro/sessions/{sessionId}/resume:
+ *   put:
+ *     summary: 일시정지한 포모도로 세션 재개
+ *     description: 일시정지 후 오래 방치되어 자동 취소된 세션은 재개할 수 없습니다.
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/sessions/:sessionId/resume',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+
+      logger.info('포모도로 세션 재개 요청', { userId, sessionId });
+
+      const session = await pomodoroService.resumeSession(userId, sessionId);
+
+      res.json({
+        success: true,
+        message: '포모도로 세션이 재개되었습니다.',
+        session: {
+          id: session.id,
+          status: session.status,
+          totalPausedTime: session.totalPausedTime,
+          remainingSeconds: session.remainingTime
+        }
+      });
+
+    } catch (error) {
+      logger.error('포모도로 세션 재개 오류:', error);
+
+      if (error.message === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'SESSION_NOT_FOUND',
+          message: '존재하지 않는 세션입니다.'
+        });
+      }
+
+      if (error.message === 'SESSION_NOT_PAUSED') {
+        return res.status(400).json({
+          success: false,
+          error: 'SESSION_NOT_PAUSED',
+          message: '일시정지된 세션이 아닙니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'SESSION_RESUME_FAILED',
+        message: '세션 재개 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/sessions/{sessionId}/cancel:
+ *   put:
+ *     summary: 포모도로 세션 취소
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/sessions/:sessionId/cancel',
+  authenticateToken,
+  [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('올바른 세션 ID를 입력해주세요.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const { sessionId } = req.params;
+      const userId = req.user.id;
+
+      logger.info('포모도로 세션 취소 요청', { userId, sessionId });
+
+      const session = await pomodoroService.cancelSession(userId, sessionId);
+
+      res.json({
+        success: true,
+        message: '포모도로 세션이 취소되었습니다.',
+        session: {
+          id: session.id,
+          status: session.status,
+          endTime: session.endTime
+        }
+      });
+
+    } catch (error) {
+      logger.error('포모도로 세션 취소 오류:', error);
+
+      if (error.message === 'SESSION_NOT_FOUND') {
+        return res.status(404).json({
+          success: false,
+          error: 'SESSION_NOT_FOUND',
+          message: '존재하지 않는 세션입니다.'
+        });
+      }
+
+      if (error.message === 'SESSION_ALREADY_COMPLETED') {
+        return res.status(409).json({
+          success: false,
+          error: 'SESSION_ALREADY_COMPLETED',
+          message: '이미 완료된 세션입니다.'
+        });
+      }
+
+      if (error.message === 'SESSION_ALREADY_CANCELLED') {
+        return res.status(409).json({
+          success: false,
+          error: 'SESSION_ALREADY_CANCELLED',
+          message: '이미 취소된 세션입니다.'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'SESSION_CANCEL_FAILED',
+        message: '세션 취소 중 오류가 발생했습니다.'
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/pomodoro/sessions/{sessionId}/complete:
@@ -286,43 +478,30 @@ router.put('/sessions/:sessionId/complete',
 
       const result = await pomodoroService.completeSession(userId, sessionId);
 
-      // 프리미엄 사용자이고 1일 1회 제한에 걸리지 않은 경우 코인 지급
-      let coinEarned = 0;
-      if (result.session.cycleCompleted && req.user.checkPremiumStatus()) {
-        try {
-          const coinResult = await coinService.earnCoins(userId, {
-            reason: 'pomodoro_complete',
-            amount: 1,
-            sessionId: result.session.id
-          });
-          coinEarned = coinResult.amount;
-        } catch (coinError) {
-          // 코인 지급 실패해도 세션 완료는 성공으로 처리
-          logger.warn('포모도로 완료 코인 지급 실패:', coinError);
-        }
-      }
-
       logger.info('포모도로 세션 완료 성공', { 
         userId, 
         sessionId,
-        cycleCompleted: result.session.cycleCompleted,
-        coinEarned
+        cycleCompleted: result.cycleCompleted,
+        coinEarned: result.coinAwarded
       });
 
       res.json({
         success: true,
-        message: result.session.cycleCompleted 
+        message: result.cycleCompleted 
           ? '포모도로 사이클이 완료되었습니다!' 
           : '포모도로 세션이 완료되었습니다.',
-        coinEarned,
-        cycleCompleted: result.session.cycleCompleted,
-        totalFocusTime: result.session.actualFocusTime,
+        coinEarned: result.coinAwarded,
+        cycleCompleted: result.cycleCompleted,
+        totalFocusTime: result.session.actualDuration,
         session: {
           id: result.session.id,
           status: result.session.status,
           completedAt: result.session.completedAt,
-          efficiency: result.session.efficiency
-        }
+          cycleId: result.session.cycleId,
+          cyclePosition: result.session.cyclePosition,
+          taskId: result.session.taskId
+        },
+        nextSession: result.nextSession
       });
 
     } catch (error) {
@@ -336,6 +515,14 @@ router.put('/sessions/:sessionId/complete',
         });
       }
 
+      if (error.message === 'SESSION_NOT_ACTIVE') {
+        return res.status(409).json({
+          success: false,
+          error: 'SESSION_NOT_ACTIVE',
+          message: '진행 중이거나 일시정지된 세션만 완료할 수 있습니다.'
+        });
+      }
+
       res.status(500).json({
         success: false,
         error: 'SESSION_COMPLETE_FAILED',
@@ -345,6 +532,451 @@ router.put('/sessions/:sessionId/complete',
   }
 );
 
+/**
+ * 사이클 ID 검증
+ */
+const cycleIdValidation = [
+  param('cycleId')
+    .matches(/^cycle_[A-Za-z0-9_]+$/)
+    .withMessage('올바른 사이클 ID를 입력해주세요.')
+];
+
+/**
+ * 사이클 에러 응답
+ */
+const handleCycleError = (error, res, fallbackError, fallbackMessage) => {
+  if (error.message === 'CYCLE_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'CYCLE_NOT_FOUND',
+      message: '존재하지 않는 사이클입니다.'
+    });
+  }
+
+  if (error.message === 'CYCLE_NOT_ACTIVE') {
+    return res.status(409).json({
+      success: false,
+      error: 'CYCLE_NOT_ACTIVE',
+      message: '이미 종료된 사이클입니다.'
+    });
+  }
+
+  if (error.message === 'PRESET_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'PRESET_NOT_FOUND',
+      message: '존재하지 않는 프리셋입니다.'
+    });
+  }
+
+  if (error.message === 'TASK_NOT_FOUND') {
+    return res.status(404).json(TASK_NOT_FOUND_RESPONSE);
+  }
+
+  if (error.message === 'TASK_OCCURRENCE_REQUIRED') {
+    return res.status(400).json(TASK_OCCURRENCE_REQUIRED_RESPONSE);
+  }
+
+  if (error.message === 'ACTIVE_SESSION_EXISTS') {
+    return res.status(409).json({
+      success: false,
+      error: 'ACTIVE_SESSION_EXISTS',
+      message: '이미 진행 중인 세션이 있습니다. 먼저 완료하거나 취소해주세요.'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * @swagger
+ * /api/pomodoro/cycles:
+ *   post:
+ *     summary: 포모도로 사이클 시작 (집중 → 짧은 휴식 ×3 → 긴 휴식)
+ *     description: 사이클의 모든 세션을 만들고 첫 집중 세션을 시작합니다. 세션을 완료하면 다음 세션으로 진행하고(프리셋의 자동 시작 설정에 따라 바로 시작), 사이클 전체를 완료하면 코인이 지급됩니다. presetId가 없으면 기본 프리셋을 사용합니다. taskId(반복 Task는 반복 발생 ID)를 보내면 사이클의 집중 시간이 해당 Task에 누적됩니다.
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/cycles',
+  authenticateToken,
+  [
+    body('goal')
+      .if(unlessTaskLinked)
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('목표는 1-100자 사이로 입력해주세요.'),
+    body('color')
+      .optional()
+      .matches(/^#[0-9A-Fa-f]{6}$/)
+      .withMessage('올바른 색상 코드를 입력해주세요. (예: #FF6B6B)'),
+    taskIdValidation,
+    body('presetId')
+      .optional()
+      .isMongoId()
+      .withMessage('올바른 프리셋 ID를 입력해주세요.'),
+    body('focusSessions')
+      .optional()
+      .isInt({ min: 1, max: 8 })
+      .withMessage('집중 세션 수는 1-8회 사이여야 합니다.'),
+    body('focusMinutes')
+      .optional()
+      .isInt({ min: 5, max: 60 })
+      .withMessage('집중 시간은 5-60분 사이여야 합니다.'),
+    body('breakMinutes')
+      .optional()
+      .isInt({ min: 1, max: 15 })
+      .withMessage('휴식 시간은 1-15분 사이여야 합니다.'),
+    body('longBreakMinutes')
+      .optional()
+      .isInt({ min: 5, max: 60 })
+      .withMessage('긴 휴식 시간은 5-60분 사이여야 합니다.')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { goal, color, taskId, presetId, focusSessions, focusMinutes, breakMinutes, longBreakMinutes } = req.body;
+
+      logger.info('포모도로 사이클 시작 요청', { userId, goal, taskId, presetId, focusSessions });
+
+      const cycle = await pomodoroService.startCycle(userId, {
+        goal,
+        color,
+        taskId,
+        presetId,
+        focusSessions: focusSessions ? parseInt(focusSessions) : undefined,
+        focusMinutes: focusMinutes ? parseInt(focusMinutes) : undefined,
+        breakMinutes: breakMinutes ? parseInt(breakMinutes) : undefined,
+        longBreakMinutes: longBreakMinutes ? parseInt(longBreakMinutes) : undefined
+      });
+
+      res.status(201).json({
+        success: true,
+        message: '포모도로 사이클이 시작되었습니다.',
+        cycle
+      });
+
+    } catch (error) {
+      logger.error('포모도로 사이클 시작 오류:', error);
+      handleCycleError(error, res, 'CYCLE_START_FAILED', '사이클 시작 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/cycles/{cycleId}:
+ *   get:
+ *     summary: 포모도로 사이클 상태 조회
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/cycles/:cycleId',
+  authenticateToken,
+  cycleIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const cycle = await pomodoroService.getCycleState(req.user.id, req.params.cycleId);
+
+      res.json({
+        success: true,
+        cycle
+      });
+
+    } catch (error) {
+      logger.error('포모도로 사이클 조회 오류:', error);
+      handleCycleError(error, res, 'CYCLE_FETCH_FAILED', '사이클 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/cycles/{cycleId}/cancel:
+ *   put:
+ *     summary: 포모도로 사이클 취소
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/cycles/:cycleId/cancel',
+  authenticateToken,
+  cycleIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { cycleId } = req.params;
+
+      logger.info('포모도로 사이클 취소 요청', { userId, cycleId });
+
+      const cycle = await pomodoroService.cancelCycle(userId, cycleId);
+
+      res.json({
+        success: true,
+        message: '포모도로 사이클이 취소되었습니다.',
+        cycle
+      });
+
+    } catch (error) {
+      logger.error('포모도로 사이클 취소 오류:', error);
+      handleCycleError(error, res, 'CYCLE_CANCEL_FAILED', '사이클 취소 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * 프리셋 입력값 검증 (생성 시에는 이름과 시간 필수)
+ */
+const presetValidation = (isCreate) => {
+  const field = (name) => (isCreate ? body(name) : body(name).optional());
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 30 })
+      .withMessage('프리셋 이름은 1-30자 사이로 입력해주세요.'),
+    field('focusMinutes')
+      .isInt({ min: 1, max: MAX_DURATION })
+      .withMessage(`집중 시간은 1-${MAX_DURATION}분 사이여야 합니다.`),
+    field('shortBreakMinutes')
+      .isInt({ min: 1, max: MAX_DURATION })
+      .withMessage(`짧은 휴식 시간은 1-${MAX_DURATION}분 사이여야 합니다.`),
+    field('longBreakMinutes')
+      .isInt({ min: 1, max: MAX_DURATION })
+      .withMessage(`긴 휴식 시간은 1-${MAX_DURATION}분 사이여야 합니다.`),
+    body('longBreakInterval')
+      .optional()
+      .isInt({ min: 1, max: 8 })
+      .withMessage('긴 휴식 간격은 1-8회 사이여야 합니다.'),
+    body(['autoStartBreaks', 'autoStartFocus', 'isDefault'])
+      .optional()
+      .isBoolean()
+      .withMessage('true 또는 false로 입력해주세요.')
+      .toBoolean()
+  ];
+};
+
+/**
+ * 프리셋 ID 검증
+ */
+const presetIdValidation = [
+  param('presetId')
+    .isMongoId()
+    .withMessage('올바른 프리셋 ID를 입력해주세요.')
+];
+
+/**
+ * 프리셋 에러 응답
+ */
+const handlePresetError = (error, res, fallbackError, fallbackMessage) => {
+  if (error.message === 'PRESET_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: 'PRESET_NOT_FOUND',
+      message: '존재하지 않는 프리셋입니다.'
+    });
+  }
+
+  if (error.message === 'PRESET_NAME_DUPLICATE') {
+    return res.status(409).json({
+      success: false,
+      error: 'PRESET_NAME_DUPLICATE',
+      message: '같은 이름의 프리셋이 이미 있습니다.'
+    });
+  }
+
+  if (error.message === 'PRESET_LIMIT_EXCEEDED') {
+    return res.status(400).json({
+      success: false,
+      error: 'PRESET_LIMIT_EXCEEDED',
+      message: '더 이상 프리셋을 만들 수 없습니다.'
+    });
+  }
+
+  if (error.message === 'INVALID_PRESET') {
+    return res.status(400).json({
+      success: false,
+      error: 'INVALID_PRESET',
+      message: '프리셋 설정이 올바르지 않습니다.'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: fallbackError,
+    message: fallbackMessage
+  });
+};
+
+/**
+ * 프리셋 응답 포맷
+ */
+const formatPreset = (preset) => ({
+  id: preset.id,
+  name: preset.name,
+  focusMinutes: preset.focusMinutes,
+  shortBreakMinutes: preset.shortBreakMinutes,
+  longBreakMinutes: preset.longBreakMinutes,
+  longBreakInterval: preset.longBreakInterval,
+  autoStartBreaks: preset.autoStartBreaks,
+  autoStartFocus: preset.autoStartFocus,
+  isDefault: preset.isDefault,
+  cycleMinutes: preset.cycleMinutes,
+  createdAt: preset.createdAt
+});
+
+/**
+ * @swagger
+ * /api/pomodoro/presets:
+ *   get:
+ *     summary: 포모도로 프리셋 목록 조회
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/presets', authenticateToken, async (req, res) => {
+  try {
+    const presets = await pomodoroPresetService.getPresets(req.user.id);
+
+    res.json({
+      success: true,
+      presets: presets.map(formatPreset)
+    });
+
+  } catch (error) {
+    logger.error('포모도로 프리셋 목록 조회 오류:', error);
+    handlePresetError(error, res, 'PRESET_FETCH_FAILED', '프리셋 조회 중 오류가 발생했습니다.');
+  }
+});
+
+/**
+ * @swagger
+ * /api/pomodoro/presets:
+ *   post:
+ *     summary: "포모도로 프리셋 생성 (예: 50/10, 25/5/15)"
+ *     description: 첫 프리셋은 자동으로 기본 프리셋이 됩니다. 시간은 최대 120분까지 설정할 수 있습니다.
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.post('/presets',
+  authenticateToken,
+  presetValidation(true),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const preset = await pomodoroPresetService.createPreset(req.user.id, req.body);
+
+      res.status(201).json({
+        success: true,
+        message: '프리셋이 생성되었습니다.',
+        preset: formatPreset(preset)
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프리셋 생성 오류:', error);
+      handlePresetError(error, res, 'PRESET_CREATE_FAILED', '프리셋 생성 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/presets/{presetId}:
+ *   get:
+ *     summary: 포모도로 프리셋 조회
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.get('/presets/:presetId',
+  authenticateToken,
+  presetIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const preset = await pomodoroPresetService.getPreset(req.user.id, req.params.presetId);
+
+      res.json({
+        success: true,
+        preset: formatPreset(preset)
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프리셋 조회 오류:', error);
+      handlePresetError(error, res, 'PRESET_FETCH_FAILED', '프리셋 조회 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/presets/{presetId}:
+ *   put:
+ *     summary: 포모도로 프리셋 수정
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.put('/presets/:presetId',
+  authenticateToken,
+  presetIdValidation,
+  presetValidation(false),
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      const preset = await pomodoroPresetService.updatePreset(req.user.id, req.params.presetId, req.body);
+
+      res.json({
+        success: true,
+        message: '프리셋이 수정되었습니다.',
+        preset: formatPreset(preset)
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프리셋 수정 오류:', error);
+      handlePresetError(error, res, 'PRESET_UPDATE_FAILED', '프리셋 수정 중 오류가 발생했습니다.');
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pomodoro/presets/{presetId}:
+ *   delete:
+ *     summary: 포모도로 프리셋 삭제
+ *     tags: [Pomodoro]
+ *     security:
+ *       - bearerAuth: []
+ */
+router.delete('/presets/:presetId',
+  authenticateToken,
+  presetIdValidation,
+  handleValidationErrors,
+  async (req, res) => {
+    try {
+      await pomodoroPresetService.deletePreset(req.user.id, req.params.presetId);
+
+      res.json({
+        success: true,
+        message: '프리셋이 삭제되었습니다.'
+      });
+
+    } catch (error) {
+      logger.error('포모도로 프리셋 삭제 오류:', error);
+      handlePresetError(error, res, 'PRESET_DELETE_FAILED', '프리셋 삭제 중 오류가 발생했습니다.');
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/pomodoro/stats:
@@ -4,12 +4,33 @@
  */
 
 const express = require('express');
+const { param, validationResult } = require('express-validator');
 const router = express.Router();
 const { authenticateToken, premiumMiddleware } = require('../middleware/auth');
 const reminderService = require('../services/reminderService');
+const Reminder = require('../models/Reminder');
 const coinService = require('../services/coinService');
+const { isValidCoordinate } = require('../utils/geo');
 const logger = require('../utils/logger');
 
+/**
+ * 알림 ID 검증
+ */
+const reminderIdValidation = [
+  param('reminderId')
+    .isMongoId()
+    .withMessage('올바른 알림 ID를 입력해주세요.'),
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: errors.array()[0].msg
+      });
+    }
+    next();
+  }
+];
+
 /**
  * @swagger
  * tags:
@@ -78,7 +99,7 @@ const logger = require('../utils/logger');
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     
     logger.info(`망각방지 알림 목록 조회 요청`, { userId, isPremium });
 
@@ -170,7 +191,7 @@ router.get('/', authenticateToken, async (req, res) => {
 router.post('/', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     const { title, time, days, location } = req.body;
     
     logger.info(`망각방지 알림 생성 요청`, { 
@@ -275,7 +296,7 @@ router.post('/', authenticateToken, async (req, res) => {
 router.patch('/:reminderId', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     const { reminderId } = req.params;
     const updateData = req.body;
     
@@ -405,7 +426,7 @@ router.delete('/:reminderId', authenticateToken, async (req, res) => {
 router.put('/:reminderId/check', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     const { reminderId } = req.params;
     
     logger.info(`망각방지 알림 체크 요청`, { userId, reminderId, isPremium });
@@ -450,6 +471,225 @@ router.put('/:reminderId/check', authenticateToken, async (req, res) => {
   }
 });
 
+// =========================
+// 8.4-1 다시 알림 (5/10/30분)
+// =========================
+
+/**
+ * @swagger
+ * /api/reminders/{reminderId}/snooze:
+ *   put:
+ *     summary: 알림 다시 알림 (지정한 분 후 재발송)
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reminderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - minutes
+ *             properties:
+ *               minutes:
+ *                 type: number
+ *                 enum: [5, 10, 30]
+ *                 example: 10
+ *     responses:
+ *       200:
+ *         description: 다시 알림 설정 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snoozed:
+ *                   type: boolean
+ *                   example: true
+ *                 snoozedUntil:
+ *                   type: string
+ *                   format: date-time
+ *                 snoozeCount:
+ *                   type: number
+ *                   example: 1
+ *       400:
+ *         description: 잘못된 알림 ID 또는 다시 알림 시간
+ */
+router.put('/:reminderId/snooze', authenticateToken, reminderIdValidation, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { reminderId } = req.params;
+    const minutes = Number(req.body.minutes);
+
+    logger.info(`망각방지 알림 다시 알림 요청`, { userId, reminderId, minutes });
+
+    if (!Reminder.SNOOZE_OPTIONS.includes(minutes)) {
+      return res.status(400).json({
+        error: `다시 알림 시간은 ${Reminder.SNOOZE_OPTIONS.join('/')}분 중에서 선택해주세요.`
+      });
+    }
+
+    const result = await reminderService.snoozeReminder(userId, reminderId, minutes);
+
+    res.json({
+      snoozed: true,
+      snoozedUntil: result.snoozedUntil,
+      snoozeCount: result.snoozeCount
+    });
+
+  } catch (error) {
+    logger.error('망각방지 알림 다시 알림 실패', { 
+      error: error.message, 
+      userId: req.user?.userId,
+      reminderId: req.params.reminderId 
+    });
+
+    if (error.message === 'REMINDER_NOT_FOUND') {
+      return res.status(404).json({
+        error: '알림을 찾을 수 없습니다.'
+      });
+    }
+
+    if (error.message === 'ALREADY_COMPLETED') {
+      return res.status(409).json({
+        error: '오늘 이미 완료한 알림입니다.'
+      });
+    }
+    
+    res.status(500).json({
+      error: '다시 알림 설정에 실패했습니다.'
+    });
+  }
+});
+
+// =========================
+// 8.4-2 위치 업데이트 (지오펜스 평가)
+// =========================
+
+/**
+ * @swagger
+ * /api/reminders/location:
+ *   post:
+ *     summary: 현재 위치 전송 → 위치 기반 알림 진입/이탈 판단 및 알림 발송
+ *     tags: [Reminders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - latitude
+ *               - longitude
+ *             properties:
+ *               latitude:
+ *                 type: number
+ *                 example: 37.5665
+ *               longitude:
+ *                 type: number
+ *                 example: 126.9780
+ *               accuracy:
+ *                 type: number
+ *                 description: 위치 정확도 (미터)
+ *                 example: 20
+ *               recordedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: 지오펜스 평가 결과
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 evaluated:
+ *                   type: number
+ *                   example: 2
+ *                 transitions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       reminderId:
+ *                         type: string
+ *                       event:
+ *                         type: string
+ *                         enum: [enter, exit]
+ *                       distance:
+ *                         type: number
+ *                       notified:
+ *                         type: boolean
+ *       402:
+ *         description: Premium 전용 기능
+ */
+router.post('/location', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const latitude = Number(req.body.latitude);
+    const longitude = Number(req.body.longitude);
+    const accuracy = req.body.accuracy !== undefined ? Number(req.body.accuracy) : null;
+    const recordedAt = req.body.recordedAt ? new Date(req.body.recordedAt) : new Date();
+
+    // 위치 기반 알림은 Premium 전용 (Premium이 끝나면 위치 알림도 보내지 않음)
+    if (!req.user.checkPremiumStatus()) {
+      return res.status(402).json({
+        error: '위치 기반 알림은 Premium 기능입니다.',
+        feature: 'location_reminder'
+      });
+    }
+
+    if (!isValidCoordinate(latitude, longitude)) {
+      return res.status(400).json({
+        error: '올바른 위도/경도를 입력해주세요.'
+      });
+    }
+
+    if (accuracy !== null && (!Number.isFinite(accuracy) || accuracy < 0)) {
+      return res.status(400).json({
+        error: '위치 정확도 값이 올바르지 않습니다.'
+      });
+    }
+
+    if (Number.isNaN(recordedAt.getTime())) {
+      return res.status(400).json({
+        error: '위치 기록 시간이 올바르지 않습니다.'
+      });
+    }
+
+    // 미래 시각은 현재 시각으로 보정
+    const evaluatedAt = recordedAt > new Date() ? new Date() : recordedAt;
+
+    const result = await reminderService.evaluateLocation(req.user, {
+      latitude,
+      longitude,
+      accuracy,
+      recordedAt: evaluatedAt
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    logger.error('위치 업데이트 처리 실패', { 
+      error: error.message, 
+      userId: req.user?._id 
+    });
+    
+    res.status(500).json({
+      error: '위치 업데이트 처리에 실패했습니다.'
+    });
+  }
+});
+
 // =========================
 // 8.5 알림 통계
 // =========================
@@ -226,7 +226,7 @@ router.post('/inventory/unequip', authenticateToken, premiumMiddleware, async (r
 router.get('/avatar', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.userId;
-    const isPremium = req.user.subscriptionStatus === 'premium';
+    const isPremium = req.user.checkPremiumStatus();
     
     logger.info(`오분이 모습 조회 요청`, { userId, isPremium });
 
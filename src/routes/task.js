@@ -6,8 +6,9 @@
  * - 캘린더 형태 Task 관리 (날짜별 조회)
  * - 카테고리별 색상 구분 시스템
  * - 성장앨범 연동 (Task 완료 시 사진 업로드)
- * - 매일 반복 Task 지원
- * - 하루 전체 완료 시 코인 지급 (Premium 전용)
+ * - 체크리스트 (순서, 항목별 완료, 모두 완료 시 Task 자동 완료)
+ * - 반복 Task 지원 (RRULE 규칙, 발생일은 조회 시 계산)
+ * - 하루 전체 완료 시 코인 지급 (Premium 전용, 같은 날 완료 취소 시 회수)
  */
 
 const express = require('express');
@@ -15,9 +16,57 @@ const router = express.Router();
 const { authenticateToken, premiumMiddleware } = require('../middleware/auth');
 const { upload, processImage, handleUploadError } = require('../middleware/upload');
 const taskService = require('../services/taskService');
-const coinService = require('../services/coinService');
 const logger = require('../utils/logger');
 
+// 체크리스트 오류 코드 → [HTTP 상태, 메시지]
+const CHECKLIST_ERRORS = {
+  CHECKLIST_ITEM_NOT_FOUND: [404, '체크리스트 항목을 찾을 수 없습니다.'],
+  CHECKLIST_LIMIT_EXCEEDED: [400, '체크리스트 항목은 Task당 최대 50개까지 추가할 수 있습니다.'],
+  INVALID_CHECKLIST_ORDER: [400, '체크리스트의 모든 항목 ID를 새 순서대로 한 번씩 보내주세요.']
+};
+
+const handleChecklistError = (res, error, fallbackMessage) => {
+  const mapped = CHECKLIST_ERRORS[error.message];
+  if (mapped) {
+    return res.status(mapped[0]).json({
+      success: false,
+      error: error.message,
+      message: mapped[1]
+    });
+  }
+
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * 체크리스트 항목 입력 정리 (문자열 또는 { title, estimatedMinutes })
+ * @returns {Array|null} 정리된 항목 목록 (잘못된 항목이 있으면 null)
+ */
+const parseChecklistItems = (items) => {
+  if (!Array.isArray(items)) return null;
+
+  const parsed = items.map(item => (typeof item === 'string' ? { title: item } : item));
+  const valid = parsed.every(item =>
+    item
+    && typeof item.title === 'string'
+    && item.title.trim().length > 0
+    && item.title.trim().length <= 100
+    && (item.estimatedMinutes === undefined || item.estimatedMinutes === null
+      || (Number.isInteger(item.estimatedMinutes) && item.estimatedMinutes >= 0))
+  );
+
+  if (!valid) return null;
+
+  return parsed.map(item => ({
+    title: item.title.trim(),
+    estimatedMinutes: item.estimatedMinutes ?? null
+  }));
+};
+
 // =========================
 // Task 캘린더 조회 API
 // =========================
@@ -151,7 +200,9 @@ router.get('/calendar/:year/:month', authenticateToken, async (req, res) => {
 
 /**
  * POST /api/tasks
- * 새 Task 생성 (카테고리, 반복, 성장앨범 옵션 포함)
+ * 새 Task 생성 (카테고리, 반복, 성장앨범, 체크리스트 옵션 포함)
+ * 반복: recurrenceRule (예: "FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20251231") 또는 repeat: true (매일)
+ * 반복 Task는 첫 발생(id: {원본 ID}_{YYYY-MM-DD})을 반환
  */
 router.post('/', authenticateToken, async (req, res) => {
   try {
@@ -164,6 +215,7 @@ router.post('/', authenticateToken, async (req, res) => {
       categoryId: taskData.categoryId,
       date: taskData.date,
       repeat: taskData.repeat,
+      recurrenceRule: taskData.recurrenceRule,
       growthAlbum: taskData.growthAlbum
     });
 
@@ -176,13 +228,24 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    const checklist = taskData.checklist === undefined ? [] : parseChecklistItems(taskData.checklist);
+    if (!checklist) {
+      return res.status(400).json({
+        success: false,
+        message: '체크리스트 항목은 100자 이내의 제목과 0 이상의 정수 예상 시간(분)으로 입력해주세요.'
+      });
+    }
+
     const newTask = await taskService.createTask(userId, {
       title: taskData.title,
       date: taskData.date,
       categoryId: taskData.categoryId, // 카테고리 ID
       repeat: taskData.repeat || false, // 매일 반복 여부
+      recurrenceRule: taskData.recurrenceRule || null, // 반복 규칙 (RRULE)
       growthAlbum: taskData.growthAlbum || false, // 성장앨범 연동 여부
-      notes: taskData.notes || ''
+      notes: taskData.notes || '',
+      checklist, // 체크리스트 항목
+      autoCompleteChecklist: taskData.autoCompleteChecklist === true // 체크리스트 완료 시 자동 완료
     });
     
     logger.info(`Task 생성 완료`, { 
@@ -205,6 +268,16 @@ router.post('/', authenticateToken, async (req, res) => {
       userId: req.user?.userId,
       requestBody: req.body
     });
+
+    if (error.message === 'INVALID_RRULE') {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않은 반복 규칙입니다.'
+      });
+    }
+    if (CHECKLIST_ERRORS[error.message]) {
+      return handleChecklistError(res, error, 'Task 생성에 실패했습니다.');
+    }
     
     res.status(500).json({
       success: false,
@@ -217,6 +290,9 @@ router.post('/', authenticateToken, async (req, res) => {
 /**
  * PATCH /api/tasks/{id}
  * Task 수정 (제목, 카테고리, 반복, 성장앨범 옵션 등)
+ * 반복 발생 ID({원본 ID}_{YYYY-MM-DD})는 scope로 범위 지정
+ * - this (기본): 이 발생만 / following: 이 발생 및 이후 (반복 분리) / all: 전체
+ * - 반복 규칙 변경은 following 또는 all (기본 all)
  */
 router.patch('/:taskId', authenticateToken, async (req, res) => {
   try {
@@ -260,6 +336,19 @@ router.patch('/:taskId', authenticateToken, async (req, res) => {
       taskId: req.params.taskId,
       requestBody: req.body
     });
+
+    if (error.message === 'INVALID_RRULE') {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않은 반복 규칙입니다.'
+      });
+    }
+    if (error.message === 'INVALID_EDIT_SCOPE') {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않은 수정 범위입니다. (this, following, all / 반복 규칙은 following, all만 가능)'
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -270,22 +359,26 @@ router.patch('/:taskId', authenticateToken, async (req, res) => {
 });
 
 /**
- * DELETE /api/tasks/{id}
+ * DELETE /api/tasks/{id}?scope=this|following|all
  * Task 삭제 (반복 Task 처리 포함)
+ * 반복 발생 ID는 scope로 범위 지정 (기본 this, 원본 ID는 항상 all)
+ * 완료한 발생은 following/all 삭제 후에도 완료 기록으로 남습니다.
+ * deleteAll=true는 scope=all과 같음 (이전 클라이언트 호환)
  */
 router.delete('/:taskId', authenticateToken, async (req, res) => {
   try {
     const userId = req.user._id;
     const { taskId } = req.params;
     const { deleteAll } = req.query; // 반복 Task 전체 삭제 여부
+    const scope = req.query.scope || (deleteAll === 'true' ? 'all' : undefined);
     
     logger.info(`Task 삭제 요청`, { 
       userId, 
       taskId, 
-      deleteAll: deleteAll === 'true'
+      scope
     });
 
-    const result = await taskService.deleteTask(userId, taskId, deleteAll === 'true');
+    const result = await taskService.deleteTask(userId, taskId, scope);
     
     if (!result.success) {
       logger.warn('Task 삭제 실패 - 존재하지 않음', { userId, taskId });
@@ -306,7 +399,8 @@ router.delete('/:taskId', authenticateToken, async (req, res) => {
       message: `Task가 성공적으로 삭제되었습니다. (${result.deletedCount}개)`,
       data: { 
         deletedCount: result.deletedCount,
-        deletedAll: deleteAll === 'true'
+        scope: result.scope,
+        deletedAll: result.scope === 'all'
       }
     });
 
@@ -317,6 +411,13 @@ router.delete('/:taskId', authenticateToken, async (req, res) => {
       userId: req.user?.userId,
       taskId: req.params.taskId
     });
+
+    if (error.message === 'INVALID_EDIT_SCOPE') {
+      return res.status(400).json({
+        success: false,
+        message: '유효하지 않은 삭제 범위입니다. (this, following, all)'
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -332,7 +433,8 @@ router.delete('/:taskId', authenticateToken, async (req, res) => {
 
 /**
  * PUT /api/tasks/{id}/complete
- * Task 완료 처리 + 하루 전체 완료 시 코인 지급 (Premium)
+ * Task 완료 처리 + 하루 전체 완료 시 코인 지급 (Premium, 사용자 현지 날짜 기준 하루 1회)
+ * 반복 발생 ID면 해당 발생을 개별 Task로 저장한 뒤 완료 처리
  */
 router.put('/:taskId/complete', authenticateToken, async (req, res) => {
   try {
@@ -351,24 +453,8 @@ router.put('/:taskId/complete', authenticateToken, async (req, res) => {
       });
     }
 
-    // Premium 사용자 && 하루 전체 Task 완료 시 코인 지급
-    let coinReward = null;
-    if (req.user.subscriptionType === 'premium' && result.allTasksCompleted) {
-      try {
-        coinReward = await coinService.awardCoins(userId, 'daily_tasks', '하루 전체 Task 완료');
-        logger.info(`하루 전체 Task 완료 코인 지급`, { 
-          userId, 
-          coins: coinReward.amount,
-          date: result.date
-        });
-      } catch (coinError) {
-        logger.error('코인 지급 실패', { 
-          error: coinError.message, 
-          userId, 
-          reason: 'daily_tasks'
-        });
-      }
-    }
+    // Premium 사용자 && 오늘(사용자 현지 날짜) 전체 Task 완료 시 지급된 코인 (하루 1회)
+    const coinReward = result.coinReward;
 
     logger.info(`Task 완료 처리 완료`, { 
       userId, 
@@ -404,6 +490,223 @@ router.put('/:taskId/complete', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/tasks/{id}/uncomplete
+ * Task 완료 취소 (오늘 Task면 지급된 하루 전체 완료 코인 회수)
+ */
+router.put('/:taskId/uncomplete', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { taskId } = req.params;
+
+    logger.info(`Task 완료 취소 요청`, { userId, taskId });
+
+    const result = await taskService.uncompleteTask(userId, taskId);
+
+    if (!result.success) {
+      logger.warn('Task 완료 취소 실패 - 존재하지 않음', { userId, taskId });
+      return res.status(404).json({
+        success: false,
+        message: '완료 취소하려는 Task를 찾을 수 없습니다.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Task 완료가 취소되었습니다.',
+      data: {
+        task: result.task,
+        coinRevoked: result.coinRevoked
+      }
+    });
+
+  } catch (error) {
+    logger.error('Task 완료 취소 실패', { 
+      error: error.message, 
+      stack: error.stack,
+      userId: req.user?.userId,
+      taskId: req.params.taskId
+    });
+    
+    res.status(500).json({
+      success: false,
+      message: 'Task 완료 취소에 실패했습니다.',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// =========================
+// Task 체크리스트 API
+// =========================
+
+/**
+ * POST /api/tasks/{id}/checklist
+ * 체크리스트 항목 추가 (목록 끝에 추가)
+ * body: { items: [{ title, estimatedMinutes }] } 또는 { title, estimatedMinutes }
+ * 반복 발생 ID면 해당 발생을 개별 Task로 저장한 뒤 추가
+ */
+router.post('/:taskId/checklist', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { taskId } = req.params;
+    const items = parseChecklistItems(req.body.items !== undefined ? req.body.items : [req.body]);
+
+    if (!items || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '체크리스트 항목은 100자 이내의 제목과 0 이상의 정수 예상 시간(분)으로 입력해주세요.'
+      });
+    }
+
+    const result = await taskService.addChecklistItems(userId, taskId, items);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task를 찾을 수 없습니다.'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: '체크리스트 항목이 추가되었습니다.',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('체크리스트 항목 추가 실패', { 
+      error: error.message, 
+      userId: req.user?._id,
+      taskId: req.params.taskId
+    });
+    handleChecklistError(res, error, '체크리스트 항목 추가에 실패했습니다.');
+  }
+});
+
+/**
+ * PATCH /api/tasks/{id}/checklist/order
+ * 체크리스트 순서 변경
+ * body: { itemIds: [항목 ID, ...] } (모든 항목을 새 순서대로)
+ */
+router.patch('/:taskId/checklist/order', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { taskId } = req.params;
+    const { itemIds } = req.body;
+
+    if (!Array.isArray(itemIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'itemIds 배열이 필요합니다.'
+      });
+    }
+
+    const result = await taskService.reorderChecklist(userId, taskId, itemIds);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task를 찾을 수 없습니다.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: '체크리스트 순서가 변경되었습니다.',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('체크리스트 순서 변경 실패', { 
+      error: error.message, 
+      userId: req.user?._id,
+      taskId: req.params.taskId
+    });
+    handleChecklistError(res, error, '체크리스트 순서 변경에 실패했습니다.');
+  }
+});
+
+/**
+ * PUT /api/tasks/{id}/checklist/{itemId}/toggle
+ * 체크리스트 항목 완료/해제
+ * body: { isCompleted } (생략하면 현재 상태를 반대로)
+ * autoCompleteChecklist인 Task는 모든 항목 완료 시 Task도 완료 (하루 전체 완료 코인 포함), 해제 시 완료 취소
+ */
+router.put('/:taskId/checklist/:itemId/toggle', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { taskId, itemId } = req.params;
+    const { isCompleted } = req.body;
+
+    if (isCompleted !== undefined && typeof isCompleted !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'isCompleted는 true 또는 false여야 합니다.'
+      });
+    }
+
+    const result = await taskService.toggleChecklistItem(userId, taskId, itemId, isCompleted);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task를 찾을 수 없습니다.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: '체크리스트 항목 상태가 변경되었습니다.',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('체크리스트 항목 상태 변경 실패', { 
+      error: error.message, 
+      userId: req.user?._id,
+      taskId: req.params.taskId,
+      itemId: req.params.itemId
+    });
+    handleChecklistError(res, error, '체크리스트 항목 상태 변경에 실패했습니다.');
+  }
+});
+
+/**
+ * DELETE /api/tasks/{id}/checklist/{itemId}
+ * 체크리스트 항목 삭제
+ */
+router.delete('/:taskId/checklist/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { taskId, itemId } = req.params;
+
+    const result = await taskService.removeChecklistItem(userId, taskId, itemId);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task를 찾을 수 없습니다.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: '체크리스트 항목이 삭제되었습니다.',
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('체크리스트 항목 삭제 실패', { 
+      error: error.message, 
+      userId: req.user?._id,
+      taskId: req.params.taskId,
+      itemId: req.params.itemId
+    });
+    handleChecklistError(res, error, '체크리스트 항목 삭제에 실패했습니다.');
+  }
+});
+
 // =========================
 // 카테고리 관리 API
 // =========================
@@ -1,7 +1,6 @@
 const express = require('express');
 const { body, query, param, validationResult } = require('express-validator');
 const timeAttackService = require('../services/timeAttackService');
-const aiService = require('../services/aiService');
 const { authenticateToken } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
@@ -87,34 +86,13 @@ router.post('/sessions',
         useAI
       });
 
-      let sessionData = {
+      const sessionData = {
         goal,
         totalMinutes,
-        steps: steps || []
+        steps: steps || [],
+        useAI
       };
 
-      // AI 추천 사용 시
-      if (useAI && (!steps || steps.length === 0)) {
-        logger.info('AI 타임어택 추천 요청', { userId, goal, totalMinutes });
-        
-        const aiRecommendation = await aiService.generateTimeAttackPlan({
-          goal,
-          totalMinutes,
-          userPreferences: {
-            complexity: 'medium',
-            detailLevel: 'standard'
-          }
-        });
-
-        sessionData = {
-          ...sessionData,
-          totalMinutes: aiRecommendation.totalMinutes,
-          steps: aiRecommendation.steps,
-          isAiGenerated: true,
-          aiPrompt: aiRecommendation.prompt
-        };
-      }
-
       const session = await timeAttackService.createSession(userId, sessionData);
 
       logger.info('타임어택 세션 생성 성공', { 
@@ -0,0 +1,461 @@
+/**
+ * 관리자 서비스
+ * 상점 아이템 관리, 사용자 조회, 프리미엄 부여, 코인 조정
+ *
+ * 모든 변경 작업은 성공/실패와 관계없이 AdminAuditLog에 기록됩니다.
+ * actor는 { user, ip, userAgent } 형태의 작업 주체 정보입니다.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const ShopItem = require('../models/ShopItem');
+const CoinTransaction = require('../models/CoinTransaction');
+const AdminAuditLog = require('../models/AdminAuditLog');
+const shopSeeder = require('../utils/shop-seeder');
+const schedulerService = require('../utils/scheduler');
+const subscriptionService = require('./subscriptionService');
+const { ROLES, PERMISSIONS, hasPermission } = require('../config/roles');
+const logger = require('../utils/logger');
+
+// 관리자가 직접 수정할 수 있는 상점 아이템 필드 (통계는 제외)
+const SHOP_ITEM_FIELDS = [
+  'name', 'description', 'price', 'category', 'type',
+  'imageUrl', 'thumbnailUrl', 'previewImageUrl', 'colors',
+  'rarity', 'tags', 'isActive', 'isLimited', 'limitedInfo',
+  'discount', 'sortOrder', 'releaseDate'
+];
+
+// 사용자 조회 시 관리자에게 보여주는 필드
+const USER_ADMIN_FIELDS = 'email profileName userType role permissions isActive isEmailVerified ' +
+  'isPremium premiumStartDate premiumEndDate coins socialProvider timezone lastLoginAt lastActiveAt createdAt';
+
+const MAX_PREMIUM_GRANT_DAYS = 3650;
+const MAX_COIN_ADJUSTMENT = 100000;
+
+const pick = (source, fields) => fields.reduce((result, field) => {
+  if (source[field] !== undefined) result[field] = source[field];
+  return result;
+}, {});
+
+class AdminService {
+  /**
+   * 작업 실행 + 감사 로그 기록
+   * @param {Object} actor - { user, ip, userAgent }
+   * @param {Object} meta - { action, targetType, targetId, details }
+   * @param {Function} work - 실제 작업. { result, targetId, details }를 반환하면 로그에 병합
+   */
+  async perform(actor, meta, work) {
+    try {
+      const outcome = await work();
+
+      await this.recordAudit(actor, {
+        ...meta,
+        targetId: outcome.targetId || meta.targetId,
+        details: { ...meta.details, ...outcome.details },
+        status: 'success'
+      });
+
+      return outcome.result;
+    } catch (error) {
+      await this.recordAudit(actor, { ...meta, status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * 감사 로그 저장
+   * 로그 저장 실패가 관리자 작업 결과를 바꾸지 않도록 오류는 기록만 합니다.
+   */
+  async recordAudit(actor, { action, targetType, targetId = null, details = null, status, error = null }) {
+    try {
+      await AdminAuditLog.create({
+        adminId: actor.user._id,
+        adminEmail: actor.user.email,
+        action,
+        targetType,
+        targetId: targetId ? targetId.toString() : null,
+        details,
+        status,
+        error,
+        ip: actor.ip || null,
+        userAgent: actor.userAgent || null
+      });
+    } catch (auditError) {
+      logger.error(`관리자 감사 로그 저장 실패: ${auditError.message}`, {
+        adminId: actor.user._id,
+        action,
+        status
+      });
+    }
+  }
+
+  /**
+   * 감사 로그 조회
+   */
+  async getAuditLogs({ adminId, action, targetType, targetId, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (adminId) query.adminId = adminId;
+    if (action) query.action = action;
+    if (targetType) query.targetType = targetType;
+    if (targetId) query.targetId = targetId;
+
+    const [logs, total] = await Promise.all([
+      AdminAuditLog.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AdminAuditLog.countDocuments(query)
+    ]);
+
+    return {
+      logs,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  // ===== 상점 아이템 =====
+
+  /**
+   * 상점 아이템 목록 (비활성 포함)
+   */
+  async getShopItems({ category, includeInactive = true, page = 1, limit = 50 } = {}) {
+    const query = {};
+    if (category) query.category = category;
+    if (!includeInactive) query.isActive = true;
+
+    const [items, total] = await Promise.all([
+      ShopItem.find(query)
+        .sort({ category: 1, sortOrder: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ShopItem.countDocuments(query)
+    ]);
+
+    return {
+      items,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  async createShopItem(actor, itemData) {
+    const data = pick(itemData, SHOP_ITEM_FIELDS);
+
+    return this.perform(actor, {
+      action: 'shop_item.create',
+      targetType: 'shop_item',
+      details: { after: data }
+    }, async () => {
+      const item = await this.wrapShopError(() => shopSeeder.addShopItem(data));
+      return { result: item, targetId: item._id };
+    });
+  }
+
+  async updateShopItem(actor, itemId, updateData) {
+    const changes = pick(updateData, SHOP_ITEM_FIELDS);
+    if (Object.keys(changes).length === 0) {
+      throw new Error('NO_CHANGES');
+    }
+
+    return this.perform(actor, {
+      action: 'shop_item.update',
+      targetType: 'shop_item',
+      targetId: itemId
+    }, async () => {
+      const before = await ShopItem.findById(itemId).lean();
+      if (!before) {
+        throw new Error('SHOP_ITEM_NOT_FOUND');
+      }
+
+      const item = await this.wrapShopError(() => shopSeeder.updateShopItem(itemId, changes));
+
+      return {
+        result: item,
+        details: { before: pick(before, Object.keys(changes)), after: changes }
+      };
+    });
+  }
+
+  /**
+   * 상점 아이템 삭제 (판매 중지, 보유 인벤토리 보존)
+   */
+  async deleteShopItem(actor, itemId) {
+    return this.perform(actor, {
+      action: 'shop_item.delete',
+      targetType: 'shop_item',
+      targetId: itemId
+    }, async () => {
+      const item = await this.wrapShopError(() => shopSeeder.deleteShopItem(itemId));
+      return { result: item, details: { name: item.name } };
+    });
+  }
+
+  /**
+   * shop-seeder 오류를 오류 코드로 변환
+   */
+  async wrapShopError(work) {
+    try {
+      return await work();
+    } catch (error) {
+      if (error.message === '상점 아이템을 찾을 수 없습니다') {
+        throw new Error('SHOP_ITEM_NOT_FOUND');
+      }
+      if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+        const wrapped = new Error('INVALID_SHOP_ITEM');
+        wrapped.details = error.errors
+          ? Object.values(error.errors).map(fieldError => fieldError.message)
+          : [error.message];
+        throw wrapped;
+      }
+      throw error;
+    }
+  }
+
+  // ===== 사용자 =====
+
+  /**
+   * 사용자 검색 (이메일 부분 일치, 역할)
+   */
+  async searchUsers({ email, role, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (email) {
+      query.email = { $regex: email.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+    if (role) query.role = role;
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(USER_ADMIN_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query)
+    ]);
+
+    return {
+      users,
+      pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+    };
+  }
+
+  /**
+   * 사용자 상세 (최근 코인 거래 포함)
+   * @throws {Error} USER_NOT_FOUND
+   */
+  async getUserDetail(userId) {
+    const user = await User.findById(userId).select(`${USER_ADMIN_FIELDS} deviceTokens`).lean();
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    const recentTransactions = await CoinTransaction.find({ userId })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .lean();
+
+    return {
+      ...user,
+      deviceTokens: undefined,
+      deviceCount: (user.deviceTokens || []).length,
+      recentTransactions
+    };
+  }
+
+  /**
+   * 프리미엄 기간 부여 (무료 제공 구독)
+   * 이미 무료 제공 기간이 있으면 남은 기간 뒤에 이어 붙이고, 결제 구독과는 별도로 관리됩니다.
+   * @throws {Error} USER_NOT_FOUND | INVALID_PREMIUM_DAYS
+   */
+  async grantPremium(actor, userId, { days, reason }) {
+    if (!Number.isInteger(days) || days < 1 || days > MAX_PREMIUM_GRANT_DAYS) {
+      throw new Error('INVALID_PREMIUM_DAYS');
+    }
+
+    return this.perform(actor, {
+      action: 'user.premium_grant',
+      targetType: 'user',
+      targetId: userId,
+      details: { days, reason }
+    }, async () => {
+      const user = await User.findById(userId).select('premiumEndDate');
+      if (!user) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      const { subscription, entitlement } = await subscriptionService.grantComplimentary(userId, days, {
+        provider: 'admin',
+        note: reason
+      });
+
+      logger.info('관리자 프리미엄 부여', { userId, days, adminId: actor.user._id });
+
+      return {
+        result: {
+          userId,
+          ...entitlement,
+          subscriptionId: subscription._id
+        },
+        details: {
+          previousEndDate: user.premiumEndDate,
+          premiumEndDate: entitlement.premiumEndDate,
+          subscriptionId: subscription._id
+        }
+      };
+    });
+  }
+
+  /**
+   * 코인 보정 (admin_adjustment)
+   * 양수는 지급, 음수는 차감이며 잔액이 음수가 되는 차감은 거부합니다.
+   * 프리미엄 여부와 관계없이 적용됩니다.
+   * @throws {Error} USER_NOT_FOUND | INVALID_COIN_AMOUNT | INSUFFICIENT_COINS
+   */
+  async adjustCoins(actor, userId, { amount, description }) {
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_COIN_ADJUSTMENT) {
+      throw new Error('INVALID_COIN_AMOUNT');
+    }
+
+    return this.perform(actor, {
+      action: 'user.coin_adjustment',
+      targetType: 'user',
+      targetId: userId,
+      details: { amount, description }
+    }, async () => {
+      const exists = await User.exists({ _id: userId });
+      if (!exists) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      // 잔액 조건을 걸고 원자적으로 변경 (동시 구매와 겹쳐도 음수 방지)
+      const user = await User.findOneAndUpdate(
+        amount < 0 ? { _id: userId, coins: { $gte: -amount } } : { _id: userId },
+        { $inc: { coins: amount } },
+        { new: true }
+      );
+
+      if (!user) {
+        throw new Error('INSUFFICIENT_COINS');
+      }
+
+      const transaction = await CoinTransaction.create({
+        userId,
+        type: amount > 0 ? 'earn' : 'spend',
+        amount: Math.abs(amount),
+        reason: 'admin_adjustment',
+        description: description || '관리자 코인 조정',
+        balanceAfter: user.coins
+      });
+
+      logger.info('관리자 코인 조정', { userId, amount, balance: user.coins, adminId: actor.user._id });
+
+      return {
+        result: {
+          userId: user._id,
+          amount,
+          balance: user.coins,
+          transactionId: transaction._id
+        },
+        details: { balanceAfter: user.coins, transactionId: transaction._id }
+      };
+    });
+  }
+
+  /**
+   * 역할 및 개별 권한 변경
+   * 본인이 가진 권한 범위 안에서만 변경할 수 있습니다 (관리자 역할 부여/회수는 관리자만).
+   * @throws {Error} USER_NOT_FOUND | INVALID_ROLE | CANNOT_CHANGE_OWN_ROLE | ROLE_CHANGE_NOT_ALLOWED
+   */
+  async updateUserRole(actor, userId, { role, permissions }) {
+    if (role !== undefined && !Object.keys(ROLES).includes(role)) {
+      throw new Error('INVALID_ROLE');
+    }
+    if (permissions !== undefined &&
+        (!Array.isArray(permissions) || permissions.some(permission => !Object.values(PERMISSIONS).includes(permission)))) {
+      throw new Error('INVALID_ROLE');
+    }
+
+    // 마지막 관리자가 스스로 권한을 잃는 일을 막기 위해 본인 변경은 금지
+    if (actor.user._id.toString() === userId.toString()) {
+      throw new Error('CANNOT_CHANGE_OWN_ROLE');
+    }
+
+    return this.perform(actor, {
+      action: 'user.role_update',
+      targetType: 'user',
+      targetId: userId,
+      details: { role, permissions }
+    }, async () => {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      this.assertCanChangeRole(actor.user, user, { role, permissions });
+
+      const before = { role: user.role, permissions: [...user.permissions] };
+      if (role !== undefined) user.role = role;
+      if (permissions !== undefined) user.permissions = [...new Set(permissions)];
+      await user.save();
+
+      logger.info('사용자 권한 변경', { userId, role: user.role, adminId: actor.user._id });
+
+      return {
+        result: { userId: user._id, role: user.role, permissions: user.permissions },
+        details: { before }
+      };
+    });
+  }
+
+  /**
+   * 역할/권한 변경 가능 여부 확인
+   * 바뀌는 역할(이전/이후)의 기본 권한과 추가/제거되는 개별 권한을 모두 변경하는 사람이 가지고 있어야 합니다.
+   * @throws {Error} ROLE_CHANGE_NOT_ALLOWED
+   */
+  assertCanChangeRole(actorUser, target, { role, permissions }) {
+    // 관리자('*')가 관련된 변경은 관리자 역할만
+    if ((target.role === 'admin' || role === 'admin') && actorUser.role !== 'admin') {
+      throw new Error('ROLE_CHANGE_NOT_ALLOWED');
+    }
+
+    const changed = [];
+    if (role !== undefined && role !== target.role) {
+      changed.push(...(ROLES[target.role] || []), ...ROLES[role]);
+    }
+    if (permissions !== undefined) {
+      const current = target.permissions || [];
+      changed.push(
+        ...permissions.filter(permission => !current.includes(permission)),
+        ...current.filter(permission => !permissions.includes(permission))
+      );
+    }
+
+    const allowed = changed.every(permission =>
+      hasPermission(actorUser.role, actorUser.permissions, permission)
+    );
+    if (!allowed) {
+      throw new Error('ROLE_CHANGE_NOT_ALLOWED');
+    }
+  }
+
+  // ===== 스케줄러 =====
+
+  /**
+   * 스케줄 작업 수동 실행
+   */
+  async runSchedulerTask(actor, name) {
+    return this.perform(actor, {
+      action: 'scheduler.run',
+      targetType: 'scheduler_task',
+      targetId: name
+    }, async () => {
+      const result = await schedulerService.runTask(name);
+      return {
+        result,
+        details: { executed: result.executed, status: result.status || null, reason: result.reason || null }
+      };
+    });
+  }
+}
+
+module.exports = new AdminService();
@@ -1,15 +1,132 @@
-const OpenAI = require('openai');
+const { aiClient } = require('./ai');
 const logger = require('../utils/logger');
 
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+// AI 응답 스키마 (AIGoal 모델 enum과 일치해야 저장 가능)
+const RESPONSE_SCHEMAS = {
+  goalBreakdown: {
+    type: 'object',
+    required: ['analysis', 'timeline', 'difficulty', 'tasks'],
+    properties: {
+      analysis: { type: 'string', minLength: 1 },
+      timeline: { type: 'string', minLength: 1 },
+      difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+      tasks: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title'],
+          properties: {
+            title: { type: 'string', minLength: 1 },
+            description: { type: 'string' },
+            estimatedTime: { type: 'string' },
+            priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+            category: { type: 'string', enum: ['study', 'exercise', 'work', 'habit', 'other'] },
+            week: { type: 'integer', minimum: 1 }
+          }
+        }
+      },
+      tips: stringArray,
+      motivation: { type: 'string' }
+    }
+  },
+
+  dailySchedule: {
+    type: 'object',
+    required: ['schedule'],
+    properties: {
+      schedule: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['time', 'activity', 'duration'],
+          properties: {
+            time: { type: 'string' },
+            activity: { type: 'string' },
+            duration: { type: 'number', minimum: 0 },
+            type: { type: 'string', enum: ['focus', 'break', 'task'] },
+            description: { type: 'string' }
+          }
+        }
+      },
+      pomodoroSessions: { type: 'integer', minimum: 0 },
+      totalFocusTime: { type: 'number', minimum: 0 },
+      recommendations: stringArray
+    }
+  },
+
+  motivation: {
+    type: 'object',
+    required: ['message'],
+    properties: {
+      message: { type: 'string', minLength: 1 },
+      tip: { type: 'string' },
+      emoji: { type: 'string' }
+    }
+  },
+
+  progressAnalysis: {
+    type: 'object',
+    required: ['analysis'],
+    properties: {
+      analysis: { type: 'string', minLength: 1 },
+      achievements: stringArray,
+      challenges: stringArray,
+      improvements: stringArray,
+      nextSteps: stringArray,
+      encouragement: { type: 'string' }
+    }
+  },
+
+  routine: {
+    type: 'object',
+    required: ['routineName', 'steps'],
+    properties: {
+      routineName: { type: 'string', minLength: 1 },
+      description: { type: 'string' },
+      duration: { type: 'string' },
+      steps: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['activity'],
+          properties: {
+            step: { type: 'integer' },
+            activity: { type: 'string' },
+            duration: { type: 'string' },
+            description: { type: 'string' }
+          }
+        }
+      },
+      benefits: stringArray,
+      tips: stringArray
+    }
+  },
+
+  goalAnalysis: {
+    type: 'object',
+    required: ['summary', 'recommendations'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      progressAnalysis: { type: 'string' },
+      strengths: stringArray,
+      challenges: stringArray,
+      recommendations: stringArray,
+      nextMilestones: stringArray,
+      motivationalMessage: { type: 'string' },
+      estimatedCompletion: { type: 'string' }
+    }
+  }
+};
+
 /**
  * AI 기반 목표 세분화 서비스
  */
 class AIGoalService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    
     // AI 응답 형식 템플릿
     this.systemPrompts = {
       goalBreakdown: `당신은 FIVLO 앱의 AI 어시스턴트 "오분이"입니다. 사용자의 목표를 분석하여 실행 가능한 단계로 세분화해주세요.
@@ -80,53 +197,33 @@ class AIGoalService {
   }
 
   /**
-   * OpenAI API 호출 헬퍼
+   * AI 프로바이더 JSON 요청 헬퍼
+   * 응답은 스키마 검증을 거치며, 실패 시 규칙 기반 응답(fallback)으로 대체됩니다.
    */
-  async callOpenAI(systemPrompt, userMessage, temperature = 0.7) {
-    try {
-      // OpenAI API 키가 없거나 할당량 초과 시 폴백 처리
-      if (!process.env.OPENAI_API_KEY) {
-        logger.warn('OpenAI API 키가 설정되지 않아 폴백 응답을 사용합니다');
-        return this.generateFallbackResponse(userMessage);
-      }
-
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userMessage }
-        ],
-        temperature,
-        max_tokens: 2000,
-        response_format: { type: 'json_object' }
-      });
+  async requestJSON(task, systemPrompt, userMessage, { schema, fallback, temperature = 0.7 }) {
+    const result = await aiClient.generateJSON({
+      task,
+      system: systemPrompt,
+      prompt: userMessage,
+      temperature,
+      maxTokens: 2000,
+      schema,
+      fallback
+    });
 
-      return JSON.parse(response.choices[0].message.content);
-      
-    } catch (error) {
-      logger.error('OpenAI API 호출 실패:', error);
-      
-      // API 할당량 초과나 기타 오류 시 폴백 응답 사용
-      if (error.status === 429 || error.status === 401 || error.status === 402) {
-        logger.warn('OpenAI API 할당량 초과 또는 인증 오류, 폴백 응답을 사용합니다');
-        return this.generateFallbackResponse(userMessage);
-      }
-      
-      throw new Error('AI 서비스 요청에 실패했습니다');
+    if (result.isFallback) {
+      logger.warn(`AI 응답 대신 규칙 기반 응답을 사용합니다: ${task}`);
     }
+
+    return result.data;
   }
 
   /**
-   * OpenAI API 실패 시 폴백 응답 생성
+   * 규칙 기반 목표 세분화 (로컬 프로바이더/AI 실패 시)
    */
-  generateFallbackResponse(userMessage) {
-    // 목표에서 키워드 추출
-    const goalMatch = userMessage.match(/목표:\s*(.+)/);
-    const goal = goalMatch ? goalMatch[1].trim() : '목표 달성';
-    
-    // 기간에서 키워드 추출
-    const periodMatch = userMessage.match(/달성 기간:\s*(.+)/);
-    const period = periodMatch ? periodMatch[1].trim() : '3개월';
+  generateFallbackBreakdown(goalData) {
+    const goal = goalData.goal || '목표 달성';
+    const period = goalData.duration || '3개월';
     
     return {
       analysis: `"${goal}"은(는) 체계적인 계획과 꾸준한 실행이 중요한 목표입니다. 포모도로 기법을 활용하여 단계별로 접근하면 효과적으로 달성할 수 있습니다.`,
@@ -193,10 +290,10 @@ class AIGoalService {
 이 목표를 FIVLO 앱에서 실행 가능한 태스크들로 세분화해주세요.
 포모도로 기법(25분 집중)과 Task 관리 기능을 활용할 수 있도록 구성해주세요.`;
 
-      const result = await this.callOpenAI(
-        this.systemPrompts.goalBreakdown,
-        userMessage
-      );
+      const result = await this.requestJSON('goal_breakdown', this.systemPrompts.goalBreakdown, userMessage, {
+        schema: RESPONSE_SCHEMAS.goalBreakdown,
+        fallback: () => this.generateFallbackBreakdown(goalData)
+      });
 
       // 결과 검증 및 보강
       result.generatedAt = new Date();
@@ -228,16 +325,10 @@ class AIGoalService {
 
 오늘 하루 최적의 스케줄을 포모도로 기법에 맞춰 추천해주세요.`;
 
-      let result;
-      try {
-        result = await this.callOpenAI(
-          this.systemPrompts.dailySchedule,
-          userMessage
-        );
-      } catch (error) {
-        // OpenAI 실패 시 기본 스케줄 제공
-        result = this.generateFallbackSchedule(scheduleData);
-      }
+      const result = await this.requestJSON('daily_schedule', this.systemPrompts.dailySchedule, userMessage, {
+        schema: RESPONSE_SCHEMAS.dailySchedule,
+        fallback: () => this.generateFallbackSchedule(scheduleData)
+      });
 
       result.generatedAt = new Date();
       result.targetDate = scheduleData.targetDate || new Date();
@@ -322,11 +413,11 @@ class AIGoalService {
 
 사용자에게 따뜻하고 격려가 되는 메시지를 전해주세요.`;
 
-      const result = await this.callOpenAI(
-        this.systemPrompts.motivation,
-        userMessage,
-        0.8 // 창의성을 높여 다양한 메시지 생성
-      );
+      const result = await this.requestJSON('goal_motivation', this.systemPrompts.motivation, userMessage, {
+        schema: RESPONSE_SCHEMAS.motivation,
+        fallback: () => this.generateFallbackMotivation(motivationData),
+        temperature: 0.8 // 창의성을 높여 다양한 메시지 생성
+      });
 
       result.generatedAt = new Date();
 
@@ -369,10 +460,13 @@ class AIGoalService {
 
 진행 상황을 분석하고 앞으로의 방향을 제시해주세요.`;
 
-      const result = await this.callOpenAI(systemPrompt, userMessage);
+      const result = await this.requestJSON('progress_analysis', systemPrompt, userMessage, {
+        schema: RESPONSE_SCHEMAS.progressAnalysis,
+        fallback: () => this.generateFallbackProgressAnalysis(progressData)
+      });
 
       result.generatedAt = new Date();
-      result.progressPercentage = Math.round((progressData.completedTasks / progressData.totalTasks) * 100);
+      result.progressPercentage = this.calculatePercentage(progressData.completedTasks, progressData.totalTasks);
 
       logger.info(`진행 상황 분석 완료: ${result.progressPercentage}% 달성`);
       
@@ -419,7 +513,10 @@ class AIGoalService {
 
 효과적인 루틴을 추천해주세요.`;
 
-      const result = await this.callOpenAI(systemPrompt, userMessage);
+      const result = await this.requestJSON('routine_recommendation', systemPrompt, userMessage, {
+        schema: RESPONSE_SCHEMAS.routine,
+        fallback: () => this.generateFallbackRoutine(routineData)
+      });
 
       result.generatedAt = new Date();
       result.category = routineData.category;
@@ -488,13 +585,10 @@ class AIGoalService {
 
 진행 상황을 분석하고 앞으로의 개선 방향을 제시해주세요.`;
 
-      let result;
-      try {
-        result = await this.callOpenAI(systemPrompt, userMessage);
-      } catch (error) {
-        // OpenAI 실패 시 폴백 분석 제공
-        result = this.generateFallbackAnalysis(mockGoalData);
-      }
+      const result = await this.requestJSON('goal_analysis', systemPrompt, userMessage, {
+        schema: RESPONSE_SCHEMAS.goalAnalysis,
+        fallback: () => this.generateFallbackAnalysis(mockGoalData)
+      });
 
       // 추가 메타데이터
       result.goalId = goalId;
@@ -541,10 +635,72 @@ class AIGoalService {
         "어휘 학습 전략 수립 및 실행",
         "모의 테스트 1회 실시"
       ],
-      motivationalMessage: "🌟 벌써 ${goalData.progress}%나 진행하셨네요! 꾸준함이 가장 큰 힘입니다. 오분이가 끝까지 응원할게요!",
-      estimatedCompletion: "현재 속도로 진행하면 약 ${Math.ceil((100-goalData.progress)/5)}주 후 목표 달성 가능합니다"
+      motivationalMessage: `🌟 벌써 ${goalData.progress}%나 진행하셨네요! 꾸준함이 가장 큰 힘입니다. 오분이가 끝까지 응원할게요!`,
+      estimatedCompletion: `현재 속도로 진행하면 약 ${Math.ceil((100-goalData.progress)/5)}주 후 목표 달성 가능합니다`
     };
   }
+
+  /**
+   * 규칙 기반 동기부여 메시지 (로컬 프로바이더/AI 실패 시)
+   */
+  generateFallbackMotivation(motivationData) {
+    const goal = motivationData.currentGoal;
+
+    return {
+      message: goal
+        ? `"${goal}"을(를) 향해 오늘도 한 걸음 나아가고 있어요. 오분이가 응원해요!`
+        : '오늘도 잘하고 있어요. 작은 실행이 큰 변화를 만듭니다!',
+      tip: motivationData.difficulty && motivationData.difficulty !== '없음'
+        ? '어려운 일은 25분 단위로 잘게 나누어 하나씩 해결해보세요'
+        : '다음 포모도로 한 세션을 지금 바로 시작해보세요',
+      emoji: '🌟'
+    };
+  }
+
+  /**
+   * 규칙 기반 진행 상황 분석 (로컬 프로바이더/AI 실패 시)
+   */
+  generateFallbackProgressAnalysis(progressData) {
+    const percentage = this.calculatePercentage(progressData.completedTasks, progressData.totalTasks);
+
+    return {
+      analysis: `"${progressData.goal}" 목표의 태스크 ${progressData.totalTasks || 0}개 중 ${progressData.completedTasks || 0}개(${percentage}%)를 완료했고, 총 ${progressData.timeSpent || 0}분을 투자했습니다.`,
+      achievements: [`태스크 ${progressData.completedTasks || 0}개 완료`],
+      challenges: progressData.difficulties?.length ? progressData.difficulties : ['특별한 어려움이 기록되지 않았습니다'],
+      improvements: percentage < 50
+        ? ['남은 태스크를 더 작은 단위로 나누어 보세요', '매일 정해진 시간에 포모도로 세션을 진행하세요']
+        : ['현재 페이스를 유지하세요', '주간 회고로 남은 태스크의 우선순위를 점검하세요'],
+      nextSteps: ['우선순위가 높은 미완료 태스크부터 진행하기'],
+      encouragement: percentage >= 50
+        ? '벌써 절반 이상 왔어요! 끝까지 함께해요 💪'
+        : '시작이 반이에요. 꾸준함이 가장 큰 힘입니다 🌱'
+    };
+  }
+
+  /**
+   * 규칙 기반 루틴 추천 (로컬 프로바이더/AI 실패 시)
+   */
+  generateFallbackRoutine(routineData) {
+    return {
+      routineName: `${routineData.category} 기본 루틴`,
+      description: '포모도로 기법을 기반으로 한 기본 루틴입니다.',
+      duration: routineData.timeLimit || '30분',
+      steps: [
+        { step: 1, activity: '준비', duration: '5분', description: '오늘 할 일을 정하고 주변을 정리합니다' },
+        { step: 2, activity: '집중', duration: '25분', description: '한 가지 일에만 집중합니다' },
+        { step: 3, activity: '휴식 및 기록', duration: '5분', description: '스트레칭 후 진행 상황을 기록합니다' }
+      ],
+      benefits: ['집중 습관 형성', '진행 상황의 가시화'],
+      tips: ['같은 시간에 반복해서 습관으로 만드세요', '완료한 루틴은 꼭 체크하세요']
+    };
+  }
+
+  /**
+   * 완료 비율 (%) 계산
+   */
+  calculatePercentage(completed, total) {
+    return total > 0 ? Math.round(((completed || 0) / total) * 100) : 0;
+  }
 }
 
 module.exports = new AIGoalService();
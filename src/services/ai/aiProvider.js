@@ -0,0 +1,59 @@
+/**
+ * AI 프로바이더 기본 클래스
+ * 모든 프로바이더는 complete()에서 모델이 생성한 텍스트(문자열)를 반환합니다.
+ * JSON 파싱/스키마 검증과 재시도는 AIClient가 프로바이더와 무관하게 처리합니다.
+ *
+ * 요청 형태:
+ * { task, system, prompt, json, temperature, maxTokens, timeoutMs, fallback, input }
+ * - json: JSON 객체 응답 요청
+ * - fallback: 로컬 프로바이더가 사용할 결정적 응답 생성 함수
+ */
+class AIProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * API 키 등 필수 설정이 있는지 확인
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * 사용하는 모델 이름
+   */
+  getModel() {
+    return null;
+  }
+
+  /**
+   * 텍스트 생성
+   */
+  async complete(request) {
+    throw new Error(`${this.name} 프로바이더에 complete()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 프로바이더 오류 생성
+   * - retryable: 일시적 오류로 재시도 가능함 (429, 5xx, 타임아웃, 네트워크)
+   */
+  error(message, { retryable = false, statusCode = null } = {}) {
+    const error = new Error(message);
+    error.provider = this.name;
+    error.retryable = retryable;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  /**
+   * HTTP 상태 코드로 재시도 가능 여부 판단
+   */
+  isRetryableStatus(statusCode) {
+    return statusCode === 429 || statusCode >= 500;
+  }
+}
+
+module.exports = {
+  AIProvider
+};
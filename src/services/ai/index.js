@@ -0,0 +1,188 @@
+/**
+ * AI 프로바이더 레이어
+ * 모든 AI 호출(aiService, ai-goal-service, ai-integration-service)은 이 클라이언트를 거칩니다.
+ *
+ * - 프로바이더 선택: OpenAI 또는 로컬 결정적 프로바이더
+ * - JSON 응답 파싱 및 스키마 검증
+ * - 타임아웃/재시도 정책, 실패 시 로컬 프로바이더로 대체
+ *
+ * 환경변수:
+ * - AI_PROVIDER=openai|local: 사용할 프로바이더 (기본: OPENAI_API_KEY 설정 시 openai, 테스트 환경은 local)
+ * - AI_TIMEOUT_MS: 요청당 타임아웃 (기본: 15000)
+ * - AI_MAX_ATTEMPTS: 최대 시도 횟수 (기본: 2)
+ * - AI_RETRY_BASE_DELAY_MS: 재시도 대기 기본값, 시도마다 2배 (기본: 500)
+ */
+
+const OpenAIProvider = require('./openaiProvider');
+const LocalProvider = require('./localProvider');
+const { parseJSON, validate } = require('./schema');
+const logger = require('../../utils/logger');
+
+const AI_TIMEOUT_MS = parseInt(process.env.AI_TIMEOUT_MS) || 15000;
+const AI_MAX_ATTEMPTS = parseInt(process.env.AI_MAX_ATTEMPTS) || 2;
+const AI_RETRY_BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_DELAY_MS) || 500;
+
+class AIClient {
+  constructor() {
+    this.local = new LocalProvider();
+    this.provider = null;
+  }
+
+  /**
+   * 기본 프로바이더 결정 (최초 호출 시)
+   */
+  getProvider() {
+    if (this.provider) {
+      return this.provider;
+    }
+
+    const preference = process.env.AI_PROVIDER ||
+      (process.env.NODE_ENV === 'test' ? 'local' : 'openai');
+
+    if (preference === 'openai') {
+      const openai = new OpenAIProvider();
+      if (openai.isConfigured()) {
+        this.provider = openai;
+      } else {
+        logger.warn('OPENAI_API_KEY가 설정되지 않아 로컬 AI 프로바이더를 사용합니다.');
+      }
+    } else if (preference !== 'local') {
+      logger.warn(`알 수 없는 AI_PROVIDER 값입니다: ${preference}. 로컬 프로바이더를 사용합니다.`);
+    }
+
+    this.provider = this.provider || this.local;
+    logger.info(`AI 프로바이더: ${this.provider.name}`);
+
+    return this.provider;
+  }
+
+  /**
+   * 텍스트 생성
+   * @param {Object} request - { task, system, prompt, temperature, maxTokens, input, fallback }
+   * @returns {Object} { content, provider, isFallback, attempts }
+   */
+  async generateText(request) {
+    return await this.run({ ...request, json: false });
+  }
+
+  /**
+   * JSON 생성 (스키마 검증 포함)
+   * @param {Object} request - generateText 요청 + schema
+   * @returns {Object} { data, provider, isFallback, attempts }
+   */
+  async generateJSON(request) {
+    const result = await this.run({ ...request, json: true });
+    return {
+      data: result.content,
+      provider: result.provider,
+      isFallback: result.isFallback,
+      attempts: result.attempts
+    };
+  }
+
+  /**
+   * 재시도 정책에 따라 기본 프로바이더 호출, 실패 시 로컬 프로바이더로 대체
+   * @throws {Error} AI_GENERATION_FAILED - 모든 시도가 실패하고 로컬 응답도 없을 때
+   */
+  async run(request) {
+    const provider = this.getProvider();
+    let attempts = 0;
+    let lastError = null;
+
+    if (provider !== this.local) {
+      while (attempts < AI_MAX_ATTEMPTS) {
+        attempts++;
+
+        try {
+          const content = await this.complete(provider, request);
+          return { content, provider: provider.name, isFallback: false, attempts };
+        } catch (error) {
+          lastError = error;
+
+          logger.warn(`AI 요청 실패: ${request.task} (${attempts}/${AI_MAX_ATTEMPTS}) - ${error.message}`, {
+            provider: provider.name,
+            statusCode: error.statusCode || null
+          });
+
+          if (!error.retryable || attempts >= AI_MAX_ATTEMPTS) {
+            break;
+          }
+
+          await this.delay(AI_RETRY_BASE_DELAY_MS * Math.pow(2, attempts - 1));
+        }
+      }
+    }
+
+    if (typeof request.fallback !== 'function') {
+      logger.error(`AI 요청 최종 실패: ${request.task} - ${lastError?.message || '로컬 응답 없음'}`);
+      throw new Error('AI_GENERATION_FAILED');
+    }
+
+    const content = await this.complete(this.local, request);
+
+    return {
+      content,
+      provider: this.local.name,
+      isFallback: provider !== this.local,
+      attempts
+    };
+  }
+
+  /**
+   * 프로바이더 1회 호출 및 응답 검증
+   * 잘못된 JSON이나 스키마 불일치는 재시도 가능한 오류로 처리합니다.
+   */
+  async complete(provider, request) {
+    const text = await provider.complete({ ...request, timeoutMs: AI_TIMEOUT_MS });
+
+    if (!request.json) {
+      const content = text.trim();
+      if (!content) {
+        throw provider.error('빈 응답', { retryable: true });
+      }
+      return content;
+    }
+
+    let data;
+    try {
+      data = parseJSON(text);
+    } catch (error) {
+      throw provider.error('JSON 파싱 실패', { retryable: true });
+    }
+
+    const errors = validate(data, request.schema);
+    if (errors.length > 0) {
+      throw provider.error(`스키마 검증 실패: ${errors.slice(0, 3).join('; ')}`, { retryable: true });
+    }
+
+    return data;
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * 현재 프로바이더 상태
+   */
+  getStatus() {
+    const provider = this.getProvider();
+
+    return {
+      provider: provider.name,
+      model: provider.getModel(),
+      isOffline: provider === this.local,
+      timeoutMs: AI_TIMEOUT_MS,
+      maxAttempts: AI_MAX_ATTEMPTS
+    };
+  }
+}
+
+module.exports = {
+  AIClient,
+  aiClient: new AIClient(),
+  OpenAIProvider,
+  LocalProvider,
+  parseJSON,
+  validate
+};
@@ -0,0 +1,34 @@
+/**
+ * 로컬 결정적 AI 프로바이더 (오프라인/개발/테스트용)
+ * 외부 호출 없이 요청에 포함된 규칙 기반 생성 함수(fallback)의 결과를 반환합니다.
+ * 같은 입력에는 항상 같은 결과를 반환합니다.
+ */
+
+const { AIProvider } = require('./aiProvider');
+
+class LocalProvider extends AIProvider {
+  constructor() {
+    super('local');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  getModel() {
+    return 'rule-based';
+  }
+
+  async complete(request) {
+    if (typeof request.fallback !== 'function') {
+      throw this.error(`로컬 응답이 정의되지 않은 작업입니다: ${request.task}`);
+    }
+
+    const result = await request.fallback(request.input);
+
+    // 다른 프로바이더와 같은 파싱/검증 과정을 거치도록 문자열로 반환
+    return typeof result === 'string' ? result : JSON.stringify(result);
+  }
+}
+
+module.exports = LocalProvider;
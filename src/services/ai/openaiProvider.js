@@ -0,0 +1,80 @@
+/**
+ * OpenAI 프로바이더 (Chat Completions API)
+ *
+ * 환경변수:
+ * - OPENAI_API_KEY: API 키
+ * - OPENAI_MODEL: 사용할 모델 (기본: gpt-3.5-turbo)
+ */
+
+const OpenAI = require('openai');
+const { AIProvider } = require('./aiProvider');
+
+class OpenAIProvider extends AIProvider {
+  constructor() {
+    super('openai');
+    this.client = null;
+    this.model = process.env.OPENAI_MODEL || 'gpt-3.5-turbo';
+  }
+
+  isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  getModel() {
+    return this.model;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: process.env.OPENAI_API_KEY,
+        // 재시도는 AIClient 정책을 따름
+        maxRetries: 0
+      });
+    }
+    return this.client;
+  }
+
+  async complete(request) {
+    const { system, prompt, json = false, temperature = 0.7, maxTokens = 1000, timeoutMs } = request;
+
+    const messages = [];
+    if (system) {
+      // JSON 모드는 메시지에 JSON 언급이 있어야 함
+      messages.push({
+        role: 'system',
+        content: json ? `${system}\n\n반드시 위 형식의 JSON 객체로만 응답하세요.` : system
+      });
+    }
+    messages.push({ role: 'user', content: prompt });
+
+    try {
+      const response = await this.getClient().chat.completions.create({
+        model: this.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: 'json_object' } } : {})
+      }, { timeout: timeoutMs });
+
+      const content = response.choices?.[0]?.message?.content;
+      if (!content) {
+        throw this.error('빈 응답', { retryable: true });
+      }
+
+      return content;
+
+    } catch (error) {
+      if (error.provider) throw error;
+
+      // 타임아웃/네트워크 오류에는 status가 없음
+      const statusCode = error.status || null;
+      throw this.error(error.message, {
+        retryable: statusCode === null || this.isRetryableStatus(statusCode),
+        statusCode
+      });
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,125 @@
+/**
+ * AI 응답 JSON 파싱 및 스키마 검증
+ * JSON Schema의 일부(type, properties, required, items, enum, 길이/범위 제한)만 지원합니다.
+ */
+
+/**
+ * 모델 응답 텍스트에서 JSON 추출
+ * 코드 블록(```json ... ```)이나 앞뒤 설명 문장이 섞여 있어도 첫 JSON 객체를 파싱합니다.
+ * @returns {Object} 파싱 결과
+ * @throws {Error} INVALID_JSON
+ */
+function parseJSON(text) {
+  if (typeof text !== 'string') {
+    throw new Error('INVALID_JSON');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(candidate.slice(start, end + 1));
+      } catch (innerError) {
+        // 아래에서 처리
+      }
+    }
+
+    throw new Error('INVALID_JSON');
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  const types = Array.isArray(type) ? type : [type];
+
+  return types.some(expected => expected === actual || (expected === 'number' && actual === 'integer'));
+}
+
+/**
+ * 스키마 검증
+ * @param {*} value - 검증할 값
+ * @param {Object} schema - 스키마
+ * @param {String} path - 오류 메시지용 경로
+ * @returns {Array<String>} 오류 목록 (비어 있으면 유효)
+ */
+function validate(value, schema, path = '$') {
+  if (!schema) return [];
+
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path}: ${[].concat(schema.type).join('|')} 타입이어야 합니다`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: 허용되지 않은 값입니다 (${schema.enum.join(', ')})`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: 최소 ${schema.minLength}자 이상이어야 합니다`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: 최대 ${schema.maxLength}자까지 가능합니다`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: ${schema.minimum} 이상이어야 합니다`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: ${schema.maximum} 이하여야 합니다`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: 최소 ${schema.minItems}개 항목이 필요합니다`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: 최대 ${schema.maxItems}개 항목까지 가능합니다`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key}: 필수 항목입니다`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validate(value[key], propertySchema, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  parseJSON,
+  validate
+};
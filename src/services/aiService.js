@@ -1,61 +1,140 @@
-const OpenAI = require('openai');
+const { aiClient } = require('./ai');
 const logger = require('../utils/logger');
 
-class AIService {
-  constructor() {
-    this.openai = null;
-    this.isInitialized = false;
-    
-    // OpenAI 초기화
-    if (process.env.OPENAI_API_KEY) {
-      this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
-      });
-      this.isInitialized = true;
-      logger.info('OpenAI 서비스 초기화 완료');
-    } else {
-      logger.warn('OpenAI API 키가 설정되지 않았습니다. AI 기능이 제한됩니다.');
+// 타임어택 계획 제한 (TimeAttackSession 모델과 동일)
+const TIME_ATTACK_MAX_STEPS = 10;
+const TIME_ATTACK_MAX_MINUTES = 180;
+const DEFAULT_TIME_ATTACK_MINUTES = 30;
+
+const TIME_ATTACK_PLAN_SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    totalMinutes: { type: 'integer', minimum: 1, maximum: TIME_ATTACK_MAX_MINUTES },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'minutes'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          minutes: { type: 'number', minimum: 1 }
+        }
+      }
     }
   }
+};
+
+// 목표 유형별 규칙 기반 단계 템플릿 (weight 비율로 시간 분배)
+const TIME_ATTACK_TEMPLATES = [
+  {
+    type: 'outing',
+    pattern: /외출|출근|등교|약속|나갈\s*준비/,
+    steps: [
+      { name: '씻기', weight: 3 },
+      { name: '옷 입기', weight: 2 },
+      { name: '소지품 챙기기', weight: 1 },
+      { name: '최종 점검', weight: 1 }
+    ]
+  },
+  {
+    type: 'cleaning',
+    pattern: /청소|정리|정돈|빨래|설거지/,
+    steps: [
+      { name: '물건 제자리에 두기', weight: 2 },
+      { name: '먼지 털고 닦기', weight: 3 },
+      { name: '바닥 청소', weight: 3 },
+      { name: '쓰레기 정리', weight: 1 }
+    ]
+  },
+  {
+    type: 'exercise',
+    pattern: /운동|헬스|러닝|달리기|스트레칭|요가|산책/,
+    steps: [
+      { name: '준비 운동', weight: 1 },
+      { name: '본 운동', weight: 5 },
+      { name: '마무리 운동', weight: 1 },
+      { name: '정리 및 수분 보충', weight: 1 }
+    ]
+  },
+  {
+    type: 'study',
+    pattern: /공부|학습|시험|숙제|복습|예습|독서|읽기|암기/,
+    steps: [
+      { name: '학습 범위 확인', weight: 1 },
+      { name: '핵심 내용 학습', weight: 5 },
+      { name: '문제 풀이', weight: 3 },
+      { name: '복습 및 정리', weight: 1 }
+    ]
+  },
+  {
+    type: 'work',
+    pattern: /업무|보고서|과제|회의|메일|기획|작성|코딩/,
+    steps: [
+      { name: '자료 준비', weight: 2 },
+      { name: '초안 작성', weight: 5 },
+      { name: '검토 및 수정', weight: 2 },
+      { name: '마무리', weight: 1 }
+    ]
+  }
+];
+
+/**
+ * 가중치 비율로 총 시간(분) 분배
+ * 모든 항목은 최소 1분이며, 합계는 항상 total과 같습니다. (weights.length <= total)
+ */
+function distributeMinutes(total, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const spare = total - weights.length;
+  const shares = weights.map(weight => spare * weight / weightSum);
+  const minutes = shares.map(share => 1 + Math.floor(share));
+
+  // 반올림 오차는 소수점이 큰 항목부터 1분씩 배분
+  const order = shares
+    .map((share, index) => ({ index, fraction: share - Math.floor(share) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index);
+
+  let remaining = total - minutes.reduce((sum, minute) => sum + minute, 0);
+  for (let i = 0; remaining > 0; i++, remaining--) {
+    minutes[order[i % order.length].index] += 1;
+  }
+
+  return minutes;
+}
+
+/**
+ * AI 응답 출처에 따른 제안 유형
+ */
+function resultType(result) {
+  return result.provider === 'local' ? 'rule_based' : 'ai_generated';
+}
 
+class AIService {
   /**
    * 사용자 집중 패턴 분석 및 루틴 제안
    */
   async generateRoutineRecommendation(userData) {
     try {
-      if (!this.isInitialized) {
-        return this.generateFallbackRecommendation(userData);
-      }
-
-      const prompt = this.buildRoutinePrompt(userData);
-      
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '당신은 집중력 향상과 생산성 코칭 전문가입니다. 사용자의 포모도로 데이터를 분석하여 개인화된 루틴을 제안해주세요.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 500,
-        temperature: 0.7
+      const result = await aiClient.generateText({
+        task: 'routine_recommendation',
+        system: '당신은 집중력 향상과 생산성 코칭 전문가입니다. 사용자의 포모도로 데이터를 분석하여 개인화된 루틴을 제안해주세요.',
+        prompt: this.buildRoutinePrompt(userData),
+        maxTokens: 500,
+        temperature: 0.7,
+        fallback: () => this.buildFallbackRecommendation(userData)
       });
 
-      const recommendation = response.choices[0].message.content;
-      
       logger.info('AI 루틴 제안 생성 완료', {
         userId: userData.userId,
-        totalSessions: userData.stats.totalSessions
+        totalSessions: userData.stats.totalSessions,
+        provider: result.provider
       });
 
       return {
         success: true,
-        recommendation,
-        type: 'ai_generated',
+        recommendation: result.content,
+        type: resultType(result),
         confidence: this.calculateConfidence(userData.stats),
         generatedAt: new Date()
       };
@@ -65,8 +144,13 @@ class AIService {
         userId: userData.userId
       });
 
-      // AI 실패 시 폴백 제안 반환
-      return this.generateFallbackRecommendation(userData);
+      return {
+        success: true,
+        recommendation: this.buildFallbackRecommendation(userData),
+        type: 'rule_based',
+        confidence: this.calculateConfidence(userData.stats),
+        generatedAt: new Date()
+      };
     }
   }
 
@@ -137,9 +221,9 @@ class AIService {
   }
 
   /**
-   * AI 실패 시 폴백 제안
+   * 규칙 기반 루틴 제안 (로컬 프로바이더/AI 실패 시)
    */
-  generateFallbackRecommendation(userData) {
+  buildFallbackRecommendation(userData) {
     const { stats, patterns } = userData;
     
     let recommendation = '📋 맞춤 집중 루틴 제안\n\n';
@@ -176,13 +260,7 @@ class AIService {
       recommendation += '\n🎉 훌륭한 완료율이에요! 이 페이스를 유지해보세요!';
     }
 
-    return {
-      success: true,
-      recommendation,
-      type: 'rule_based',
-      confidence: this.calculateConfidence(stats),
-      generatedAt: new Date()
-    };
+    return recommendation;
   }
 
   /**
@@ -190,10 +268,6 @@ class AIService {
    */
   async generateGoalStrategy(goalData) {
     try {
-      if (!this.isInitialized) {
-        return this.generateFallbackGoalStrategy(goalData);
-      }
-
       const prompt = `목표: "${goalData.title}"
 목표 기간: ${goalData.duration}일
 현재 진행률: ${goalData.progress}%
@@ -201,40 +275,39 @@ class AIService {
 
 이 목표를 효과적으로 달성하기 위한 구체적인 전략을 제안해주세요. 포모도로 기법을 활용한 시간 분배와 우선순위를 포함해주세요.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '당신은 목표 달성 코칭 전문가입니다. 포모도로 기법을 활용한 실현 가능한 전략을 제안해주세요.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 400,
-        temperature: 0.7
+      const result = await aiClient.generateText({
+        task: 'goal_strategy',
+        system: '당신은 목표 달성 코칭 전문가입니다. 포모도로 기법을 활용한 실현 가능한 전략을 제안해주세요.',
+        prompt,
+        maxTokens: 400,
+        temperature: 0.7,
+        fallback: () => this.buildFallbackGoalStrategy(goalData)
       });
 
       return {
         success: true,
-        strategy: response.choices[0].message.content,
-        type: 'ai_generated',
+        strategy: result.content,
+        type: resultType(result),
         generatedAt: new Date()
       };
 
     } catch (error) {
       logger.error(`목표 전략 생성 실패: ${error.message}`);
-      return this.generateFallbackGoalStrategy(goalData);
+
+      return {
+        success: true,
+        strategy: this.buildFallbackGoalStrategy(goalData),
+        type: 'rule_based',
+        generatedAt: new Date()
+      };
     }
   }
 
   /**
-   * 폴백 목표 전략
+   * 규칙 기반 목표 전략 (로컬 프로바이더/AI 실패 시)
    */
-  generateFallbackGoalStrategy(goalData) {
-    const dailyTarget = Math.ceil((100 - goalData.progress) / goalData.remainingDays);
+  buildFallbackGoalStrategy(goalData) {
+    const dailyTarget = Math.ceil((100 - goalData.progress) / Math.max(goalData.remainingDays, 1));
     
     let strategy = `🎯 "${goalData.title}" 달성 전략\n\n`;
     
@@ -249,14 +322,162 @@ class AIService {
 3. 주간 검토로 진행 상황 점검
 4. 작은 성취도 축하하며 동기 유지`;
 
+    return strategy;
+  }
+
+  /**
+   * 타임어택 계획 생성 (목표를 단계로 나누고 시간 분배)
+   * @param {Object} planData - { goal, totalMinutes, history, useAI }
+   *   - totalMinutes: 없으면 AI가 제안 (규칙 기반은 30분)
+   *   - history: 과거 단계 시간 정확도 { sessionCount, averageAccuracy }
+   * @returns {Object} { goal, totalMinutes, steps: [{ name, minutes }], prompt, isAiGenerated }
+   */
+  async generateTimeAttackPlan({ goal, totalMinutes = null, history = null, useAI = true }) {
+    const constraints = this.getTimeAttackConstraints(history);
+    const fallback = () => this.buildTimeAttackTemplate(goal, totalMinutes || DEFAULT_TIME_ATTACK_MINUTES, constraints);
+
+    let plan;
+    let prompt = null;
+    let isAiGenerated = false;
+
+    if (useAI) {
+      prompt = this.buildTimeAttackPrompt(goal, totalMinutes, history, constraints);
+
+      try {
+        const result = await aiClient.generateJSON({
+          task: 'time_attack_plan',
+          system: `당신은 FIVLO 앱의 타임어택 코치 "오분이"입니다. 사용자의 목표를 순서대로 실행할 수 있는 단계로 나누고 각 단계에 분 단위 시간을 배분해주세요.
+
+응답 형식:
+{
+  "totalMinutes": 30,
+  "steps": [
+    { "name": "단계명 (50자 이내)", "minutes": 5 }
+  ]
+}
+
+- 모든 단계 시간의 합은 총 시간과 같아야 합니다
+- 단계명은 짧고 행동 중심으로 한국어로 작성`,
+          prompt,
+          temperature: 0.5,
+          maxTokens: 600,
+          schema: TIME_ATTACK_PLAN_SCHEMA,
+          fallback
+        });
+
+        plan = result.data;
+        isAiGenerated = result.provider !== 'local';
+      } catch (error) {
+        logger.error(`타임어택 계획 생성 실패: ${error.message}`, { goal });
+        plan = fallback();
+      }
+    } else {
+      plan = fallback();
+    }
+
+    const total = Math.min(totalMinutes || plan.totalMinutes || DEFAULT_TIME_ATTACK_MINUTES, TIME_ATTACK_MAX_MINUTES);
+
+    return {
+      goal,
+      totalMinutes: total,
+      steps: this.normalizeTimeAttackSteps(goal, plan.steps, total, constraints.maxSteps),
+      prompt,
+      isAiGenerated
+    };
+  }
+
+  /**
+   * 과거 단계 시간 정확도에 따른 계획 제약
+   * 정확도가 낮은 사용자(계획보다 오래 걸림)는 단계를 줄이고 여유 시간을 둡니다.
+   */
+  getTimeAttackConstraints(history) {
+    if (!history || !history.sessionCount) {
+      return { maxSteps: TIME_ATTACK_MAX_STEPS, bufferRatio: 0 };
+    }
+
+    if (history.averageAccuracy < 0.7) {
+      return { maxSteps: 5, bufferRatio: 0.15 };
+    }
+
+    if (history.averageAccuracy < 0.85) {
+      return { maxSteps: 7, bufferRatio: 0.1 };
+    }
+
+    return { maxSteps: TIME_ATTACK_MAX_STEPS, bufferRatio: 0 };
+  }
+
+  /**
+   * 타임어택 계획 프롬프트 생성
+   */
+  buildTimeAttackPrompt(goal, totalMinutes, history, constraints) {
+    let prompt = `목표: ${goal}
+총 시간: ${totalMinutes ? `${totalMinutes}분` : `미정 (1-${TIME_ATTACK_MAX_MINUTES}분 사이로 제안)`}
+단계 수: 1-${constraints.maxSteps}개`;
+
+    if (history && history.sessionCount) {
+      prompt += `\n최근 ${history.sessionCount}회 타임어택의 단계 시간 정확도: 평균 ${Math.round(history.averageAccuracy * 100)}%`;
+    }
+
+    if (constraints.bufferRatio > 0) {
+      prompt += `\n사용자가 계획보다 시간이 더 걸리는 편이니 마지막에 총 시간의 약 ${Math.round(constraints.bufferRatio * 100)}%를 여유 시간 단계로 남겨주세요.`;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * 규칙 기반 타임어택 계획 (로컬 프로바이더/AI 실패 시)
+   * 목표 유형별 템플릿 비율로 시간을 분배합니다.
+   */
+  buildTimeAttackTemplate(goal, totalMinutes, constraints) {
+    const template = TIME_ATTACK_TEMPLATES.find(candidate => candidate.pattern.test(goal));
+
+    const steps = template
+      ? [...template.steps]
+      : [
+        { name: '준비하기', weight: 1 },
+        { name: goal.slice(0, 50), weight: 8 },
+        { name: '마무리하기', weight: 1 }
+      ];
+
+    if (constraints.bufferRatio > 0) {
+      const weightSum = steps.reduce((sum, step) => sum + step.weight, 0);
+      steps.push({
+        name: '여유 시간',
+        weight: weightSum * constraints.bufferRatio / (1 - constraints.bufferRatio)
+      });
+    }
+
+    const usable = steps.slice(0, Math.min(constraints.maxSteps, totalMinutes));
+    const minutes = distributeMinutes(totalMinutes, usable.map(step => step.weight));
+
     return {
-      success: true,
-      strategy,
-      type: 'rule_based',
-      generatedAt: new Date()
+      totalMinutes,
+      steps: usable.map((step, index) => ({ name: step.name, minutes: minutes[index] }))
     };
   }
 
+  /**
+   * 단계 정규화
+   * 단계 수(1-maxSteps)와 이름 길이를 제한하고, 시간 합계를 totalMinutes에 맞춥니다.
+   */
+  normalizeTimeAttackSteps(goal, steps, totalMinutes, maxSteps = TIME_ATTACK_MAX_STEPS) {
+    const valid = (steps || [])
+      .filter(step => step && typeof step.name === 'string' && step.name.trim())
+      .slice(0, Math.min(maxSteps, TIME_ATTACK_MAX_STEPS, totalMinutes));
+
+    if (valid.length === 0) {
+      return [{ name: goal.slice(0, 50), minutes: totalMinutes }];
+    }
+
+    const minutes = distributeMinutes(totalMinutes, valid.map(step => Math.max(Number(step.minutes) || 1, 1)));
+
+    return valid.map((step, index) => ({
+      name: step.name.trim().slice(0, 50),
+      minutes: minutes[index]
+    }));
+  }
+
   /**
    * 집중 인사이트 생성 (analytics에서 호출)
    */
@@ -281,31 +502,36 @@ class AIService {
    * 서비스 상태 확인
    */
   getServiceStatus() {
+    const status = aiClient.getStatus();
+
     return {
-      isInitialized: this.isInitialized,
+      isInitialized: !status.isOffline,
       hasApiKey: !!process.env.OPENAI_API_KEY,
-      provider: 'OpenAI GPT-3.5-turbo'
+      provider: status.provider,
+      model: status.model
     };
   }
 
   /**
    * AI 시스템 상태 확인 (라우터에서 호출)
+   * 로컬 프로바이더로 동작 중이면 규칙 기반 응답만 제공되므로 degraded
    */
   async checkHealth() {
     try {
+      const status = aiClient.getStatus();
+
       return {
-        status: this.isInitialized ? 'healthy' : 'degraded',
-        responseTime: 250,
-        apiQuotaRemaining: 85,
-        provider: 'OpenAI GPT-3.5-turbo',
+        status: status.isOffline ? 'degraded' : 'healthy',
+        provider: status.provider,
+        model: status.model,
+        timeoutMs: status.timeoutMs,
+        maxAttempts: status.maxAttempts,
         hasApiKey: !!process.env.OPENAI_API_KEY
       };
     } catch (error) {
       logger.error(`AI 시스템 상태 확인 실패: ${error.message}`);
       return {
         status: 'unhealthy',
-        responseTime: 0,
-        apiQuotaRemaining: 0,
         error: error.message
       };
     }
@@ -316,29 +542,16 @@ class AIService {
    */
   async generateMotivationMessage(userId, context) {
     try {
-      if (!this.isInitialized) {
-        return this.getDefaultMotivationMessage(context);
-      }
-
-      const prompt = this.buildMotivationPrompt(context);
-      
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-3.5-turbo',
-        messages: [
-          {
-            role: 'system',
-            content: '당신은 동기부여 전문가입니다. 사용자가 지속적으로 집중할 수 있도록 격려하는 메시지를 작성해주세요.'
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        max_tokens: 100,
-        temperature: 0.8
+      const result = await aiClient.generateText({
+        task: 'motivation_message',
+        system: '당신은 동기부여 전문가입니다. 사용자가 지속적으로 집중할 수 있도록 격려하는 메시지를 작성해주세요.',
+        prompt: this.buildMotivationPrompt(context),
+        maxTokens: 100,
+        temperature: 0.8,
+        fallback: () => this.getDefaultMotivationMessage(context)
       });
 
-      return response.choices[0].message.content;
+      return result.content;
       
     } catch (error) {
       logger.error(`AI 동기부여 메시지 생성 실패: ${error.message}`, { userId, context });
@@ -1,10 +1,25 @@
 const PomodoroSession = require('../models/PomodoroSession');
+const Task = require('../models/Task');
+const Category = require('../models/Category');
+const TimeAttackSession = require('../models/TimeAttackSession');
+const Reminder = require('../models/Reminder');
+const WeeklySummary = require('../models/WeeklySummary');
+const DDayGoal = require('../models/DDayGoal');
 const User = require('../models/User');
+const TimezoneUtils = require('../utils/timezone');
 const statisticsHelper = require('../utils/statistics');
 const aiService = require('./aiService');
 const logger = require('../utils/logger');
 const moment = require('moment-timezone');
 
+/**
+ * 가장 큰 값의 인덱스 (모두 0이면 null)
+ */
+const indexOfMax = (values) => {
+  const max = Math.max(...values);
+  return max > 0 ? values.indexOf(max) : null;
+};
+
 class AnalysisService {
   constructor() {
     this.timezone = 'Asia/Seoul';
@@ -29,6 +44,7 @@ class AnalysisService {
       const hourlyData = statisticsHelper.generateHourlyData(sessions);
       const goalStats = statisticsHelper.calculateGoalStats(sessions);
       const optimalTime = statisticsHelper.findOptimalFocusTime(hourlyData);
+      const taskStats = await this.buildTaskFocusStats(userId, sessions);
 
       logger.info('일간 통계 조회 완료', {
         userId,
@@ -46,6 +62,7 @@ class AnalysisService {
         stats,
         hourlyData,
         goalStats,
+        taskStats,
         optimalTime
       };
 
@@ -73,6 +90,7 @@ class AnalysisService {
       const stats = statisticsHelper.calculatePeriodStats(sessions);
       const weeklyData = statisticsHelper.generateWeeklyData(sessions, dateRange.start);
       const goalStats = statisticsHelper.calculateGoalStats(sessions);
+      const taskStats = await this.buildTaskFocusStats(userId, sessions);
 
       logger.info('주간 통계 조회 완료', {
         userId,
@@ -90,6 +108,7 @@ class AnalysisService {
         stats,
         weeklyData,
         goalStats,
+        taskStats,
         bestDay: weeklyData.reduce((best, current) => 
           current.minutes > best.minutes ? current : best, weeklyData[0]
         )
@@ -120,6 +139,7 @@ class AnalysisService {
       const monthlyData = statisticsHelper.generateMonthlyData(sessions, year, month);
       const goalStats = statisticsHelper.calculateGoalStats(sessions);
       const calendarHeatmap = statisticsHelper.generateCalendarHeatmap(sessions, year, month);
+      const taskStats = await this.buildTaskFocusStats(userId, sessions);
 
       logger.info('월간 통계 조회 완료', {
         userId,
@@ -140,6 +160,7 @@ class AnalysisService {
         stats,
         monthlyData,
         goalStats,
+        taskStats,
         calendarHeatmap,
         activeDays: monthlyData.filter(day => day.minutes > 0).length
       };
@@ -151,62 +172,89 @@ class AnalysisService {
   }
 
   /**
-   * D-Day 목표 관리 (유료 기능)
+   * Task/카테고리별 집중 시간 (완료된 집중 세션 기준)
+   * 카테고리는 세션을 시작할 때의 Task 카테고리로 집계하고, 삭제된 Task는 세션 목표를 제목으로 사용합니다.
+   * @param {String} userId - 사용자 ID
+   * @param {Array} sessions - 기간 내 포모도로 세션
+   * @returns {Object} { byTask, byCategory, linkedMinutes, unlinkedMinutes }
    */
-  async getDDayStats(userId, goalTitle) {
-    try {
-      const user = await User.findById(userId);
-      
-      if (!user || !user.isPremium) {
-        throw new Error('D-Day 기능은 유료 사용자만 이용할 수 있습니다.');
+  async buildTaskFocusStats(userId, sessions) {
+    const focusSessions = sessions.filter(session => session.type === 'focus' && session.status === 'completed');
+    const linkedSessions = focusSessions.filter(session => session.taskId);
+    const toMinutes = (seconds) => Math.round(seconds / 60);
+
+    const taskIds = [...new Set(linkedSessions.map(session => String(session.taskId)))];
+    const categoryIds = [...new Set(linkedSessions.filter(session => session.categoryId).map(session => String(session.categoryId)))];
+
+    const [tasks, categories] = await Promise.all([
+      taskIds.length > 0
+        ? Task.find({ _id: { $in: taskIds }, userId }).select('title color categoryId estimatedMinutes actualMinutes checklist')
+        : [],
+      categoryIds.length > 0
+        ? Category.find({ _id: { $in: categoryIds }, userId }).select('name color')
+        : []
+    ]);
+
+    const taskMap = new Map(tasks.map(task => [String(task._id), task]));
+    const categoryMap = new Map(categories.map(category => [String(category._id), category]));
+    const byTask = {};
+    const byCategory = {};
+
+    linkedSessions.forEach(session => {
+      const taskKey = String(session.taskId);
+      const categoryKey = session.categoryId ? String(session.categoryId) : 'uncategorized';
+      const seconds = session.actualDuration || 0;
+
+      if (!byTask[taskKey]) {
+        const task = taskMap.get(taskKey);
+        byTask[taskKey] = {
+          taskId: session.taskId,
+          title: task ? task.title : session.goal,
+          categoryId: session.categoryId,
+          color: (task && task.color) || session.color,
+          deleted: !task,
+          sessions: 0,
+          seconds: 0,
+          timeProgress: task ? task.timeProgress : null
+        };
       }
-
-      const goalSessions = await PomodoroSession.find({
-        userId,
-        goal: { $regex: goalTitle, $options: 'i' }
-      }).sort({ startTime: 1 });
-
-      if (goalSessions.length === 0) {
-        throw new Error('해당 목표에 대한 데이터를 찾을 수 없습니다.');
+      byTask[taskKey].sessions += 1;
+      byTask[taskKey].seconds += seconds;
+
+      if (!byCategory[categoryKey]) {
+        const category = categoryMap.get(categoryKey);
+        byCategory[categoryKey] = {
+          categoryId: session.categoryId,
+          name: category ? category.name : '미분류',
+          color: category ? category.color : null,
+          taskIds: new Set(),
+          sessions: 0,
+          seconds: 0
+        };
       }
+      byCategory[categoryKey].taskIds.add(taskKey);
+      byCategory[categoryKey].sessions += 1;
+      byCategory[categoryKey].seconds += seconds;
+    });
 
-      const startDate = goalSessions[0].startTime;
-      const currentDate = new Date();
-      const totalDays = Math.ceil((currentDate - startDate) / (1000 * 60 * 60 * 24));
-      const remainingDays = Math.max(0, 30 - totalDays);
-
-      const stats = statisticsHelper.calculatePeriodStats(goalSessions);
-      const targetFocusTime = 30 * 120; // 30일 * 2시간 목표
-      const progressPercentage = Math.min(100, Math.round((stats.totalFocusTime / targetFocusTime) * 100));
-
-      logger.info('D-Day 통계 조회 완료', {
-        userId,
-        goalTitle,
-        sessionCount: goalSessions.length,
-        progressPercentage
-      });
-
-      return {
-        goal: {
-          title: goalTitle,
-          startDate,
-          targetDate: moment(startDate).add(30, 'days').toDate(),
-          remainingDays,
-          totalDays: 30
-        },
-        progress: {
-          percentage: progressPercentage,
-          currentFocusTime: stats.totalFocusTime,
-          targetFocusTime,
-          dailyAverage: Math.round(stats.totalFocusTime / totalDays)
-        },
-        stats
-      };
+    const linkedSeconds = linkedSessions.reduce((sum, session) => sum + (session.actualDuration || 0), 0);
+    const totalSeconds = focusSessions.reduce((sum, session) => sum + (session.actualDuration || 0), 0);
 
-    } catch (error) {
-      logger.error(`D-Day 통계 조회 실패: ${error.message}`, { userId, goalTitle });
-      throw error;
-    }
+    return {
+      byTask: Object.values(byTask)
+        .sort((a, b) => b.seconds - a.seconds)
+        .map(({ seconds, ...entry }) => ({ ...entry, focusMinutes: toMinutes(seconds) })),
+      byCategory: Object.values(byCategory)
+        .sort((a, b) => b.seconds - a.seconds)
+        .map(({ seconds, taskIds: ids, ...entry }) => ({
+          ...entry,
+          taskCount: ids.size,
+          focusMinutes: toMinutes(seconds),
+          percentage: linkedSeconds > 0 ? Math.round((seconds / linkedSeconds) * 100) : 0
+        })),
+      linkedMinutes: toMinutes(linkedSeconds),
+      unlinkedMinutes: toMinutes(totalSeconds - linkedSeconds)
+    };
   }
 
   /**
@@ -236,30 +284,249 @@ class AnalysisService {
   }
 
   /**
-   * D-Day 목표 조회 (라우터 호환)
+   * D-Day 목표 목록 조회 (진행 상황 포함)
+   */
+  async getDDayGoals(userId, now = new Date()) {
+    const goals = await DDayGoal.getUserGoals(userId);
+    return await this.buildDDayProgress(userId, goals, now);
+  }
+
+  /**
+   * D-Day 목표 단건 조회 (진행 상황 포함)
    */
-  async getDDayGoals(userId) {
-    // 여기서는 모든 D-Day 목표를 반환하는 로직 구현
-    // 임시로 빈 배열 반환
-    return [];
+  async getDDayGoal(userId, goalId, now = new Date()) {
+    const ddayGoal = await this.findDDayGoal(userId, goalId);
+    const [result] = await this.buildDDayProgress(userId, [ddayGoal], now);
+    return result;
+  }
+
+  /**
+   * D-Day 목표 생성
+   * @param {Object} goalData - { goal, targetDate(YYYY-MM-DD, 사용자 현지 날짜), dailyTarget(분) }
+   */
+  async createDDayGoal(userId, goalData, now = new Date()) {
+    try {
+      const timezone = await this.getUserTimezone(userId);
+
+      const ddayGoal = new DDayGoal({
+        userId,
+        goal: goalData.goal,
+        startDate: moment.tz(now, timezone).startOf('day').toDate(),
+        targetDate: this.parseDDayTargetDate(goalData.targetDate, timezone, now),
+        dailyTargetMinutes: goalData.dailyTarget
+      });
+
+      await ddayGoal.save();
+
+      logger.info('D-Day 목표 생성', { userId, goalId: ddayGoal._id, goal: ddayGoal.goal });
+
+      const [result] = await this.buildDDayProgress(userId, [ddayGoal], now, timezone);
+      return result;
+    } catch (error) {
+      throw this.normalizeDDayError(error, 'D-Day 목표 생성 실패', userId);
+    }
   }
 
   /**
-   * D-Day 목표 생성 (라우터 호환)
+   * D-Day 목표 수정 (목표 이름, 목표일, 일일 목표)
    */
-  async createDDayGoal(userId, goalData) {
-    // 임시 구현 - 실제로는 DB에 저장
+  async updateDDayGoal(userId, goalId, goalData, now = new Date()) {
+    try {
+      const ddayGoal = await this.findDDayGoal(userId, goalId);
+      const timezone = await this.getUserTimezone(userId);
+
+      if (goalData.goal !== undefined) {
+        ddayGoal.goal = goalData.goal;
+      }
+      if (goalData.targetDate !== undefined) {
+        ddayGoal.targetDate = this.parseDDayTargetDate(goalData.targetDate, timezone, now);
+      }
+      if (goalData.dailyTarget !== undefined) {
+        ddayGoal.dailyTargetMinutes = goalData.dailyTarget;
+      }
+
+      await ddayGoal.save();
+
+      logger.info('D-Day 목표 수정', { userId, goalId });
+
+      const [result] = await this.buildDDayProgress(userId, [ddayGoal], now, timezone);
+      return result;
+    } catch (error) {
+      throw this.normalizeDDayError(error, 'D-Day 목표 수정 실패', userId);
+    }
+  }
+
+  /**
+   * D-Day 목표 삭제 (포모도로 세션 기록은 유지)
+   */
+  async deleteDDayGoal(userId, goalId) {
+    const ddayGoal = await this.findDDayGoal(userId, goalId);
+    await ddayGoal.deleteOne();
+
+    logger.info('D-Day 목표 삭제', { userId, goalId });
+
+    return ddayGoal;
+  }
+
+  async findDDayGoal(userId, goalId) {
+    const ddayGoal = await DDayGoal.findOne({ _id: goalId, userId });
+    if (!ddayGoal) {
+      throw new Error('DDAY_GOAL_NOT_FOUND');
+    }
+
+    return ddayGoal;
+  }
+
+  async getUserTimezone(userId) {
+    const user = await User.findById(userId).select('timezone');
+    return TimezoneUtils.resolveTimezone(user?.timezone);
+  }
+
+  /**
+   * 목표일 파싱 (사용자 현지 날짜의 시작 시점, 오늘 이후만 허용)
+   * @throws {Error} INVALID_TARGET_DATE
+   */
+  parseDDayTargetDate(value, timezone, now = new Date()) {
+    const target = moment.tz(value, 'YYYY-MM-DD', true, timezone);
+
+    if (!target.isValid() || target.isBefore(moment.tz(now, timezone).startOf('day'))) {
+      throw new Error('INVALID_TARGET_DATE');
+    }
+
+    return target.startOf('day').toDate();
+  }
+
+  /**
+   * 목표별 완료된 포모도로 집중 세션을 한 번에 조회해 진행 상황 계산
+   */
+  async buildDDayProgress(userId, goals, now = new Date(), timezone = null) {
+    if (goals.length === 0) return [];
+
+    const zone = timezone || await this.getUserTimezone(userId);
+    const earliestStart = new Date(Math.min(...goals.map(goal => goal.startDate.getTime())));
+
+    const sessions = await PomodoroSession.find({
+      userId,
+      type: 'focus',
+      status: 'completed',
+      goal: { $in: goals.map(goal => goal.goal) },
+      startTime: { $gte: earliestStart }
+    }).select('goal startTime actualDuration');
+
+    return goals.map(goal => this.calculateDDayProgress(
+      goal,
+      sessions.filter(session => session.goal === goal.goal),
+      zone,
+      now
+    ));
+  }
+
+  /**
+   * D-Day 진행 상황 계산
+   * - 목표 시간: 일일 목표 × 전체 기간(시작일~목표일)
+   * - 예상 달성: 지금까지의 일평균 집중 시간으로 남은 기간을 채웠을 때의 누적 시간
+   * @param {Object} ddayGoal - DDayGoal 문서
+   * @param {Array} sessions - 해당 목표의 완료된 집중 세션
+   * @param {String} timezone - 사용자 시간대
+   * @param {Date} now - 기준 시점
+   */
+  calculateDDayProgress(ddayGoal, sessions, timezone, now = new Date()) {
+    const today = moment.tz(now, timezone).startOf('day');
+    const startDay = moment.tz(ddayGoal.startDate, timezone).startOf('day');
+    const targetDay = moment.tz(ddayGoal.targetDate, timezone).startOf('day');
+    const periodEnd = targetDay.clone().endOf('day');
+
+    const totalDays = Math.max(targetDay.diff(startDay, 'days') + 1, 1);
+    const elapsedDays = Math.min(Math.max(today.diff(startDay, 'days') + 1, 0), totalDays);
+    const daysLeft = targetDay.diff(today, 'days');
+
+    let focusSeconds = 0;
+    let todaySeconds = 0;
+    let sessionCount = 0;
+
+    sessions.forEach(session => {
+      const startTime = moment(session.startTime);
+      if (startTime.isBefore(startDay) || startTime.isAfter(periodEnd)) return;
+
+      sessionCount += 1;
+      focusSeconds += session.actualDuration || 0;
+      if (startTime.isSameOrAfter(today) && startTime.isBefore(today.clone().add(1, 'day'))) {
+        todaySeconds += session.actualDuration || 0;
+      }
+    });
+
+    const focusMinutes = Math.round(focusSeconds / 60);
+    const targetMinutes = ddayGoal.dailyTargetMinutes * totalDays;
+    const expectedMinutes = ddayGoal.dailyTargetMinutes * elapsedDays;
+    const dailyAverage = elapsedDays > 0 ? Math.round(focusMinutes / elapsedDays) : 0;
+
+    // 오늘은 이미 일평균에 포함되어 있으므로 내일부터 남은 일수로 예측
+    const projectedMinutes = focusMinutes + dailyAverage * Math.max(daysLeft, 0);
+    const remainingMinutes = Math.max(targetMinutes - focusMinutes, 0);
+    const requiredDailyMinutes = daysLeft >= 0 ? Math.ceil(remainingMinutes / (daysLeft + 1)) : 0;
+
+    let status = 'active';
+    if (focusMinutes >= targetMinutes) status = 'achieved';
+    else if (daysLeft < 0) status = 'expired';
+
+    const onTrack = status === 'achieved' || (status === 'active' && projectedMinutes >= targetMinutes);
+
+    let recommendation;
+    if (status === 'achieved') {
+      recommendation = '목표 집중 시간을 달성했어요! 🎉';
+    } else if (status === 'expired') {
+      recommendation = `목표일이 지났어요. 목표의 ${Math.round((focusMinutes / targetMinutes) * 100)}%를 달성했어요.`;
+    } else if (onTrack) {
+      recommendation = `지금 페이스를 유지하면 목표일까지 달성할 수 있어요. 오늘은 ${ddayGoal.dailyTargetMinutes}분을 목표로 해보세요.`;
+    } else {
+      recommendation = `목표일까지 달성하려면 하루 ${requiredDailyMinutes}분씩 집중해야 해요.`;
+    }
+
     return {
-      _id: 'temp-id',
-      ...goalData,
-      daysLeft: 30,
-      progress: 0,
-      onTrack: true,
-      recommendation: "매일 꾸준히 진행하세요",
-      createdAt: new Date()
+      id: ddayGoal._id,
+      goal: ddayGoal.goal,
+      startDate: startDay.format('YYYY-MM-DD'),
+      targetDate: targetDay.format('YYYY-MM-DD'),
+      dailyTarget: ddayGoal.dailyTargetMinutes,
+      totalDays,
+      elapsedDays,
+      daysLeft,
+      status,
+      progress: Math.min(100, Math.round((focusMinutes / targetMinutes) * 100)),
+      onTrack,
+      stats: {
+        focusMinutes,
+        todayMinutes: Math.round(todaySeconds / 60),
+        targetMinutes,
+        expectedMinutes,
+        dailyAverage,
+        projectedMinutes,
+        requiredDailyMinutes,
+        sessionCount
+      },
+      recommendation,
+      createdAt: ddayGoal.createdAt,
+      updatedAt: ddayGoal.updatedAt
     };
   }
 
+  /**
+   * D-Day 목표 DB 오류를 서비스 에러 코드로 변환
+   */
+  normalizeDDayError(error, message, userId) {
+    logger.error(`${message}: ${error.message}`, { userId });
+
+    if (error.code === 11000) {
+      return new Error('DDAY_GOAL_DUPLICATE');
+    }
+
+    if (error.name === 'ValidationError') {
+      return new Error('INVALID_DDAY_GOAL');
+    }
+
+    return error;
+  }
+
   /**
    * 세션 로그 조회 (라우터 호환)
    */
@@ -338,6 +605,129 @@ class AnalysisService {
       throw error;
     }
   }
+
+  /**
+   * 사용자 주간 요약 생성 및 저장
+   * 기준 시점의 사용자 현지 시간으로 직전에 끝난 주를 집계합니다. 같은 주를 다시 생성하면 덮어씁니다.
+   * @param {Object} user - 사용자 (_id, timezone)
+   * @param {Date} referenceDate - 기준 시점
+   * @returns {Object} 저장된 주간 요약
+   */
+  async generateWeeklySummary(user, referenceDate = new Date()) {
+    const timezone = TimezoneUtils.resolveTimezone(user.timezone);
+    const currentWeek = TimezoneUtils.getLocalWeekRange(referenceDate, timezone);
+    const { start, end, weekKey } = TimezoneUtils.getLocalWeekRange(
+      moment(currentWeek.start).subtract(1, 'day').toDate(),
+      timezone
+    );
+    const period = { $gte: start, $lte: end };
+
+    const [focusSessions, timeAttackSessions, reminders] = await Promise.all([
+      PomodoroSession.find({ userId: user._id, type: 'focus', startTime: period })
+        .select('status startTime actualDuration'),
+      TimeAttackSession.find({ userId: user._id, startedAt: period })
+        .select('status actualDuration'),
+      Reminder.find({ userId: user._id, 'completionHistory.date': period })
+        .select('type completionHistory')
+    ]);
+
+    // 포모도로 집중 통계 (완료한 집중 세션의 실제 진행 시간 기준)
+    const dailyMinutes = Array(7).fill(0);
+    const hourlyMinutes = Array(24).fill(0);
+    let totalFocusSeconds = 0;
+    let completedSessions = 0;
+
+    focusSessions.forEach(session => {
+      if (session.status !== 'completed') return;
+
+      const local = moment.tz(session.startTime, timezone);
+      const minutes = Math.round((session.actualDuration || 0) / 60);
+
+      completedSessions += 1;
+      totalFocusSeconds += session.actualDuration || 0;
+      dailyMinutes[local.day()] += minutes;
+      hourlyMinutes[local.hour()] += minutes;
+    });
+
+    // 알림 통계
+    const notifyHours = Array(24).fill(0);
+    const reminderStats = { totalNotified: 0, completed: 0, missed: 0, snoozed: 0 };
+    const locationStats = { total: 0, completed: 0 };
+
+    reminders.forEach(reminder => {
+      reminder.completionHistory
+        .filter(record => record.date >= start && record.date <= end)
+        .forEach(record => {
+          reminderStats.totalNotified += 1;
+          notifyHours[moment.tz(record.notifiedAt || record.date, timezone).hour()] += 1;
+
+          if (record.status === 'completed') reminderStats.completed += 1;
+          if (record.status === 'missed') reminderStats.missed += 1;
+          if (record.snoozeCount > 0) reminderStats.snoozed += 1;
+
+          if (reminder.type === 'time_and_location') {
+            locationStats.total += 1;
+            if (record.status === 'completed') locationStats.completed += 1;
+          }
+        });
+    });
+
+    const summary = {
+      userId: user._id,
+      weekKey,
+      weekStart: start,
+      weekEnd: end,
+      timezone,
+      focus: {
+        totalSessions: focusSessions.length,
+        completedSessions,
+        totalFocusMinutes: Math.round(totalFocusSeconds / 60),
+        dailyMinutes,
+        bestDay: indexOfMax(dailyMinutes),
+        peakHour: indexOfMax(hourlyMinutes)
+      },
+      reminders: {
+        ...reminderStats,
+        completionRate: reminderStats.totalNotified > 0
+          ? Math.round(reminderStats.completed / reminderStats.totalNotified * 100)
+          : 0,
+        peakHour: indexOfMax(notifyHours),
+        locationCompletionRate: locationStats.total > 0
+          ? Math.round(locationStats.completed / locationStats.total * 100)
+          : null
+      },
+      timeAttack: {
+        totalSessions: timeAttackSessions.length,
+        completedSessions: timeAttackSessions.filter(session => session.status === 'completed').length,
+        totalMinutes: Math.round(
+          timeAttackSessions.reduce((sum, session) => sum + (session.actualDuration || 0), 0) / 60
+        )
+      },
+      generatedAt: new Date()
+    };
+
+    return await WeeklySummary.findOneAndUpdate(
+      { userId: user._id, weekKey },
+      { $set: summary },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * 저장된 주간 요약 조회
+   * @param {String} userId - 사용자 ID
+   * @param {Object} options - { week, limit }
+   * @returns {Array} 주간 요약 목록 (최신순)
+   */
+  async getWeeklySummaries(userId, options = {}) {
+    const { week, limit = 12 } = options;
+
+    if (week) {
+      return await WeeklySummary.find({ userId, weekKey: week });
+    }
+
+    return await WeeklySummary.getUserSummaries(userId, parseInt(limit));
+  }
 }
 
 module.exports = new AnalysisService();
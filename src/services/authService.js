@@ -1,15 +1,25 @@
 const User = require('../models/User');
-const { generateTokenPair, verifyToken } = require('../utils/jwt');
+const deviceService = require('./deviceService');
+const sessionService = require('./sessionService');
+const subscriptionService = require('./subscriptionService');
+const { mailer } = require('./mail');
+const { socialTokenVerifier, APPLE_PRIVATE_RELAY_DOMAIN } = require('./oauth');
 const logger = require('../utils/logger');
 const crypto = require('crypto');
 
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+// 인증 메일 재요청 최소 간격
+const EMAIL_RESEND_COOLDOWN_MS = 60 * 1000;
+
 class AuthService {
   /**
    * 이메일로 회원가입
    * @param {Object} userData - 사용자 데이터
+   * @param {Object} context - 접속 정보 { userAgent, ip }
    * @returns {Object} 생성된 사용자와 토큰
    */
-  async registerWithEmail(userData) {
+  async registerWithEmail(userData, context = {}) {
     try {
       const { email, password, profileName, userType } = userData;
 
@@ -25,14 +35,20 @@ class AuthService {
         password,
         profileName,
         userType,
-        isEmailVerified: false,
-        emailVerificationToken: crypto.randomBytes(32).toString('hex')
+        isEmailVerified: false
       });
 
       await user.save();
 
+      // 인증 메일 발송 실패가 가입 자체를 막지 않도록 처리 (재요청 가능)
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error(`가입 인증 메일 발송 실패: ${mailError.message}`, { userId: user._id });
+      }
+
       // 토큰 생성
-      const tokens = generateTokenPair(user);
+      const tokens = await sessionService.createSession(user, context);
 
       logger.info('이메일 회원가입 성공', { 
         userId: user._id,
@@ -56,9 +72,10 @@ class AuthService {
    * 이메일로 로그인
    * @param {String} email - 이메일
    * @param {String} password - 비밀번호
+   * @param {Object} context - 접속 정보 { userAgent, ip }
    * @returns {Object} 사용자와 토큰
    */
-  async loginWithEmail(email, password) {
+  async loginWithEmail(email, password, context = {}) {
     try {
       // 사용자 조회 (비밀번호 포함)
       const user = await User.findOne({ email }).select('+password');
@@ -82,7 +99,7 @@ class AuthService {
       await user.save();
 
       // 토큰 생성
-      const tokens = generateTokenPair(user);
+      const tokens = await sessionService.createSession(user, context);
 
       logger.info('이메일 로그인 성공', { 
         userId: user._id,
@@ -101,51 +118,108 @@ class AuthService {
     }
   }
 
+  /**
+   * Google 로그인 (ID 토큰 검증 후 소셜 로그인)
+   * @param {Object} data - { idToken, nonce, userType }
+   * @param {Object} context - 접속 정보 { userAgent, ip }
+   */
+  async loginWithGoogle({ idToken, nonce, userType }, context = {}) {
+    const profile = await socialTokenVerifier.verifyGoogleIdToken(idToken, { nonce });
+
+    return this.loginWithSocial({
+      ...profile,
+      socialProvider: 'google',
+      userType
+    }, context);
+  }
+
+  /**
+   * Apple 로그인 (identityToken 검증 후 소셜 로그인)
+   * Apple은 최초 로그인 때만 앱에 이름을 전달하므로 profileName은 앱에서 받아 사용합니다.
+   * @param {Object} data - { identityToken, nonce, profileName, userType }
+   * @param {Object} context - 접속 정보 { userAgent, ip }
+   */
+  async loginWithApple({ identityToken, nonce, profileName, userType }, context = {}) {
+    const profile = await socialTokenVerifier.verifyAppleIdentityToken(identityToken, { nonce });
+
+    return this.loginWithSocial({
+      ...profile,
+      socialProvider: 'apple',
+      profileName: profileName || null,
+      userType
+    }, context);
+  }
+
   /**
    * 소셜 로그인 (Google/Apple)
+   * 검증된 토큰 정보로만 호출해야 합니다.
    * @param {Object} socialData - 소셜 로그인 데이터
-   * @returns {Object} 사용자와 토큰
+   * @param {Object} context - 접속 정보 { userAgent, ip }
+   * @returns {Object} 사용자와 토큰, 신규 가입 여부
    */
-  async loginWithSocial(socialData) {
+  async loginWithSocial(socialData, context = {}) {
     try {
       const { 
         socialId, 
         socialProvider, 
         email, 
+        emailVerified = false,
+        isPrivateEmail = false,
         profileName, 
         profileImage,
-        userType = 'focus'
+        userType = '집중력개선'
       } = socialData;
 
+      let isNewUser = false;
+
       // 기존 소셜 계정 확인
       let user = await User.findOne({ 
         socialId, 
         socialProvider 
       });
 
-      if (!user) {
+      if (user) {
+        // Apple 이메일 가리기 주소가 바뀐 경우 (가리기 해제/재설정)
+        if (email && email !== user.email && (isPrivateEmail || user.email.endsWith(APPLE_PRIVATE_RELAY_DOMAIN))) {
+          const taken = await User.exists({ email, _id: { $ne: user._id } });
+          if (!taken) {
+            logger.info('소셜 계정 이메일 변경', { userId: user._id, socialProvider });
+            user.email = email;
+          }
+        }
+      } else {
+        if (!email) {
+          // Apple은 이메일 제공 동의 없이 로그인하면 이메일을 주지 않음
+          throw new Error('SOCIAL_EMAIL_REQUIRED');
+        }
+
         // 이메일로 기존 계정 확인
         const existingUser = await User.findOne({ email });
         if (existingUser) {
+          this.assertLinkable(existingUser, { socialProvider, emailVerified });
+
           // 기존 계정에 소셜 정보 연결
           existingUser.socialId = socialId;
           existingUser.socialProvider = socialProvider;
+          existingUser.isEmailVerified = true;
           if (profileImage && !existingUser.profileImage) {
             existingUser.profileImage = profileImage;
           }
-          user = await existingUser.save();
+          user = existingUser;
+
+          logger.info('기존 계정에 소셜 로그인 연결', { userId: user._id, socialProvider });
         } else {
           // 새 소셜 계정 생성
           user = new User({
             email,
             socialId,
             socialProvider,
-            profileName,
+            profileName: (profileName || email.split('@')[0]).slice(0, 50),
             profileImage,
             userType,
-            isEmailVerified: true
+            isEmailVerified: emailVerified
           });
-          await user.save();
+          isNewUser = true;
         }
       }
 
@@ -159,17 +233,19 @@ class AuthService {
       await user.save();
 
       // 토큰 생성
-      const tokens = generateTokenPair(user);
+      const tokens = await sessionService.createSession(user, context);
 
       logger.info('소셜 로그인 성공', { 
         userId: user._id,
         email: user.email,
-        socialProvider 
+        socialProvider,
+        isNewUser
       });
 
       return {
         user: user.toJSON(),
-        tokens
+        tokens,
+        isNewUser
       };
     } catch (error) {
       logger.error(`소셜 로그인 실패: ${error.message}`, { 
@@ -181,30 +257,44 @@ class AuthService {
   }
 
   /**
-   * 토큰 갱신
+   * 이메일이 같은 기존 계정에 소셜 로그인을 연결할 수 있는지 확인
+   * - 공급자가 이메일 소유를 확인하지 않았으면 연결 불가
+   * - 인증되지 않은 비밀번호 계정은 남이 먼저 가입해 둔 계정일 수 있으므로 이메일 인증 후 연결
+   * - 다른 소셜 계정이 이미 연결되어 있으면 연결 불가
+   * @throws {Error} SOCIAL_EMAIL_NOT_VERIFIED | EMAIL_VERIFICATION_REQUIRED | SOCIAL_ACCOUNT_CONFLICT
+   */
+  assertLinkable(existingUser, { socialProvider, emailVerified }) {
+    if (!emailVerified) {
+      throw new Error('SOCIAL_EMAIL_NOT_VERIFIED');
+    }
+
+    if (existingUser.socialId) {
+      logger.warn('다른 소셜 계정이 연결된 이메일', {
+        userId: existingUser._id,
+        linkedProvider: existingUser.socialProvider,
+        socialProvider
+      });
+      throw new Error('SOCIAL_ACCOUNT_CONFLICT');
+    }
+
+    if (!existingUser.isEmailVerified) {
+      throw new Error('EMAIL_VERIFICATION_REQUIRED');
+    }
+  }
+
+  /**
+   * 토큰 갱신 (리프레시 토큰 교체)
    * @param {String} refreshToken - 리프레시 토큰
+   * @param {Object} context - 접속 정보 { userAgent, ip }
    * @returns {Object} 새로운 토큰 세트
    */
-  async refreshTokens(refreshToken) {
+  async refreshTokens(refreshToken, context = {}) {
     try {
-      // 리프레시 토큰 검증
-      const decoded = verifyToken(refreshToken);
-      
-      if (decoded.type !== 'refresh') {
-        throw new Error('유효하지 않은 리프레시 토큰입니다.');
-      }
-
-      // 사용자 조회
-      const user = await User.findById(decoded.userId);
-      if (!user || !user.isActive) {
-        throw new Error('사용자를 찾을 수 없거나 비활성화된 계정입니다.');
-      }
-
-      // 새 토큰 생성
-      const tokens = generateTokenPair(user);
+      const { user, tokens, sessionId } = await sessionService.rotateSession(refreshToken, context);
 
       logger.info('토큰 갱신 성공', { 
-        userId: user._id 
+        userId: user._id,
+        sessionId
       });
 
       return {
@@ -218,28 +308,25 @@ class AuthService {
   }
 
   /**
-   * 로그아웃
+   * 로그아웃 (리프레시 토큰 세션 폐기)
    * @param {String} userId - 사용자 ID
    * @param {String} refreshToken - 리프레시 토큰
+   * @param {String} deviceToken - 푸시 해제할 디바이스 토큰 (선택)
    * @returns {Boolean} 로그아웃 성공 여부
    */
-  async logout(userId, refreshToken) {
+  async logout(userId, refreshToken, deviceToken = null) {
     try {
-      // 리프레시 토큰 검증
-      const decoded = verifyToken(refreshToken);
-      
-      if (decoded.type !== 'refresh' || decoded.userId !== userId) {
-        throw new Error('유효하지 않은 리프레시 토큰입니다.');
-      }
-
-      // 사용자 조회
       const user = await User.findById(userId);
       if (!user) {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      // 실제 토큰 무효화 로직은 JWT의 특성상 클라이언트에서 토큰을 삭제하는 것으로 처리
-      // 필요시 블랙리스트나 토큰 저장소를 통해 무효화 가능
+      await sessionService.revokeByRefreshToken(user._id, refreshToken, 'logout');
+
+      // 로그아웃한 기기로는 더 이상 푸시 알림을 보내지 않음
+      if (deviceToken) {
+        await deviceService.removeDeviceToken(user._id, deviceToken);
+      }
 
       logger.info('로그아웃 성공', { 
         userId: user._id 
@@ -254,12 +341,23 @@ class AuthService {
 
   /**
    * 테스트 계정 생성/조회
+   * @param {Object} context - 접속 정보 { userAgent, ip }
    * @returns {Object} 테스트 계정과 토큰
    */
-  async createTestAccount() {
+  async createTestAccount(context = {}) {
     try {
       const user = await User.createTestAccount();
-      const tokens = generateTokenPair(user);
+
+      // 테스트 계정은 항상 프리미엄 기능을 쓸 수 있도록 1년 무료 제공
+      if (!user.checkPremiumStatus()) {
+        const { entitlement } = await subscriptionService.grantComplimentary(user._id, 365, {
+          provider: 'system',
+          note: '테스트 계정'
+        });
+        user.set(entitlement);
+      }
+
+      const tokens = await sessionService.createSession(user, context);
 
       logger.info('테스트 계정 생성/조회 완료', { 
         userId: user._id,
@@ -275,6 +373,176 @@ class AuthService {
       throw error;
     }
   }
+
+  /**
+   * 이메일 인증 메일 재요청
+   * @param {String} userId - 사용자 ID
+   * @throws {Error} EMAIL_ALREADY_VERIFIED | EMAIL_VERIFICATION_COOLDOWN
+   */
+  async requestEmailVerification(userId) {
+    const user = await User.findById(userId).select('+emailVerificationExpires');
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    if (user.isEmailVerified) {
+      throw new Error('EMAIL_ALREADY_VERIFIED');
+    }
+
+    // 만료 시각에서 발급 시각을 역산해 연속 요청 제한
+    if (user.emailVerificationExpires) {
+      const issuedAt = user.emailVerificationExpires.getTime() - EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000;
+      if (Date.now() - issuedAt < EMAIL_RESEND_COOLDOWN_MS) {
+        throw new Error('EMAIL_VERIFICATION_COOLDOWN');
+      }
+    }
+
+    await this.sendVerificationEmail(user);
+
+    logger.info('이메일 인증 메일 재발송', { userId: user._id });
+
+    return { email: user.email, expiresInHours: EMAIL_VERIFICATION_TTL_HOURS };
+  }
+
+  /**
+   * 이메일 인증 토큰 사용
+   * @param {String} token - 메일로 받은 토큰
+   * @returns {Object} 인증된 사용자
+   * @throws {Error} INVALID_VERIFICATION_TOKEN
+   */
+  async verifyEmail(token) {
+    // 조회와 동시에 토큰을 제거해 한 번만 사용되도록 처리
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: this.hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $set: { isEmailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('INVALID_VERIFICATION_TOKEN');
+    }
+
+    logger.info('이메일 인증 완료', { userId: user._id, email: user.email });
+
+    return user.toJSON();
+  }
+
+  /**
+   * 비밀번호 재설정 메일 요청
+   * 가입 여부가 드러나지 않도록 사용자가 없거나 메일 발송에 실패해도 조용히 종료합니다.
+   * @param {String} email - 이메일
+   */
+  async requestPasswordReset(email) {
+    const user = await User.findOne({ email }).select('+passwordResetExpires');
+    if (!user || !user.isActive) {
+      logger.info('비밀번호 재설정 요청 - 대상 계정 없음', { email });
+      return;
+    }
+
+    if (user.passwordResetExpires) {
+      const issuedAt = user.passwordResetExpires.getTime() - PASSWORD_RESET_TTL_MINUTES * 60 * 1000;
+      if (Date.now() - issuedAt < EMAIL_RESEND_COOLDOWN_MS) {
+        logger.info('비밀번호 재설정 요청 - 재요청 간격 미달', { userId: user._id });
+        return;
+      }
+    }
+
+    const token = this.generateToken();
+    user.passwordResetToken = this.hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    // 발송 실패도 응답으로 드러나지 않도록 기록만 하고, 바로 다시 요청할 수 있게 토큰을 되돌림
+    try {
+      await mailer.sendTemplate('passwordReset', user.email, {
+        profileName: user.profileName,
+        link: this.buildActionLink('reset-password', token),
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      });
+    } catch (error) {
+      logger.error(`비밀번호 재설정 메일 발송 실패: ${error.message}`, { userId: user._id });
+      await User.updateOne(
+        { _id: user._id, passwordResetToken: user.passwordResetToken },
+        { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } }
+      ).catch(() => {});
+      return;
+    }
+
+    logger.info('비밀번호 재설정 메일 발송', { userId: user._id });
+  }
+
+  /**
+   * 비밀번호 재설정 토큰 사용
+   * 재설정 후 모든 로그인 세션을 폐기합니다.
+   * @param {String} token - 메일로 받은 토큰
+   * @param {String} newPassword - 새 비밀번호
+   * @throws {Error} INVALID_RESET_TOKEN
+   */
+  async resetPassword(token, newPassword) {
+    // 토큰을 먼저 제거해 동시 요청 중 하나만 성공하도록 처리
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: this.hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('INVALID_RESET_TOKEN');
+    }
+
+    // 메일로 받은 링크를 사용했으므로 이메일 소유도 확인된 것으로 처리
+    user.password = newPassword;
+    user.isEmailVerified = true;
+    await user.save();
+
+    const revoked = await sessionService.revokeAllSessions(user._id, 'password_changed');
+
+    logger.info('비밀번호 재설정 완료', { userId: user._id, revokedSessions: revoked });
+
+    return true;
+  }
+
+  /**
+   * 인증 토큰 발급 및 메일 발송
+   */
+  async sendVerificationEmail(user) {
+    const token = this.generateToken();
+    user.emailVerificationToken = this.hashToken(token);
+    user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await user.save();
+
+    await mailer.sendTemplate('emailVerification', user.email, {
+      profileName: user.profileName,
+      link: this.buildActionLink('verify-email', token),
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+    });
+  }
+
+  /**
+   * 메일 링크 생성 (앱/웹에서 토큰을 받아 API 호출)
+   */
+  buildActionLink(action, token) {
+    const baseUrl = (process.env.APP_BASE_URL || 'http://localhost:3000').replace(/\/$/, '');
+    return `${baseUrl}/${action}?token=${token}`;
+  }
+
+  generateToken() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
 }
 
 module.exports = new AuthService();
@@ -1,109 +1,129 @@
 /**
  * 결제 및 구독 관리 서비스
- * Premium 구독 결제 세션 생성 및 웹훅 처리
+ * Premium 구독 결제 세션 생성, 결제 완료 처리, 해지/재개, 결제사 웹훅 처리
+ * (구독 상태 전이는 subscriptionService가 담당)
+ *
+ * 웹훅 서명: Fivlo-Signature: t=<unix 초>,v1=<hex>
+ *   v1 = HMAC-SHA256(BILLING_WEBHOOK_SECRET, `${t}.${원본 요청 본문}`)
  */
 
+const crypto = require('crypto');
 const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const BillingEvent = require('../models/BillingEvent');
+const subscriptionService = require('./subscriptionService');
+const { PLANS, WEBHOOK_EVENT_TYPES } = require('../config/plans');
 const logger = require('../utils/logger');
 
+const CHECKOUT_BASE_URL = process.env.CHECKOUT_BASE_URL || 'https://checkout.fivlo.com/pay';
+
+// Premium 가입 보너스 코인
+const SIGNUP_BONUS_COINS = 10;
+
+// 서명 시각 허용 오차 (재전송 공격 방지)
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.BILLING_WEBHOOK_TOLERANCE_SECONDS) || 300;
+
+// 처리 중(processing)으로 남은 이벤트를 다시 처리할 수 있게 되는 시간 (처리 도중 서버 종료 대비)
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// 발생 순서와 관계없이 항상 반영하는 이벤트 (프리미엄 회수)
+const REVOKING_EVENTS = {
+  'charge.refunded': 'refunded',
+  'charge.dispute_created': 'chargeback'
+};
+
+// 처리해도 상태가 바뀌지 않는 오류 (재전송해도 결과가 같으므로 ignored로 기록)
+const UNPROCESSABLE_EVENT_ERRORS = [
+  'SUBSCRIPTION_NOT_FOUND',
+  'SUBSCRIPTION_NOT_RENEWABLE',
+  'CHECKOUT_SESSION_NOT_FOUND',
+  'CHECKOUT_SESSION_EXPIRED'
+];
+
 class BillingService {
   /**
    * 구독 결제 세션 생성
    * POST /api/billing/checkout
+   * @throws {Error} INVALID_PLAN | ALREADY_SUBSCRIBED
    */
-  async createCheckoutSession(userId, plan = 'premium') {
+  async createCheckoutSession({ userId, plan, returnUrl = null, cancelUrl = null }) {
     try {
       logger.info('구독 결제 세션 생성 요청', { userId, plan });
 
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('사용자를 찾을 수 없습니다.');
-      }
+      const subscription = await subscriptionService.createCheckout(userId, plan);
 
-      if (user.subscriptionType === 'premium') {
-        throw new Error('이미 Premium 구독 중입니다.');
-      }
+      const query = new URLSearchParams();
+      if (returnUrl) query.set('returnUrl', returnUrl);
+      if (cancelUrl) query.set('cancelUrl', cancelUrl);
+      const queryString = query.toString();
 
-      // 실제 결제 시스템 연동 시 구현 (Stripe, 아임포트 등)
-      // 현재는 더미 데이터 반환
       const checkoutSession = {
-        sessionId: `cs_test_${Date.now()}`,
-        url: `https://checkout.fivlo.com/pay/${userId}`,
+        id: subscription.checkoutSessionId,
+        url: `${CHECKOUT_BASE_URL}/${subscription.checkoutSessionId}${queryString ? `?${queryString}` : ''}`,
         plan,
-        amount: 4900, // 월 4,900원
-        currency: 'KRW'
+        amount: PLANS[plan].price,
+        currency: PLANS[plan].currency,
+        expiresAt: subscription.checkoutExpiresAt
       };
 
-      logger.info('구독 결제 세션 생성 완료', { 
-        userId, 
-        sessionId: checkoutSession.sessionId,
+      logger.info('구독 결제 세션 생성 완료', {
+        userId,
+        sessionId: checkoutSession.id,
         plan,
         amount: checkoutSession.amount
       });
 
       return checkoutSession;
     } catch (error) {
-      logger.error('구독 결제 세션 생성 실패', { 
-        error: error.message, 
-        userId, 
-        plan 
+      logger.error('구독 결제 세션 생성 실패', {
+        error: error.message,
+        userId,
+        plan
       });
       throw error;
     }
   }
 
   /**
-   * 결제 웹훅 처리 (결제 성공 시 Premium 승격)
-   * POST /api/billing/webhook
+   * 결제 완료 처리 (결제 세션의 구독 활성화)
+   * 같은 세션이 다시 완료되어도 구독과 보너스는 한 번만 적용됩니다.
+   * @throws {Error} CHECKOUT_SESSION_NOT_FOUND | CHECKOUT_SESSION_EXPIRED
    */
-  async handlePaymentWebhook(webhookData) {
+  async completeCheckout(userId, checkoutSessionId, { externalId = null } = {}) {
     try {
-      logger.info('결제 웹훅 수신', { webhookData });
+      const pending = await Subscription.findOne({ userId, checkoutSessionId });
+      if (!pending) {
+        throw new Error('CHECKOUT_SESSION_NOT_FOUND');
+      }
 
-      const { userId, sessionId, status, plan } = webhookData;
+      const firstActivation = pending.status === 'incomplete';
 
-      if (status !== 'completed') {
-        logger.warn('결제 미완료 상태', { userId, sessionId, status });
-        return { success: false, message: '결제가 완료되지 않았습니다.' };
-      }
+      const subscription = await subscriptionService.activatePremium(userId, pending.plan, {
+        provider: 'checkout',
+        checkoutSessionId,
+        externalId
+      });
 
-      // 사용자 Premium 승격
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('사용자를 찾을 수 없습니다.');
+      if (firstActivation) {
+        await User.updateOne({ _id: userId }, { $inc: { coins: SIGNUP_BONUS_COINS } });
       }
 
-      // Premium 구독 활성화
-      user.subscriptionType = 'premium';
-      user.subscriptionStartDate = new Date();
-      
-      // 1개월 후 만료 (실제로는 결제 시스템에서 관리)
-      const subscriptionEndDate = new Date();
-      subscriptionEndDate.setMonth(subscriptionEndDate.getMonth() + 1);
-      user.subscriptionEndDate = subscriptionEndDate;
-      
-      // 초기 코인 지급 (Premium 가입 보너스)
-      user.coins += 10;
-
-      await user.save();
-
-      logger.info('Premium 구독 활성화 완료', { 
-        userId, 
-        sessionId,
-        subscriptionEndDate: user.subscriptionEndDate,
-        bonusCoins: 10
+      logger.info('결제 완료 처리', {
+        userId,
+        checkoutSessionId,
+        subscriptionId: subscription._id,
+        bonusCoins: firstActivation ? SIGNUP_BONUS_COINS : 0
       });
 
-      return { 
-        success: true, 
-        message: 'Premium 구독이 활성화되었습니다.',
-        subscriptionEndDate: user.subscriptionEndDate,
-        bonusCoins: 10
+      return {
+        subscription: subscriptionService.formatSubscription(subscription),
+        bonusCoins: firstActivation ? SIGNUP_BONUS_COINS : 0
       };
     } catch (error) {
-      logger.error('결제 웹훅 처리 실패', { 
-        error: error.message, 
-        webhookData 
+      logger.error('결제 완료 처리 실패', {
+        error: error.message,
+        userId,
+        checkoutSessionId
       });
       throw error;
     }
@@ -115,88 +135,403 @@ class BillingService {
    */
   async getSubscriptionStatus(userId) {
     try {
-      logger.info('구독 상태 조회', { userId });
+      const summary = await subscriptionService.getSummary(userId);
 
-      const user = await User.findById(userId).select('subscriptionType subscriptionEndDate coins');
-      if (!user) {
-        throw new Error('사용자를 찾을 수 없습니다.');
-      }
+      logger.info('구독 상태 조회 완료', {
+        userId,
+        isPremium: summary.isPremium,
+        status: summary.subscription ? summary.subscription.status : null
+      });
 
-      const subscription = {
-        type: user.subscriptionType,
-        isActive: user.subscriptionType === 'premium',
-        endDate: user.subscriptionEndDate,
-        coins: user.coins || 0
-      };
+      return summary;
+    } catch (error) {
+      logger.error('구독 상태 조회 실패', {
+        error: error.message,
+        userId
+      });
+      throw error;
+    }
+  }
 
-      // Premium 구독 만료 확인
-      if (user.subscriptionType === 'premium' && user.subscriptionEndDate) {
-        const now = new Date();
-        if (now > user.subscriptionEndDate) {
-          // 구독 만료 처리
-          user.subscriptionType = 'free';
-          user.subscriptionEndDate = null;
-          await user.save();
-          
-          subscription.type = 'free';
-          subscription.isActive = false;
-          subscription.endDate = null;
-
-          logger.info('Premium 구독 만료 처리', { userId });
-        }
-      }
+  /**
+   * 구독 해지 (현재 결제 기간 종료 시 해지)
+   * @throws {Error} NO_ACTIVE_SUBSCRIPTION | ALREADY_CANCELED
+   */
+  async cancelSubscription(userId) {
+    try {
+      const subscription = await subscriptionService.cancelAtPeriodEnd(userId);
 
-      logger.info('구독 상태 조회 완료', { 
-        userId, 
-        subscriptionType: subscription.type,
-        isActive: subscription.isActive
+      return subscriptionService.formatSubscription(subscription);
+    } catch (error) {
+      logger.error('구독 해지 실패', {
+        error: error.message,
+        userId
       });
+      throw error;
+    }
+  }
+
+  /**
+   * 구독 해지 철회
+   * @throws {Error} NO_ACTIVE_SUBSCRIPTION | NOT_CANCELED
+   */
+  async resumeSubscription(userId) {
+    try {
+      const subscription = await subscriptionService.resume(userId);
 
-      return subscription;
+      return subscriptionService.formatSubscription(subscription);
     } catch (error) {
-      logger.error('구독 상태 조회 실패', { 
-        error: error.message, 
-        userId 
+      logger.error('구독 해지 철회 실패', {
+        error: error.message,
+        userId
       });
       throw error;
     }
   }
 
+  // ===== 웹훅 =====
+
+  getWebhookSecret() {
+    const secret = process.env.BILLING_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new Error('WEBHOOK_NOT_CONFIGURED');
+    }
+    return secret;
+  }
+
   /**
-   * 구독 취소 (테스트용)
+   * 웹훅 서명 헤더 생성
    */
-  async cancelSubscription(userId) {
-    try {
-      logger.info('구독 취소 요청', { userId });
+  signWebhookPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.getWebhookSecret())
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
 
-      const user = await User.findById(userId);
-      if (!user) {
-        throw new Error('사용자를 찾을 수 없습니다.');
-      }
+    return `t=${timestamp},v1=${signature}`;
+  }
 
-      if (user.subscriptionType !== 'premium') {
-        throw new Error('Premium 구독 중이 아닙니다.');
-      }
+  /**
+   * 웹훅 서명 검증
+   * @throws {Error} WEBHOOK_NOT_CONFIGURED | INVALID_WEBHOOK_SIGNATURE
+   */
+  verifyWebhookSignature(rawBody, signatureHeader, now = Date.now()) {
+    const secret = this.getWebhookSecret();
+
+    if (!rawBody || !signatureHeader) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    let timestamp = null;
+    const signatures = [];
+    for (const part of signatureHeader.split(',')) {
+      const [key, value] = part.trim().split('=');
+      if (key === 't') timestamp = parseInt(value, 10);
+      if (key === 'v1' && /^[0-9a-f]{64}$/.test(value)) signatures.push(value);
+    }
+
+    if (!Number.isFinite(timestamp) || signatures.length === 0) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      logger.warn('웹훅 서명 시각 허용 범위 초과', { timestamp });
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${rawBody}`)
+      .digest();
+
+    const matched = signatures.some(signature =>
+      crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))
+    );
+    if (!matched) {
+      throw new Error('INVALID_WEBHOOK_SIGNATURE');
+    }
+  }
+
+  /**
+   * 서명된 결제사 웹훅 처리
+   * POST /api/billing/webhook
+   *
+   * - 서명 검증 후 원본 본문을 그대로 파싱해 사용합니다.
+   * - 같은 이벤트 ID는 한 번만 반영합니다 (실패한 이벤트는 재전송 시 다시 처리).
+   * - 구독에 이미 반영된 이벤트보다 먼저 발생한 이벤트는 무시합니다. 환불/차지백은 항상 반영합니다.
+   *
+   * @param {String|Buffer} rawBody - 원본 요청 본문
+   * @param {String} signatureHeader - Fivlo-Signature 헤더
+   * @returns {Object} { eventId, type, status, duplicate, reason }
+   * @throws {Error} WEBHOOK_NOT_CONFIGURED | INVALID_WEBHOOK_SIGNATURE | INVALID_WEBHOOK_PAYLOAD
+   */
+  async handleWebhook(rawBody, signatureHeader) {
+    const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody;
+
+    this.verifyWebhookSignature(body, signatureHeader);
+
+    const event = this.parseWebhookEvent(body);
+
+    return this.processEvent('checkout', event, () => this.applyWebhookEvent(event));
+  }
+
+  /**
+   * 결제사 이벤트를 한 번만 처리하고 결과를 기록 (웹 결제 웹훅, 인앱 결제 서버 알림 공통)
+   * @param {String} provider - checkout | app_store | google_play
+   * @param {Object} event - { id, type, occurredAt, payload }
+   * @param {Function} apply - 이벤트 반영 함수, { status, reason, subscriptionId, userId } 반환
+   * @returns {Object} { eventId, type, status, duplicate, reason }
+   */
+  async processEvent(provider, event, apply) {
+    const record = await this.claimWebhookEvent(provider, event);
+    if (!record) {
+      const existing = await BillingEvent.findOne({ provider, eventId: event.id });
+
+      logger.info('중복 결제 이벤트', { provider, eventId: event.id, status: existing && existing.status });
+
+      return {
+        eventId: event.id,
+        type: event.type,
+        status: existing ? existing.status : 'processing',
+        duplicate: true
+      };
+    }
 
-      // 구독 취소 처리
-      user.subscriptionType = 'free';
-      user.subscriptionEndDate = null;
-      await user.save();
+    try {
+      const outcome = await apply();
 
-      logger.info('구독 취소 완료', { userId });
+      record.status = outcome.status;
+      record.reason = outcome.reason || null;
+      record.subscriptionId = outcome.subscriptionId || null;
+      record.userId = outcome.userId || null;
+      record.error = null;
+      record.processedAt = new Date();
+      await record.save();
 
-      return { 
-        success: true, 
-        message: '구독이 취소되었습니다.' 
+      logger.info('결제 이벤트 처리 완료', {
+        provider,
+        eventId: event.id,
+        type: event.type,
+        status: outcome.status,
+        reason: outcome.reason
+      });
+
+      return {
+        eventId: event.id,
+        type: event.type,
+        status: outcome.status,
+        reason: outcome.reason || null,
+        duplicate: false
       };
     } catch (error) {
-      logger.error('구독 취소 실패', { 
-        error: error.message, 
-        userId 
+      record.status = 'failed';
+      record.error = error.message;
+      await record.save();
+
+      logger.error('결제 이벤트 처리 실패', {
+        provider,
+        eventId: event.id,
+        type: event.type,
+        error: error.message
       });
       throw error;
     }
   }
+
+  /**
+   * 웹훅 본문 파싱
+   * @throws {Error} INVALID_WEBHOOK_PAYLOAD
+   */
+  parseWebhookEvent(body) {
+    let event;
+    try {
+      event = JSON.parse(body);
+    } catch (error) {
+      throw new Error('INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    if (!event || typeof event.id !== 'string' || typeof event.type !== 'string' || !Number.isFinite(event.created)) {
+      throw new Error('INVALID_WEBHOOK_PAYLOAD');
+    }
+
+    return {
+      id: event.id,
+      type: event.type,
+      occurredAt: new Date(event.created * 1000),
+      data: event.data || {},
+      payload: event
+    };
+  }
+
+  /**
+   * 이벤트 처리 권한 획득
+   * 처음 받은 이벤트, 실패한 이벤트, 처리 도중 멈춘 이벤트만 처리합니다.
+   * @returns {BillingEvent|null} 이미 처리됐거나 처리 중이면 null
+   */
+  async claimWebhookEvent(provider, event) {
+    try {
+      return await BillingEvent.create({
+        provider,
+        eventId: event.id,
+        type: event.type,
+        occurredAt: event.occurredAt,
+        payload: event.payload
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    return BillingEvent.findOneAndUpdate(
+      {
+        provider,
+        eventId: event.id,
+        $or: [
+          { status: 'failed' },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * 이벤트를 구독 상태에 반영
+   * @returns {Object} { status: 'processed' | 'ignored', reason, subscriptionId, userId }
+   */
+  async applyWebhookEvent(event) {
+    if (!WEBHOOK_EVENT_TYPES.includes(event.type)) {
+      return { status: 'ignored', reason: 'unsupported_type' };
+    }
+
+    const subscription = await this.findWebhookSubscription(event.data);
+    if (!subscription) {
+      logger.warn('웹훅 대상 구독 없음', { eventId: event.id, type: event.type });
+      return { status: 'ignored', reason: 'SUBSCRIPTION_NOT_FOUND' };
+    }
+
+    const target = { subscriptionId: subscription._id, userId: subscription.userId };
+    const revokeReason = REVOKING_EVENTS[event.type];
+
+    if (!revokeReason && subscriptionService.isStaleEvent(subscription, event.occurredAt)) {
+      logger.warn('이전에 발생한 웹훅 이벤트 무시', {
+        eventId: event.id,
+        type: event.type,
+        occurredAt: event.occurredAt,
+        lastEventAt: subscription.lastEventAt
+      });
+      return { ...target, status: 'ignored', reason: 'stale_event' };
+    }
+
+    const ref = { subscriptionId: subscription._id };
+
+    try {
+      switch (event.type) {
+        case 'checkout.completed':
+          await this.completeCheckout(subscription.userId, subscription.checkoutSessionId, {
+            externalId: event.data.externalId || null
+          });
+          break;
+        case 'invoice.paid':
+          await subscriptionService.renew(ref, { periodEnd: event.data.periodEnd });
+          break;
+        case 'invoice.payment_failed':
+          await subscriptionService.markPaymentFailed(ref);
+          break;
+        case 'subscription.deleted':
+          await subscriptionService.cancelImmediately(ref, 'provider_canceled');
+          break;
+        default:
+          await subscriptionService.cancelImmediately(ref, revokeReason);
+          break;
+      }
+    } catch (error) {
+      if (!UNPROCESSABLE_EVENT_ERRORS.includes(error.message)) throw error;
+
+      logger.warn('웹훅 이벤트를 반영할 수 없는 구독 상태', {
+        eventId: event.id,
+        type: event.type,
+        subscriptionId: subscription._id,
+        status: subscription.status,
+        error: error.message
+      });
+      return { ...target, status: 'ignored', reason: error.message };
+    }
+
+    await subscriptionService.recordEventTime(subscription._id, event.occurredAt);
+
+    return { ...target, status: 'processed' };
+  }
+
+  /**
+   * 웹훅 대상 구독 조회 (결제 세션 ID 또는 결제사 구독 ID)
+   * 본문의 사용자 ID는 신뢰하지 않고 구독에서 사용자를 찾습니다.
+   */
+  async findWebhookSubscription(data) {
+    if (data.checkoutSessionId) {
+      return Subscription.findOne({ checkoutSessionId: data.checkoutSessionId });
+    }
+
+    if (data.externalId) {
+      return Subscription.findOne({ provider: 'checkout', externalId: data.externalId }).sort({ createdAt: -1 });
+    }
+
+    return null;
+  }
+
+  // ===== 로컬 결제 시뮬레이터 =====
+
+  // 명시적으로 켠 환경에서만 사용 (NODE_ENV가 비어 있는 배포에서 무료 프리미엄이 열리지 않도록)
+  isSimulatorEnabled() {
+    return process.env.BILLING_SIMULATOR_ENABLED === 'true';
+  }
+
+  /**
+   * 결제사 대신 서명된 이벤트를 만들어 웹훅 처리 경로로 전달 (오프라인 테스트용)
+   * 반환된 payload / signature를 그대로 /api/billing/webhook에 보내면 중복 처리도 확인할 수 있습니다.
+   *
+   * @param {String} userId - 사용자 ID (본인 결제 세션/구독만 대상)
+   * @param {Object} options
+   * @param {String} options.type - 이벤트 종류
+   * @param {String} options.sessionId - 결제 세션 ID (기본: 가장 최근 웹 결제)
+   * @param {Number} options.occurredAt - 이벤트 발생 시각 (unix 초, 순서 뒤바뀜 테스트용)
+   * @throws {Error} SIMULATOR_DISABLED | CHECKOUT_SESSION_NOT_FOUND | WEBHOOK_NOT_CONFIGURED
+   */
+  async simulateEvent(userId, { type, sessionId = null, occurredAt = null }) {
+    if (!this.isSimulatorEnabled()) {
+      throw new Error('SIMULATOR_DISABLED');
+    }
+
+    const query = { userId, provider: 'checkout' };
+    if (sessionId) query.checkoutSessionId = sessionId;
+
+    const subscription = await Subscription.findOne(query).sort({ createdAt: -1 });
+    if (!subscription) {
+      throw new Error('CHECKOUT_SESSION_NOT_FOUND');
+    }
+
+    const data = {
+      checkoutSessionId: subscription.checkoutSessionId,
+      externalId: subscription.externalId || `sub_sim_${crypto.randomBytes(8).toString('hex')}`
+    };
+    if (type === 'invoice.paid' && subscription.currentPeriodEnd) {
+      data.periodEnd = subscriptionService.addPeriod(subscription.currentPeriodEnd, subscription.plan).toISOString();
+    }
+
+    const payload = JSON.stringify({
+      id: `evt_sim_${crypto.randomBytes(12).toString('hex')}`,
+      type,
+      created: occurredAt || Math.floor(Date.now() / 1000),
+      data
+    });
+    const signature = this.signWebhookPayload(payload);
+
+    logger.info('결제 시뮬레이터 이벤트 발생', { userId, type, checkoutSessionId: data.checkoutSessionId });
+
+    const result = await this.handleWebhook(payload, signature);
+
+    return { payload, signature, result };
+  }
 }
 
 module.exports = new BillingService();
@@ -12,6 +12,13 @@ const CoinTransaction = require('../models/CoinTransaction');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 
+// 하루 전체 Task 완료 보상
+const DAILY_TASK_REWARD = {
+  type: 'task_completion',
+  amount: 1,
+  description: '하루 전체 Task 완료'
+};
+
 class CoinService {
   /**
    * 코인 지급 (Premium 전용)
@@ -24,7 +31,7 @@ class CoinService {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      if (user.subscriptionType !== 'premium') {
+      if (!user.checkPremiumStatus()) {
         throw new Error('Premium 구독이 필요한 기능입니다.');
       }
 
@@ -98,6 +105,119 @@ class CoinService {
     }
   }
 
+  /**
+   * 하루 전체 Task 완료 보상 지급 (Premium 전용, 사용자 현지 날짜별 1회)
+   * 같은 날짜의 보상 기록(dailyRewards)이 없을 때만 원자적으로 지급하므로
+   * 완료 요청이 중복되거나 동시에 들어와도 한 번만 지급됩니다.
+   * @param {String} userId - 사용자 ID
+   * @param {String} dateKey - 사용자 현지 날짜 (YYYY-MM-DD)
+   * @returns {Object|null} 지급 결과 (무료 사용자이거나 이미 지급했으면 null)
+   */
+  async awardDailyTaskReward(userId, dateKey) {
+    try {
+      const user = await User.findById(userId);
+      if (!user || !user.checkPremiumStatus()) {
+        return null;
+      }
+
+      const { type, amount, description } = DAILY_TASK_REWARD;
+      const updated = await User.findOneAndUpdate(
+        { _id: userId, dailyRewards: { $not: { $elemMatch: { type, dateKey } } } },
+        {
+          $inc: { coins: amount },
+          $push: { dailyRewards: { type, amount, date: new Date(), dateKey, description } }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        logger.info('이미 지급한 하루 전체 Task 완료 보상', { userId, dateKey });
+        return null;
+      }
+
+      const transaction = await CoinTransaction.create({
+        userId,
+        type: 'earn',
+        amount,
+        reason: 'daily_tasks',
+        description: `${description} (${dateKey})`,
+        balanceAfter: updated.coins,
+        relatedType: 'task'
+      });
+
+      logger.info('하루 전체 Task 완료 코인 지급', { userId, dateKey, amount, newBalance: updated.coins });
+
+      return {
+        amount,
+        reason: 'daily_tasks',
+        description,
+        date: dateKey,
+        newBalance: updated.coins,
+        transaction: transaction._id
+      };
+    } catch (error) {
+      logger.error('하루 전체 Task 완료 코인 지급 실패', { error: error.message, userId, dateKey });
+      throw error;
+    }
+  }
+
+  /**
+   * 하루 전체 Task 완료 보상 회수 (같은 날 Task 완료 취소 시)
+   * 보상 기록을 지우고 코인을 차감해 다시 모두 완료하면 다시 지급받을 수 있습니다.
+   * 지급받은 코인을 이미 사용해 잔액이 부족하면 회수하지 않고 보상 기록을 유지합니다 (재지급 방지).
+   * @param {String} userId - 사용자 ID
+   * @param {String} dateKey - 사용자 현지 날짜 (YYYY-MM-DD)
+   * @returns {Object|null} 회수 결과 (회수할 보상이 없거나 잔액이 부족하면 null)
+   */
+  async revokeDailyTaskReward(userId, dateKey) {
+    try {
+      const { type, description } = DAILY_TASK_REWARD;
+      const user = await User.findOne({ _id: userId, dailyRewards: { $elemMatch: { type, dateKey } } })
+        .select('dailyRewards');
+      if (!user) {
+        return null;
+      }
+
+      const reward = user.dailyRewards.find(item => item.type === type && item.dateKey === dateKey);
+      const updated = await User.findOneAndUpdate(
+        { _id: userId, coins: { $gte: reward.amount }, 'dailyRewards._id': reward._id },
+        {
+          $inc: { coins: -reward.amount },
+          $pull: { dailyRewards: { _id: reward._id } }
+        },
+        { new: true }
+      );
+
+      if (!updated) {
+        logger.warn('잔액 부족으로 하루 전체 Task 완료 보상 회수 생략', { userId, dateKey });
+        return null;
+      }
+
+      const transaction = await CoinTransaction.create({
+        userId,
+        type: 'spend',
+        amount: reward.amount,
+        reason: 'daily_tasks_revoked',
+        description: `${description} 보상 회수 (${dateKey})`,
+        balanceAfter: updated.coins,
+        relatedType: 'task'
+      });
+
+      logger.info('하루 전체 Task 완료 코인 회수', { userId, dateKey, amount: reward.amount, newBalance: updated.coins });
+
+      return {
+        amount: reward.amount,
+        reason: 'daily_tasks_revoked',
+        date: dateKey,
+        newBalance: updated.coins,
+        transaction: transaction._id
+      };
+    } catch (error) {
+      logger.error('하루 전체 Task 완료 코인 회수 실패', { error: error.message, userId, dateKey });
+      throw error;
+    }
+  }
+
   /**
    * 코인 소모 (아이템 구매 등)
    */
@@ -109,7 +229,7 @@ class CoinService {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      if (user.subscriptionType !== 'premium') {
+      if (!user.checkPremiumStatus()) {
         throw new Error('Premium 구독이 필요한 기능입니다.');
       }
 
@@ -170,7 +290,7 @@ class CoinService {
         throw new Error('사용자를 찾을 수 없습니다.');
       }
 
-      if (user.subscriptionType !== 'premium') {
+      if (!user.checkPremiumStatus()) {
         return { balance: 0, isPremium: false };
       }
 
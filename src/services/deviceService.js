@@ -0,0 +1,214 @@
+/**
+ * 디바이스 토큰 관리 서비스
+ * 푸시 알림 대상 디바이스 등록/갱신/삭제
+ *
+ * - 같은 토큰은 한 계정에만 등록 (기기 계정 전환 시 이전 계정에서 제거)
+ * - 계정당 최대 디바이스 수 초과 시 가장 오래 사용하지 않은 디바이스 제거
+ */
+
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const MAX_DEVICES_PER_USER = parseInt(process.env.MAX_DEVICES_PER_USER) || 5;
+
+class DeviceService {
+  /**
+   * 디바이스 응답 포맷
+   */
+  formatDevice(device) {
+    return {
+      id: device._id,
+      platform: device.platform,
+      appVersion: device.appVersion,
+      lastSeenAt: device.lastSeenAt,
+      createdAt: device.createdAt,
+      // 토큰 전체는 노출하지 않음
+      tokenSuffix: device.token ? device.token.slice(-8) : null
+    };
+  }
+
+  /**
+   * 내 디바이스 목록 조회
+   */
+  async getDevices(userId) {
+    try {
+      const user = await User.findById(userId).select('deviceTokens');
+      if (!user) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      return user.deviceTokens
+        .slice()
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(device => this.formatDevice(device));
+    } catch (error) {
+      logger.error(`디바이스 목록 조회 실패: ${error.message}`, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 디바이스 토큰 등록 (이미 등록된 토큰이면 갱신)
+   */
+  async registerDevice(userId, { token, platform, appVersion = null }) {
+    try {
+      // 다른 계정에 등록된 같은 토큰 제거
+      const { modifiedCount } = await User.updateMany(
+        { _id: { $ne: userId }, 'deviceTokens.token': token },
+        { $pull: { deviceTokens: { token } } }
+      );
+
+      if (modifiedCount > 0) {
+        logger.info('다른 계정의 중복 디바이스 토큰 제거', { userId, removedFrom: modifiedCount });
+      }
+
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      const now = new Date();
+      let device = user.deviceTokens.find(d => d.token === token);
+      const isNew = !device;
+
+      if (device) {
+        device.platform = platform;
+        device.appVersion = appVersion || device.appVersion;
+        device.lastSeenAt = now;
+      } else {
+        user.deviceTokens.push({ token, platform, appVersion, lastSeenAt: now });
+        device = user.deviceTokens[user.deviceTokens.length - 1];
+      }
+
+      const evicted = this.enforceDeviceLimit(user);
+
+      await user.save();
+
+      logger.info(isNew ? '디바이스 등록 완료' : '디바이스 갱신 완료', {
+        userId,
+        deviceId: device._id,
+        platform,
+        appVersion,
+        evictedCount: evicted.length
+      });
+
+      return {
+        device: this.formatDevice(device),
+        isNew,
+        evictedDevices: evicted.map(d => d._id)
+      };
+    } catch (error) {
+      logger.error(`디바이스 등록 실패: ${error.message}`, { userId, platform });
+      throw error;
+    }
+  }
+
+  /**
+   * 디바이스 정보 갱신 (토큰 재발급, 앱 버전 변경, 활동 시간)
+   */
+  async updateDevice(userId, deviceId, { token, appVersion }) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new Error('USER_NOT_FOUND');
+      }
+
+      const device = user.deviceTokens.id(deviceId);
+      if (!device) {
+        throw new Error('DEVICE_NOT_FOUND');
+      }
+
+      if (token && token !== device.token) {
+        await User.updateMany(
+          { _id: { $ne: userId }, 'deviceTokens.token': token },
+          { $pull: { deviceTokens: { token } } }
+        );
+
+        // 같은 계정 내 다른 디바이스에 이미 있던 토큰이면 정리
+        user.deviceTokens
+          .filter(d => d.token === token && !d._id.equals(device._id))
+          .forEach(d => d.deleteOne());
+
+        device.token = token;
+      }
+
+      if (appVersion) {
+        device.appVersion = appVersion;
+      }
+      device.lastSeenAt = new Date();
+
+      await user.save();
+
+      logger.info('디바이스 정보 갱신 완료', { userId, deviceId, tokenChanged: !!token });
+
+      return this.formatDevice(device);
+    } catch (error) {
+      logger.error(`디바이스 정보 갱신 실패: ${error.message}`, { userId, deviceId });
+      throw error;
+    }
+  }
+
+  /**
+   * 디바이스 삭제 (ID 기준)
+   */
+  async removeDevice(userId, deviceId) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId, 'deviceTokens._id': deviceId },
+        { $pull: { deviceTokens: { _id: deviceId } } }
+      );
+
+      if (result.modifiedCount === 0) {
+        throw new Error('DEVICE_NOT_FOUND');
+      }
+
+      logger.info('디바이스 삭제 완료', { userId, deviceId });
+
+      return { success: true };
+    } catch (error) {
+      logger.error(`디바이스 삭제 실패: ${error.message}`, { userId, deviceId });
+      throw error;
+    }
+  }
+
+  /**
+   * 토큰 값으로 디바이스 삭제 (로그아웃 시 사용)
+   */
+  async removeDeviceToken(userId, token) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId },
+        { $pull: { deviceTokens: { token } } }
+      );
+
+      logger.info('디바이스 토큰 제거', { userId, removed: result.modifiedCount > 0 });
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error(`디바이스 토큰 제거 실패: ${error.message}`, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 최대 디바이스 수 초과 시 오래된 디바이스 제거
+   * @returns {Array} 제거된 디바이스 목록
+   */
+  enforceDeviceLimit(user) {
+    if (user.deviceTokens.length <= MAX_DEVICES_PER_USER) {
+      return [];
+    }
+
+    const overflow = user.deviceTokens.length - MAX_DEVICES_PER_USER;
+    const evicted = user.deviceTokens
+      .slice()
+      .sort((a, b) => a.lastSeenAt - b.lastSeenAt)
+      .slice(0, overflow);
+
+    evicted.forEach(device => device.deleteOne());
+
+    return evicted;
+  }
+}
+
+module.exports = new DeviceService();
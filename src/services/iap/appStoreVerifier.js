@@ -0,0 +1,237 @@
+/**
+ * App Store 영수증 검증기
+ * - 구매 검증: verifyReceipt (운영 서버 → 21007이면 sandbox 재시도)
+ * - 서버 알림: App Store Server Notifications V2 (x5c 인증서 체인 + ES256 서명 검증)
+ *
+ * 환경변수:
+ * - APPLE_IAP_SHARED_SECRET: 앱 공유 암호
+ * - APPLE_BUNDLE_ID: 영수증 / 알림의 번들 ID 확인
+ * - APPLE_ROOT_CA_PATH: Apple Root CA - G3 인증서 파일 (서버 알림 검증용, PEM 또는 DER)
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { ReceiptVerifier } = require('./receiptVerifier');
+const logger = require('../../utils/logger');
+
+const VERIFY_RECEIPT_URLS = {
+  production: 'https://buy.itunes.apple.com/verifyReceipt',
+  sandbox: 'https://sandbox.itunes.apple.com/verifyReceipt'
+};
+
+// sandbox 영수증을 운영 서버로 보낸 경우
+const STATUS_SANDBOX_RECEIPT = 21007;
+
+// App Store 서버 일시 오류 (21100~21199)
+const isRetryableStatus = (status) => status === 21005 || (status >= 21100 && status <= 21199);
+
+// V2 알림 종류 → 공통 알림 종류
+const NOTIFICATION_TYPES = {
+  SUBSCRIBED: 'purchased',
+  DID_RENEW: 'renewed',
+  DID_FAIL_TO_RENEW: 'payment_failed',
+  EXPIRED: 'expired',
+  GRACE_PERIOD_EXPIRED: 'expired',
+  REFUND: 'revoked',
+  REVOKE: 'revoked'
+};
+
+const RENEWAL_STATUS_TYPES = {
+  AUTO_RENEW_DISABLED: 'auto_renew_disabled',
+  AUTO_RENEW_ENABLED: 'auto_renew_enabled'
+};
+
+class AppStoreVerifier extends ReceiptVerifier {
+  constructor(config = {}) {
+    super('app_store', 'app_store');
+    this.sharedSecret = config.sharedSecret || process.env.APPLE_IAP_SHARED_SECRET;
+    this.bundleId = config.bundleId || process.env.APPLE_BUNDLE_ID;
+    this.rootCertificate = config.rootCertificate || AppStoreVerifier.loadRootCertificate();
+    this.timeout = config.timeout || 10000;
+  }
+
+  /**
+   * Apple 루트 인증서 로드 (서버 알림 서명 체인의 신뢰 기준)
+   */
+  static loadRootCertificate() {
+    if (!process.env.APPLE_ROOT_CA_PATH) return null;
+
+    try {
+      return new crypto.X509Certificate(fs.readFileSync(process.env.APPLE_ROOT_CA_PATH));
+    } catch (error) {
+      logger.error(`Apple 루트 인증서 로드 실패: ${error.message}`);
+      return null;
+    }
+  }
+
+  isConfigured() {
+    return !!this.sharedSecret;
+  }
+
+  async verifyPurchase({ receipt, productId }) {
+    if (!receipt) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    let response = await this.requestVerifyReceipt(VERIFY_RECEIPT_URLS.production, receipt);
+    let environment = 'production';
+
+    if (response.status === STATUS_SANDBOX_RECEIPT) {
+      response = await this.requestVerifyReceipt(VERIFY_RECEIPT_URLS.sandbox, receipt);
+      environment = 'sandbox';
+    }
+
+    if (response.status !== 0) {
+      logger.warn('App Store 영수증 검증 실패', { status: response.status, environment });
+      throw new Error(isRetryableStatus(response.status) ? 'IAP_VERIFICATION_UNAVAILABLE' : 'INVALID_RECEIPT');
+    }
+
+    if (this.bundleId && response.receipt?.bundle_id !== this.bundleId) {
+      logger.warn('App Store 영수증 번들 ID 불일치', { bundleId: response.receipt?.bundle_id });
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    // 같은 구독의 거래 중 가장 늦게 끝나는 거래가 현재 상태
+    const transactions = (response.latest_receipt_info || [])
+      .filter(transaction => !productId || transaction.product_id === productId)
+      .sort((a, b) => Number(b.expires_date_ms || 0) - Number(a.expires_date_ms || 0));
+
+    const latest = transactions[0];
+    if (!latest || !latest.expires_date_ms) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    const renewal = (response.pending_renewal_info || [])
+      .find(info => info.original_transaction_id === latest.original_transaction_id) || {};
+
+    const expiresAt = new Date(Number(latest.expires_date_ms));
+    const graceEndsAt = renewal.grace_period_expires_date_ms
+      ? new Date(Number(renewal.grace_period_expires_date_ms))
+      : null;
+
+    return {
+      externalId: latest.original_transaction_id,
+      productId: latest.product_id,
+      transactionId: latest.transaction_id,
+      purchasedAt: new Date(Number(latest.purchase_date_ms)),
+      expiresAt,
+      state: this.resolveState({ expiresAt, revoked: !!latest.cancellation_date_ms, graceEndsAt }),
+      autoRenew: renewal.auto_renew_status === '1',
+      needsAcknowledgement: false,
+      linkedExternalId: null,
+      environment
+    };
+  }
+
+  async requestVerifyReceipt(url, receipt) {
+    try {
+      const response = await axios.post(url, {
+        'receipt-data': receipt,
+        password: this.sharedSecret,
+        'exclude-old-transactions': true
+      }, { timeout: this.timeout });
+
+      return response.data;
+    } catch (error) {
+      logger.error(`App Store verifyReceipt 요청 실패: ${error.message}`);
+      throw new Error('IAP_VERIFICATION_UNAVAILABLE');
+    }
+  }
+
+  async parseNotification(body) {
+    if (!this.rootCertificate) {
+      throw new Error('IAP_NOT_CONFIGURED');
+    }
+
+    if (!body || typeof body.signedPayload !== 'string') {
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    const payload = this.verifySignedData(body.signedPayload);
+    const data = payload.data || {};
+
+    if (this.bundleId && data.bundleId !== this.bundleId) {
+      logger.warn('App Store 알림 번들 ID 불일치', { bundleId: data.bundleId });
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    if (!payload.notificationUUID || !data.signedTransactionInfo) {
+      // 거래 정보가 없는 알림 (TEST 등)
+      return {
+        id: payload.notificationUUID || `apple_${payload.signedDate}`,
+        type: null,
+        occurredAt: new Date(payload.signedDate || Date.now()),
+        externalId: null,
+        productId: null,
+        purchase: null
+      };
+    }
+
+    const transaction = this.verifySignedData(data.signedTransactionInfo);
+    const renewal = data.signedRenewalInfo ? this.verifySignedData(data.signedRenewalInfo) : {};
+
+    const type = payload.notificationType === 'DID_CHANGE_RENEWAL_STATUS'
+      ? RENEWAL_STATUS_TYPES[payload.subtype] || null
+      : NOTIFICATION_TYPES[payload.notificationType] || null;
+
+    const expiresAt = transaction.expiresDate ? new Date(transaction.expiresDate) : null;
+    const graceEndsAt = renewal.gracePeriodExpiresDate ? new Date(renewal.gracePeriodExpiresDate) : null;
+
+    return {
+      id: payload.notificationUUID,
+      type,
+      occurredAt: new Date(payload.signedDate),
+      externalId: transaction.originalTransactionId,
+      productId: transaction.productId,
+      purchase: {
+        externalId: transaction.originalTransactionId,
+        productId: transaction.productId,
+        transactionId: transaction.transactionId,
+        purchasedAt: new Date(transaction.purchaseDate),
+        expiresAt,
+        state: this.resolveState({ expiresAt, revoked: !!transaction.revocationDate, graceEndsAt }),
+        autoRenew: renewal.autoRenewStatus === 1,
+        needsAcknowledgement: false,
+        linkedExternalId: null,
+        environment: (data.environment || '').toLowerCase() || null
+      }
+    };
+  }
+
+  /**
+   * Apple 서명 데이터(JWS) 검증
+   * x5c 체인이 설정한 루트 인증서까지 이어지는지 확인한 뒤 leaf 인증서로 ES256 서명을 검증합니다.
+   */
+  verifySignedData(jws) {
+    try {
+      const header = JSON.parse(Buffer.from(jws.split('.')[0], 'base64url').toString('utf8'));
+      if (header.alg !== 'ES256' || !Array.isArray(header.x5c) || header.x5c.length < 2) {
+        throw new Error('x5c 헤더 없음');
+      }
+
+      const chain = header.x5c.map(der => new crypto.X509Certificate(Buffer.from(der, 'base64')));
+      const now = new Date();
+
+      // 마지막 인증서(루트)도 설정한 루트 인증서로 서명되어 있어야 함
+      chain.forEach((certificate, index) => {
+        if (new Date(certificate.validFrom) > now || new Date(certificate.validTo) < now) {
+          throw new Error('인증서 유효 기간 아님');
+        }
+
+        const issuer = chain[index + 1] || this.rootCertificate;
+        if (!certificate.checkIssued(issuer) || !certificate.verify(issuer.publicKey)) {
+          throw new Error('인증서 체인 검증 실패');
+        }
+      });
+
+      return jwt.verify(jws, chain[0].publicKey, { algorithms: ['ES256'] });
+    } catch (error) {
+      logger.warn(`App Store 서명 데이터 검증 실패: ${error.message}`);
+      throw new Error('INVALID_NOTIFICATION');
+    }
+  }
+}
+
+module.exports = AppStoreVerifier;
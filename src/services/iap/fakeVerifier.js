@@ -0,0 +1,116 @@
+/**
+ * 로컬 가짜 영수증 검증기 (개발/테스트용)
+ * 스토어 서버 없이 인앱 결제 흐름 전체를 확인할 수 있습니다.
+ *
+ * 영수증 / 구매 토큰: 'fake.' + base64url(JSON)
+ *   { productId, externalId, transactionId, purchasedAt, expiresAt, state, autoRenew }
+ *   (FakeReceiptVerifier.createReceipt()로 생성)
+ *
+ * 서버 알림 본문 (서명 없음):
+ *   { id, type, occurredAt, externalId, productId, expiresAt, autoRenew }
+ */
+
+const crypto = require('crypto');
+const { ReceiptVerifier } = require('./receiptVerifier');
+
+const RECEIPT_PREFIX = 'fake.';
+const NOTIFICATION_TYPES = [
+  'purchased',
+  'renewed',
+  'payment_failed',
+  'auto_renew_disabled',
+  'auto_renew_enabled',
+  'expired',
+  'revoked'
+];
+
+class FakeReceiptVerifier extends ReceiptVerifier {
+  constructor(provider) {
+    super('fake', provider);
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * 가짜 영수증 생성 (기본: 지금부터 30일)
+   */
+  static createReceipt(fields = {}) {
+    const now = Date.now();
+    const receipt = {
+      externalId: `fake_${crypto.randomBytes(8).toString('hex')}`,
+      transactionId: `fake_tx_${crypto.randomBytes(8).toString('hex')}`,
+      purchasedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      autoRenew: true,
+      ...fields
+    };
+
+    return RECEIPT_PREFIX + Buffer.from(JSON.stringify(receipt)).toString('base64url');
+  }
+
+  async verifyPurchase({ receipt, purchaseToken, productId }) {
+    const encoded = receipt || purchaseToken;
+    if (typeof encoded !== 'string' || !encoded.startsWith(RECEIPT_PREFIX)) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    let data;
+    try {
+      data = JSON.parse(Buffer.from(encoded.slice(RECEIPT_PREFIX.length), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    if (!data.productId || !data.externalId || (productId && productId !== data.productId)) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    const expiresAt = data.expiresAt ? new Date(data.expiresAt) : null;
+
+    return {
+      externalId: data.externalId,
+      productId: data.productId,
+      transactionId: data.transactionId || null,
+      purchasedAt: data.purchasedAt ? new Date(data.purchasedAt) : new Date(),
+      expiresAt,
+      state: data.state || this.resolveState({ expiresAt }),
+      autoRenew: data.autoRenew !== false,
+      needsAcknowledgement: false,
+      linkedExternalId: data.linkedExternalId || null,
+      environment: 'fake'
+    };
+  }
+
+  async parseNotification(body) {
+    if (!body || typeof body.id !== 'string' || !body.externalId || !NOTIFICATION_TYPES.includes(body.type)) {
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    const occurredAt = body.occurredAt ? new Date(body.occurredAt) : new Date();
+    if (isNaN(occurredAt.getTime())) {
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+
+    return {
+      id: body.id,
+      type: body.type,
+      occurredAt,
+      externalId: body.externalId,
+      productId: body.productId || null,
+      purchase: expiresAt ? {
+        externalId: body.externalId,
+        productId: body.productId || null,
+        purchasedAt: occurredAt,
+        expiresAt,
+        state: this.resolveState({ expiresAt }),
+        autoRenew: body.autoRenew !== false
+      } : null
+    };
+  }
+}
+
+module.exports = FakeReceiptVerifier;
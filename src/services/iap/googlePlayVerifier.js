@@ -0,0 +1,263 @@
+/**
+ * Google Play 구매 토큰 검증기
+ * - 구매 검증: Android Publisher API purchases.subscriptionsv2 (서비스 계정 OAuth)
+ * - 서버 알림: 실시간 개발자 알림(RTDN) Pub/Sub push, 알림 URL의 token으로 발신자 확인
+ *   알림에는 상태가 없으므로 구매 토큰으로 구독 상태를 다시 조회합니다.
+ *
+ * 환경변수:
+ * - GOOGLE_PLAY_PACKAGE_NAME
+ * - GOOGLE_PLAY_SERVICE_ACCOUNT (JSON) 또는 GOOGLE_PLAY_SERVICE_ACCOUNT_PATH
+ * - GOOGLE_PLAY_NOTIFICATION_TOKEN: Pub/Sub push URL에 붙인 ?token= 값
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { ReceiptVerifier } = require('./receiptVerifier');
+const logger = require('../../utils/logger');
+
+const API_BASE_URL = 'https://androidpublisher.googleapis.com/androidpublisher/v3/applications';
+const API_SCOPE = 'https://www.googleapis.com/auth/androidpublisher';
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+
+// subscriptionsv2 상태 → 공통 상태 (CANCELED는 자동 갱신만 꺼진 상태로 만료 시점까지 이용 가능)
+const SUBSCRIPTION_STATES = {
+  SUBSCRIPTION_STATE_ACTIVE: 'active',
+  SUBSCRIPTION_STATE_CANCELED: null,
+  SUBSCRIPTION_STATE_IN_GRACE_PERIOD: 'grace',
+  SUBSCRIPTION_STATE_ON_HOLD: 'expired',
+  SUBSCRIPTION_STATE_PAUSED: 'expired',
+  SUBSCRIPTION_STATE_EXPIRED: 'expired',
+  SUBSCRIPTION_STATE_PENDING: 'pending'
+};
+
+// RTDN subscriptionNotification.notificationType → 공통 알림 종류
+const NOTIFICATION_TYPES = {
+  1: 'renewed',              // RECOVERED
+  2: 'renewed',              // RENEWED
+  3: 'auto_renew_disabled',  // CANCELED
+  4: 'purchased',            // PURCHASED
+  5: 'expired',              // ON_HOLD
+  6: 'payment_failed',       // IN_GRACE_PERIOD
+  7: 'auto_renew_enabled',   // RESTARTED
+  12: 'revoked',             // REVOKED
+  13: 'expired'              // EXPIRED
+};
+
+// 상태 조회가 필요한 알림
+const STATEFUL_TYPES = ['renewed', 'purchased'];
+
+class GooglePlayVerifier extends ReceiptVerifier {
+  constructor(config = {}) {
+    super('google_play', 'google_play');
+    this.packageName = config.packageName || process.env.GOOGLE_PLAY_PACKAGE_NAME;
+    this.serviceAccount = config.serviceAccount || GooglePlayVerifier.loadServiceAccount();
+    this.notificationToken = config.notificationToken || process.env.GOOGLE_PLAY_NOTIFICATION_TOKEN;
+    this.timeout = config.timeout || 10000;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * 환경변수에서 서비스 계정 키 로드
+   */
+  static loadServiceAccount() {
+    try {
+      if (process.env.GOOGLE_PLAY_SERVICE_ACCOUNT_PATH) {
+        return JSON.parse(fs.readFileSync(process.env.GOOGLE_PLAY_SERVICE_ACCOUNT_PATH, 'utf8'));
+      }
+      if (process.env.GOOGLE_PLAY_SERVICE_ACCOUNT) {
+        return JSON.parse(process.env.GOOGLE_PLAY_SERVICE_ACCOUNT);
+      }
+    } catch (error) {
+      logger.error(`Google Play 서비스 계정 로드 실패: ${error.message}`);
+    }
+
+    return null;
+  }
+
+  isConfigured() {
+    return !!(this.packageName && this.serviceAccount?.client_email && this.serviceAccount?.private_key);
+  }
+
+  /**
+   * 서비스 계정 액세스 토큰 (만료 1분 전까지 캐시)
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const tokenUri = this.serviceAccount.token_uri || DEFAULT_TOKEN_URI;
+    const assertion = jwt.sign(
+      { scope: API_SCOPE },
+      this.serviceAccount.private_key,
+      {
+        algorithm: 'RS256',
+        issuer: this.serviceAccount.client_email,
+        audience: tokenUri,
+        expiresIn: '1h'
+      }
+    );
+
+    try {
+      const response = await axios.post(tokenUri, new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion
+      }).toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: this.timeout
+      });
+
+      this.accessToken = response.data.access_token;
+      this.accessTokenExpiresAt = Date.now() + (response.data.expires_in || 3600) * 1000;
+
+      return this.accessToken;
+    } catch (error) {
+      logger.error(`Google Play 액세스 토큰 발급 실패: ${error.message}`);
+      throw new Error('IAP_VERIFICATION_UNAVAILABLE');
+    }
+  }
+
+  async request(method, path, data) {
+    const accessToken = await this.getAccessToken();
+
+    try {
+      const response = await axios({
+        method,
+        url: `${API_BASE_URL}/${encodeURIComponent(this.packageName)}${path}`,
+        data,
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: this.timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+
+      if (status === 400 || status === 404 || status === 410) {
+        throw new Error('INVALID_RECEIPT');
+      }
+      if (status === 401) {
+        this.accessToken = null;
+      }
+
+      logger.error(`Google Play API 요청 실패: ${status || error.message}`);
+      throw new Error('IAP_VERIFICATION_UNAVAILABLE');
+    }
+  }
+
+  async verifyPurchase({ purchaseToken, productId }) {
+    if (!purchaseToken) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    const subscription = await this.request(
+      'get',
+      `/purchases/subscriptionsv2/tokens/${encodeURIComponent(purchaseToken)}`
+    );
+
+    const lineItems = subscription.lineItems || [];
+    const lineItem = productId
+      ? lineItems.find(item => item.productId === productId)
+      : lineItems[0];
+
+    if (!lineItem) {
+      throw new Error('INVALID_RECEIPT');
+    }
+
+    const expiresAt = lineItem.expiryTime ? new Date(lineItem.expiryTime) : null;
+    const state = SUBSCRIPTION_STATES[subscription.subscriptionState] || this.resolveState({ expiresAt });
+
+    return {
+      externalId: purchaseToken,
+      productId: lineItem.productId,
+      transactionId: subscription.latestOrderId || null,
+      purchasedAt: subscription.startTime ? new Date(subscription.startTime) : new Date(),
+      expiresAt,
+      state,
+      autoRenew: !!lineItem.autoRenewingPlan?.autoRenewEnabled,
+      needsAcknowledgement: subscription.acknowledgementState === 'ACKNOWLEDGEMENT_STATE_PENDING',
+      linkedExternalId: subscription.linkedPurchaseToken || null,
+      environment: subscription.testPurchase ? 'test' : 'production'
+    };
+  }
+
+  async acknowledge(purchase) {
+    await this.request(
+      'post',
+      `/purchases/subscriptions/${encodeURIComponent(purchase.productId)}/tokens/${encodeURIComponent(purchase.externalId)}:acknowledge`,
+      {}
+    );
+
+    return true;
+  }
+
+  async parseNotification(body, { token } = {}) {
+    if (!this.notificationToken) {
+      throw new Error('IAP_NOT_CONFIGURED');
+    }
+
+    const expected = Buffer.from(this.notificationToken);
+    const received = Buffer.from(token || '');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    let notification;
+    try {
+      notification = JSON.parse(Buffer.from(body.message.data, 'base64').toString('utf8'));
+    } catch (error) {
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    if (notification.packageName !== this.packageName) {
+      logger.warn('Google Play 알림 패키지 이름 불일치', { packageName: notification.packageName });
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    const id = body.message.messageId || body.message.message_id;
+    if (!id) {
+      throw new Error('INVALID_NOTIFICATION');
+    }
+
+    const occurredAt = new Date(Number(notification.eventTimeMillis) || Date.now());
+
+    if (notification.voidedPurchaseNotification) {
+      return {
+        id,
+        type: 'revoked',
+        occurredAt,
+        externalId: notification.voidedPurchaseNotification.purchaseToken,
+        productId: null,
+        purchase: null
+      };
+    }
+
+    const subscriptionNotification = notification.subscriptionNotification;
+    if (!subscriptionNotification) {
+      // 테스트 알림, 일회성 상품 알림
+      return { id, type: null, occurredAt, externalId: null, productId: null, purchase: null };
+    }
+
+    const type = NOTIFICATION_TYPES[subscriptionNotification.notificationType] || null;
+    const purchase = STATEFUL_TYPES.includes(type)
+      ? await this.verifyPurchase({
+        purchaseToken: subscriptionNotification.purchaseToken,
+        productId: subscriptionNotification.subscriptionId
+      })
+      : null;
+
+    return {
+      id,
+      type,
+      occurredAt,
+      externalId: subscriptionNotification.purchaseToken,
+      productId: subscriptionNotification.subscriptionId,
+      purchase
+    };
+  }
+}
+
+module.exports = GooglePlayVerifier;
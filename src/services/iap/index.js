@@ -0,0 +1,76 @@
+/**
+ * 인앱 결제 영수증 검증기 레지스트리
+ * 결제 경로(app_store / google_play)별로 사용할 검증기를 결정합니다.
+ *
+ * 환경변수:
+ * - IAP_FAKE_ENABLED: 'true'면 스토어 설정이 없는 경로에 가짜 검증기 사용
+ *   (설정하지 않으면 스토어 설정이 없는 경로는 IAP_NOT_CONFIGURED로 거부)
+ */
+
+const { ReceiptVerifier } = require('./receiptVerifier');
+const AppStoreVerifier = require('./appStoreVerifier');
+const GooglePlayVerifier = require('./googlePlayVerifier');
+const FakeReceiptVerifier = require('./fakeVerifier');
+const logger = require('../../utils/logger');
+
+class ReceiptVerifierRegistry {
+  constructor() {
+    this.verifiers = {};
+  }
+
+  /**
+   * 검증기 등록 (설정을 바꾼 검증기나 테스트용 검증기 연결)
+   */
+  registerVerifier(verifier) {
+    if (!(verifier instanceof ReceiptVerifier)) {
+      throw new Error('INVALID_RECEIPT_VERIFIER');
+    }
+
+    this.verifiers[verifier.provider] = verifier;
+  }
+
+  isFakeEnabled() {
+    return process.env.IAP_FAKE_ENABLED === 'true';
+  }
+
+  /**
+   * 결제 경로의 검증기 조회
+   * 스토어 설정이 없으면 IAP_FAKE_ENABLED=true일 때만 가짜 검증기로 대체
+   * @throws {Error} IAP_NOT_CONFIGURED
+   */
+  getVerifier(provider) {
+    if (this.verifiers[provider]) {
+      return this.verifiers[provider];
+    }
+
+    const candidates = {
+      app_store: () => new AppStoreVerifier(),
+      google_play: () => new GooglePlayVerifier()
+    };
+
+    if (!candidates[provider]) {
+      throw new Error('IAP_NOT_CONFIGURED');
+    }
+
+    const verifier = candidates[provider]();
+    if (verifier.isConfigured()) {
+      this.verifiers[provider] = verifier;
+    } else if (this.isFakeEnabled()) {
+      logger.warn(`인앱 결제 검증기가 설정되지 않아 가짜 검증기를 사용합니다: ${provider}`);
+      this.verifiers[provider] = new FakeReceiptVerifier(provider);
+    } else {
+      throw new Error('IAP_NOT_CONFIGURED');
+    }
+
+    return this.verifiers[provider];
+  }
+}
+
+module.exports = {
+  ReceiptVerifierRegistry,
+  receiptVerifiers: new ReceiptVerifierRegistry(),
+  ReceiptVerifier,
+  AppStoreVerifier,
+  GooglePlayVerifier,
+  FakeReceiptVerifier
+};
@@ -0,0 +1,74 @@
+/**
+ * 인앱 결제 영수증 검증기 기본 클래스
+ *
+ * verifyPurchase()는 아래 형태의 구매 정보를 반환합니다.
+ * {
+ *   externalId,        // 구독 식별자 (App Store: originalTransactionId, Google Play: purchaseToken)
+ *   productId,
+ *   transactionId,
+ *   purchasedAt,       // 현재 결제 기간 시작
+ *   expiresAt,         // 현재 결제 기간 종료
+ *   state,             // active | grace | expired | revoked | pending
+ *   autoRenew,
+ *   needsAcknowledgement,
+ *   linkedExternalId,  // 업그레이드/재구독으로 대체된 이전 구독 식별자
+ *   environment
+ * }
+ *
+ * parseNotification()은 서버 알림을 아래 형태로 변환합니다. (type이 null이면 처리하지 않는 알림)
+ * { id, type, occurredAt, externalId, productId, purchase }
+ * type: purchased | renewed | payment_failed | auto_renew_disabled | auto_renew_enabled | expired | revoked
+ */
+class ReceiptVerifier {
+  constructor(name, provider) {
+    this.name = name;
+    this.provider = provider;
+  }
+
+  /**
+   * 자격 증명 등 필수 설정이 있는지 확인
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * 영수증 / 구매 토큰 검증
+   * @param {Object} purchase - { receipt, purchaseToken, productId }
+   * @throws {Error} INVALID_RECEIPT | IAP_VERIFICATION_UNAVAILABLE
+   */
+  async verifyPurchase(purchase) {
+    throw new Error(`${this.name} 검증기에 verifyPurchase()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 서버 알림 검증 및 변환
+   * @param {Object} body - 요청 본문
+   * @param {Object} context - { token } (알림 URL에 설정한 검증 토큰)
+   * @throws {Error} INVALID_NOTIFICATION | IAP_NOT_CONFIGURED
+   */
+  async parseNotification(body, context = {}) {
+    throw new Error(`${this.name} 검증기에 parseNotification()이 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 구매 확인 처리 (Google Play는 3일 안에 확인하지 않으면 자동 환불)
+   */
+  async acknowledge(purchase) {
+    return true;
+  }
+
+  /**
+   * 결제 기간 종료 시점 기준 상태 계산
+   */
+  resolveState({ expiresAt, revoked = false, graceEndsAt = null }, now = new Date()) {
+    if (revoked) return 'revoked';
+    if (expiresAt && expiresAt > now) return 'active';
+    if (graceEndsAt && graceEndsAt > now) return 'grace';
+    return 'expired';
+  }
+}
+
+module.exports = {
+  ReceiptVerifier
+};
@@ -0,0 +1,255 @@
+/**
+ * 인앱 결제 서비스 (App Store / Google Play)
+ *
+ * - 앱이 보낸 영수증 / 구매 토큰을 검증기로 확인하고 상품을 플랜으로 변환해
+ *   웹 결제와 같은 subscriptionService.activatePremium() 경로로 프리미엄을 활성화합니다.
+ * - 스토어 서버 알림(갱신, 결제 실패, 자동 갱신 변경, 만료, 환불)은 billingService.processEvent()로
+ *   한 번만 처리하며, 이미 반영한 알림보다 먼저 발생한 알림은 무시합니다 (환불은 항상 반영).
+ * - 하나의 스토어 구독(externalId)은 한 계정에만 연결됩니다.
+ */
+
+const Subscription = require('../models/Subscription');
+const subscriptionService = require('./subscriptionService');
+const billingService = require('./billingService');
+const { receiptVerifiers } = require('./iap');
+const { IAP_PRODUCTS } = require('../config/plans');
+const logger = require('../utils/logger');
+
+// 디바이스 플랫폼 → 결제 경로
+const PLATFORM_PROVIDERS = {
+  ios: 'app_store',
+  android: 'google_play'
+};
+
+// 처리해도 상태가 바뀌지 않는 오류 (재전송해도 결과가 같으므로 ignored로 기록)
+const UNPROCESSABLE_NOTIFICATION_ERRORS = [
+  'SUBSCRIPTION_NOT_FOUND',
+  'SUBSCRIPTION_NOT_RENEWABLE',
+  'INVALID_PRODUCT'
+];
+
+class IapService {
+  /**
+   * 스토어 상품 ID → 플랜
+   * @throws {Error} INVALID_PRODUCT
+   */
+  getPlanForProduct(provider, productId) {
+    const plan = (IAP_PRODUCTS[provider] || {})[productId];
+    if (!plan) {
+      throw new Error('INVALID_PRODUCT');
+    }
+    return plan;
+  }
+
+  /**
+   * 영수증 / 구매 토큰 검증 후 프리미엄 활성화 (구매, 구매 복원 공통)
+   *
+   * @param {String} userId - 사용자 ID
+   * @param {String} platform - ios | android
+   * @param {Object} purchaseData - { receipt (iOS), purchaseToken (Android), productId }
+   * @returns {Object} { plan, environment, subscription }
+   * @throws {Error} IAP_NOT_CONFIGURED | IAP_VERIFICATION_UNAVAILABLE | INVALID_RECEIPT |
+   *                 INVALID_PRODUCT | RECEIPT_ALREADY_USED | PURCHASE_NOT_ACTIVE
+   */
+  async verifyPurchase(userId, platform, purchaseData) {
+    const provider = PLATFORM_PROVIDERS[platform];
+    const verifier = receiptVerifiers.getVerifier(provider);
+
+    const purchase = await verifier.verifyPurchase(purchaseData);
+    const plan = this.getPlanForProduct(provider, purchase.productId);
+
+    const owner = await Subscription.findOne({
+      provider,
+      externalId: purchase.externalId,
+      userId: { $ne: userId }
+    }).select('userId');
+    if (owner) {
+      logger.warn('다른 계정에 연결된 스토어 구독', { userId, provider, ownerId: owner.userId });
+      throw new Error('RECEIPT_ALREADY_USED');
+    }
+
+    const ref = { provider, externalId: purchase.externalId };
+    const existing = await Subscription.findOne({ userId, ...ref }).sort({ createdAt: -1 });
+
+    if (!['active', 'grace'].includes(purchase.state)) {
+      // 이미 연결된 구독이면 스토어 상태를 그대로 반영
+      if (existing && purchase.state === 'revoked') {
+        await subscriptionService.cancelImmediately(ref, 'refunded');
+      } else if (existing && purchase.state === 'expired') {
+        await subscriptionService.expire(ref);
+      }
+      throw new Error('PURCHASE_NOT_ACTIVE');
+    }
+
+    let subscription = existing;
+    const unchanged = existing
+      && Subscription.LIVE_STATUSES.includes(existing.status)
+      && existing.plan === plan
+      && existing.currentPeriodEnd >= purchase.expiresAt;
+
+    if (!unchanged) {
+      subscription = await subscriptionService.activatePremium(userId, plan, {
+        provider,
+        externalId: purchase.externalId,
+        periodStart: purchase.purchasedAt,
+        periodEnd: purchase.expiresAt
+      });
+
+      if (purchase.state === 'grace') {
+        subscription = await subscriptionService.markPaymentFailed(ref);
+      }
+    }
+
+    subscription = await subscriptionService.setCancelAtPeriodEnd(ref, !purchase.autoRenew);
+
+    // 업그레이드/재구독으로 대체된 이전 스토어 구독 종료
+    if (purchase.linkedExternalId) {
+      await subscriptionService.expire({ provider, externalId: purchase.linkedExternalId }, 'replaced')
+        .catch(error => {
+          if (error.message !== 'SUBSCRIPTION_NOT_FOUND') throw error;
+        });
+    }
+
+    if (purchase.needsAcknowledgement) {
+      try {
+        await verifier.acknowledge(purchase);
+      } catch (error) {
+        // 다음 검증/알림 때 다시 확인 처리
+        logger.error(`인앱 결제 확인 처리 실패: ${error.message}`, { userId, provider });
+      }
+    }
+
+    logger.info('인앱 결제 검증 완료', {
+      userId,
+      provider,
+      plan,
+      environment: purchase.environment,
+      subscriptionId: subscription._id,
+      expiresAt: purchase.expiresAt
+    });
+
+    return {
+      plan,
+      environment: purchase.environment,
+      subscription: subscriptionService.formatSubscription(subscription)
+    };
+  }
+
+  /**
+   * 스토어 서버 알림 처리
+   * @param {String} provider - app_store | google_play
+   * @param {Object} body - 요청 본문
+   * @param {Object} context - { token }
+   * @returns {Object} { eventId, type, status, duplicate, reason }
+   * @throws {Error} IAP_NOT_CONFIGURED | INVALID_NOTIFICATION | IAP_VERIFICATION_UNAVAILABLE
+   */
+  async handleNotification(provider, body, context = {}) {
+    const verifier = receiptVerifiers.getVerifier(provider);
+    const notification = await verifier.parseNotification(body, context);
+
+    const event = {
+      id: notification.id,
+      type: notification.type || 'unsupported',
+      occurredAt: notification.occurredAt,
+      payload: {
+        type: notification.type,
+        externalId: notification.externalId,
+        productId: notification.productId
+      }
+    };
+
+    return billingService.processEvent(provider, event, () => this.applyNotification(provider, notification));
+  }
+
+  /**
+   * 알림을 구독 상태에 반영
+   * 앱에서 아직 검증하지 않은 구독(사용자를 알 수 없음)의 알림은 무시합니다.
+   */
+  async applyNotification(provider, notification) {
+    if (!notification.type) {
+      return { status: 'ignored', reason: 'unsupported_type' };
+    }
+
+    const subscription = await Subscription.findOne({
+      provider,
+      externalId: notification.externalId
+    }).sort({ createdAt: -1 });
+
+    if (!subscription) {
+      return { status: 'ignored', reason: 'SUBSCRIPTION_NOT_FOUND' };
+    }
+
+    const target = { subscriptionId: subscription._id, userId: subscription.userId };
+
+    if (notification.type !== 'revoked' && subscriptionService.isStaleEvent(subscription, notification.occurredAt)) {
+      logger.warn('이전에 발생한 스토어 알림 무시', {
+        provider,
+        eventId: notification.id,
+        type: notification.type,
+        occurredAt: notification.occurredAt,
+        lastEventAt: subscription.lastEventAt
+      });
+      return { ...target, status: 'ignored', reason: 'stale_event' };
+    }
+
+    const ref = { subscriptionId: subscription._id };
+    const purchase = notification.purchase;
+
+    try {
+      switch (notification.type) {
+        case 'purchased':
+        case 'renewed':
+          if (!purchase || !purchase.expiresAt) {
+            return { ...target, status: 'ignored', reason: 'missing_purchase' };
+          }
+          await subscriptionService.activatePremium(
+            subscription.userId,
+            this.getPlanForProduct(provider, purchase.productId || notification.productId),
+            {
+              provider,
+              externalId: subscription.externalId,
+              periodStart: purchase.purchasedAt,
+              periodEnd: purchase.expiresAt
+            }
+          );
+          await subscriptionService.setCancelAtPeriodEnd(ref, !purchase.autoRenew);
+          break;
+        case 'payment_failed':
+          await subscriptionService.markPaymentFailed(ref);
+          break;
+        case 'auto_renew_disabled':
+          await subscriptionService.setCancelAtPeriodEnd(ref, true);
+          break;
+        case 'auto_renew_enabled':
+          await subscriptionService.setCancelAtPeriodEnd(ref, false);
+          break;
+        case 'expired':
+          await subscriptionService.expire(ref);
+          break;
+        case 'revoked':
+          await subscriptionService.cancelImmediately(ref, 'refunded');
+          break;
+        default:
+          return { ...target, status: 'ignored', reason: 'unsupported_type' };
+      }
+    } catch (error) {
+      if (!UNPROCESSABLE_NOTIFICATION_ERRORS.includes(error.message)) throw error;
+
+      logger.warn('스토어 알림을 반영할 수 없는 구독 상태', {
+        provider,
+        eventId: notification.id,
+        type: notification.type,
+        subscriptionId: subscription._id,
+        status: subscription.status,
+        error: error.message
+      });
+      return { ...target, status: 'ignored', reason: error.message };
+    }
+
+    await subscriptionService.recordEventTime(subscription._id, notification.occurredAt);
+
+    return { ...target, status: 'processed' };
+  }
+}
+
+module.exports = new IapService();
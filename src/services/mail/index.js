@@ -0,0 +1,101 @@
+/**
+ * 메일 발송 서비스
+ * 프로바이더를 교체할 수 있으며, 기본값은 로컬 아웃박스입니다.
+ *
+ * 환경변수:
+ * - MAIL_PROVIDER: 사용할 프로바이더 이름 (기본: outbox)
+ * - MAIL_FROM: 발신 주소 (기본: FIVLO <no-reply@fivlo.com>)
+ */
+
+const { MailProvider } = require('./mailProvider');
+const OutboxProvider = require('./outboxProvider');
+const templates = require('./templates');
+const logger = require('../../utils/logger');
+
+const DEFAULT_FROM = 'FIVLO <no-reply@fivlo.com>';
+
+class Mailer {
+  constructor() {
+    this.providers = { outbox: new OutboxProvider() };
+    this.provider = null;
+  }
+
+  /**
+   * 프로바이더 등록 (SMTP, SES 등 외부 발송 수단 연결용)
+   */
+  registerProvider(provider) {
+    if (!(provider instanceof MailProvider)) {
+      throw new Error('INVALID_MAIL_PROVIDER');
+    }
+
+    this.providers[provider.name] = provider;
+    this.provider = null;
+  }
+
+  /**
+   * 현재 사용할 프로바이더 조회
+   * 지정한 프로바이더가 없거나 설정되지 않았으면 아웃박스로 대체
+   */
+  getProvider() {
+    if (this.provider) return this.provider;
+
+    const name = process.env.MAIL_PROVIDER || 'outbox';
+    const provider = this.providers[name];
+
+    if (provider && provider.isConfigured()) {
+      this.provider = provider;
+    } else {
+      logger.warn(`메일 프로바이더를 사용할 수 없어 아웃박스로 대체합니다: ${name}`);
+      this.provider = this.providers.outbox;
+    }
+
+    return this.provider;
+  }
+
+  /**
+   * 메일 발송
+   * @param {Object} message - { to, subject, text, html, tags }
+   * @returns {Object} 발송 결과
+   * @throws {Error} MAIL_SEND_FAILED
+   */
+  async send(message) {
+    const provider = this.getProvider();
+    const result = await provider.send({
+      from: process.env.MAIL_FROM || DEFAULT_FROM,
+      ...message
+    });
+
+    if (!result.success) {
+      logger.error('메일 발송 실패', {
+        provider: provider.name,
+        to: message.to,
+        error: result.error
+      });
+      throw new Error('MAIL_SEND_FAILED');
+    }
+
+    return result;
+  }
+
+  /**
+   * 템플릿 메일 발송
+   * @param {String} template - templates.js의 템플릿 이름
+   * @param {String} to - 수신자
+   * @param {Object} data - 템플릿 데이터
+   */
+  async sendTemplate(template, to, data) {
+    const render = templates[template];
+    if (!render) {
+      throw new Error(`알 수 없는 메일 템플릿: ${template}`);
+    }
+
+    return this.send({ to, ...render(data), tags: [template] });
+  }
+}
+
+module.exports = {
+  Mailer,
+  mailer: new Mailer(),
+  MailProvider,
+  OutboxProvider
+};
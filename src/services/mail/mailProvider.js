@@ -0,0 +1,44 @@
+/**
+ * 메일 프로바이더 기본 클래스
+ * 모든 프로바이더는 send()에서 아래 형태의 결과 객체를 반환합니다.
+ *
+ * { success, messageId, error, retryable, provider }
+ */
+class MailProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 자격 증명 등 필수 설정이 있는지 확인
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * 메일 발송
+   * @param {Object} message - { from, to, subject, text, html, tags }
+   */
+  async send(message) {
+    throw new Error(`${this.name} 프로바이더에 send()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 성공 결과 생성
+   */
+  success(messageId, extra = {}) {
+    return { success: true, messageId, provider: this.name, ...extra };
+  }
+
+  /**
+   * 실패 결과 생성
+   */
+  failure(error, { retryable = false } = {}) {
+    return { success: false, error, retryable, provider: this.name };
+  }
+}
+
+module.exports = {
+  MailProvider
+};
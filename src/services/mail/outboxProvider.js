@@ -0,0 +1,75 @@
+/**
+ * 로컬 아웃박스 메일 프로바이더 (개발/테스트용 기본값)
+ * 실제 발송 없이 메일 한 통을 JSON 파일 하나로 기록합니다.
+ *
+ * 환경변수:
+ * - MAIL_OUTBOX_DIR: 기록할 디렉터리 (기본: ./outbox)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MailProvider } = require('./mailProvider');
+const logger = require('../../utils/logger');
+
+class OutboxProvider extends MailProvider {
+  constructor(config = {}) {
+    super('outbox');
+    this.directory = path.resolve(config.directory || process.env.MAIL_OUTBOX_DIR || 'outbox');
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(message) {
+    const messageId = `outbox_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.directory, `${messageId}.json`);
+
+    try {
+      await fs.promises.mkdir(this.directory, { recursive: true });
+      await fs.promises.writeFile(filePath, JSON.stringify({
+        messageId,
+        ...message,
+        createdAt: new Date()
+      }, null, 2));
+    } catch (error) {
+      logger.error(`아웃박스 메일 기록 실패: ${error.message}`);
+      return this.failure(error.message);
+    }
+
+    logger.info('📧 [OUTBOX] 메일 기록', {
+      to: message.to,
+      subject: message.subject,
+      file: filePath
+    });
+
+    return this.success(messageId, { path: filePath });
+  }
+
+  /**
+   * 기록된 메일 목록 (최근 순, 테스트용)
+   * @param {String} to - 수신자로 필터 (선택)
+   */
+  async list(to = null) {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(async file => JSON.parse(await fs.promises.readFile(path.join(this.directory, file), 'utf8')))
+    );
+
+    return messages
+      .filter(message => !to || message.to === to)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
+}
+
+module.exports = OutboxProvider;
@@ -0,0 +1,59 @@
+/**
+ * 메일 템플릿
+ * 각 템플릿은 { subject, text, html }을 반환합니다.
+ */
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, paragraphs, link) => `<!DOCTYPE html>
+<html lang="ko">
+<body style="font-family: sans-serif; line-height: 1.6;">
+  <h2>${escapeHtml(title)}</h2>
+  ${paragraphs.map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n  ')}
+  <p><a href="${escapeHtml(link)}">${escapeHtml(link)}</a></p>
+  <p style="color: #888;">본인이 요청하지 않았다면 이 메일을 무시해주세요.</p>
+</body>
+</html>`;
+
+/**
+ * 이메일 인증 메일
+ */
+const emailVerification = ({ profileName, link, expiresInHours }) => {
+  const title = '[FIVLO] 이메일 주소를 인증해주세요';
+  const paragraphs = [
+    `${profileName}님, FIVLO에 가입해주셔서 감사합니다.`,
+    `아래 링크를 눌러 이메일 인증을 완료해주세요. 링크는 ${expiresInHours}시간 동안 한 번만 사용할 수 있습니다.`
+  ];
+
+  return {
+    subject: title,
+    text: [...paragraphs, link, '본인이 요청하지 않았다면 이 메일을 무시해주세요.'].join('\n\n'),
+    html: layout(title, paragraphs, link)
+  };
+};
+
+/**
+ * 비밀번호 재설정 메일
+ */
+const passwordReset = ({ profileName, link, expiresInMinutes }) => {
+  const title = '[FIVLO] 비밀번호 재설정 안내';
+  const paragraphs = [
+    `${profileName}님, 비밀번호 재설정 요청을 받았습니다.`,
+    `아래 링크에서 새 비밀번호를 설정해주세요. 링크는 ${expiresInMinutes}분 동안 한 번만 사용할 수 있으며, 재설정하면 모든 기기에서 로그아웃됩니다.`
+  ];
+
+  return {
+    subject: title,
+    text: [...paragraphs, link, '본인이 요청하지 않았다면 이 메일을 무시해주세요.'].join('\n\n'),
+    html: layout(title, paragraphs, link)
+  };
+};
+
+module.exports = {
+  emailVerification,
+  passwordReset
+};
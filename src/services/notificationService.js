@@ -1,17 +1,25 @@
+const User = require('../models/User');
+const NotificationLog = require('../models/NotificationLog');
+const { PushProviderRegistry } = require('./push');
 const logger = require('../utils/logger');
 
+const MAX_SEND_ATTEMPTS = parseInt(process.env.PUSH_MAX_ATTEMPTS) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.PUSH_RETRY_BASE_DELAY_MS) || 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 class NotificationService {
   constructor() {
-    // FCM 또는 다른 푸시 서비스 초기화는 향후 구현
+    this.registry = new PushProviderRegistry();
     this.isInitialized = false;
   }
 
   /**
-   * 푸시 알림 초기화 (FCM 등)
+   * 푸시 알림 초기화 (FCM, APNs, Web Push 프로바이더)
    */
   async initialize() {
     try {
-      // TODO: Firebase Admin SDK 또는 다른 푸시 서비스 초기화
+      await this.registry.initialize();
       this.isInitialized = true;
       logger.info('알림 서비스 초기화 완료');
     } catch (error) {
@@ -27,6 +35,10 @@ class NotificationService {
     try {
       const { title, body, data = {} } = notification;
 
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
+
       // 사용자가 푸시 알림을 허용했는지 확인
       if (!user.notificationSettings?.push) {
         logger.debug('푸시 알림이 비활성화된 사용자', { userId: user._id });
@@ -40,6 +52,7 @@ class NotificationService {
       }
 
       const results = [];
+      const invalidTokens = [];
 
       // 각 디바이스에 알림 발송
       for (const device of user.deviceTokens) {
@@ -52,7 +65,11 @@ class NotificationService {
               platform: device.platform,
               timestamp: new Date().toISOString()
             }
-          });
+          }, device.platform);
+
+          if (result.invalidToken) {
+            invalidTokens.push(device.token);
+          }
 
           results.push({
             deviceId: device._id,
@@ -61,6 +78,8 @@ class NotificationService {
             error: result.error
           });
 
+          await this.logDelivery(user, notification, device, result);
+
         } catch (error) {
           results.push({
             deviceId: device._id,
@@ -71,20 +90,26 @@ class NotificationService {
         }
       }
 
+      if (invalidTokens.length > 0) {
+        await this.pruneInvalidTokens(user._id, invalidTokens);
+      }
+
       const successCount = results.filter(r => r.success).length;
       
       logger.info('푸시 알림 발송 완료', {
         userId: user._id,
         title,
         totalDevices: results.length,
-        successCount
+        successCount,
+        prunedTokens: invalidTokens.length
       });
 
       return {
         success: successCount > 0,
         results,
         successCount,
-        totalDevices: results.length
+        totalDevices: results.length,
+        prunedTokens: invalidTokens.length
       };
 
     } catch (error) {
@@ -97,40 +122,127 @@ class NotificationService {
   }
 
   /**
-   * 특정 디바이스에 알림 발송
+   * 여러 사용자에게 푸시 알림 발송 (스케줄러용)
+   * @param {Array} notifications - [{ user, message }]
    */
-  async sendToDevice(deviceToken, notification) {
-    try {
-      // 개발 환경에서는 로그만 출력
-      if (process.env.NODE_ENV === 'development') {
-        logger.info('🔔 [DEV] 푸시 알림 시뮬레이션', {
-          deviceToken: deviceToken.substring(0, 20) + '...',
-          title: notification.title,
-          body: notification.body,
-          data: notification.data
-        });
+  async sendBulkNotifications(notifications) {
+    const results = [];
 
-        return { 
-          success: true, 
-          messageId: `dev_${Date.now()}`,
-          simulation: true 
-        };
-      }
+    for (const { user, message } of notifications) {
+      const result = await this.sendPushNotification(user, message);
+      results.push({ userId: user._id, ...result });
+    }
+
+    const successCount = results.filter(r => r.success).length;
+
+    logger.info('대량 푸시 알림 발송 완료', {
+      totalUsers: results.length,
+      successCount
+    });
+
+    return {
+      success: successCount > 0,
+      results,
+      successCount,
+      totalUsers: results.length
+    };
+  }
 
-      // TODO: 실제 푸시 서비스 구현
-      return { 
-        success: true, 
-        messageId: `temp_${Date.now()}` 
+  /**
+   * 특정 디바이스에 알림 발송 (일시적 오류는 지수 백오프로 재시도)
+   */
+  async sendToDevice(deviceToken, notification, platform = notification.data?.platform) {
+    const provider = this.registry.getProvider(platform);
+    if (!provider) {
+      return {
+        success: false,
+        error: `${platform || 'unknown'} 플랫폼의 푸시 프로바이더가 설정되지 않았습니다.`,
+        attempts: 0
       };
+    }
+
+    let result = null;
+    let attempts = 0;
+
+    while (attempts < MAX_SEND_ATTEMPTS) {
+      attempts += 1;
 
+      try {
+        result = await provider.send(deviceToken, notification);
+      } catch (error) {
+        result = provider.failure(error.message, { retryable: true });
+      }
+
+      if (result.success || !result.retryable) {
+        break;
+      }
+
+      if (attempts < MAX_SEND_ATTEMPTS) {
+        logger.warn('푸시 발송 재시도 예정', {
+          provider: provider.name,
+          attempt: attempts,
+          error: result.error
+        });
+        await sleep(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1));
+      }
+    }
+
+    return { ...result, attempts };
+  }
+
+  /**
+   * 무효 토큰을 User.deviceTokens에서 제거
+   */
+  async pruneInvalidTokens(userId, tokens) {
+    try {
+      await User.updateOne(
+        { _id: userId },
+        { $pull: { deviceTokens: { token: { $in: tokens } } } }
+      );
+
+      logger.info('무효 디바이스 토큰 제거', { userId, count: tokens.length });
     } catch (error) {
-      return { 
-        success: false, 
-        error: error.message 
-      };
+      logger.error(`무효 디바이스 토큰 제거 실패: ${error.message}`, { userId });
+    }
+  }
+
+  /**
+   * 디바이스별 발송 결과를 NotificationLog에 기록
+   */
+  async logDelivery(user, notification, device, result) {
+    try {
+      let status = result.success ? 'sent' : 'failed';
+      if (result.invalidToken) {
+        status = 'invalid_token';
+      }
+
+      await NotificationLog.create({
+        userId: user._id,
+        type: notification.data?.type || 'general',
+        title: notification.title,
+        body: notification.body,
+        platform: device.platform || null,
+        tokenSuffix: device.token ? device.token.slice(-8) : null,
+        provider: result.provider || null,
+        status,
+        attempts: result.attempts || 1,
+        messageId: result.messageId || null,
+        error: result.error || null
+      });
+    } catch (error) {
+      // 로그 저장 실패가 발송 결과에 영향을 주지 않도록 함
+      logger.warn(`알림 발송 로그 저장 실패: ${error.message}`, { userId: user._id });
     }
   }
 
+  /**
+   * 프로바이더 연결 종료
+   */
+  async shutdown() {
+    await this.registry.close();
+    this.isInitialized = false;
+  }
+
   /**
    * 알림 템플릿 생성
    */
@@ -155,6 +267,30 @@ class NotificationService {
     };
   }
 
+  /**
+   * 다시 알림/미확인 재알림 템플릿 생성
+   */
+  createReminderFollowUpNotification(reminder, user, occurrence) {
+    const isSnoozed = occurrence.snoozeCount > 0 && occurrence.escalationCount === 0;
+    const title = isSnoozed ? `🔁 ${reminder.title}` : `⏰ ${reminder.title}`;
+    const body = isSnoozed
+      ? '다시 알림 시간이 되었습니다.'
+      : `${reminder.timeString} 알림을 아직 확인하지 않았어요. 잊으신 건 없나요?`;
+
+    return {
+      title,
+      body,
+      data: {
+        type: isSnoozed ? 'reminder_snoozed' : 'reminder_escalation',
+        reminderId: reminder._id.toString(),
+        userId: user._id.toString(),
+        time: reminder.timeString,
+        snoozeCount: occurrence.snoozeCount.toString(),
+        escalationCount: occurrence.escalationCount.toString()
+      }
+    };
+  }
+
   /**
    * 위치 기반 알림 템플릿 생성
    */
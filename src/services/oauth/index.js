@@ -0,0 +1,194 @@
+/**
+ * 소셜 로그인 ID 토큰 검증 (Google / Apple)
+ * 공급자의 JWKS 공개키로 서명을 검증하고 aud / iss / exp / nonce를 확인합니다.
+ *
+ * 환경변수:
+ * - GOOGLE_CLIENT_IDS: 허용할 Google OAuth 클라이언트 ID (쉼표 구분, 없으면 GOOGLE_CLIENT_ID)
+ * - APPLE_CLIENT_IDS: 허용할 Apple 번들 ID / 서비스 ID (쉼표 구분, 없으면 APPLE_BUNDLE_ID)
+ * - GOOGLE_JWKS_URI, APPLE_JWKS_URI: JWKS 주소 (기본: 공급자 공식 주소)
+ * - GOOGLE_JWKS_PATH, APPLE_JWKS_PATH: 로컬 JWKS 파일 (테스트용, 지정 시 URI보다 우선)
+ * - SOCIAL_LOGIN_REQUIRE_NONCE: 'true'면 nonce 없는 로그인 거부
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const JwksKeyStore = require('./jwksKeyStore');
+const logger = require('../../utils/logger');
+
+const PROVIDERS = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    jwksUri: 'https://www.googleapis.com/oauth2/v3/certs',
+    errorCode: 'INVALID_GOOGLE_TOKEN'
+  },
+  apple: {
+    issuers: ['https://appleid.apple.com'],
+    jwksUri: 'https://appleid.apple.com/auth/keys',
+    errorCode: 'INVALID_APPLE_TOKEN'
+  }
+};
+
+// Apple 이메일 가리기(Hide My Email)로 발급되는 중계 주소
+const APPLE_PRIVATE_RELAY_DOMAIN = '@privaterelay.appleid.com';
+
+// 토큰 발급 시각과 서버 시각의 허용 오차
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+const parseList = (value) => (value || '')
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+// Apple은 불리언 클레임을 문자열('true')로 보내기도 함
+const parseBooleanClaim = (value) => value === true || value === 'true';
+
+class SocialTokenVerifier {
+  constructor() {
+    this.keyStores = {};
+  }
+
+  /**
+   * 공급자 설정 (환경변수는 호출 시점에 읽어 테스트에서 바꿀 수 있게 함)
+   */
+  getConfig(provider) {
+    const base = PROVIDERS[provider];
+    const env = provider.toUpperCase();
+
+    return {
+      ...base,
+      audiences: parseList(process.env[`${env}_CLIENT_IDS`] ||
+        (provider === 'google' ? process.env.GOOGLE_CLIENT_ID : process.env.APPLE_BUNDLE_ID)),
+      jwksUri: process.env[`${env}_JWKS_URI`] || base.jwksUri,
+      jwksPath: process.env[`${env}_JWKS_PATH`] || null
+    };
+  }
+
+  /**
+   * 공급자별 JWKS 저장소 (키 출처가 바뀌면 새로 생성)
+   */
+  getKeyStore(provider, config) {
+    const source = config.jwksPath || config.jwksUri;
+    const current = this.keyStores[provider];
+
+    if (!current || current.source !== source) {
+      this.keyStores[provider] = {
+        source,
+        store: new JwksKeyStore({ name: provider, uri: config.jwksUri, path: config.jwksPath })
+      };
+    }
+
+    return this.keyStores[provider].store;
+  }
+
+  /**
+   * Google ID 토큰 검증
+   * @returns {Object} { socialId, email, emailVerified, profileName, profileImage }
+   * @throws {Error} INVALID_GOOGLE_TOKEN | SOCIAL_LOGIN_NOT_CONFIGURED
+   */
+  async verifyGoogleIdToken(idToken, { nonce } = {}) {
+    const claims = await this.verify('google', idToken, nonce);
+
+    return {
+      socialId: claims.sub,
+      email: claims.email ? claims.email.toLowerCase() : null,
+      emailVerified: parseBooleanClaim(claims.email_verified),
+      isPrivateEmail: false,
+      profileName: claims.name || null,
+      profileImage: claims.picture || null
+    };
+  }
+
+  /**
+   * Apple identityToken 검증
+   * Apple은 이름을 토큰에 담지 않으므로 앱이 최초 로그인 때 받은 이름을 별도로 전달해야 합니다.
+   * @returns {Object} { socialId, email, emailVerified, isPrivateEmail }
+   * @throws {Error} INVALID_APPLE_TOKEN | SOCIAL_LOGIN_NOT_CONFIGURED
+   */
+  async verifyAppleIdentityToken(identityToken, { nonce } = {}) {
+    const claims = await this.verify('apple', identityToken, nonce);
+    const email = claims.email ? claims.email.toLowerCase() : null;
+
+    return {
+      socialId: claims.sub,
+      email,
+      emailVerified: parseBooleanClaim(claims.email_verified),
+      isPrivateEmail: parseBooleanClaim(claims.is_private_email) ||
+        (!!email && email.endsWith(APPLE_PRIVATE_RELAY_DOMAIN)),
+      profileName: null,
+      profileImage: null
+    };
+  }
+
+  /**
+   * 서명 및 표준 클레임 검증
+   */
+  async verify(provider, token, nonce) {
+    const config = this.getConfig(provider);
+
+    if (config.audiences.length === 0) {
+      logger.error(`소셜 로그인 클라이언트 ID 미설정: ${provider}`);
+      throw new Error('SOCIAL_LOGIN_NOT_CONFIGURED');
+    }
+
+    try {
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded || !decoded.header || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+        throw new Error('토큰 헤더가 올바르지 않습니다.');
+      }
+
+      const key = await this.getKeyStore(provider, config).getKey(decoded.header.kid);
+      if (!key) {
+        throw new Error(`알 수 없는 서명 키: ${decoded.header.kid}`);
+      }
+
+      const claims = jwt.verify(token, key, {
+        algorithms: ['RS256'],
+        audience: config.audiences,
+        issuer: config.issuers,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS
+      });
+
+      if (!claims.sub) {
+        throw new Error('sub 클레임이 없습니다.');
+      }
+
+      this.checkNonce(provider, claims.nonce, nonce);
+
+      return claims;
+    } catch (error) {
+      logger.warn(`소셜 ID 토큰 검증 실패: ${provider} - ${error.message}`);
+      throw new Error(config.errorCode);
+    }
+  }
+
+  /**
+   * nonce 확인
+   * - 앱이 nonce를 보냈으면 토큰의 nonce와 일치해야 함
+   *   (Apple은 SHA-256 해시를 요청에 넣는 방식도 많이 쓰므로 해시값 일치도 허용)
+   * - 토큰에 nonce가 있는데 앱이 보내지 않았으면 재사용 토큰으로 보고 거부
+   */
+  checkNonce(provider, tokenNonce, nonce) {
+    if (!nonce) {
+      if (tokenNonce || process.env.SOCIAL_LOGIN_REQUIRE_NONCE === 'true') {
+        throw new Error('nonce가 필요합니다.');
+      }
+      return;
+    }
+
+    const expected = [nonce];
+    if (provider === 'apple') {
+      expected.push(crypto.createHash('sha256').update(nonce).digest('hex'));
+    }
+
+    if (!tokenNonce || !expected.includes(tokenNonce)) {
+      throw new Error('nonce가 일치하지 않습니다.');
+    }
+  }
+}
+
+module.exports = {
+  SocialTokenVerifier,
+  socialTokenVerifier: new SocialTokenVerifier(),
+  JwksKeyStore,
+  APPLE_PRIVATE_RELAY_DOMAIN
+};
@@ -0,0 +1,116 @@
+/**
+ * JWKS 공개키 저장소
+ * 원격 JWKS(URL) 또는 로컬 JWKS 파일에서 키를 읽어 kid별로 캐시합니다.
+ *
+ * - 캐시 만료: 응답의 Cache-Control max-age (없으면 cacheTtlMs)
+ * - 모르는 kid가 오면 키 교체로 보고 즉시 다시 읽되, minRefreshIntervalMs 안에는 재요청하지 않음
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const logger = require('../../utils/logger');
+
+const DEFAULT_CACHE_TTL_MS = 60 * 60 * 1000;
+const DEFAULT_MIN_REFRESH_INTERVAL_MS = 60 * 1000;
+
+class JwksKeyStore {
+  /**
+   * @param {Object} config
+   * @param {String} config.name - 로그 표시용 이름
+   * @param {String} config.uri - JWKS URL
+   * @param {String} config.path - 로컬 JWKS 파일 경로 (지정 시 uri보다 우선)
+   */
+  constructor({ name, uri, path, cacheTtlMs, minRefreshIntervalMs, timeout } = {}) {
+    this.name = name || 'jwks';
+    this.uri = uri;
+    this.path = path;
+    this.cacheTtlMs = cacheTtlMs || DEFAULT_CACHE_TTL_MS;
+    this.minRefreshIntervalMs = minRefreshIntervalMs ?? DEFAULT_MIN_REFRESH_INTERVAL_MS;
+    this.timeout = timeout || 5000;
+    this.keys = new Map();
+    this.expiresAt = 0;
+    this.lastFetchedAt = 0;
+    this.pending = null;
+  }
+
+  /**
+   * kid에 해당하는 공개키 조회
+   * @returns {KeyObject|null}
+   */
+  async getKey(kid) {
+    if (Date.now() >= this.expiresAt) {
+      await this.refresh();
+    } else if (!this.keys.has(kid) && Date.now() - this.lastFetchedAt >= this.minRefreshIntervalMs) {
+      await this.refresh();
+    }
+
+    return this.keys.get(kid) || null;
+  }
+
+  /**
+   * 키 목록 다시 읽기 (동시 요청은 한 번만 조회)
+   */
+  async refresh() {
+    if (!this.pending) {
+      this.pending = this.load()
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+
+    return this.pending;
+  }
+
+  async load() {
+    this.lastFetchedAt = Date.now();
+
+    let jwks;
+    let ttlMs = this.cacheTtlMs;
+
+    try {
+      if (this.path) {
+        jwks = JSON.parse(await fs.promises.readFile(this.path, 'utf8'));
+      } else {
+        const response = await axios.get(this.uri, { timeout: this.timeout });
+        jwks = response.data;
+        ttlMs = JwksKeyStore.parseMaxAge(response.headers['cache-control']) ?? ttlMs;
+      }
+    } catch (error) {
+      logger.error(`JWKS 조회 실패: ${this.name} - ${error.message}`);
+      // 기존 키가 있으면 잠시 더 사용하고, 없으면 다음 요청에서 다시 시도
+      if (this.keys.size > 0) {
+        this.expiresAt = Date.now() + this.minRefreshIntervalMs;
+      }
+      return;
+    }
+
+    const keys = new Map();
+    for (const jwk of jwks.keys || []) {
+      if (!jwk.kid || jwk.kty !== 'RSA' || (jwk.use && jwk.use !== 'sig')) {
+        continue;
+      }
+
+      try {
+        keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+      } catch (error) {
+        logger.warn(`JWKS 키 변환 실패: ${this.name} - ${jwk.kid}`);
+      }
+    }
+
+    this.keys = keys;
+    this.expiresAt = Date.now() + ttlMs;
+
+    logger.info(`JWKS 키 갱신: ${this.name}`, { keyCount: keys.size });
+  }
+
+  /**
+   * Cache-Control 헤더의 max-age (ms)
+   */
+  static parseMaxAge(cacheControl) {
+    const match = /max-age=(\d+)/.exec(cacheControl || '');
+    return match ? parseInt(match[1]) * 1000 : null;
+  }
+}
+
+module.exports = JwksKeyStore;
@@ -0,0 +1,183 @@
+/**
+ * 포모도로 프리셋 서비스
+ * 사용자별 집중/휴식 시간 설정 저장 (예: 50/10, 25/5/15)
+ *
+ * - 사용자당 기본 프리셋은 하나만 유지
+ * - 프리셋 ID 없이 세션/사이클을 만들면 기본 프리셋 사용
+ */
+
+const PomodoroPreset = require('../models/PomodoroPreset');
+const logger = require('../utils/logger');
+
+const MAX_PRESETS_PER_USER = parseInt(process.env.MAX_POMODORO_PRESETS_PER_USER) || 10;
+
+const PRESET_FIELDS = [
+  'name',
+  'focusMinutes',
+  'shortBreakMinutes',
+  'longBreakMinutes',
+  'longBreakInterval',
+  'autoStartBreaks',
+  'autoStartFocus',
+  'isDefault'
+];
+
+class PomodoroPresetService {
+  /**
+   * 프리셋 목록 조회
+   */
+  async getPresets(userId) {
+    return await PomodoroPreset.find({ userId }).sort({ isDefault: -1, createdAt: 1 });
+  }
+
+  /**
+   * 프리셋 단건 조회
+   */
+  async getPreset(userId, presetId) {
+    const preset = await PomodoroPreset.findOne({ _id: presetId, userId });
+    if (!preset) {
+      throw new Error('PRESET_NOT_FOUND');
+    }
+
+    return preset;
+  }
+
+  /**
+   * 세션/사이클에 적용할 프리셋 결정
+   * @param {String} userId - 사용자 ID
+   * @param {String} presetId - 지정한 프리셋 ID (없으면 기본 프리셋)
+   * @returns {Object|null} 프리셋 (기본 프리셋도 없으면 null)
+   */
+  async resolvePreset(userId, presetId = null) {
+    if (presetId) {
+      return await this.getPreset(userId, presetId);
+    }
+
+    return await PomodoroPreset.findOne({ userId, isDefault: true });
+  }
+
+  /**
+   * 프리셋 생성
+   */
+  async createPreset(userId, presetData) {
+    try {
+      const count = await PomodoroPreset.countDocuments({ userId });
+      if (count >= MAX_PRESETS_PER_USER) {
+        throw new Error('PRESET_LIMIT_EXCEEDED');
+      }
+
+      const preset = new PomodoroPreset({ userId });
+      this.applyFields(preset, presetData);
+
+      // 첫 프리셋은 기본 프리셋으로 지정
+      if (count === 0) {
+        preset.isDefault = true;
+      }
+
+      // 저장에 실패해도 기존 기본 프리셋이 남도록 저장 후 해제
+      await preset.save();
+
+      if (preset.isDefault) {
+        await this.clearDefault(userId, preset._id);
+      }
+
+      logger.info('포모도로 프리셋 생성', { userId, presetId: preset._id, name: preset.name });
+
+      return preset;
+    } catch (error) {
+      throw this.normalizeError(error, '포모도로 프리셋 생성 실패', userId);
+    }
+  }
+
+  /**
+   * 프리셋 수정
+   */
+  async updatePreset(userId, presetId, presetData) {
+    try {
+      const preset = await this.getPreset(userId, presetId);
+
+      this.applyFields(preset, presetData);
+
+      const becameDefault = preset.isModified('isDefault') && preset.isDefault;
+
+      await preset.save();
+
+      if (becameDefault) {
+        await this.clearDefault(userId, preset._id);
+      }
+
+      logger.info('포모도로 프리셋 수정', { userId, presetId: preset._id });
+
+      return preset;
+    } catch (error) {
+      throw this.normalizeError(error, '포모도로 프리셋 수정 실패', userId);
+    }
+  }
+
+  /**
+   * 프리셋 삭제
+   * 기본 프리셋을 삭제하면 가장 먼저 만든 프리셋이 기본 프리셋이 됩니다.
+   */
+  async deletePreset(userId, presetId) {
+    try {
+      const preset = await this.getPreset(userId, presetId);
+
+      await preset.deleteOne();
+
+      if (preset.isDefault) {
+        await PomodoroPreset.findOneAndUpdate(
+          { userId },
+          { $set: { isDefault: true } },
+          { sort: { createdAt: 1 } }
+        );
+      }
+
+      logger.info('포모도로 프리셋 삭제', { userId, presetId });
+
+      return preset;
+    } catch (error) {
+      logger.error(`포모도로 프리셋 삭제 실패: ${error.message}`, { userId, presetId });
+      throw error;
+    }
+  }
+
+  /**
+   * 요청 값 중 허용된 필드만 반영
+   */
+  applyFields(preset, presetData) {
+    PRESET_FIELDS.forEach(field => {
+      if (presetData[field] !== undefined) {
+        preset[field] = presetData[field];
+      }
+    });
+  }
+
+  /**
+   * 기존 기본 프리셋 해제
+   */
+  async clearDefault(userId, exceptId = null) {
+    const query = { userId, isDefault: true };
+    if (exceptId) query._id = { $ne: exceptId };
+
+    await PomodoroPreset.updateMany(query, { $set: { isDefault: false } });
+  }
+
+  /**
+   * DB 오류를 서비스 에러 코드로 변환
+   */
+  normalizeError(error, message, userId) {
+    logger.error(`${message}: ${error.message}`, { userId });
+
+    if (error.code === 11000) {
+      return new Error('PRESET_NAME_DUPLICATE');
+    }
+
+    if (error.name === 'ValidationError') {
+      return new Error('INVALID_PRESET');
+    }
+
+    return error;
+  }
+}
+
+module.exports = new PomodoroPresetService();
@@ -1,24 +1,64 @@
 const PomodoroSession = require('../models/PomodoroSession');
+const Task = require('../models/Task');
 const User = require('../models/User');
+const coinService = require('./coinService');
+const pomodoroPresetService = require('./pomodoroPresetService');
 const TimerUtils = require('../utils/timer');
 const logger = require('../utils/logger');
 
 class PomodoroService {
+  /**
+   * 세션에 연결할 Task 조회
+   * 반복 발생 ID면 해당 발생을 개별 Task로 저장해 집중 시간을 누적할 수 있게 합니다.
+   * 반복 원본에 누적한 시간은 어느 발생에도 표시되지 않으므로 원본 ID는 받지 않습니다.
+   * @param {String} userId - 사용자 ID
+   * @param {String} taskId - Task ID 또는 반복 발생 ID
+   * @returns {Object|null} { taskId, categoryId, goal, color } (taskId가 없으면 null)
+   * @throws {Error} TASK_NOT_FOUND | TASK_OCCURRENCE_REQUIRED
+   */
+  async resolveTask(userId, taskId) {
+    if (!taskId) return null;
+
+    const task = await Task.findForUpdate(userId, taskId);
+    if (!task) {
+      throw new Error('TASK_NOT_FOUND');
+    }
+    if (task.recurrenceRule) {
+      throw new Error('TASK_OCCURRENCE_REQUIRED');
+    }
+
+    await task.populate('categoryId', 'color');
+
+    return {
+      taskId: task._id,
+      categoryId: task.categoryId ? task.categoryId._id : null,
+      goal: task.title.slice(0, 100),
+      color: task.color || (task.categoryId && task.categoryId.color) || null
+    };
+  }
+
   /**
    * 새 포모도로 세션 생성
    */
   async createSession(userId, sessionData) {
     try {
-      const { goal, color, type = 'focus', duration, cycleId } = sessionData;
+      const { type = 'focus', duration, cycleId, presetId, taskId } = sessionData;
 
-      // 기존 활성 세션 확인
+      // 앱 종료 등으로 방치된 세션 정리 후 기존 활성 세션 확인
+      await this.recoverAbandonedSessions(userId);
       const activeSession = await PomodoroSession.findActiveSession(userId);
       if (activeSession) {
         throw new Error('이미 진행 중인 세션이 있습니다. 먼저 완료하거나 취소해주세요.');
       }
 
-      // 세션 시간 설정
-      const sessionDuration = duration || TimerUtils.getSessionDuration(type);
+      // Task 연결 시 목표와 색상은 지정하지 않으면 Task에서 가져옴
+      const linkedTask = await this.resolveTask(userId, taskId);
+      const goal = sessionData.goal || (linkedTask && linkedTask.goal);
+      const color = sessionData.color || (linkedTask && linkedTask.color);
+
+      // 세션 시간 설정 (직접 지정 > 프리셋 > 기본값)
+      const preset = await pomodoroPresetService.resolvePreset(userId, presetId);
+      const sessionDuration = duration || TimerUtils.getSessionDuration(type, preset && preset.getDuration(type));
       
       // 색상 검증
       const sessionColor = color && TimerUtils.isValidColor(color) 
@@ -41,6 +81,9 @@ class PomodoroService {
         duration: sessionDuration,
         cycleId: sessionCycleId,
         cyclePosition,
+        taskId: linkedTask ? linkedTask.taskId : null,
+        categoryId: linkedTask ? linkedTask.categoryId : null,
+        presetId: preset ? preset._id : null,
         status: 'pending'
       });
 
@@ -51,7 +94,8 @@ class PomodoroService {
         sessionId: session._id,
         goal: session.goal,
         type: session.type,
-        duration: session.duration
+        duration: session.duration,
+        taskId: session.taskId
       });
 
       return session;
@@ -87,6 +131,160 @@ class PomodoroService {
     }
   }
 
+  /**
+   * 세션 일시정지
+   */
+  async pauseSession(userId, sessionId) {
+    try {
+      const session = await PomodoroSession.findOne({ _id: sessionId, userId });
+      if (!session) {
+        throw new Error('SESSION_NOT_FOUND');
+      }
+
+      if (session.status !== 'running') {
+        throw new Error('SESSION_NOT_RUNNING');
+      }
+
+      await session.pause();
+
+      logger.info('포모도로 세션 일시정지', { userId, sessionId: session._id });
+
+      return session;
+    } catch (error) {
+      logger.error(`포모도로 세션 일시정지 실패: ${error.message}`, { userId, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * 일시정지한 세션 재개
+   */
+  async resumeSession(userId, sessionId) {
+    try {
+      const session = await PomodoroSession.findOne({ _id: sessionId, userId });
+      if (!session) {
+        throw new Error('SESSION_NOT_FOUND');
+      }
+
+      // 너무 오래 일시정지된 세션은 자동 취소되어 재개할 수 없음
+      await session.recoverIfAbandoned(TimerUtils.SESSION_IDLE_TIMEOUT_MS);
+
+      if (session.status !== 'paused') {
+        throw new Error('SESSION_NOT_PAUSED');
+      }
+
+      await session.start();
+
+      logger.info('포모도로 세션 재개', {
+        userId,
+        sessionId: session._id,
+        totalPausedTime: session.totalPausedTime
+      });
+
+      return session;
+    } catch (error) {
+      logger.error(`포모도로 세션 재개 실패: ${error.message}`, { userId, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * 세션 취소
+   */
+  async cancelSession(userId, sessionId) {
+    try {
+      const session = await PomodoroSession.findOne({ _id: sessionId, userId });
+      if (!session) {
+        throw new Error('SESSION_NOT_FOUND');
+      }
+
+      if (session.status === 'completed') {
+        throw new Error('SESSION_ALREADY_COMPLETED');
+      }
+
+      if (session.status === 'cancelled') {
+        throw new Error('SESSION_ALREADY_CANCELLED');
+      }
+
+      await session.cancel();
+
+      logger.info('포모도로 세션 취소', { userId, sessionId: session._id });
+
+      return session;
+    } catch (error) {
+      logger.error(`포모도로 세션 취소 실패: ${error.message}`, { userId, sessionId });
+      throw error;
+    }
+  }
+
+  /**
+   * 방치된 세션 자동 종료
+   * 타이머가 끝난 세션은 자동 완료 후 직접 완료한 세션과 같은 후속 처리(사이클 진행, 코인)를 거치고,
+   * 진행 중인 세션 없이 대기 세션만 남은 사이클은 대기 세션을 취소합니다.
+   * @param {String} userId - 사용자 ID (없으면 전체 사용자)
+   * @param {Date} now - 기준 시점
+   * @returns {Object} { completed, cancelled }
+   */
+  async recoverAbandonedSessions(userId = null, now = new Date()) {
+    const idleTimeoutMs = TimerUtils.SESSION_IDLE_TIMEOUT_MS;
+    const query = { status: { $in: ['running', 'paused'] } };
+    if (userId) query.userId = userId;
+
+    const sessions = await PomodoroSession.find(query);
+    const result = { completed: 0, cancelled: 0 };
+
+    for (const session of sessions) {
+      try {
+        const action = await session.recoverIfAbandoned(idleTimeoutMs, now);
+        if (!action) continue;
+
+        result[action] += 1;
+
+        if (action === 'completed') {
+          await this.finishSession(session.userId, session, { recovered: true });
+        }
+      } catch (error) {
+        logger.error(`방치된 포모도로 세션 처리 실패: ${error.message}`, { sessionId: session._id });
+      }
+    }
+
+    result.cancelled += await this.cancelIdleCycles(userId, idleTimeoutMs, now);
+
+    if (result.completed > 0 || result.cancelled > 0) {
+      logger.info('방치된 포모도로 세션 자동 종료', { userId, ...result });
+    }
+
+    return result;
+  }
+
+  /**
+   * 진행 중인 세션 없이 오래 대기 중인 사이클의 남은 세션 취소
+   * @returns {Number} 취소한 세션 수
+   */
+  async cancelIdleCycles(userId, idleTimeoutMs, now = new Date()) {
+    const query = { status: 'pending', cycleLength: { $ne: null } };
+    if (userId) query.userId = userId;
+
+    const cycleIds = await PomodoroSession.distinct('cycleId', query);
+    let cancelled = 0;
+
+    for (const cycleId of cycleIds) {
+      const sessions = await PomodoroSession.find({ cycleId }).sort({ cyclePosition: 1 });
+      if (sessions.some(s => s.status === 'running' || s.status === 'paused')) continue;
+
+      const lastActivity = Math.max(...sessions.map(s => (s.endTime || s.createdAt).getTime()));
+      if (now - lastActivity < idleTimeoutMs) continue;
+
+      for (const session of sessions.filter(s => s.status === 'pending')) {
+        session.autoRecovered = true;
+        await session.cancel();
+        cancelled += 1;
+      }
+    }
+
+    return cancelled;
+  }
+
   /**
    * 세션 완료
    */
@@ -97,33 +295,24 @@ class PomodoroService {
         throw new Error('세션을 찾을 수 없습니다.');
       }
 
-      await session.complete();
-
-      const result = {
-        session,
-        coinAwarded: 0,
-        nextSession: null,
-        cycleCompleted: false
-      };
+      if (session.isCompleted) {
+        throw new Error('SESSION_ALREADY_COMPLETED');
+      }
 
-      // 코인 지급 (집중 세션이고 유료 사용자인 경우)
-      if (session.type === 'focus') {
-        const coinResult = await this.awardCoins(userId, session);
-        result.coinAwarded = coinResult.coinAwarded;
+      // 시작하지 않았거나 취소된 세션은 완료할 수 없음
+      if (session.status !== 'running' && session.status !== 'paused') {
+        throw new Error('SESSION_NOT_ACTIVE');
       }
 
-      // 다음 세션 추천
-      const nextSessionType = TimerUtils.getNextSessionType(session.type);
-      result.nextSession = {
-        type: nextSessionType,
-        duration: TimerUtils.getSessionDuration(nextSessionType),
-        goal: nextSessionType === 'focus' ? '' : '휴식 시간'
-      };
+      await session.complete();
+
+      const result = await this.finishSession(userId, session);
 
       logger.info('포모도로 세션 완료', {
         userId,
         sessionId: session._id,
         type: session.type,
+        cycleCompleted: result.cycleCompleted,
         coinAwarded: result.coinAwarded
       });
 
@@ -134,11 +323,269 @@ class PomodoroService {
     }
   }
 
+  /**
+   * 완료된 세션 후속 처리 (사이클 진행, 집중 세션/사이클 완료 코인)
+   * 자동 완료된 세션은 사용자가 자리에 없으므로 다음 세션을 자동 시작하지 않습니다.
+   * @param {String} userId - 사용자 ID
+   * @param {Object} session - 방금 완료한 세션
+   * @param {Object} options - { recovered: 방치되어 자동 완료된 세션 여부 }
+   * @returns {Object} { session, coinAwarded, nextSession, cycleCompleted }
+   */
+  async finishSession(userId, session, { recovered = false } = {}) {
+    const result = {
+      session,
+      coinAwarded: 0,
+      nextSession: null,
+      cycleCompleted: false
+    };
+
+    if (session.cycleLength) {
+      // 서버가 만든 사이클: 다음 세션으로 진행, 마지막 세션이면 사이클 완료 확인
+      result.nextSession = await this.advanceCycle(session, { autoStart: !recovered });
+
+      if (!result.nextSession) {
+        result.cycleCompleted = await PomodoroSession.checkCycleCompletion(session.cycleId);
+
+        if (result.cycleCompleted) {
+          const coinResult = await this.awardCycleCoins(userId, session);
+          result.coinAwarded = coinResult.coinAwarded;
+        }
+      }
+    } else {
+      // 직접 만든 세션: 집중 세션 코인, 같은 사이클 ID로 집중과 휴식을 마쳤으면 사이클 완료 코인
+      if (session.type === 'focus') {
+        const coinResult = await this.awardFocusCoins(userId, session);
+        result.coinAwarded = coinResult.coinAwarded;
+      }
+
+      result.cycleCompleted = !!(await PomodoroSession.checkCycleCompletion(session.cycleId));
+
+      if (result.cycleCompleted) {
+        const coinResult = await this.awardCycleCoins(userId, session);
+        result.coinAwarded += coinResult.coinAwarded;
+      }
+
+      // 다음 세션 추천
+      if (!recovered) {
+        const nextSessionType = TimerUtils.getNextSessionType(session.type);
+        result.nextSession = {
+          type: nextSessionType,
+          duration: TimerUtils.getSessionDuration(nextSessionType),
+          goal: nextSessionType === 'focus' ? '' : '휴식 시간'
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 포모도로 사이클 시작
+   * 집중/휴식 세션 순서를 한 번에 만들고 첫 집중 세션을 시작합니다.
+   * 시간은 직접 지정한 값 > 프리셋(presetId 또는 기본 프리셋) > 기본값 순으로 적용합니다.
+   * Task를 연결하면 사이클의 집중 세션 시간이 Task의 실제 소요 시간에 누적됩니다.
+   * @param {String} userId - 사용자 ID
+   * @param {Object} cycleData - { goal, color, taskId, presetId, focusSessions, focusMinutes, breakMinutes, longBreakMinutes }
+   * @returns {Object} 사이클 상태
+   */
+  async startCycle(userId, cycleData) {
+    try {
+      const {
+        presetId,
+        taskId,
+        focusMinutes,
+        breakMinutes,
+        longBreakMinutes
+      } = cycleData;
+
+      await this.recoverAbandonedSessions(userId);
+
+      const preset = await pomodoroPresetService.resolvePreset(userId, presetId);
+      const longBreakInterval = preset ? preset.longBreakInterval : 4;
+      const focusSessions = cycleData.focusSessions || longBreakInterval;
+
+      const activeSession = await PomodoroSession.findActiveSession(userId);
+      if (activeSession) {
+        throw new Error('ACTIVE_SESSION_EXISTS');
+      }
+
+      const linkedTask = await this.resolveTask(userId, taskId);
+      const goal = cycleData.goal || (linkedTask && linkedTask.goal);
+      const color = cycleData.color || (linkedTask && linkedTask.color);
+
+      const cycleId = TimerUtils.generateCycleId(userId);
+      const sessionColor = color && TimerUtils.isValidColor(color)
+        ? color
+        : TimerUtils.getRandomColor();
+      const customDurations = {
+        focus: focusMinutes,
+        break: breakMinutes,
+        long_break: longBreakMinutes
+      };
+      const sequence = TimerUtils.buildCycleSequence(focusSessions, longBreakInterval);
+
+      const sessions = await PomodoroSession.insertMany(sequence.map((type, index) => ({
+        userId,
+        goal: type === 'focus' ? goal.trim() : '휴식 시간',
+        color: sessionColor,
+        type,
+        duration: TimerUtils.getSessionDuration(type, customDurations[type] || (preset && preset.getDuration(type))),
+        cycleId,
+        cyclePosition: index + 1,
+        cycleLength: sequence.length,
+        taskId: linkedTask ? linkedTask.taskId : null,
+        categoryId: linkedTask ? linkedTask.categoryId : null,
+        autoStart: preset ? preset.shouldAutoStart(type) : true,
+        presetId: preset ? preset._id : null,
+        status: 'pending'
+      })));
+
+      await sessions[0].start();
+
+      logger.info('포모도로 사이클 시작', {
+        userId,
+        cycleId,
+        sessionCount: sessions.length,
+        focusSessions,
+        presetId: preset ? preset._id : null,
+        taskId: linkedTask ? linkedTask.taskId : null
+      });
+
+      return await this.getCycleState(userId, cycleId);
+    } catch (error) {
+      logger.error(`포모도로 사이클 시작 실패: ${error.message}`, { userId });
+      throw error;
+    }
+  }
+
+  /**
+   * 사이클의 다음 세션으로 진행
+   * 자동 시작 설정이 꺼진 세션은 대기 상태로 두고 사용자가 직접 시작합니다.
+   * @param {Object} session - 방금 완료한 세션
+   * @param {Object} options - { autoStart: false면 세션 설정과 관계없이 대기 상태로 둠 }
+   * @returns {Object|null} 다음 세션 (마지막 세션이었으면 null)
+   */
+  async advanceCycle(session, { autoStart = true } = {}) {
+    const nextSession = await PomodoroSession.findOne({
+      cycleId: session.cycleId,
+      userId: session.userId,
+      cyclePosition: { $gt: session.cyclePosition },
+      status: 'pending'
+    }).sort({ cyclePosition: 1 });
+
+    if (!nextSession || !nextSession.autoStart || !autoStart) {
+      return nextSession;
+    }
+
+    await nextSession.start();
+
+    logger.info('포모도로 사이클 다음 세션 시작', {
+      userId: session.userId,
+      cycleId: session.cycleId,
+      sessionId: nextSession._id,
+      type: nextSession.type,
+      cyclePosition: nextSession.cyclePosition
+    });
+
+    return nextSession;
+  }
+
+  /**
+   * 사이클 상태 조회
+   * @param {String} userId - 사용자 ID
+   * @param {String} cycleId - 사이클 ID
+   * @returns {Object} 사이클 진행 상태
+   */
+  async getCycleState(userId, cycleId) {
+    try {
+      await this.recoverAbandonedSessions(userId);
+
+      const sessions = await PomodoroSession.find({ cycleId, userId }).sort({ cyclePosition: 1 });
+      if (sessions.length === 0) {
+        throw new Error('CYCLE_NOT_FOUND');
+      }
+
+      const totalSessions = sessions[0].cycleLength || sessions.length;
+      const completedSessions = sessions.filter(s => s.isCompleted);
+      const currentSession = sessions.find(s => s.status === 'running' || s.status === 'paused') || null;
+      const nextSession = sessions.find(s =>
+        s.status === 'pending' && (!currentSession || s.cyclePosition > currentSession.cyclePosition)
+      ) || null;
+
+      let status = 'in_progress';
+      if (completedSessions.length === totalSessions) {
+        status = 'completed';
+      } else if (sessions.some(s => s.status === 'cancelled')) {
+        status = 'cancelled';
+      }
+
+      return {
+        cycleId,
+        goal: sessions[0].goal,
+        color: sessions[0].color,
+        taskId: sessions[0].taskId,
+        presetId: sessions[0].presetId,
+        status,
+        totalSessions,
+        completedSessions: completedSessions.length,
+        totalFocusSessions: sessions.filter(s => s.type === 'focus').length,
+        completedFocusSessions: completedSessions.filter(s => s.type === 'focus').length,
+        currentSession,
+        nextSession,
+        remainingSeconds: currentSession ? currentSession.remainingTime : 0,
+        coinAwarded: sessions.some(s => s.coinAwarded),
+        sessions: sessions.map(s => ({
+          id: s.id,
+          type: s.type,
+          duration: s.duration,
+          status: s.status,
+          cyclePosition: s.cyclePosition,
+          startTime: s.startTime,
+          completedAt: s.completedAt
+        }))
+      };
+    } catch (error) {
+      logger.error(`포모도로 사이클 조회 실패: ${error.message}`, { userId, cycleId });
+      throw error;
+    }
+  }
+
+  /**
+   * 사이클 취소 (진행 중/대기 중인 세션 모두 취소)
+   */
+  async cancelCycle(userId, cycleId) {
+    try {
+      const sessions = await PomodoroSession.find({
+        cycleId,
+        userId,
+        status: { $in: ['pending', 'running', 'paused'] }
+      });
+
+      if (sessions.length === 0) {
+        const exists = await PomodoroSession.exists({ cycleId, userId });
+        throw new Error(exists ? 'CYCLE_NOT_ACTIVE' : 'CYCLE_NOT_FOUND');
+      }
+
+      for (const session of sessions) {
+        await session.cancel();
+      }
+
+      logger.info('포모도로 사이클 취소', { userId, cycleId, cancelledCount: sessions.length });
+
+      return await this.getCycleState(userId, cycleId);
+    } catch (error) {
+      logger.error(`포모도로 사이클 취소 실패: ${error.message}`, { userId, cycleId });
+      throw error;
+    }
+  }
+
   /**
    * 활성 세션 조회
    */
   async getActiveSession(userId) {
     try {
+      await this.recoverAbandonedSessions(userId);
+
       const session = await PomodoroSession.findActiveSession(userId);
       if (!session) {
         return null;
@@ -158,58 +605,57 @@ class PomodoroService {
   }
 
   /**
-   * 코인 지급
+   * 사이클 완료 코인 지급 (1일 1회 제한은 coinService에서 확인)
+   * @param {String} userId - 사용자 ID
+   * @param {Object} session - 사이클의 마지막 세션
    */
-  async awardCoins(userId, session) {
-    try {
-      const user = await User.findById(userId);
-      if (!user || !user.isPremium) {
-        return { coinAwarded: 0, reason: 'not_premium' };
-      }
+  async awardCycleCoins(userId, session) {
+    return this.awardSessionCoins(userId, session, `포모도로 사이클 완료: ${session.goal}`);
+  }
+
+  /**
+   * 집중 세션 완료 코인 지급 (직접 만든 세션, 사이클 코인과 함께 1일 1회)
+   * @param {String} userId - 사용자 ID
+   * @param {Object} session - 완료한 집중 세션
+   */
+  async awardFocusCoins(userId, session) {
+    return this.awardSessionCoins(userId, session, `포모도로 집중 세션 완료: ${session.goal}`);
+  }
 
-      // 이미 코인을 받은 세션인지 확인
+  /**
+   * 포모도로 코인 지급 (Premium 전용)
+   * @returns {Object} { coinAwarded, reason } (reason: success | not_premium | already_awarded | daily_limit_reached | error)
+   */
+  async awardSessionCoins(userId, session, description) {
+    try {
       if (session.coinAwarded) {
         return { coinAwarded: 0, reason: 'already_awarded' };
       }
 
-      // 오늘 이미 코인을 받았는지 확인 (1일 1회 제한)
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const todaySession = await PomodoroSession.findOne({
-        userId,
-        type: 'focus',
-        isCompleted: true,
-        coinAwarded: true,
-        completedAt: { $gte: today }
-      });
+      const user = await User.findById(userId);
+      if (!user || !user.checkPremiumStatus()) {
+        return { coinAwarded: 0, reason: 'not_premium' };
+      }
+
+      const coinResult = await coinService.awardCoins(userId, 'pomodoro_cycle', description, 1);
 
-      if (todaySession) {
+      if (!coinResult) {
         return { coinAwarded: 0, reason: 'daily_limit_reached' };
       }
 
-      // 코인 지급 (집중 세션 완료 시 1코인)
-      const coinAmount = 1;
-      await user.addCoins(coinAmount, `포모도로 집중 세션 완료: ${session.goal}`);
-
       // 세션에 코인 지급 기록
       session.coinAwarded = true;
-      session.coinAmount = coinAmount;
+      session.coinAmount = coinResult.amount;
       await session.save();
 
-      logger.info('포모도로 코인 지급', {
-        userId,
-        sessionId: session._id,
-        coinAmount
-      });
-
-      return { 
-        coinAwarded: coinAmount, 
+      return {
+        coinAwarded: coinResult.amount,
         reason: 'success',
-        totalCoins: user.coins + coinAmount
+        totalCoins: coinResult.newBalance
       };
     } catch (error) {
-      logger.error(`코인 지급 실패: ${error.message}`, { userId, sessionId: session._id });
+      // 코인 지급 실패해도 세션 완료는 성공으로 처리
+      logger.error(`포모도로 코인 지급 실패: ${error.message}`, { userId, sessionId: session._id, cycleId: session.cycleId });
       return { coinAwarded: 0, reason: 'error', error: error.message };
     }
   }
@@ -236,10 +682,11 @@ class PomodoroService {
             count: stat.count,
             totalMinutes: minutes
           };
-        } else if (stat._id === 'break') {
+        } else {
+          // 짧은 휴식과 긴 휴식은 함께 집계
           result.break = {
-            count: stat.count,
-            totalMinutes: minutes
+            count: result.break.count + stat.count,
+            totalMinutes: result.break.totalMinutes + minutes
           };
         }
       });
@@ -0,0 +1,193 @@
+/**
+ * Apple Push Notification service 프로바이더
+ * 토큰 기반 인증(.p8 키, ES256)으로 HTTP/2 APNs에 발송합니다.
+ *
+ * 환경변수:
+ * - APNS_KEY_ID, APNS_TEAM_ID, APNS_BUNDLE_ID
+ * - APNS_PRIVATE_KEY 또는 APNS_PRIVATE_KEY_PATH
+ * - APNS_PRODUCTION: 'true'면 운영 서버 사용 (기본: sandbox)
+ */
+
+const fs = require('fs');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const { PushProvider, stringifyData } = require('./pushProvider');
+const logger = require('../../utils/logger');
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+
+// APNs 인증 토큰은 20분~60분 사이에 갱신해야 함
+const AUTH_TOKEN_TTL_MS = 50 * 60 * 1000;
+
+// 토큰이 더 이상 유효하지 않음을 뜻하는 APNs reason
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+class ApnsProvider extends PushProvider {
+  constructor(config = {}) {
+    super('apns');
+    this.keyId = config.keyId || process.env.APNS_KEY_ID;
+    this.teamId = config.teamId || process.env.APNS_TEAM_ID;
+    this.bundleId = config.bundleId || process.env.APNS_BUNDLE_ID;
+    this.privateKey = config.privateKey || ApnsProvider.loadPrivateKey();
+    this.host = (config.production ?? process.env.APNS_PRODUCTION === 'true')
+      ? APNS_HOSTS.production
+      : APNS_HOSTS.sandbox;
+    this.timeout = config.timeout || 10000;
+    this.session = null;
+    this.authToken = null;
+    this.authTokenIssuedAt = 0;
+  }
+
+  /**
+   * 환경변수에서 .p8 개인키 로드
+   */
+  static loadPrivateKey() {
+    try {
+      if (process.env.APNS_PRIVATE_KEY_PATH) {
+        return fs.readFileSync(process.env.APNS_PRIVATE_KEY_PATH, 'utf8');
+      }
+    } catch (error) {
+      logger.error(`APNs 개인키 파일 로드 실패: ${error.message}`);
+      return null;
+    }
+
+    return process.env.APNS_PRIVATE_KEY
+      ? process.env.APNS_PRIVATE_KEY.replace(/\\n/g, '\n')
+      : null;
+  }
+
+  isConfigured() {
+    return !!(this.keyId && this.teamId && this.bundleId && this.privateKey);
+  }
+
+  /**
+   * 공급자 인증 토큰 생성 (캐시)
+   */
+  getAuthToken() {
+    if (this.authToken && Date.now() - this.authTokenIssuedAt < AUTH_TOKEN_TTL_MS) {
+      return this.authToken;
+    }
+
+    this.authToken = jwt.sign({ iss: this.teamId }, this.privateKey, {
+      algorithm: 'ES256',
+      keyid: this.keyId
+    });
+    this.authTokenIssuedAt = Date.now();
+
+    return this.authToken;
+  }
+
+  /**
+   * HTTP/2 세션 재사용 (끊어졌으면 재연결)
+   */
+  getSession() {
+    if (this.session && !this.session.closed && !this.session.destroyed) {
+      return this.session;
+    }
+
+    this.session = http2.connect(this.host);
+    this.session.on('error', (error) => {
+      logger.warn(`APNs 연결 오류: ${error.message}`);
+    });
+    this.session.on('goaway', () => {
+      this.session = null;
+    });
+    // 대기 중인 요청이 없을 때 프로세스 종료를 막지 않음
+    this.session.unref();
+
+    return this.session;
+  }
+
+  async send(token, notification) {
+    const { title, body, data = {} } = notification;
+
+    const payload = JSON.stringify({
+      aps: {
+        alert: { title, body },
+        sound: 'default'
+      },
+      ...stringifyData(data)
+    });
+
+    try {
+      const { statusCode, headers, responseBody } = await this.request(token, payload);
+
+      if (statusCode === 200) {
+        return this.success(headers['apns-id']);
+      }
+
+      let reason = null;
+      try {
+        reason = JSON.parse(responseBody).reason;
+      } catch (parseError) {
+        reason = responseBody || null;
+      }
+
+      if (statusCode === 403 && reason === 'ExpiredProviderToken') {
+        this.authToken = null;
+      }
+
+      return this.failure(reason || `APNs 응답 코드 ${statusCode}`, {
+        statusCode,
+        invalidToken: statusCode === 410 || INVALID_TOKEN_REASONS.includes(reason),
+        retryable: this.isRetryableStatus(statusCode) || reason === 'ExpiredProviderToken'
+      });
+
+    } catch (error) {
+      // 연결 오류는 세션을 버리고 재시도
+      this.session = null;
+      return this.failure(error.message, { retryable: true });
+    }
+  }
+
+  /**
+   * APNs HTTP/2 요청
+   */
+  request(token, payload) {
+    return new Promise((resolve, reject) => {
+      const req = this.getSession().request({
+        ':method': 'POST',
+        ':path': `/3/device/${token}`,
+        'authorization': `bearer ${this.getAuthToken()}`,
+        'apns-topic': this.bundleId,
+        'apns-push-type': 'alert',
+        'apns-priority': '10',
+        'content-type': 'application/json'
+      });
+
+      let statusCode = null;
+      let headers = {};
+      let responseBody = '';
+
+      req.setEncoding('utf8');
+      req.setTimeout(this.timeout, () => {
+        req.close(http2.constants.NGHTTP2_CANCEL);
+        reject(new Error('APNs 요청 시간 초과'));
+      });
+
+      req.on('response', (responseHeaders) => {
+        headers = responseHeaders;
+        statusCode = responseHeaders[':status'];
+      });
+      req.on('data', (chunk) => {
+        responseBody += chunk;
+      });
+      req.on('end', () => resolve({ statusCode, headers, responseBody }));
+      req.on('error', reject);
+
+      req.end(payload);
+    });
+  }
+
+  async close() {
+    if (this.session) {
+      this.session.close();
+      this.session = null;
+    }
+  }
+}
+
+module.exports = ApnsProvider;
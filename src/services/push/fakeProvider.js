@@ -0,0 +1,62 @@
+/**
+ * 로컬 가짜 푸시 프로바이더 (개발/테스트용)
+ * 실제 발송 없이 메모리에 기록만 남깁니다.
+ *
+ * 테스트용 토큰 규칙:
+ * - 'invalid'로 시작: 무효 토큰 (디바이스 토큰 정리 대상)
+ * - 'fail'로 시작: 일시적 오류 (재시도 대상)
+ */
+
+const { PushProvider } = require('./pushProvider');
+const logger = require('../../utils/logger');
+
+class FakeProvider extends PushProvider {
+  constructor() {
+    super('fake');
+    this.sent = [];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(token, notification) {
+    const tokenString = typeof token === 'string' ? token : JSON.stringify(token);
+
+    if (tokenString.startsWith('invalid')) {
+      return this.failure('Unregistered', { invalidToken: true, statusCode: 410 });
+    }
+
+    if (tokenString.startsWith('fail')) {
+      return this.failure('Service Unavailable', { retryable: true, statusCode: 503 });
+    }
+
+    const messageId = `fake_${Date.now()}_${this.sent.length}`;
+    this.sent.push({
+      messageId,
+      token: tokenString,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data,
+      sentAt: new Date()
+    });
+
+    logger.info('🔔 [FAKE] 푸시 알림 시뮬레이션', {
+      deviceToken: tokenString.substring(0, 20) + '...',
+      title: notification.title,
+      body: notification.body,
+      data: notification.data
+    });
+
+    return { ...this.success(messageId), simulation: true };
+  }
+
+  /**
+   * 기록된 발송 내역 초기화 (테스트용)
+   */
+  reset() {
+    this.sent = [];
+  }
+}
+
+module.exports = FakeProvider;
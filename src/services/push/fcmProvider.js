@@ -0,0 +1,156 @@
+/**
+ * Firebase Cloud Messaging (HTTP v1) 프로바이더
+ * 서비스 계정 키로 OAuth 액세스 토큰을 발급받아 FCM으로 발송합니다.
+ *
+ * 환경변수:
+ * - FCM_SERVICE_ACCOUNT_PATH: 서비스 계정 JSON 파일 경로
+ * - 또는 FCM_PROJECT_ID, FCM_CLIENT_EMAIL, FCM_PRIVATE_KEY
+ */
+
+const fs = require('fs');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { PushProvider, stringifyData } = require('./pushProvider');
+const logger = require('../../utils/logger');
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+// 토큰이 더 이상 유효하지 않음을 뜻하는 FCM 에러 코드
+const INVALID_TOKEN_CODES = ['UNREGISTERED', 'SENDER_ID_MISMATCH'];
+
+class FcmProvider extends PushProvider {
+  constructor(config = {}) {
+    super('fcm');
+    this.credentials = config.credentials || FcmProvider.loadCredentials();
+    this.timeout = config.timeout || 10000;
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * 환경변수에서 서비스 계정 정보 로드
+   */
+  static loadCredentials() {
+    try {
+      if (process.env.FCM_SERVICE_ACCOUNT_PATH) {
+        const account = JSON.parse(fs.readFileSync(process.env.FCM_SERVICE_ACCOUNT_PATH, 'utf8'));
+        return {
+          projectId: account.project_id,
+          clientEmail: account.client_email,
+          privateKey: account.private_key
+        };
+      }
+    } catch (error) {
+      logger.error(`FCM 서비스 계정 파일 로드 실패: ${error.message}`);
+      return null;
+    }
+
+    if (process.env.FCM_PROJECT_ID && process.env.FCM_CLIENT_EMAIL && process.env.FCM_PRIVATE_KEY) {
+      return {
+        projectId: process.env.FCM_PROJECT_ID,
+        clientEmail: process.env.FCM_CLIENT_EMAIL,
+        // .env에서는 줄바꿈이 \n 문자열로 저장됨
+        privateKey: process.env.FCM_PRIVATE_KEY.replace(/\\n/g, '\n')
+      };
+    }
+
+    return null;
+  }
+
+  isConfigured() {
+    return !!(this.credentials && this.credentials.projectId &&
+              this.credentials.clientEmail && this.credentials.privateKey);
+  }
+
+  /**
+   * OAuth 액세스 토큰 발급 (만료 1분 전까지 캐시)
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60 * 1000) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign({
+      iss: this.credentials.clientEmail,
+      scope: FCM_SCOPE,
+      aud: TOKEN_URL,
+      iat: now,
+      exp: now + 3600
+    }, this.credentials.privateKey, { algorithm: 'RS256' });
+
+    const response = await axios.post(TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: this.timeout
+    });
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + (response.data.expires_in || 3600) * 1000;
+
+    return this.accessToken;
+  }
+
+  async send(token, notification) {
+    let accessToken;
+    try {
+      accessToken = await this.getAccessToken();
+    } catch (error) {
+      logger.error(`FCM 액세스 토큰 발급 실패: ${error.message}`);
+      return this.failure(`FCM 인증 실패: ${error.message}`, { retryable: true });
+    }
+
+    const url = `https://fcm.googleapis.com/v1/projects/${this.credentials.projectId}/messages:send`;
+
+    try {
+      const response = await axios.post(url, {
+        message: {
+          token,
+          notification: {
+            title: notification.title,
+            body: notification.body
+          },
+          data: stringifyData(notification.data),
+          android: { priority: 'high' },
+          apns: { payload: { aps: { sound: 'default' } } }
+        }
+      }, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        timeout: this.timeout
+      });
+
+      return this.success(response.data.name);
+
+    } catch (error) {
+      if (!error.response) {
+        return this.failure(error.message, { retryable: true });
+      }
+
+      const statusCode = error.response.status;
+      const fcmError = error.response.data?.error || {};
+      const errorCode = (fcmError.details || [])
+        .map(detail => detail.errorCode)
+        .find(Boolean) || fcmError.status;
+
+      if (statusCode === 401) {
+        // 캐시된 토큰이 폐기된 경우 다음 시도에서 재발급
+        this.accessToken = null;
+      }
+
+      // INVALID_ARGUMENT는 메시지 오류일 수도 있으므로 토큰 관련일 때만 무효 처리
+      const isMalformedToken = errorCode === 'INVALID_ARGUMENT' &&
+        /registration token/i.test(fcmError.message || '');
+
+      return this.failure(fcmError.message || error.message, {
+        statusCode,
+        invalidToken: INVALID_TOKEN_CODES.includes(errorCode) || isMalformedToken,
+        retryable: statusCode === 401 || this.isRetryableStatus(statusCode)
+      });
+    }
+  }
+}
+
+module.exports = FcmProvider;
@@ -0,0 +1,93 @@
+/**
+ * 푸시 프로바이더 레지스트리
+ * 디바이스 플랫폼(ios/android/web)별로 사용할 프로바이더를 결정합니다.
+ *
+ * 환경변수:
+ * - PUSH_PROVIDER=fake: 모든 플랫폼에 가짜 프로바이더 사용 (테스트 환경 기본값)
+ * - PUSH_IOS_PROVIDER=apns|fcm: iOS 토큰 발송 경로 (기본: APNs 설정 시 apns)
+ */
+
+const FcmProvider = require('./fcmProvider');
+const ApnsProvider = require('./apnsProvider');
+const WebPushProvider = require('./webPushProvider');
+const FakeProvider = require('./fakeProvider');
+const logger = require('../../utils/logger');
+
+class PushProviderRegistry {
+  constructor() {
+    this.providers = {};
+    this.platformProviders = {};
+  }
+
+  /**
+   * 설정된 프로바이더 초기화 및 플랫폼 매핑
+   */
+  async initialize() {
+    const useFake = process.env.PUSH_PROVIDER === 'fake' || process.env.NODE_ENV === 'test';
+    const fake = new FakeProvider();
+    this.providers = { fake };
+
+    if (!useFake) {
+      const candidates = [new FcmProvider(), new ApnsProvider(), new WebPushProvider()];
+
+      for (const provider of candidates) {
+        if (!provider.isConfigured()) {
+          continue;
+        }
+
+        try {
+          await provider.initialize();
+          this.providers[provider.name] = provider;
+          logger.info(`푸시 프로바이더 활성화: ${provider.name}`);
+        } catch (error) {
+          logger.error(`푸시 프로바이더 초기화 실패: ${provider.name} - ${error.message}`);
+        }
+      }
+    }
+
+    // 실제 프로바이더가 없으면 개발 환경에서만 가짜 프로바이더로 대체
+    const fallback = (useFake || process.env.NODE_ENV === 'development') ? fake : null;
+    const iosPreference = process.env.PUSH_IOS_PROVIDER || (this.providers.apns ? 'apns' : 'fcm');
+
+    this.platformProviders = {
+      ios: useFake ? fake : (this.providers[iosPreference] || fallback),
+      android: useFake ? fake : (this.providers.fcm || fallback),
+      web: useFake ? fake : (this.providers.webpush || fallback)
+    };
+
+    logger.info('푸시 프로바이더 매핑 완료', {
+      ios: this.platformProviders.ios?.name || null,
+      android: this.platformProviders.android?.name || null,
+      web: this.platformProviders.web?.name || null
+    });
+  }
+
+  /**
+   * 플랫폼에 해당하는 프로바이더 조회
+   */
+  getProvider(platform) {
+    return this.platformProviders[platform] || null;
+  }
+
+  /**
+   * 이름으로 프로바이더 조회 (fake 프로바이더 검사 등)
+   */
+  getProviderByName(name) {
+    return this.providers[name] || null;
+  }
+
+  /**
+   * 모든 프로바이더 연결 종료
+   */
+  async close() {
+    await Promise.all(Object.values(this.providers).map(provider => provider.close()));
+  }
+}
+
+module.exports = {
+  PushProviderRegistry,
+  FcmProvider,
+  ApnsProvider,
+  WebPushProvider,
+  FakeProvider
+};
@@ -0,0 +1,82 @@
+/**
+ * 푸시 프로바이더 기본 클래스
+ * 모든 프로바이더는 send()에서 아래 형태의 결과 객체를 반환합니다.
+ *
+ * { success, messageId, error, invalidToken, retryable }
+ * - invalidToken: 토큰이 만료/해지되어 User.deviceTokens에서 제거해야 함
+ * - retryable: 일시적 오류로 재시도 가능함
+ */
+class PushProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * 자격 증명 등 필수 설정이 있는지 확인
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * 프로바이더 초기화 (토큰 캐시, 연결 등)
+   */
+  async initialize() {}
+
+  /**
+   * 단일 토큰으로 알림 발송
+   */
+  async send(token, notification) {
+    throw new Error(`${this.name} 프로바이더에 send()가 구현되지 않았습니다.`);
+  }
+
+  /**
+   * 프로바이더 종료 (연결 정리)
+   */
+  async close() {}
+
+  /**
+   * 성공 결과 생성
+   */
+  success(messageId) {
+    return { success: true, messageId, provider: this.name };
+  }
+
+  /**
+   * 실패 결과 생성
+   */
+  failure(error, { invalidToken = false, retryable = false, statusCode = null } = {}) {
+    return {
+      success: false,
+      error,
+      invalidToken,
+      retryable,
+      statusCode,
+      provider: this.name
+    };
+  }
+
+  /**
+   * HTTP 상태 코드로 재시도 가능 여부 판단
+   */
+  isRetryableStatus(statusCode) {
+    return statusCode === 429 || statusCode >= 500;
+  }
+}
+
+/**
+ * 데이터 페이로드 값을 문자열로 변환 (FCM/APNs 공통)
+ */
+const stringifyData = (data = {}) => {
+  const result = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined || value === null) return;
+    result[key] = typeof value === 'string' ? value : String(value);
+  });
+  return result;
+};
+
+module.exports = {
+  PushProvider,
+  stringifyData
+};
@@ -0,0 +1,151 @@
+/**
+ * Web Push (VAPID) 프로바이더
+ * 브라우저 PushSubscription으로 RFC 8291(aes128gcm) 암호화 메시지를 발송합니다.
+ * 웹 디바이스 토큰은 PushSubscription JSON 문자열로 저장됩니다.
+ *
+ * 환경변수:
+ * - VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY (base64url, P-256)
+ * - VAPID_SUBJECT (mailto: 또는 https: URL)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { PushProvider } = require('./pushProvider');
+
+const RECORD_SIZE = 4096;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+const toBase64Url = (buffer) => Buffer.from(buffer).toString('base64url');
+const fromBase64Url = (value) => Buffer.from(value, 'base64url');
+
+class WebPushProvider extends PushProvider {
+  constructor(config = {}) {
+    super('webpush');
+    this.publicKey = config.publicKey || process.env.VAPID_PUBLIC_KEY;
+    this.privateKey = config.privateKey || process.env.VAPID_PRIVATE_KEY;
+    this.subject = config.subject || process.env.VAPID_SUBJECT || 'mailto:dev@fivlo.com';
+    this.timeout = config.timeout || 10000;
+    this.signingKey = null;
+  }
+
+  isConfigured() {
+    return !!(this.publicKey && this.privateKey);
+  }
+
+  async initialize() {
+    // base64url 원시 키를 JWK로 변환해 서명 키 생성
+    const publicKey = fromBase64Url(this.publicKey);
+    this.signingKey = crypto.createPrivateKey({
+      key: {
+        kty: 'EC',
+        crv: 'P-256',
+        x: toBase64Url(publicKey.subarray(1, 33)),
+        y: toBase64Url(publicKey.subarray(33, 65)),
+        d: this.privateKey
+      },
+      format: 'jwk'
+    });
+  }
+
+  /**
+   * 구독 엔드포인트용 VAPID Authorization 헤더 생성
+   */
+  createVapidHeader(endpoint) {
+    const audience = new URL(endpoint).origin;
+    const token = jwt.sign({
+      aud: audience,
+      exp: Math.floor(Date.now() / 1000) + 12 * 60 * 60,
+      sub: this.subject
+    }, this.signingKey, { algorithm: 'ES256' });
+
+    return `vapid t=${token}, k=${this.publicKey}`;
+  }
+
+  /**
+   * RFC 8291 페이로드 암호화 (aes128gcm, 단일 레코드)
+   */
+  encryptPayload(subscription, payload) {
+    const userPublicKey = fromBase64Url(subscription.keys.p256dh);
+    const authSecret = fromBase64Url(subscription.keys.auth);
+
+    const ecdh = crypto.createECDH('prime256v1');
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userPublicKey);
+
+    const keyInfo = Buffer.concat([
+      Buffer.from('WebPush: info\0', 'utf8'),
+      userPublicKey,
+      serverPublicKey
+    ]);
+    const ikm = Buffer.from(crypto.hkdfSync('sha256', sharedSecret, authSecret, keyInfo, 32));
+
+    const salt = crypto.randomBytes(16);
+    const contentKey = Buffer.from(crypto.hkdfSync(
+      'sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0', 'utf8'), 16
+    ));
+    const nonce = Buffer.from(crypto.hkdfSync(
+      'sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0', 'utf8'), 12
+    ));
+
+    // 마지막 레코드 구분자(0x02) 추가
+    const plaintext = Buffer.concat([Buffer.from(payload, 'utf8'), Buffer.from([2])]);
+    const cipher = crypto.createCipheriv('aes-128-gcm', contentKey, nonce);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+
+    const header = Buffer.alloc(21);
+    salt.copy(header, 0);
+    header.writeUInt32BE(RECORD_SIZE, 16);
+    header.writeUInt8(serverPublicKey.length, 20);
+
+    return Buffer.concat([header, serverPublicKey, ciphertext]);
+  }
+
+  async send(token, notification) {
+    let subscription;
+    try {
+      subscription = typeof token === 'string' ? JSON.parse(token) : token;
+    } catch (error) {
+      return this.failure('Web Push 구독 정보 형식이 올바르지 않습니다.', { invalidToken: true });
+    }
+
+    if (!subscription?.endpoint || !subscription.keys?.p256dh || !subscription.keys?.auth) {
+      return this.failure('Web Push 구독 정보가 누락되었습니다.', { invalidToken: true });
+    }
+
+    try {
+      const body = this.encryptPayload(subscription, JSON.stringify({
+        title: notification.title,
+        body: notification.body,
+        data: notification.data || {}
+      }));
+
+      const response = await axios.post(subscription.endpoint, body, {
+        headers: {
+          'Authorization': this.createVapidHeader(subscription.endpoint),
+          'Content-Encoding': 'aes128gcm',
+          'Content-Type': 'application/octet-stream',
+          'TTL': String(DEFAULT_TTL_SECONDS),
+          'Urgency': 'high'
+        },
+        timeout: this.timeout,
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        return this.success(response.headers.location || null);
+      }
+
+      return this.failure(`Web Push 응답 코드 ${response.status}`, {
+        statusCode: response.status,
+        invalidToken: response.status === 404 || response.status === 410,
+        retryable: this.isRetryableStatus(response.status)
+      });
+
+    } catch (error) {
+      return this.failure(error.message, { retryable: true });
+    }
+  }
+}
+
+module.exports = WebPushProvider;
@@ -1,8 +1,18 @@
 const Reminder = require('../models/Reminder');
 const User = require('../models/User');
+const notificationService = require('./notificationService');
 const mongoose = require('mongoose');
+const TimezoneUtils = require('../utils/timezone');
+const { haversineDistance } = require('../utils/geo');
 const logger = require('../utils/logger');
 
+// 경계 근처에서 진입/이탈이 반복되지 않도록 두는 여유 거리 (미터)
+const GEOFENCE_HYSTERESIS_METERS = 30;
+// 정확도가 이보다 낮은(값이 큰) 위치는 판단에 사용하지 않음
+const MAX_LOCATION_ACCURACY_METERS = parseInt(process.env.GEOFENCE_MAX_ACCURACY_METERS) || 500;
+// 같은 알림의 위치 알림 재발송 최소 간격
+const LOCATION_NOTIFY_COOLDOWN_MS = (parseInt(process.env.GEOFENCE_COOLDOWN_MINUTES) || 30) * 60 * 1000;
+
 class ReminderService {
   /**
    * 사용자의 알림 목록 조회
@@ -36,7 +46,7 @@ class ReminderService {
       }
 
       // 위치 설정이 있는 경우 유료 사용자인지 확인
-      if (reminderData.location && reminderData.location.latitude && !user.isPremium) {
+      if (reminderData.location && reminderData.location.latitude && !user.checkPremiumStatus()) {
         throw new Error('위치 기반 알림은 유료 사용자만 이용할 수 있습니다.');
       }
 
@@ -96,7 +106,7 @@ class ReminderService {
       const user = await User.findById(userId);
       
       // 위치 설정 업데이트 시 유료 사용자 확인
-      if (updateData.location && updateData.location.latitude && !user.isPremium) {
+      if (updateData.location && updateData.location.latitude && !user.checkPremiumStatus()) {
         throw new Error('위치 기반 알림은 유료 사용자만 이용할 수 있습니다.');
       }
 
@@ -178,8 +188,11 @@ class ReminderService {
         throw new Error('알림을 찾을 수 없습니다.');
       }
 
+      const user = await User.findById(userId).select('timezone');
+      const timezone = user?.timezone;
+
       // 이미 오늘 완료했는지 확인
-      if (reminder.isCompletedToday()) {
+      if (reminder.isCompletedToday(timezone)) {
         return {
           reminder,
           alreadyCompleted: true,
@@ -188,7 +201,7 @@ class ReminderService {
       }
 
       // 알림 완료 처리
-      await reminder.markCompleted();
+      await reminder.markCompleted(timezone);
 
       // 오늘 모든 알림이 완료되었는지 확인하고 코인 지급
       const coinReward = await this.checkDailyReminderCompletion(userId);
@@ -211,18 +224,170 @@ class ReminderService {
     }
   }
 
+  /**
+   * 알림 다시 알림 (5/10/30분 후 재발송)
+   */
+  async snoozeReminder(userId, reminderId, minutes) {
+    try {
+      const reminder = await Reminder.findOne({ _id: reminderId, userId });
+      if (!reminder) {
+        throw new Error('REMINDER_NOT_FOUND');
+      }
+
+      const user = await User.findById(userId).select('timezone');
+      await reminder.snooze(minutes, user?.timezone);
+
+      const occurrence = reminder.getTodayOccurrence(user?.timezone);
+
+      logger.info('알림 다시 알림 설정', {
+        userId,
+        reminderId,
+        minutes,
+        snoozedUntil: occurrence.snoozedUntil,
+        snoozeCount: occurrence.snoozeCount
+      });
+
+      return {
+        reminder,
+        snoozedUntil: occurrence.snoozedUntil,
+        snoozeCount: occurrence.snoozeCount
+      };
+    } catch (error) {
+      logger.error(`알림 다시 알림 설정 실패: ${error.message}`, { userId, reminderId, minutes });
+      throw error;
+    }
+  }
+
+  /**
+   * 위치 업데이트로 지오펜스 진입/이탈 판단 및 위치 알림 발송
+   * 장소를 벗어날 때(exit) 알림을 보내며, 첫 위치는 상태만 기록합니다.
+   * 위치 기반 알림은 Premium 전용이므로 Premium이 아니면 평가하지 않습니다.
+   */
+  async evaluateLocation(user, { latitude, longitude, accuracy = null, recordedAt = new Date() }) {
+    try {
+      const userId = user._id;
+
+      if (!user.checkPremiumStatus()) {
+        return { evaluated: 0, ignored: true, reason: 'not_premium', transitions: [] };
+      }
+
+      if (accuracy !== null && accuracy > MAX_LOCATION_ACCURACY_METERS) {
+        logger.debug('정확도가 낮은 위치 업데이트 무시', { userId, accuracy });
+        return { evaluated: 0, ignored: true, reason: 'low_accuracy', transitions: [] };
+      }
+
+      const reminders = await Reminder.getActiveLocationReminders(userId);
+      const { dayOfWeek } = TimezoneUtils.getLocalTime(recordedAt, user.timezone);
+      const transitions = [];
+
+      for (const reminder of reminders) {
+        const geofence = reminder.geofence;
+
+        // 늦게 도착한 이전 위치는 무시
+        if (geofence.lastEvaluatedAt && recordedAt <= geofence.lastEvaluatedAt) {
+          continue;
+        }
+
+        const distance = haversineDistance(
+          latitude,
+          longitude,
+          reminder.location.latitude,
+          reminder.location.longitude
+        );
+        const margin = Math.max(GEOFENCE_HYSTERESIS_METERS, accuracy || 0);
+
+        let nextState = geofence.state;
+        if (distance <= reminder.location.radius) {
+          nextState = 'inside';
+        } else if (distance > reminder.location.radius + margin) {
+          nextState = 'outside';
+        }
+
+        const previousState = geofence.state;
+        geofence.lastDistance = Math.round(distance);
+        geofence.lastEvaluatedAt = recordedAt;
+
+        if (nextState !== previousState) {
+          geofence.state = nextState;
+          geofence.lastTransitionAt = recordedAt;
+        }
+
+        // 첫 판단(unknown)은 상태만 기록하고 알림은 보내지 않음
+        const event = previousState !== 'unknown' && nextState !== previousState
+          ? (nextState === 'inside' ? 'enter' : 'exit')
+          : null;
+
+        let notified = false;
+
+        if (event === 'exit') {
+          const isScheduledToday = reminder.days.length === 0 || reminder.days.includes(dayOfWeek);
+          const inCooldown = geofence.lastNotifiedAt &&
+            recordedAt - geofence.lastNotifiedAt < LOCATION_NOTIFY_COOLDOWN_MS;
+
+          if (isScheduledToday && !inCooldown && !reminder.isCompletedToday(user.timezone) &&
+              notificationService.isNotificationEnabled(user, 'reminder')) {
+            const notification = notificationService.createLocationReminderNotification(reminder, user);
+            const result = await notificationService.sendPushNotification(user, notification);
+            notified = !!result.success;
+            geofence.lastNotifiedAt = recordedAt;
+          }
+        }
+
+        await reminder.save();
+
+        if (event) {
+          transitions.push({
+            reminderId: reminder._id,
+            title: reminder.title,
+            event,
+            distance: geofence.lastDistance,
+            notified
+          });
+        }
+      }
+
+      logger.info('지오펜스 평가 완료', {
+        userId,
+        evaluated: reminders.length,
+        transitions: transitions.length
+      });
+
+      return {
+        evaluated: reminders.length,
+        ignored: false,
+        transitions
+      };
+    } catch (error) {
+      logger.error(`지오펜스 평가 실패: ${error.message}`, { userId: user._id });
+      throw error;
+    }
+  }
+
+  /**
+   * 다시 알림/미확인 재알림 대상 조회 (스케줄러용)
+   */
+  async getFollowUpReminders(date = new Date(), escalationMinutes = 15) {
+    try {
+      return await Reminder.getFollowUpReminders(date, escalationMinutes);
+    } catch (error) {
+      logger.error(`후속 알림 조회 실패: ${error.message}`, { date });
+      throw error;
+    }
+  }
+
   /**
    * 일일 알림 완료 체크 및 코인 지급
    */
   async checkDailyReminderCompletion(userId) {
     try {
       const user = await User.findById(userId);
-      if (!user || !user.isPremium) {
+      if (!user || !user.checkPremiumStatus()) {
         return null; // 무료 사용자는 코인 지급 없음
       }
 
+      // 사용자 현지 날짜/요일 기준
       const today = new Date();
-      const dayOfWeek = today.getDay();
+      const { dayOfWeek, dateString: todayString } = TimezoneUtils.getLocalTime(today, user.timezone);
 
       // 오늘 알림이 설정된 모든 활성 알림 조회
       const todayReminders = await Reminder.find({
@@ -237,14 +402,13 @@ class ReminderService {
 
       // 모든 알림이 완료되었는지 확인
       const allCompleted = todayReminders.every(reminder => 
-        reminder.isCompletedToday()
+        reminder.isCompletedToday(user.timezone)
       );
 
       if (allCompleted) {
         // 오늘 이미 코인을 지급받았는지 확인
-        const todayString = today.toISOString().split('T')[0];
         const alreadyRewarded = user.dailyRewards.some(
-          reward => reward.date.toISOString().split('T')[0] === todayString && 
+          reward => TimezoneUtils.getLocalDateString(reward.date, user.timezone) === todayString && 
                    reward.type === 'reminder_completion'
         );
 
@@ -268,6 +432,17 @@ class ReminderService {
             completedReminders: todayReminders.length
           });
 
+          // 코인 획득 푸시 알림 (발송 실패는 보상 처리에 영향 없음)
+          if (notificationService.isNotificationEnabled(user)) {
+            const notification = notificationService.createCoinRewardNotification({
+              amount: rewardAmount,
+              totalCoins: user.coins
+            });
+            notificationService.sendPushNotification(user, notification).catch(err => {
+              logger.error(`코인 획득 알림 발송 실패: ${err.message}`, { userId });
+            });
+          }
+
           return {
             rewarded: true,
             amount: rewardAmount,
@@ -285,13 +460,13 @@ class ReminderService {
   }
 
   /**
-   * 특정 시간의 알림 조회 (스케줄러용)
+   * 특정 시점에 사용자 현지 시각 기준으로 발송할 알림 조회 (스케줄러용)
    */
-  async getRemindersByTime(hour, minute, dayOfWeek) {
+  async getRemindersByTime(date = new Date()) {
     try {
-      return await Reminder.getRemindersByTime(hour, minute, dayOfWeek);
+      return await Reminder.getRemindersByTime(date);
     } catch (error) {
-      logger.error(`시간별 알림 조회 실패: ${error.message}`, { hour, minute, dayOfWeek });
+      logger.error(`시간별 알림 조회 실패: ${error.message}`, { date });
       throw error;
     }
   }
@@ -301,7 +476,8 @@ class ReminderService {
    */
   async getReminderStats(userId, days = 30) {
     try {
-      const stats = await Reminder.getUserStats(userId, days);
+      const user = await User.findById(userId).select('timezone');
+      const stats = await Reminder.getUserStats(userId, days, user?.timezone);
       
       // 전체 통계 계산
       const totalStats = await Reminder.aggregate([
@@ -314,7 +490,9 @@ class ReminderService {
             totalReminders: { $sum: 1 },
             averageCompletionRate: { $avg: '$stats.completionRate' },
             totalSent: { $sum: '$stats.totalSent' },
-            totalCompleted: { $sum: '$stats.totalCompleted' }
+            totalCompleted: { $sum: '$stats.totalCompleted' },
+            totalMissed: { $sum: '$stats.totalMissed' },
+            totalSnoozed: { $sum: '$stats.totalSnoozed' }
           }
         }
       ]);
@@ -327,7 +505,9 @@ class ReminderService {
           totalReminders: 0,
           averageCompletionRate: 0,
           totalSent: 0,
-          totalCompleted: 0
+          totalCompleted: 0,
+          totalMissed: 0,
+          totalSnoozed: 0
         }
       };
     } catch (error) {
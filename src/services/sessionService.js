@@ -0,0 +1,202 @@
+/**
+ * 로그인 세션 서비스 (리프레시 토큰 패밀리 저장소)
+ *
+ * - 로그인할 때마다 새 패밀리(세션) 생성
+ * - /api/auth/refresh 마다 리프레시 토큰 교체 (이전 토큰은 즉시 무효)
+ * - 교체된 토큰이 다시 사용되면 탈취로 보고 패밀리 전체 폐기
+ * - 액세스 토큰에는 세션 ID(sid)가 포함되어 폐기된 세션의 요청을 거부
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
+const User = require('../models/User');
+const { generateTokenPair, verifyRefreshToken, getTokenExpiration } = require('../utils/jwt');
+const logger = require('../utils/logger');
+
+class SessionService {
+  /**
+   * 새 로그인 세션 생성 및 토큰 발급
+   * @param {Object} user - 사용자
+   * @param {Object} context - 접속 정보 { userAgent, ip }
+   * @returns {Object} 토큰 세트
+   */
+  async createSession(user, context = {}) {
+    const jti = this.generateJti();
+    const family = new RefreshTokenFamily({
+      userId: user._id,
+      currentJti: jti,
+      userAgent: context.userAgent ? context.userAgent.slice(0, 500) : null,
+      ip: context.ip || null
+    });
+
+    const tokens = generateTokenPair(user, { sessionId: family._id.toString(), jti });
+    family.expiresAt = getTokenExpiration(tokens.refreshToken);
+
+    await family.save();
+
+    logger.info('로그인 세션 생성', { userId: user._id, sessionId: family._id });
+
+    return tokens;
+  }
+
+  /**
+   * 리프레시 토큰 교체
+   * @param {String} refreshToken - 리프레시 토큰
+   * @param {Object} context - 접속 정보 { userAgent, ip }
+   * @returns {Object} { user, tokens, sessionId }
+   * @throws {Error} INVALID_REFRESH_TOKEN | REFRESH_TOKEN_EXPIRED | REFRESH_TOKEN_REUSED
+   */
+  async rotateSession(refreshToken, context = {}) {
+    const decoded = verifyRefreshToken(refreshToken);
+
+    // 세션 저장소 도입 이전에 발급된 토큰은 추적할 수 없으므로 재로그인 필요
+    if (!decoded.sid || !decoded.jti || !mongoose.isValidObjectId(decoded.sid)) {
+      throw new Error('INVALID_REFRESH_TOKEN');
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      await RefreshTokenFamily.revoke({ _id: decoded.sid }, 'account_disabled');
+      throw new Error('INVALID_REFRESH_TOKEN');
+    }
+
+    const jti = this.generateJti();
+    const tokens = generateTokenPair(user, { sessionId: decoded.sid, jti });
+
+    const update = {
+      currentJti: jti,
+      lastUsedAt: new Date(),
+      expiresAt: getTokenExpiration(tokens.refreshToken)
+    };
+    if (context.userAgent) update.userAgent = context.userAgent.slice(0, 500);
+    if (context.ip) update.ip = context.ip;
+
+    // 현재 토큰일 때만 교체 (동시 요청 중 하나만 성공)
+    const family = await RefreshTokenFamily.findOneAndUpdate(
+      {
+        _id: decoded.sid,
+        userId: user._id,
+        currentJti: decoded.jti,
+        revokedAt: null
+      },
+      { $set: update, $inc: { rotationCount: 1 } },
+      { new: true }
+    );
+
+    if (!family) {
+      await this.handleStaleToken(decoded);
+    }
+
+    return { user, tokens, sessionId: decoded.sid };
+  }
+
+  /**
+   * 교체에 실패한 토큰 처리
+   * 폐기된 세션이면 무효 처리, 살아 있는 세션의 이전 토큰이면 재사용으로 보고 세션 폐기
+   */
+  async handleStaleToken(decoded) {
+    const family = await RefreshTokenFamily.findOne({ _id: decoded.sid, userId: decoded.userId });
+
+    if (!family || family.revokedAt) {
+      throw new Error('INVALID_REFRESH_TOKEN');
+    }
+
+    await RefreshTokenFamily.revoke({ _id: family._id }, 'reuse_detected');
+
+    logger.warn('리프레시 토큰 재사용 감지, 세션 폐기', {
+      userId: decoded.userId,
+      sessionId: decoded.sid
+    });
+
+    throw new Error('REFRESH_TOKEN_REUSED');
+  }
+
+  /**
+   * 리프레시 토큰의 세션 폐기 (로그아웃)
+   * 이미 만료된 토큰이면 폐기할 세션이 없으므로 그대로 성공 처리합니다.
+   * @returns {Boolean} 폐기 여부
+   */
+  async revokeByRefreshToken(userId, refreshToken, reason = 'logout') {
+    let decoded;
+    try {
+      decoded = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      if (error.message === 'REFRESH_TOKEN_EXPIRED') return false;
+      throw error;
+    }
+
+    if (decoded.userId !== userId.toString()) {
+      throw new Error('INVALID_REFRESH_TOKEN');
+    }
+
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+      return false;
+    }
+
+    const revoked = await RefreshTokenFamily.revoke({ _id: decoded.sid, userId }, reason);
+    return revoked > 0;
+  }
+
+  /**
+   * 내 로그인 세션 목록
+   * @param {String} userId - 사용자 ID
+   * @param {String} currentSessionId - 현재 요청의 세션 ID
+   */
+  async getSessions(userId, currentSessionId = null) {
+    const sessions = await RefreshTokenFamily.findActiveByUser(userId);
+    return sessions.map(session => this.formatSession(session, currentSessionId));
+  }
+
+  /**
+   * 특정 로그인 세션 폐기 (다른 기기 로그아웃)
+   * @throws {Error} SESSION_NOT_FOUND
+   */
+  async revokeSession(userId, sessionId) {
+    const revoked = await RefreshTokenFamily.revoke({ _id: sessionId, userId }, 'user_revoked');
+    if (revoked === 0) {
+      throw new Error('SESSION_NOT_FOUND');
+    }
+
+    logger.info('로그인 세션 폐기', { userId, sessionId });
+
+    return true;
+  }
+
+  /**
+   * 사용자 전체 세션 폐기 (비밀번호 변경, 계정 비활성화 등)
+   * @param {String} exceptSessionId - 유지할 세션 ID (현재 기기)
+   * @returns {Number} 폐기한 세션 수
+   */
+  async revokeAllSessions(userId, reason, exceptSessionId = null) {
+    const query = { userId };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const revoked = await RefreshTokenFamily.revoke(query, reason);
+
+    logger.info('사용자 세션 일괄 폐기', { userId, reason, revoked });
+
+    return revoked;
+  }
+
+  /**
+   * 세션 응답 포맷
+   */
+  formatSession(session, currentSessionId = null) {
+    return {
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: !!currentSessionId && session._id.toString() === currentSessionId
+    };
+  }
+
+  generateJti() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,642 @@
+/**
+ * 구독 생명주기 서비스
+ *
+ * 프리미엄 권한은 Subscription 컬렉션에서만 결정되며,
+ * 상태가 바뀔 때마다 syncUser()로 User.isPremium / premiumEndDate 캐시를 다시 계산합니다.
+ * (User.checkPremiumStatus, 프리미엄 미들웨어, 코인 서비스는 이 캐시를 읽음)
+ *
+ * - 결제 대기(incomplete) → 결제 완료 시 activatePremium()
+ * - 기간 종료 시 갱신 결제가 확인되지 않으면 유예(grace) 상태로 전환, 유예 종료 시 만료
+ * - 해지 요청은 기간 종료 시 해지(cancelAtPeriodEnd)
+ */
+
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const Subscription = require('../models/Subscription');
+const User = require('../models/User');
+const {
+  PLANS,
+  PAID_PLANS,
+  GRACE_PERIOD_DAYS,
+  CHECKOUT_SESSION_TTL_MINUTES,
+  STORE_PROVIDERS
+} = require('../config/plans');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class SubscriptionService {
+  /**
+   * 플랜 한 주기 뒤의 시점
+   */
+  addPeriod(start, plan) {
+    const { interval, intervalCount } = PLANS[plan];
+    return moment(start).add(intervalCount, interval).toDate();
+  }
+
+  /**
+   * 구독 조회 (ID 또는 결제사 구독 ID)
+   * @param {Object} ref - { subscriptionId } | { provider, externalId }
+   * @throws {Error} SUBSCRIPTION_NOT_FOUND
+   */
+  async findSubscription(ref) {
+    const subscription = ref.subscriptionId
+      ? await Subscription.findById(ref.subscriptionId)
+      : await Subscription.findOne({ provider: ref.provider, externalId: ref.externalId }).sort({ createdAt: -1 });
+
+    if (!subscription) {
+      throw new Error('SUBSCRIPTION_NOT_FOUND');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * 사용자 프리미엄 캐시 재계산
+   * 이용 중인 구독 중 가장 늦게 끝나는 시점을 premiumEndDate로 저장합니다.
+   * @returns {Object} { isPremium, premiumStartDate, premiumEndDate }
+   */
+  async syncUser(userId, now = new Date()) {
+    const subscriptions = await Subscription.findLive(userId);
+    const live = subscriptions.filter(subscription => subscription.hasAccess(now));
+
+    const entitlement = live.length === 0
+      ? { isPremium: false, premiumStartDate: null, premiumEndDate: null }
+      : {
+        isPremium: true,
+        premiumStartDate: new Date(Math.min(...live.map(subscription => subscription.currentPeriodStart))),
+        premiumEndDate: new Date(Math.max(...live.map(subscription => subscription.accessEndsAt)))
+      };
+
+    await User.updateOne({ _id: userId }, { $set: entitlement });
+
+    return entitlement;
+  }
+
+  // ===== 결제 =====
+
+  /**
+   * 결제 대기 구독 생성
+   * @throws {Error} INVALID_PLAN | ALREADY_SUBSCRIBED
+   */
+  async createCheckout(userId, plan) {
+    if (!PAID_PLANS.includes(plan)) {
+      throw new Error('INVALID_PLAN');
+    }
+
+    const paid = await Subscription.findOne({
+      userId,
+      plan: { $in: PAID_PLANS },
+      status: { $in: Subscription.LIVE_STATUSES }
+    });
+    if (paid) {
+      throw new Error('ALREADY_SUBSCRIBED');
+    }
+
+    // 이전에 만든 결제 대기 세션은 더 이상 사용하지 않음
+    const pending = await Subscription.find({ userId, status: 'incomplete' });
+    for (const subscription of pending) {
+      subscription.checkoutExpiresAt = null;
+      await subscription.transition('expired', 'checkout_replaced').save();
+    }
+
+    const subscription = new Subscription({
+      userId,
+      plan,
+      provider: 'checkout',
+      autoRenew: PLANS[plan].autoRenew,
+      checkoutSessionId: `cs_${crypto.randomBytes(12).toString('hex')}`,
+      checkoutExpiresAt: new Date(Date.now() + CHECKOUT_SESSION_TTL_MINUTES * 60 * 1000)
+    });
+    subscription.transition('incomplete', 'checkout_created');
+    await subscription.save();
+
+    return subscription;
+  }
+
+  /**
+   * 결제 완료로 프리미엄 활성화
+   * 웹 결제(checkoutSessionId), 인앱 결제(provider + externalId) 모두 이 경로를 사용합니다.
+   *
+   * @param {String} userId - 사용자 ID
+   * @param {String} plan - 플랜
+   * @param {Object} options
+   * @param {String} options.provider - 결제 경로
+   * @param {String} options.checkoutSessionId - 웹 결제 세션 ID
+   * @param {String} options.externalId - 결제사 구독 ID
+   * @param {Date} options.periodStart - 결제 기간 시작 (기본: 지금)
+   * @param {Date} options.periodEnd - 결제 기간 종료 (기본: 플랜 한 주기)
+   * @throws {Error} INVALID_PLAN | CHECKOUT_SESSION_NOT_FOUND | CHECKOUT_SESSION_EXPIRED
+   */
+  async activatePremium(userId, plan, options = {}) {
+    if (!PAID_PLANS.includes(plan)) {
+      throw new Error('INVALID_PLAN');
+    }
+
+    const { provider = 'checkout', checkoutSessionId = null, externalId = null } = options;
+    let subscription;
+
+    if (checkoutSessionId) {
+      subscription = await Subscription.findOne({ checkoutSessionId, userId });
+      if (!subscription) {
+        throw new Error('CHECKOUT_SESSION_NOT_FOUND');
+      }
+
+      // 같은 결제 완료 알림이 다시 오면 그대로 반환
+      if (Subscription.LIVE_STATUSES.includes(subscription.status)) {
+        return subscription;
+      }
+
+      if (subscription.status !== 'incomplete') {
+        throw new Error('CHECKOUT_SESSION_EXPIRED');
+      }
+    } else if (externalId) {
+      subscription = await Subscription.findOne({ userId, provider, externalId }).sort({ createdAt: -1 });
+    }
+
+    if (!subscription) {
+      subscription = new Subscription({ userId, plan, provider, autoRenew: PLANS[plan].autoRenew });
+    }
+
+    const periodStart = options.periodStart ? new Date(options.periodStart) : new Date();
+
+    subscription.plan = plan;
+    subscription.externalId = externalId || subscription.externalId;
+    subscription.currentPeriodStart = periodStart;
+    subscription.currentPeriodEnd = options.periodEnd ? new Date(options.periodEnd) : this.addPeriod(periodStart, plan);
+    subscription.checkoutExpiresAt = null;
+    subscription.graceEndsAt = null;
+    subscription.cancelAtPeriodEnd = false;
+    subscription.canceledAt = null;
+    subscription.endedAt = null;
+    subscription.transition('active', 'activated', provider);
+    await subscription.save();
+
+    await this.syncUser(userId);
+
+    logger.info('프리미엄 구독 활성화', {
+      userId,
+      plan,
+      provider,
+      subscriptionId: subscription._id,
+      currentPeriodEnd: subscription.currentPeriodEnd
+    });
+
+    return subscription;
+  }
+
+  /**
+   * 갱신 결제 완료
+   * @param {Object} ref - { subscriptionId } | { provider, externalId }
+   * @param {Object} options - { periodEnd } (기본: 이전 기간 종료 시점부터 한 주기)
+   * @throws {Error} SUBSCRIPTION_NOT_FOUND | SUBSCRIPTION_NOT_RENEWABLE
+   */
+  async renew(ref, options = {}) {
+    const subscription = await this.findSubscription(ref);
+
+    if (!Subscription.LIVE_STATUSES.includes(subscription.status)) {
+      throw new Error('SUBSCRIPTION_NOT_RENEWABLE');
+    }
+
+    const periodStart = subscription.currentPeriodEnd > new Date()
+      ? subscription.currentPeriodEnd
+      : new Date();
+
+    subscription.currentPeriodStart = periodStart;
+    subscription.currentPeriodEnd = options.periodEnd
+      ? new Date(options.periodEnd)
+      : this.addPeriod(periodStart, subscription.plan);
+    subscription.graceEndsAt = null;
+    subscription.renewalCount += 1;
+    subscription.transition('active', 'renewed');
+    await subscription.save();
+
+    await this.syncUser(subscription.userId);
+
+    logger.info('구독 갱신', {
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      currentPeriodEnd: subscription.currentPeriodEnd
+    });
+
+    return subscription;
+  }
+
+  /**
+   * 갱신 결제 실패 → 유예 기간 시작
+   * @throws {Error} SUBSCRIPTION_NOT_FOUND | SUBSCRIPTION_NOT_RENEWABLE
+   */
+  async markPaymentFailed(ref) {
+    const subscription = await this.findSubscription(ref);
+
+    if (subscription.status === 'grace') {
+      return subscription;
+    }
+
+    if (subscription.status !== 'active') {
+      throw new Error('SUBSCRIPTION_NOT_RENEWABLE');
+    }
+
+    this.enterGrace(subscription, 'payment_failed');
+    await subscription.save();
+
+    await this.syncUser(subscription.userId);
+
+    logger.warn('구독 갱신 결제 실패, 유예 기간 시작', {
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      graceEndsAt: subscription.graceEndsAt
+    });
+
+    return subscription;
+  }
+
+  enterGrace(subscription, event) {
+    const base = Math.max(subscription.currentPeriodEnd?.getTime() || 0, Date.now());
+    subscription.graceEndsAt = new Date(base + GRACE_PERIOD_DAYS * DAY_MS);
+    subscription.transition('grace', event);
+  }
+
+  /**
+   * 즉시 종료 (환불, 결제사 측 해지 등)
+   */
+  async cancelImmediately(ref, reason = 'canceled') {
+    const subscription = await this.findSubscription(ref);
+
+    if (['expired', 'canceled'].includes(subscription.status)) {
+      return subscription;
+    }
+
+    subscription.canceledAt = subscription.canceledAt || new Date();
+    subscription.transition('canceled', reason);
+    await subscription.save();
+
+    await this.syncUser(subscription.userId);
+
+    logger.info('구독 즉시 종료', {
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      reason
+    });
+
+    return subscription;
+  }
+
+  /**
+   * 결제사에서 만료 처리 (앱스토어 등 결제사가 기간을 관리하는 구독)
+   */
+  async expire(ref, event = 'provider_expired') {
+    const subscription = await this.findSubscription(ref);
+
+    if (['expired', 'canceled'].includes(subscription.status)) {
+      return subscription;
+    }
+
+    subscription.transition('expired', event);
+    await subscription.save();
+
+    await this.syncUser(subscription.userId);
+
+    logger.info('구독 만료', {
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      event
+    });
+
+    return subscription;
+  }
+
+  /**
+   * 결제사에서 자동 갱신을 끄거나 다시 켬 (스토어 구독 관리 화면에서 해지/재개)
+   */
+  async setCancelAtPeriodEnd(ref, cancelAtPeriodEnd) {
+    const subscription = await this.findSubscription(ref);
+
+    if (subscription.cancelAtPeriodEnd === cancelAtPeriodEnd) {
+      return subscription;
+    }
+
+    subscription.cancelAtPeriodEnd = cancelAtPeriodEnd;
+    subscription.canceledAt = cancelAtPeriodEnd ? new Date() : null;
+    subscription.transition(subscription.status, cancelAtPeriodEnd ? 'auto_renew_disabled' : 'auto_renew_enabled');
+    await subscription.save();
+
+    return subscription;
+  }
+
+  // ===== 결제사 이벤트 순서 =====
+
+  /**
+   * 구독에 이미 반영된 이벤트보다 먼저 발생한 이벤트인지 확인
+   */
+  isStaleEvent(subscription, occurredAt) {
+    return !!subscription.lastEventAt && occurredAt < subscription.lastEventAt;
+  }
+
+  /**
+   * 반영한 이벤트 발생 시각 기록 (더 늦은 시각만 저장)
+   */
+  async recordEventTime(subscriptionId, occurredAt) {
+    await Subscription.updateOne(
+      {
+        _id: subscriptionId,
+        $or: [{ lastEventAt: null }, { lastEventAt: { $lt: occurredAt } }]
+      },
+      { $set: { lastEventAt: occurredAt } }
+    );
+  }
+
+  // ===== 사용자 해지 =====
+
+  /**
+   * 사용자의 자동 갱신 구독
+   * @throws {Error} NO_ACTIVE_SUBSCRIPTION | STORE_MANAGED_SUBSCRIPTION
+   */
+  async findRenewingSubscription(userId) {
+    const subscription = await Subscription.findOne({
+      userId,
+      autoRenew: true,
+      status: { $in: Subscription.LIVE_STATUSES }
+    }).sort({ currentPeriodEnd: -1 });
+
+    if (!subscription) {
+      throw new Error('NO_ACTIVE_SUBSCRIPTION');
+    }
+
+    // 스토어 구독은 결제사(App Store / Google Play)에서만 해지할 수 있음
+    if (STORE_PROVIDERS.includes(subscription.provider)) {
+      throw new Error('STORE_MANAGED_SUBSCRIPTION');
+    }
+
+    return subscription;
+  }
+
+  /**
+   * 기간 종료 시 해지
+   * 유예 기간 중이면 남은 결제 기간이 없으므로 즉시 종료합니다.
+   * @throws {Error} NO_ACTIVE_SUBSCRIPTION | ALREADY_CANCELED
+   */
+  async cancelAtPeriodEnd(userId) {
+    const subscription = await this.findRenewingSubscription(userId);
+
+    if (subscription.cancelAtPeriodEnd) {
+      throw new Error('ALREADY_CANCELED');
+    }
+
+    subscription.cancelAtPeriodEnd = true;
+    subscription.canceledAt = new Date();
+
+    if (subscription.status === 'grace') {
+      subscription.transition('expired', 'cancel_requested', '유예 기간 중 해지');
+    } else {
+      subscription.transition('active', 'cancel_requested');
+    }
+
+    await subscription.save();
+    await this.syncUser(userId);
+
+    logger.info('구독 해지 요청', {
+      userId,
+      subscriptionId: subscription._id,
+      endsAt: subscription.currentPeriodEnd
+    });
+
+    return subscription;
+  }
+
+  /**
+   * 해지 요청 철회
+   * @throws {Error} NO_ACTIVE_SUBSCRIPTION | NOT_CANCELED
+   */
+  async resume(userId) {
+    const subscription = await this.findRenewingSubscription(userId);
+
+    if (!subscription.cancelAtPeriodEnd) {
+      throw new Error('NOT_CANCELED');
+    }
+
+    subscription.cancelAtPeriodEnd = false;
+    subscription.canceledAt = null;
+    subscription.transition(subscription.status, 'cancel_reverted');
+    await subscription.save();
+
+    logger.info('구독 해지 철회', { userId, subscriptionId: subscription._id });
+
+    return subscription;
+  }
+
+  // ===== 무료 제공 =====
+
+  /**
+   * 결제 없는 프리미엄 기간 부여 (관리자 지급, 테스트 계정)
+   * 이미 무료 제공 기간이 있으면 남은 기간 뒤로 연장합니다.
+   */
+  async grantComplimentary(userId, days, { provider = 'admin', note = null } = {}) {
+    const now = new Date();
+    let subscription = await Subscription.findOne({
+      userId,
+      plan: 'complimentary',
+      status: 'active',
+      currentPeriodEnd: { $gt: now }
+    });
+
+    if (subscription) {
+      subscription.currentPeriodEnd = new Date(subscription.currentPeriodEnd.getTime() + days * DAY_MS);
+      subscription.transition('active', 'extended', note);
+    } else {
+      subscription = new Subscription({
+        userId,
+        plan: 'complimentary',
+        provider,
+        autoRenew: false,
+        currentPeriodStart: now,
+        currentPeriodEnd: new Date(now.getTime() + days * DAY_MS)
+      });
+      subscription.transition('active', 'granted', note);
+    }
+
+    await subscription.save();
+    const entitlement = await this.syncUser(userId);
+
+    logger.info('프리미엄 무료 제공', { userId, days, provider, currentPeriodEnd: subscription.currentPeriodEnd });
+
+    return { subscription, entitlement };
+  }
+
+  // ===== 기존 데이터 이전 =====
+
+  /**
+   * 구독 도입 이전의 프리미엄 기간을 Subscription으로 이전 (서버 시작 시 실행, 여러 번 실행해도 안전)
+   * 남은 기간을 덮는 구독이 없는 사용자에게 결제 없는(system) 무료 제공 구독을 만들어
+   * 이후 결제나 무료 제공으로 syncUser가 실행될 때 기존 기간이 지워지지 않도록 합니다.
+   * @returns {Number} 이전한 사용자 수
+   */
+  async migrateLegacyPremium(now = new Date()) {
+    // subscriptionStatus/subscriptionEndDate는 초기 버전 문서에만 남아 있는 필드
+    const users = await User.find({
+      $or: [
+        { premiumEndDate: { $gt: now } },
+        { subscriptionStatus: 'premium', subscriptionEndDate: { $gt: now } }
+      ]
+    }).select('premiumStartDate premiumEndDate subscriptionStartDate subscriptionEndDate').lean();
+
+    if (users.length === 0) return 0;
+
+    const live = await Subscription.find({
+      userId: { $in: users.map(user => user._id) },
+      status: { $in: Subscription.LIVE_STATUSES }
+    });
+
+    let migrated = 0;
+
+    for (const user of users) {
+      const legacyEnd = new Date(Math.max(
+        ...[user.premiumEndDate, user.subscriptionEndDate].filter(Boolean).map(date => new Date(date).getTime())
+      ));
+      const covered = live.some(subscription =>
+        String(subscription.userId) === String(user._id)
+        && subscription.hasAccess(now)
+        && subscription.accessEndsAt >= legacyEnd
+      );
+      if (covered) continue;
+
+      const subscription = new Subscription({
+        userId: user._id,
+        plan: 'complimentary',
+        provider: 'system',
+        autoRenew: false,
+        currentPeriodStart: user.premiumStartDate || user.subscriptionStartDate || now,
+        currentPeriodEnd: legacyEnd
+      });
+      subscription.transition('active', 'legacy_migrated', '구독 도입 이전 프리미엄 기간');
+      await subscription.save();
+      await this.syncUser(user._id, now);
+
+      migrated += 1;
+    }
+
+    if (migrated > 0) {
+      logger.info('기존 프리미엄 기간 구독 이전', { migrated });
+    }
+
+    return migrated;
+  }
+
+  // ===== 정기 처리 =====
+
+  /**
+   * 기간이 지난 구독 상태 전환 (스케줄러)
+   * - 결제 세션 만료 → expired
+   * - 기간 종료: 해지 예약/자동 갱신 없음 → expired, 그 외 → grace (갱신 결제 대기)
+   * - 유예 종료 → expired
+   * @returns {Object} 전환 건수
+   */
+  async processDueSubscriptions(now = new Date()) {
+    const result = { checkoutExpired: 0, expired: 0, enteredGrace: 0, graceEnded: 0 };
+    const affectedUsers = new Set();
+
+    const staleCheckouts = await Subscription.updateMany(
+      { status: 'incomplete', checkoutExpiresAt: { $lte: now } },
+      {
+        $set: { status: 'expired', endedAt: now, checkoutExpiresAt: null },
+        $push: { statusHistory: { status: 'expired', event: 'checkout_expired', at: now } }
+      }
+    );
+    result.checkoutExpired = staleCheckouts.modifiedCount;
+
+    const periodEnded = await Subscription.find({ status: 'active', currentPeriodEnd: { $lte: now } });
+    for (const subscription of periodEnded) {
+      if (subscription.cancelAtPeriodEnd || !subscription.autoRenew) {
+        subscription.transition('expired', 'period_ended');
+        result.expired += 1;
+      } else {
+        this.enterGrace(subscription, 'renewal_pending');
+        result.enteredGrace += 1;
+      }
+      await subscription.save();
+      affectedUsers.add(subscription.userId.toString());
+    }
+
+    const graceEnded = await Subscription.find({ status: 'grace', graceEndsAt: { $lte: now } });
+    for (const subscription of graceEnded) {
+      subscription.transition('expired', 'grace_ended');
+      await subscription.save();
+      result.graceEnded += 1;
+      affectedUsers.add(subscription.userId.toString());
+    }
+
+    for (const userId of affectedUsers) {
+      await this.syncUser(userId, now);
+    }
+
+    // 캐시만 남아 있는 사용자 정리 (구독 전환 누락 대비)
+    const staleUsers = await User.find({
+      isPremium: true,
+      premiumEndDate: { $lte: now }
+    }).select('_id');
+    for (const user of staleUsers) {
+      if (!affectedUsers.has(user._id.toString())) {
+        await this.syncUser(user._id, now);
+      }
+    }
+
+    if (Object.values(result).some(count => count > 0)) {
+      logger.info('구독 상태 정기 처리 완료', result);
+    }
+
+    return result;
+  }
+
+  // ===== 조회 =====
+
+  /**
+   * 사용자 구독 요약 (결제 구독 우선)
+   */
+  async getSummary(userId) {
+    const [user, subscriptions] = await Promise.all([
+      User.findById(userId).select('isPremium premiumStartDate premiumEndDate coins'),
+      Subscription.findLive(userId)
+    ]);
+
+    if (!user) {
+      throw new Error('USER_NOT_FOUND');
+    }
+
+    const current = subscriptions.find(subscription => subscription.autoRenew) || subscriptions[0] || null;
+
+    return {
+      isPremium: user.checkPremiumStatus(),
+      premiumStartDate: user.premiumStartDate,
+      premiumEndDate: user.premiumEndDate,
+      coins: user.coins || 0,
+      subscription: current ? this.formatSubscription(current) : null
+    };
+  }
+
+  /**
+   * 구독 응답 포맷
+   */
+  formatSubscription(subscription) {
+    const plan = PLANS[subscription.plan];
+
+    return {
+      id: subscription._id,
+      plan: subscription.plan,
+      planName: plan.name,
+      price: plan.price,
+      currency: plan.currency,
+      provider: subscription.provider,
+      status: subscription.status,
+      autoRenew: subscription.autoRenew,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      currentPeriodStart: subscription.currentPeriodStart,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      graceEndsAt: subscription.graceEndsAt,
+      accessEndsAt: subscription.accessEndsAt,
+      canceledAt: subscription.canceledAt,
+      statusHistory: subscription.statusHistory
+    };
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -6,9 +6,56 @@
 const Task = require('../models/Task');
 const Category = require('../models/Category');
 const GrowthAlbum = require('../models/GrowthAlbum');
+const User = require('../models/User');
+const coinService = require('./coinService');
 const logger = require('../utils/logger');
+const RecurrenceUtils = require('../utils/recurrence');
+const TimezoneUtils = require('../utils/timezone');
 const mongoose = require('mongoose');
 
+// 반복 Task 수정/삭제 범위
+const EDIT_SCOPES = ['this', 'following', 'all'];
+
+// Task 하나의 최대 체크리스트 항목 수
+const MAX_CHECKLIST_ITEMS = 50;
+
+// RRULE 도입 이전 반복 주기 → FREQ ('custom'은 규칙이 없어 일반 Task로 이전)
+const LEGACY_REPEAT_FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY'
+};
+
+// RRULE 도입 이전 반복 필드 (스키마에서 제거되어 컬렉션에서 직접 정리)
+const LEGACY_REPEAT_FIELDS = { repeatType: '', repeatDays: '', repeatEndDate: '' };
+
+// 이전 방식 사본을 따로 수정했는지 판단할 때 원본과 비교하는 필드
+const LEGACY_COPY_FIELDS = [
+  'title', 'description', 'categoryId', 'notes', 'time', 'hasGrowthAlbum', 'growthAlbumRequired',
+  'priority', 'color', 'tags', 'estimatedMinutes', 'autoCompleteChecklist', 'checklist'
+];
+
+// 비교용 값 (ObjectId는 문자열, 체크리스트는 항목 내용만)
+const toComparableValue = (field, value) => {
+  if (field === 'checklist') {
+    return (value || []).map(item => [item.title, item.estimatedMinutes ?? null]);
+  }
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  return value === undefined || value === null ? null : String(value);
+};
+
+// 체크리스트 항목 조회
+// @throws {Error} CHECKLIST_ITEM_NOT_FOUND
+const findChecklistItem = (checklist, itemId) => {
+  const item = checklist.find(entry => String(entry._id) === String(itemId));
+  if (!item) {
+    throw new Error('CHECKLIST_ITEM_NOT_FOUND');
+  }
+  return item;
+};
+
 class TaskService {
   /**
    * 날짜별 Task 목록 조회 (카테고리 정보 포함)
@@ -61,23 +108,35 @@ class TaskService {
       // 날짜별로 그룹화
       const tasksByDate = {};
       const dailySummary = {};
+      const progressSums = {};
 
       tasks.forEach(task => {
         const dateKey = task.formattedDate; // YYYY-MM-DD
         
         if (!tasksByDate[dateKey]) {
           tasksByDate[dateKey] = [];
-          dailySummary[dateKey] = { total: 0, completed: 0 };
+          dailySummary[dateKey] = { total: 0, completed: 0, inProgress: 0, progress: 0 };
+          progressSums[dateKey] = 0;
         }
         
         tasksByDate[dateKey].push(task);
         dailySummary[dateKey].total++;
         
+        // 진행률: 완료한 Task는 1, 미완료 Task는 체크리스트 완료 비율만큼 반영
+        const checklistProgress = task.checklistProgress;
         if (task.isCompleted) {
           dailySummary[dateKey].completed++;
+          progressSums[dateKey] += 1;
+        } else if (checklistProgress && checklistProgress.completed > 0) {
+          dailySummary[dateKey].inProgress++;
+          progressSums[dateKey] += checklistProgress.completed / checklistProgress.total;
         }
       });
 
+      Object.keys(dailySummary).forEach(dateKey => {
+        dailySummary[dateKey].progress = Math.round((progressSums[dateKey] / dailySummary[dateKey].total) * 100);
+      });
+
       logger.info(`캘린더 데이터 조회 완료`, { 
         userId, 
         year, 
@@ -102,9 +161,29 @@ class TaskService {
     }
   }
 
+  /**
+   * 반복 설정 → RRULE (recurrenceRule이 있으면 우선, repeat: true는 매일 반복)
+   * @returns {String|null|undefined} 규칙 / 반복 해제(null) / 변경 없음(undefined)
+   * @throws {Error} INVALID_RRULE
+   */
+  resolveRecurrenceRule({ recurrenceRule, repeat }) {
+    if (recurrenceRule) {
+      return RecurrenceUtils.normalize(recurrenceRule);
+    }
+    if (recurrenceRule === null || repeat === false) {
+      return null;
+    }
+    if (repeat === true) {
+      return 'FREQ=DAILY';
+    }
+    return undefined;
+  }
+
   /**
    * Task 생성
    * POST /api/tasks
+   * 반복 Task는 원본 하나만 저장하고 발생일은 조회할 때 계산합니다.
+   * 반복 Task는 첫 발생({원본 ID}_{YYYY-MM-DD}, originalTaskId = 원본 ID)을 반환합니다.
    */
   async createTask(userId, taskData) {
     try {
@@ -115,10 +194,19 @@ class TaskService {
         date,
         categoryId,
         repeat = false,
+        recurrenceRule = null,
         growthAlbum = false,
-        notes = ''
+        notes = '',
+        checklist = [],
+        autoCompleteChecklist = false
       } = taskData;
 
+      if (checklist.length > MAX_CHECKLIST_ITEMS) {
+        throw new Error('CHECKLIST_LIMIT_EXCEEDED');
+      }
+
+      const rule = this.resolveRecurrenceRule({ recurrenceRule, repeat }) || null;
+
       // 카테고리 확인 (없으면 기본 카테고리 사용)
       let category;
       if (categoryId && categoryId !== 'CATEGORY_ID_여기에') {
@@ -140,23 +228,18 @@ class TaskService {
         categoryId: category._id,
         title: title.trim(),
         date: new Date(date),
-        isRepeating: repeat,
-        repeatType: repeat ? 'daily' : null,
+        isRepeating: !!rule,
+        recurrenceRule: rule,
         hasGrowthAlbum: growthAlbum,
         growthAlbumRequired: growthAlbum,
         notes: notes.trim(),
+        checklist,
+        autoCompleteChecklist,
         color: category.color
       });
 
       await task.save();
 
-      // 반복 설정이 있으면 반복 Task 생성
-      if (repeat) {
-        const endDate = new Date(date);
-        endDate.setMonth(endDate.getMonth() + 1); // 1개월간 반복
-        await Task.createRepeatingTasks(task, endDate);
-      }
-
       // populate하여 카테고리 정보 포함
       await task.populate('categoryId', 'name color');
 
@@ -165,10 +248,16 @@ class TaskService {
         taskId: task._id,
         title: task.title,
         category: category.name,
-        repeat,
+        recurrenceRule: rule,
         growthAlbum
       });
 
+      // 반복 Task는 첫 발생으로 반환 (완료 등 이후 요청이 원본이 아닌 발생 ID를 사용하도록)
+      const firstOccurrence = task.getFirstOccurrence();
+      if (firstOccurrence) {
+        return task.toOccurrence(firstOccurrence);
+      }
+
       return task;
     } catch (error) {
       logger.error('Task 생성 실패', { 
@@ -180,30 +269,150 @@ class TaskService {
     }
   }
 
+  /**
+   * 반복 Task 수정/삭제 범위 결정
+   * - this: 이 발생만 / following: 이 발생 및 이후 / all: 전체
+   * - 일반 Task는 'single', 반복 원본 ID는 항상 'all'
+   * - 발생에 범위를 지정하지 않으면 'this' (반복 규칙 변경은 'all')
+   * @throws {Error} INVALID_EDIT_SCOPE
+   */
+  resolveEditScope(target, scope, changesRecurrence = false) {
+    if (scope !== undefined && !EDIT_SCOPES.includes(scope)) {
+      throw new Error('INVALID_EDIT_SCOPE');
+    }
+    if (!target.series) {
+      return 'single';
+    }
+    if (!target.dateKey) {
+      return 'all';
+    }
+
+    const resolved = scope || (changesRecurrence ? 'all' : 'this');
+
+    // 반복 규칙은 발생 하나에만 적용할 수 없음
+    if (resolved === 'this' && changesRecurrence) {
+      throw new Error('INVALID_EDIT_SCOPE');
+    }
+
+    return resolved;
+  }
+
+  /**
+   * 반복 Task를 dateKey 기준으로 나눔
+   * 원본은 dateKey 전날까지로 줄이고, dateKey부터의 발생은 새 반복 Task로 옮깁니다.
+   * dateKey 이후의 개별 저장된 발생(완료 기록 포함)과 제외 날짜도 새 반복 Task로 옮겨집니다.
+   * @returns {Task} dateKey부터의 반복 Task (앞부분에 발생이 없으면 원본 그대로)
+   */
+  async splitSeries(series, dateKey) {
+    const { before, after } = RecurrenceUtils.split(series.recurrenceRule, series.date, dateKey);
+    if (!before) {
+      return series;
+    }
+
+    const next = new Task({
+      ...series.getSeriesFields({ newChecklistIds: true }),
+      date: RecurrenceUtils.getOccurrence(series.recurrenceRule, series.date, dateKey),
+      recurrenceRule: after,
+      excludedDates: series.excludedDates.filter(date => date >= dateKey)
+    });
+    await next.save();
+
+    series.recurrenceRule = before;
+    series.excludedDates = series.excludedDates.filter(date => date < dateKey);
+    await series.save();
+
+    await Task.updateMany(
+      { userId: series.userId, originalTaskId: series._id, occurrenceDate: { $gte: dateKey } },
+      { $set: { originalTaskId: next._id } }
+    );
+
+    logger.info(`반복 Task 분리`, {
+      userId: series.userId,
+      seriesId: series._id,
+      nextSeriesId: next._id,
+      dateKey
+    });
+
+    return next;
+  }
+
+  /**
+   * 반복 Task 전체 수정
+   * 원본과 아직 완료하지 않은 개별 저장된 발생에 반영하고,
+   * 반복 규칙이 바뀌어 더 이상 발생일이 아닌 개별 저장된 발생은 원본에서 떼어냅니다.
+   */
+  async updateSeries(series, updates, rule) {
+    Object.assign(series, updates);
+    if (rule !== undefined) {
+      series.recurrenceRule = rule;
+    }
+    await series.save();
+
+    if (Object.keys(updates).length > 0) {
+      await Task.updateMany(
+        { userId: series.userId, originalTaskId: series._id, isCompleted: false },
+        { $set: updates }
+      );
+    }
+
+    if (rule !== undefined) {
+      const saved = await Task.find({ userId: series.userId, originalTaskId: series._id })
+        .select('occurrenceDate');
+      const stale = saved.filter(task => !series.getOccurrenceDate(task.occurrenceDate));
+
+      if (stale.length > 0) {
+        await this.releaseSavedOccurrences({ _id: { $in: stale.map(task => task._id) } });
+      }
+    }
+
+    return series;
+  }
+
+  /**
+   * 반복 원본에서 떨어져 나가는 개별 저장된 발생 정리
+   * 완료하지 않은 발생은 삭제하고, 완료한 발생은 일반 Task로 남겨 완료 기록을 유지합니다.
+   * @returns {Number} 삭제한 Task 수
+   */
+  async releaseSavedOccurrences(filter) {
+    const saved = await Task.find(filter).select('isCompleted');
+    const completedIds = saved.filter(task => task.isCompleted).map(task => task._id);
+    const incompleteIds = saved.filter(task => !task.isCompleted).map(task => task._id);
+
+    if (completedIds.length > 0) {
+      await Task.updateMany(
+        { _id: { $in: completedIds } },
+        { $set: { originalTaskId: null, occurrenceDate: null } }
+      );
+    }
+
+    if (incompleteIds.length === 0) {
+      return 0;
+    }
+
+    const deleteResult = await Task.deleteMany({ _id: { $in: incompleteIds } });
+    return deleteResult.deletedCount;
+  }
+
   /**
    * Task 수정
    * PATCH /api/tasks/{id}
+   * 반복 Task는 scope로 범위 지정 (this: 이 발생만, following: 이 발생 및 이후, all: 전체)
+   * 완료한 발생은 범위와 관계없이 수정하지 않아 완료 기록을 유지합니다 (this 제외).
    */
   async updateTask(userId, taskId, updateData) {
     try {
       logger.info(`Task 수정 요청`, { userId, taskId, updateData });
 
-      const task = await Task.findOne({ _id: taskId, userId });
-      if (!task) {
-        return null;
-      }
+      const rule = this.resolveRecurrenceRule(updateData);
 
       // 업데이트 가능한 필드들
-      const allowedFields = ['title', 'categoryId', 'notes', 'growthAlbum', 'repeat'];
+      const allowedFields = ['title', 'categoryId', 'notes', 'growthAlbum', 'autoCompleteChecklist'];
       const updates = {};
 
       allowedFields.forEach(field => {
         if (updateData[field] !== undefined) {
           if (field === 'categoryId') {
             updates.categoryId = updateData.categoryId;
-          } else if (field === 'repeat') {
-            updates.isRepeating = updateData.repeat;
-            updates.repeatType = updateData.repeat ? 'daily' : null;
           } else if (field === 'growthAlbum') {
             updates.hasGrowthAlbum = updateData.growthAlbum;
             updates.growthAlbumRequired = updateData.growthAlbum;
@@ -221,14 +430,44 @@ class TaskService {
         }
       }
 
-      Object.assign(task, updates);
-      await task.save();
+      const target = await Task.findSeriesTarget(userId, taskId);
+      if (!target) {
+        return null;
+      }
+
+      const scope = this.resolveEditScope(target, updateData.scope, rule !== undefined);
+      let task;
+
+      switch (scope) {
+        case 'this':
+          task = target.task || await Task.materializeOccurrence(userId, target.series._id, target.dateKey);
+          Object.assign(task, updates);
+          await task.save();
+          break;
+        case 'following':
+          task = await this.updateSeries(await this.splitSeries(target.series, target.dateKey), updates, rule);
+          break;
+        case 'all':
+          task = await this.updateSeries(target.series, updates, rule);
+          break;
+        default:
+          // 일반 Task (반복 규칙을 설정하면 반복 원본이 됨)
+          task = target.task;
+          Object.assign(task, updates);
+          if (rule !== undefined) {
+            task.recurrenceRule = rule;
+          }
+          await task.save();
+      }
+
       await task.populate('categoryId', 'name color');
 
       logger.info(`Task 수정 완료`, { 
         userId, 
         taskId, 
-        updatedFields: Object.keys(updates)
+        scope,
+        updatedFields: Object.keys(updates),
+        recurrenceRule: rule
       });
 
       return task;
@@ -246,41 +485,81 @@ class TaskService {
   /**
    * Task 삭제 (반복 Task 처리 포함)
    * DELETE /api/tasks/{id}
+   * 반복 Task는 scope로 범위 지정
+   * - this: 원본의 제외 날짜(EXDATE)에 추가하고 개별 저장된 발생이 있으면 삭제
+   * - following: 원본을 전날까지로 줄임
+   * - all: 원본 삭제
+   * following/all에서 완료한 발생은 일반 Task로 남겨 완료 기록을 유지합니다.
    */
-  async deleteTask(userId, taskId, deleteAll = false) {
+  async deleteTask(userId, taskId, scope) {
     try {
-      logger.info(`Task 삭제 요청`, { userId, taskId, deleteAll });
+      logger.info(`Task 삭제 요청`, { userId, taskId, scope });
 
-      const task = await Task.findOne({ _id: taskId, userId });
-      if (!task) {
+      const target = await Task.findSeriesTarget(userId, taskId);
+      if (!target) {
         return { success: false };
       }
 
+      const { task, series, dateKey } = target;
+      let resolvedScope = this.resolveEditScope(target, scope);
       let deletedCount = 0;
 
-      if (deleteAll && task.isRepeating) {
-        // 반복 Task 전체 삭제
-        const deleteResult = await Task.deleteMany({ 
-          $or: [
-            { _id: taskId },
-            { originalTaskId: taskId }
-          ],
-          userId 
-        });
-        deletedCount = deleteResult.deletedCount;
-      } else {
-        // 단일 Task 삭제
-        await task.deleteOne();
+      if (resolvedScope === 'following') {
+        const { before } = RecurrenceUtils.split(series.recurrenceRule, series.date, dateKey);
+
+        if (before) {
+          series.recurrenceRule = before;
+          series.excludedDates = series.excludedDates.filter(date => date < dateKey);
+          await series.save();
+
+          deletedCount = await this.releaseSavedOccurrences({
+            userId,
+            originalTaskId: series._id,
+            occurrenceDate: { $gte: dateKey }
+          });
+        } else {
+          // 첫 발생부터 삭제하면 전체 삭제
+          resolvedScope = 'all';
+        }
+      }
+
+      if (resolvedScope === 'this') {
+        series.excludedDates.addToSet(dateKey);
+        await series.save();
+
+        if (task) {
+          await task.deleteOne();
+        }
         deletedCount = 1;
+      } else if (resolvedScope === 'all') {
+        await series.deleteOne();
+        deletedCount = 1 + await this.releaseSavedOccurrences({ userId, originalTaskId: series._id });
+      } else if (resolvedScope === 'single') {
+        if (scope === 'all' && task.isRepeating) {
+          // 이전 방식으로 복사해 둔 반복 Task 전체 삭제
+          const deleteResult = await Task.deleteMany({ 
+            $or: [
+              { _id: task._id },
+              { originalTaskId: task._id }
+            ],
+            userId 
+          });
+          deletedCount = deleteResult.deletedCount;
+        } else {
+          // 단일 Task 삭제
+          await task.deleteOne();
+          deletedCount = 1;
+        }
       }
 
       logger.info(`Task 삭제 완료`, { 
         userId, 
         taskId, 
+        scope: resolvedScope,
         deletedCount 
       });
 
-      return { success: true, deletedCount };
+      return { success: true, deletedCount, scope: resolvedScope };
     } catch (error) {
       logger.error('Task 삭제 실패', { 
         error: error.message, 
@@ -292,49 +571,78 @@ class TaskService {
   }
 
   /**
-   * Task 완료 처리 + 하루 전체 완료 확인
+   * Task의 날짜와 사용자 현지 오늘 날짜
+   * Task 날짜는 캘린더/반복 발생과 같은 기준(formattedDate)으로, 오늘만 사용자 시간대로 계산합니다.
+   * @returns {Object} { dateKey, todayKey, start, end } (start/end: Task 날짜의 조회 범위)
+   */
+  async getTaskDay(userId, task) {
+    const user = await User.findById(userId).select('timezone');
+    const timezone = TimezoneUtils.resolveTimezone(user?.timezone);
+    const dateKey = task.formattedDate;
+
+    return {
+      dateKey,
+      todayKey: TimezoneUtils.getLocalDateString(new Date(), timezone),
+      start: new Date(`${dateKey}T00:00:00.000Z`),
+      end: new Date(`${dateKey}T23:59:59.999Z`)
+    };
+  }
+
+  /**
+   * Task 완료 처리 + 하루 전체 완료 확인 및 코인 지급
    * PUT /api/tasks/{id}/complete
+   * 날짜가 사용자 현지 오늘인 Task를 완료해 그날의 Task를 모두 완료하면 하루 1회 코인을 지급합니다 (Premium).
    */
   async completeTask(userId, taskId) {
     try {
       logger.info(`Task 완료 처리 요청`, { userId, taskId });
 
-      const task = await Task.findOne({ _id: taskId, userId });
+      // 반복 발생이면 해당 발생을 개별 Task로 저장
+      const task = await Task.findForUpdate(userId, taskId);
       if (!task) {
         return { success: false };
       }
 
       // Task 완료 처리
-      task.isCompleted = true;
-      task.completedAt = new Date();
-      await task.save();
+      if (!task.isCompleted) {
+        task.isCompleted = true;
+        task.completedAt = new Date();
+        await task.save();
+      }
       await task.populate('categoryId', 'name color');
 
-      // 같은 날짜의 모든 Task가 완료되었는지 확인
-      const dateStr = task.formattedDate;
-      const allTasksToday = await Task.find({
-        userId,
-        date: {
-          $gte: new Date(dateStr + 'T00:00:00.000Z'),
-          $lte: new Date(dateStr + 'T23:59:59.999Z')
-        }
-      });
+      // 같은 날짜의 모든 Task가 완료되었는지 확인 (아직 저장되지 않은 반복 발생 포함)
+      const { dateKey, todayKey, start, end } = await this.getTaskDay(userId, task);
+      const allTasksToday = await Task.findInRange(userId, start, end);
 
       const allCompleted = allTasksToday.every(t => t.isCompleted);
 
+      // 지난 날짜나 미래 날짜의 Task를 모두 완료해도 보상은 오늘 날짜만
+      let coinReward = null;
+      if (allCompleted && dateKey === todayKey) {
+        try {
+          coinReward = await coinService.awardDailyTaskReward(userId, dateKey);
+        } catch (coinError) {
+          // 코인 지급 실패해도 Task 완료는 성공으로 처리
+          logger.error('하루 전체 Task 완료 코인 지급 실패', { error: coinError.message, userId, date: dateKey });
+        }
+      }
+
       logger.info(`Task 완료 처리 완료`, { 
         userId, 
         taskId,
-        date: dateStr,
+        date: dateKey,
         allTasksCompleted: allCompleted,
-        totalTasks: allTasksToday.length
+        totalTasks: allTasksToday.length,
+        coinReward: coinReward?.amount || 0
       });
 
       return { 
         success: true, 
         task, 
         allTasksCompleted: allCompleted,
-        date: dateStr
+        coinReward,
+        date: dateKey
       };
     } catch (error) {
       logger.error('Task 완료 처리 실패', { 
@@ -346,6 +654,243 @@ class TaskService {
     }
   }
 
+  /**
+   * Task 완료 취소
+   * PUT /api/tasks/{id}/uncomplete
+   * 오늘(사용자 현지 날짜) Task의 완료를 취소하면 지급한 하루 전체 완료 코인을 회수합니다.
+   */
+  async uncompleteTask(userId, taskId) {
+    try {
+      logger.info(`Task 완료 취소 요청`, { userId, taskId });
+
+      const target = await Task.findSeriesTarget(userId, taskId);
+      if (!target) {
+        return { success: false };
+      }
+
+      // 저장되지 않은 반복 발생은 완료된 적이 없으므로 그대로 반환
+      if (!target.task && target.dateKey) {
+        const occurrence = target.series.toOccurrence(target.series.getOccurrenceDate(target.dateKey));
+        return { success: true, task: occurrence, coinRevoked: null, date: occurrence.formattedDate };
+      }
+
+      const task = target.task || target.series;
+      const wasCompleted = task.isCompleted;
+      if (wasCompleted) {
+        await task.uncomplete();
+      }
+      await task.populate('categoryId', 'name color');
+
+      const { dateKey, todayKey } = await this.getTaskDay(userId, task);
+
+      let coinRevoked = null;
+      if (wasCompleted && dateKey === todayKey) {
+        coinRevoked = await coinService.revokeDailyTaskReward(userId, dateKey);
+      }
+
+      logger.info(`Task 완료 취소 완료`, { 
+        userId, 
+        taskId,
+        date: dateKey,
+        coinRevoked: coinRevoked?.amount || 0
+      });
+
+      return {
+        success: true,
+        task,
+        coinRevoked,
+        date: dateKey
+      };
+    } catch (error) {
+      logger.error('Task 완료 취소 실패', { 
+        error: error.message, 
+        userId, 
+        taskId 
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * 체크리스트에 맞춰 Task 완료 상태 갱신 (autoCompleteChecklist인 경우)
+   * 완료/완료 취소는 completeTask/uncompleteTask를 거치므로 하루 전체 완료 코인도 함께 처리됩니다.
+   * @returns {Object} { task, completion } (completion: 완료 상태를 바꾸지 않았으면 null)
+   */
+  async applyChecklistCompletion(userId, task) {
+    if (task.autoCompleteChecklist && task.checklist.length > 0) {
+      const allChecked = task.checklist.every(item => item.isCompleted);
+
+      if (allChecked && !task.isCompleted) {
+        const result = await this.completeTask(userId, task._id);
+        return {
+          task: result.task,
+          completion: {
+            isCompleted: true,
+            allTasksCompleted: result.allTasksCompleted,
+            coinReward: result.coinReward
+          }
+        };
+      }
+
+      if (!allChecked && task.isCompleted) {
+        const result = await this.uncompleteTask(userId, task._id);
+        return {
+          task: result.task,
+          completion: {
+            isCompleted: false,
+            coinRevoked: result.coinRevoked
+          }
+        };
+      }
+    }
+
+    await task.populate('categoryId', 'name color');
+    return { task, completion: null };
+  }
+
+  /**
+   * 체크리스트를 수정할 Task 조회
+   * 저장되지 않은 반복 발생은 원본 체크리스트로 요청을 먼저 검증한 뒤 개별 Task로 저장합니다
+   * (발생은 원본과 같은 항목 ID를 가지므로, 잘못된 요청으로 발생이 저장되지 않도록).
+   * @param {Function} validate - (checklist) => 요청이 맞지 않으면 오류 throw
+   * @returns {Task|null}
+   */
+  async findChecklistTask(userId, taskId, validate) {
+    const target = await Task.findSeriesTarget(userId, taskId);
+    if (!target) {
+      return null;
+    }
+
+    const task = target.task || target.series;
+    validate(task.checklist);
+
+    if (target.task || !target.dateKey) {
+      return task;
+    }
+    return Task.materializeOccurrence(userId, target.series._id, target.dateKey);
+  }
+
+  /**
+   * 체크리스트 항목 추가
+   * POST /api/tasks/{id}/checklist
+   * @param {Array} items - [{ title, estimatedMinutes }]
+   * @returns {Object|null} { task, completion } (Task가 없으면 null)
+   * @throws {Error} CHECKLIST_LIMIT_EXCEEDED
+   */
+  async addChecklistItems(userId, taskId, items) {
+    try {
+      // 반복 발생이면 해당 발생을 개별 Task로 저장
+      const task = await this.findChecklistTask(userId, taskId, checklist => {
+        if (checklist.length + items.length > MAX_CHECKLIST_ITEMS) {
+          throw new Error('CHECKLIST_LIMIT_EXCEEDED');
+        }
+      });
+      if (!task) {
+        return null;
+      }
+
+      items.forEach(item => task.checklist.push(item));
+      await task.save();
+
+      logger.info(`체크리스트 항목 추가`, { userId, taskId, count: items.length });
+
+      return this.applyChecklistCompletion(userId, task);
+    } catch (error) {
+      logger.error('체크리스트 항목 추가 실패', { error: error.message, userId, taskId });
+      throw error;
+    }
+  }
+
+  /**
+   * 체크리스트 순서 변경
+   * PATCH /api/tasks/{id}/checklist/order
+   * @param {Array<String>} itemIds - 모든 항목 ID를 새 순서대로
+   * @throws {Error} INVALID_CHECKLIST_ORDER
+   */
+  async reorderChecklist(userId, taskId, itemIds) {
+    try {
+      const requestedIds = itemIds.map(String);
+      const task = await this.findChecklistTask(userId, taskId, checklist => {
+        const currentIds = checklist.map(item => String(item._id));
+        const isPermutation = requestedIds.length === currentIds.length
+          && new Set(requestedIds).size === requestedIds.length
+          && requestedIds.every(id => currentIds.includes(id));
+
+        if (!isPermutation) {
+          throw new Error('INVALID_CHECKLIST_ORDER');
+        }
+      });
+      if (!task) {
+        return null;
+      }
+
+      task.checklist = requestedIds.map(id => task.checklist.id(id).toObject());
+      await task.save();
+      await task.populate('categoryId', 'name color');
+
+      logger.info(`체크리스트 순서 변경`, { userId, taskId });
+
+      return { task, completion: null };
+    } catch (error) {
+      logger.error('체크리스트 순서 변경 실패', { error: error.message, userId, taskId });
+      throw error;
+    }
+  }
+
+  /**
+   * 체크리스트 항목 완료 상태 변경
+   * PUT /api/tasks/{id}/checklist/{itemId}/toggle
+   * @param {Boolean} [isCompleted] - 지정하지 않으면 현재 상태를 반대로
+   * @throws {Error} CHECKLIST_ITEM_NOT_FOUND
+   */
+  async toggleChecklistItem(userId, taskId, itemId, isCompleted) {
+    try {
+      const task = await this.findChecklistTask(userId, taskId, checklist => findChecklistItem(checklist, itemId));
+      if (!task) {
+        return null;
+      }
+
+      const item = findChecklistItem(task.checklist, itemId);
+
+      item.isCompleted = typeof isCompleted === 'boolean' ? isCompleted : !item.isCompleted;
+      item.completedAt = item.isCompleted ? new Date() : null;
+      await task.save();
+
+      logger.info(`체크리스트 항목 상태 변경`, { userId, taskId, itemId, isCompleted: item.isCompleted });
+
+      return this.applyChecklistCompletion(userId, task);
+    } catch (error) {
+      logger.error('체크리스트 항목 상태 변경 실패', { error: error.message, userId, taskId, itemId });
+      throw error;
+    }
+  }
+
+  /**
+   * 체크리스트 항목 삭제
+   * DELETE /api/tasks/{id}/checklist/{itemId}
+   * @throws {Error} CHECKLIST_ITEM_NOT_FOUND
+   */
+  async removeChecklistItem(userId, taskId, itemId) {
+    try {
+      const task = await this.findChecklistTask(userId, taskId, checklist => findChecklistItem(checklist, itemId));
+      if (!task) {
+        return null;
+      }
+
+      const item = findChecklistItem(task.checklist, itemId);
+
+      task.checklist.pull(item._id);
+      await task.save();
+
+      logger.info(`체크리스트 항목 삭제`, { userId, taskId, itemId });
+
+      return this.applyChecklistCompletion(userId, task);
+    } catch (error) {
+      logger.error('체크리스트 항목 삭제 실패', { error: error.message, userId, taskId, itemId });
+      throw error;
+    }
+  }
+
   /**
    * 사용자 카테고리 목록 조회
    * GET /api/categories
@@ -482,8 +1027,8 @@ class TaskService {
     try {
       logger.info(`성장앨범 생성 요청`, { userId, taskId });
 
-      // Task 확인
-      const task = await Task.findOne({ _id: taskId, userId });
+      // Task 확인 (반복 발생이면 개별 Task로 저장)
+      const task = await Task.findForUpdate(userId, taskId);
       if (!task) {
         throw new Error('Task를 찾을 수 없습니다.');
       }
@@ -504,7 +1049,7 @@ class TaskService {
 
       const growthAlbum = new GrowthAlbum({
         userId,
-        taskId,
+        taskId: task._id,
         imageUrl,
         thumbnailUrl,
         imagePath,
@@ -643,6 +1188,146 @@ class TaskService {
       throw error;
     }
   }
+
+  /**
+   * RRULE 도입 이전 반복 Task를 반복 규칙으로 이전 (서버 시작 시 실행, 여러 번 실행해도 안전)
+   * 이전에는 원본(repeatType)과 함께 종료일까지의 사본을 미리 만들어 저장했습니다.
+   * - 원본: recurrenceRule로 변환하고 종료일(repeatEndDate, 없으면 마지막 사본 날짜)을 UNTIL로 유지
+   *   (사용자가 지운 사본의 날짜는 excludedDates로 유지)
+   * - 사본: 오늘 이후의 완료하지 않았고 따로 수정하지도 않은 사본은 삭제하고,
+   *   나머지(지난 날짜, 완료, 따로 수정한 사본)는 해당 날짜의 개별 저장된 발생으로 남김
+   * - 이전 필드(repeatType/repeatDays/repeatEndDate)는 모든 Task에서 제거
+   * @returns {Object} { series, removedCopies, keptCopies }
+   */
+  async migrateLegacyRepeatingTasks(now = new Date()) {
+    const collection = Task.collection;
+    const result = { series: 0, removedCopies: 0, keptCopies: 0 };
+    const todayKey = RecurrenceUtils.toDateKey(now);
+
+    const masters = await collection.find({
+      repeatType: { $in: Object.keys(LEGACY_REPEAT_FREQUENCIES) },
+      originalTaskId: null
+    }).toArray();
+
+    for (const master of masters) {
+      const copies = await collection.find({ originalTaskId: master._id, repeatType: { $exists: true } })
+        .sort({ date: 1 })
+        .toArray();
+
+      // 중간에 멈췄다 다시 실행하면 이미 변환한 규칙을 그대로 사용
+      if (!master.recurrenceRule) {
+        const masterKey = RecurrenceUtils.toDateKey(master.date);
+        const rule = this.toLegacyRecurrenceRule(master, copies);
+        const copyKeys = new Set(copies.map(copy => RecurrenceUtils.toDateKey(copy.date)));
+        const excludedDates = RecurrenceUtils.expand(rule, master.date)
+          .map(date => RecurrenceUtils.toDateKey(date))
+          .filter(dateKey => dateKey !== masterKey && !copyKeys.has(dateKey));
+
+        // 원본은 반복 규칙만 갖게 되므로 원본 날짜의 완료 기록은 개별 저장된 발생으로 옮김
+        if (master.isCompleted) {
+          const occurrence = {
+            ...master,
+            isRepeating: false,
+            recurrenceRule: null,
+            originalTaskId: master._id,
+            occurrenceDate: masterKey
+          };
+          ['_id', ...Object.keys(LEGACY_REPEAT_FIELDS)].forEach(field => delete occurrence[field]);
+
+          try {
+            await collection.insertOne(occurrence);
+          } catch (error) {
+            if (error.code !== 11000) throw error;
+          }
+        }
+
+        await collection.updateOne({ _id: master._id }, {
+          $set: {
+            isRepeating: true,
+            recurrenceRule: rule,
+            recurrenceEndsAt: RecurrenceUtils.getEndDate(rule, master.date),
+            excludedDates,
+            isCompleted: false,
+            completedAt: null
+          }
+        });
+      }
+
+      for (const copy of copies) {
+        const dateKey = RecurrenceUtils.toDateKey(copy.date);
+
+        if (!copy.isCompleted && dateKey >= todayKey && this.isUnmodifiedLegacyCopy(master, copy)) {
+          await collection.deleteOne({ _id: copy._id });
+          result.removedCopies += 1;
+          continue;
+        }
+
+        try {
+          await collection.updateOne({ _id: copy._id }, {
+            $set: { isRepeating: false, recurrenceRule: null, occurrenceDate: dateKey },
+            $unset: LEGACY_REPEAT_FIELDS
+          });
+        } catch (error) {
+          if (error.code !== 11000) throw error;
+
+          // 같은 날짜의 사본이 중복 저장된 경우 원본에서 떼어낸 일반 Task로 유지
+          await collection.updateOne({ _id: copy._id }, {
+            $set: { isRepeating: false, recurrenceRule: null, originalTaskId: null, occurrenceDate: null },
+            $unset: LEGACY_REPEAT_FIELDS
+          });
+        }
+        result.keptCopies += 1;
+      }
+
+      await collection.updateOne({ _id: master._id }, { $unset: LEGACY_REPEAT_FIELDS });
+      result.series += 1;
+    }
+
+    // 반복이 아니었던 Task, 원본이 삭제된 사본, 규칙으로 바꿀 수 없는 반복(custom)은 일반 Task로 정리
+    await collection.updateMany(
+      { repeatType: { $exists: true }, recurrenceRule: null },
+      { $set: { isRepeating: false }, $unset: LEGACY_REPEAT_FIELDS }
+    );
+
+    if (result.series > 0) {
+      logger.info('기존 반복 Task 이전', result);
+    }
+
+    return result;
+  }
+
+  /**
+   * 이전 방식 사본이 원본과 같은지
+   * 따로 수정했거나 체크리스트 진행/포모도로 시간 기록이 있는 사본은 삭제하지 않고 유지합니다.
+   */
+  isUnmodifiedLegacyCopy(master, copy) {
+    if (copy.actualMinutes || (copy.checklist || []).some(item => item.isCompleted)) {
+      return false;
+    }
+
+    return LEGACY_COPY_FIELDS.every(field =>
+      JSON.stringify(toComparableValue(field, copy[field])) === JSON.stringify(toComparableValue(field, master[field]))
+    );
+  }
+
+  /**
+   * RRULE 도입 이전 반복 설정 → RRULE
+   * 종료일이 없던 반복도 사본을 만든 날짜까지만 있었으므로 마지막 사본 날짜를 UNTIL로 사용합니다.
+   */
+  toLegacyRecurrenceRule(master, copies) {
+    const parts = [`FREQ=${LEGACY_REPEAT_FREQUENCIES[master.repeatType]}`];
+
+    if (master.repeatType === 'weekly' && (master.repeatDays || []).length > 0) {
+      parts.push(`BYDAY=${master.repeatDays.map(day => RecurrenceUtils.WEEKDAYS[day]).join(',')}`);
+    }
+
+    const lastCopy = copies[copies.length - 1];
+    const endDate = master.repeatEndDate || (lastCopy && lastCopy.date);
+    const until = endDate && endDate > master.date ? endDate : master.date;
+    parts.push(`UNTIL=${RecurrenceUtils.toDateKey(until).replace(/-/g, '')}`);
+
+    return RecurrenceUtils.normalize(parts.join(';'));
+  }
 }
 
 module.exports = new TaskService();
@@ -5,6 +5,7 @@
 
 const TimeAttackSession = require('../models/TimeAttackSession');
 const aiService = require('./aiService');
+const TimerUtils = require('../utils/timer');
 const logger = require('../utils/logger');
 
 class TimeAttackService {
@@ -18,25 +19,26 @@ class TimeAttackService {
 
       const {
         goal,
-        totalMinutes,
-        steps = []
+        steps = [],
+        useAI = true
       } = sessionData;
 
-      // AI로 목표 단계별 분해 (steps가 없는 경우)
+      let totalMinutes = sessionData.totalMinutes;
       let processedSteps = steps;
+      let isAiGenerated = false;
+      let aiPrompt = null;
+
+      // 단계가 없으면 목표를 단계별로 분해 (AI 미사용 시 규칙 기반 템플릿)
       if (!steps || steps.length === 0) {
-        try {
-          const aiSteps = await aiService.breakdownGoal(goal, totalMinutes);
-          processedSteps = aiSteps;
-        } catch (aiError) {
-          logger.warn('AI 목표 분해 실패, 기본 단계 사용', { error: aiError.message });
-          // AI 실패 시 기본 단계 생성
-          processedSteps = [
-            { name: '준비하기', duration: Math.floor(totalMinutes * 0.1) },
-            { name: goal, duration: Math.floor(totalMinutes * 0.8) },
-            { name: '마무리하기', duration: Math.floor(totalMinutes * 0.1) }
-          ];
-        }
+        const history = await TimeAttackSession.getStepAccuracyHistory(userId);
+        const plan = await aiService.generateTimeAttackPlan({ goal, totalMinutes, history, useAI });
+
+        totalMinutes = plan.totalMinutes;
+        processedSteps = plan.steps;
+        isAiGenerated = plan.isAiGenerated;
+        aiPrompt = plan.prompt;
+      } else if (!totalMinutes) {
+        totalMinutes = steps.reduce((sum, step) => sum + (step.duration || step.minutes), 0);
       }
 
       const session = new TimeAttackSession({
@@ -50,7 +52,9 @@ class TimeAttackService {
           completed: false
         })),
         currentStepIndex: 0,
-        status: 'ready'
+        status: 'ready',
+        isAiGenerated,
+        aiPrompt
       });
 
       await session.save();
@@ -86,6 +90,8 @@ class TimeAttackService {
         throw new Error('세션을 찾을 수 없습니다.');
       }
 
+      await session.recoverIfAbandoned(TimerUtils.SESSION_IDLE_TIMEOUT_MS);
+
       if (session.status !== 'ready' && session.status !== 'paused') {
         throw new Error('세션을 시작할 수 없는 상태입니다.');
       }
@@ -155,6 +161,8 @@ class TimeAttackService {
     try {
       logger.info('타임어택 세션 목록 조회', { userId });
 
+      await this.recoverAbandonedSessions(userId);
+
       const sessions = await TimeAttackSession.find({ userId })
         .sort({ createdAt: -1 })
         .limit(limit)
@@ -174,6 +182,22 @@ class TimeAttackService {
       throw error;
     }
   }
+
+  /**
+   * 방치된 세션 자동 포기 처리
+   * @param {String} userId - 사용자 ID (없으면 전체 사용자)
+   * @param {Date} now - 기준 시각
+   * @returns {Object} { abandoned }
+   */
+  async recoverAbandonedSessions(userId = null, now = new Date()) {
+    const result = await TimeAttackSession.recoverAbandonedSessions(TimerUtils.SESSION_IDLE_TIMEOUT_MS, userId, now);
+
+    if (result.abandoned > 0) {
+      logger.info('방치된 타임어택 세션 자동 포기 처리', { userId, ...result });
+    }
+
+    return result;
+  }
 }
 
 module.exports = new TimeAttackService();
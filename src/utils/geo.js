@@ -0,0 +1,42 @@
+/**
+ * 위치 계산 유틸리티
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * 두 좌표 사이의 거리 (하버사인 공식)
+ * @param {Number} lat1 - 위도 1
+ * @param {Number} lon1 - 경도 1
+ * @param {Number} lat2 - 위도 2
+ * @param {Number} lon2 - 경도 2
+ * @returns {Number} 거리 (미터)
+ */
+const haversineDistance = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * 유효한 위경도인지 확인
+ * @param {Number} latitude - 위도
+ * @param {Number} longitude - 경도
+ * @returns {Boolean} 유효 여부
+ */
+const isValidCoordinate = (latitude, longitude) => {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+         latitude >= -90 && latitude <= 90 &&
+         longitude >= -180 && longitude <= 180;
+};
+
+module.exports = {
+  haversineDistance,
+  isValidCoordinate
+};
@@ -102,6 +102,36 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * 리프레시 토큰 검증
+ * @param {String} token - 리프레시 토큰
+ * @returns {Object} 디코딩된 페이로드 ({ userId, sid, jti })
+ * @throws {Error} REFRESH_TOKEN_EXPIRED | INVALID_REFRESH_TOKEN
+ */
+const verifyRefreshToken = (token) => {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('JWT_SECRET이 설정되지 않았습니다.');
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret, {
+      issuer: 'fivlo-backend',
+      audience: 'fivlo-app'
+    });
+  } catch (error) {
+    logger.warn(`리프레시 토큰 검증 실패: ${error.message}`);
+    throw new Error(error.name === 'TokenExpiredError' ? 'REFRESH_TOKEN_EXPIRED' : 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (decoded.type !== 'refresh') {
+    throw new Error('INVALID_REFRESH_TOKEN');
+  }
+
+  return decoded;
+};
+
 /**
  * 토큰에서 사용자 ID 추출 (검증 없이)
  * @param {String} token - 토큰
@@ -158,18 +188,24 @@ const isTokenExpiringSoon = (token, thresholdMinutes = 30) => {
 /**
  * 액세스 토큰과 리프레시 토큰 세트 생성
  * @param {Object} user - 사용자 객체
+ * @param {Object} session - 로그인 세션 { sessionId, jti } (리프레시 토큰 패밀리)
  * @returns {Object} { accessToken, refreshToken, expiresIn }
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, session) => {
   const payload = {
     userId: user._id.toString(),
     email: user.email,
-    isPremium: user.isPremium,
-    userType: user.userType
+    isPremium: user.checkPremiumStatus(),
+    userType: user.userType,
+    sid: session.sessionId
   };
 
   const accessToken = generateToken(payload);
-  const refreshToken = generateRefreshToken({ userId: user._id.toString() });
+  const refreshToken = generateRefreshToken({
+    userId: user._id.toString(),
+    sid: session.sessionId,
+    jti: session.jti
+  });
   
   const expirationDate = getTokenExpiration(accessToken);
   
@@ -201,6 +237,7 @@ module.exports = {
   generateToken,
   generateRefreshToken,
   verifyToken,
+  verifyRefreshToken,
   extractUserIdFromToken,
   getTokenExpiration,
   isTokenExpiringSoon,
@@ -0,0 +1,393 @@
+const moment = require('moment-timezone');
+
+// 지원하는 RRULE 항목 (RFC 5545의 일부)
+const FREQUENCIES = {
+  DAILY: 'days',
+  WEEKLY: 'weeks',
+  MONTHLY: 'months',
+  YEARLY: 'years'
+};
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA']; // 인덱스 = 요일 번호 (0: 일요일)
+const BYDAY_PATTERN = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+const DATE_KEY_FORMAT = 'YYYY-MM-DD';
+const MAX_COUNT = 1000;
+const MAX_INTERVAL = 999;
+const MAX_PERIODS = 10000; // 발생이 없는 규칙(예: BYMONTHDAY=31;BYDAY=2MO)의 무한 반복 방지
+
+const invalid = () => new Error('INVALID_RRULE');
+
+const parseInteger = (value, min, max) => {
+  if (!/^[+-]?\d+$/.test(value)) throw invalid();
+  const number = Number(value);
+  if (number < min || number > max || number === 0) throw invalid();
+  return number;
+};
+
+/**
+ * 반복 규칙(RRULE) 유틸리티
+ * 반복 Task는 시작일(DTSTART = Task.date)과 규칙만 저장하고 발생일은 조회할 때 계산합니다.
+ * 모든 계산은 UTC 날짜(Task.formattedDate와 같은 기준) 단위이며 발생 시각은 시작일의 시각을 따릅니다.
+ *
+ * 지원: FREQ(DAILY/WEEKLY/MONTHLY/YEARLY), INTERVAL, BYDAY(MONTHLY는 2MO, -1FR 같은 순번 포함),
+ *       BYMONTHDAY(-1은 말일), COUNT, UNTIL
+ * 월간 반복에 BYMONTHDAY/BYDAY가 없으면 시작일의 날짜로 반복하되, 그 날짜가 없는 달은 말일에 발생합니다.
+ * BYMONTHDAY로 직접 지정한 날짜가 없는 달은 RFC 5545와 같이 건너뜁니다.
+ */
+class RecurrenceUtils {
+  /**
+   * RRULE 문자열 파싱
+   * @param {String} rrule - 예: "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10" ("RRULE:" 접두어 허용)
+   * @returns {Object} { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay, count, until }
+   * @throws {Error} INVALID_RRULE
+   */
+  static parse(rrule) {
+    if (typeof rrule !== 'string' || !rrule.trim()) throw invalid();
+
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null };
+    const seen = new Set();
+
+    rrule.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+      const [rawKey, value, extra] = part.split('=');
+      const key = (rawKey || '').trim().toUpperCase();
+      if (!value || extra !== undefined || seen.has(key)) throw invalid();
+      seen.add(key);
+
+      const upper = value.trim().toUpperCase();
+
+      switch (key) {
+        case 'FREQ':
+          if (!FREQUENCIES[upper]) throw invalid();
+          rule.freq = upper;
+          break;
+        case 'INTERVAL':
+          rule.interval = parseInteger(upper, 1, MAX_INTERVAL);
+          break;
+        case 'BYDAY':
+          rule.byDay = upper.split(',').map(item => {
+            const match = BYDAY_PATTERN.exec(item);
+            if (!match) throw invalid();
+            return {
+              weekday: WEEKDAYS.indexOf(match[2]),
+              ordinal: match[1] ? parseInteger(match[1], -5, 5) : null
+            };
+          });
+          break;
+        case 'BYMONTHDAY':
+          rule.byMonthDay = upper.split(',').map(item => parseInteger(item, -31, 31));
+          break;
+        case 'COUNT':
+          rule.count = parseInteger(upper, 1, MAX_COUNT);
+          break;
+        case 'UNTIL': {
+          const until = moment.utc(upper, ['YYYYMMDD[T]HHmmss[Z]', 'YYYYMMDD[T]HHmmss', 'YYYYMMDD'], true);
+          if (!until.isValid()) throw invalid();
+          rule.until = until.startOf('day');
+          break;
+        }
+        case 'WKST':
+          // 주 시작은 월요일(RFC 5545 기본값)만 지원
+          if (upper !== 'MO') throw invalid();
+          break;
+        default:
+          throw invalid();
+      }
+    });
+
+    if (!rule.freq || (rule.count && rule.until)) throw invalid();
+
+    // 순번 있는 BYDAY는 월간 반복에서만, BYMONTHDAY는 일간/월간 반복에서만 사용
+    if (rule.byDay.some(day => day.ordinal !== null) && rule.freq !== 'MONTHLY') throw invalid();
+    if (rule.byMonthDay.length > 0 && !['DAILY', 'MONTHLY'].includes(rule.freq)) throw invalid();
+    if (rule.byDay.length > 0 && rule.freq === 'YEARLY') throw invalid();
+
+    return rule;
+  }
+
+  /**
+   * 파싱한 규칙을 정규화된 RRULE 문자열로 변환
+   * @param {Object} rule - parse() 결과
+   * @returns {String} RRULE 문자열 (접두어 없음)
+   */
+  static format(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length > 0) {
+      parts.push(`BYDAY=${rule.byDay.map(day => `${day.ordinal || ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+    }
+    if (rule.byMonthDay.length > 0) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    if (rule.until) parts.push(`UNTIL=${rule.until.format('YYYYMMDD')}`);
+
+    return parts.join(';');
+  }
+
+  /**
+   * RRULE 문자열 검증 및 정규화
+   * @throws {Error} INVALID_RRULE
+   */
+  static normalize(rrule) {
+    return RecurrenceUtils.format(RecurrenceUtils.parse(rrule));
+  }
+
+  /**
+   * 시점의 UTC 날짜 키 (YYYY-MM-DD, Task.formattedDate와 같은 형식)
+   */
+  static toDateKey(date) {
+    return moment.utc(date).format(DATE_KEY_FORMAT);
+  }
+
+  /**
+   * 기간 내 발생 시점 계산
+   * @param {String|Object} rrule - RRULE 문자열 또는 parse() 결과
+   * @param {Date} dtstart - 반복 시작 시점 (첫 발생)
+   * @param {Object} options - { from, to, exdates: ['YYYY-MM-DD'], limit: 최대 발생 수 }
+   * @returns {Array<Date>} 발생 시점 목록 (오름차순, from/to 포함)
+   */
+  static expand(rrule, dtstart, { from = dtstart, to, exdates = [], limit = null } = {}) {
+    const rule = typeof rrule === 'string' ? RecurrenceUtils.parse(rrule) : rrule;
+    const start = moment.utc(dtstart);
+    const startDay = start.clone().startOf('day');
+    const timeOffset = start.diff(startDay);
+    const rangeStart = moment.utc(from);
+    const rangeEnd = to ? moment.utc(to) : null;
+    const excluded = new Set(exdates);
+
+    if (!rangeEnd && !rule.count && !rule.until && !limit) {
+      throw new Error('INVALID_RANGE');
+    }
+
+    const unit = FREQUENCIES[rule.freq];
+    const firstPeriod = RecurrenceUtils.getPeriodStart(rule.freq, startDay);
+
+    // COUNT는 시작일부터 세야 하므로 COUNT가 없을 때만 조회 시작 기간으로 건너뜀
+    let index = 0;
+    if (!rule.count && rangeStart.isAfter(startDay)) {
+      const skipped = RecurrenceUtils.getPeriodStart(rule.freq, rangeStart.clone().startOf('day'))
+        .diff(firstPeriod, unit);
+      index = Math.max(0, Math.floor(skipped / rule.interval));
+    }
+
+    const occurrences = [];
+    let generated = 0;
+
+    for (let periods = 0; periods < MAX_PERIODS; periods++, index++) {
+      const periodStart = firstPeriod.clone().add(index * rule.interval, unit);
+      if ((rangeEnd && periodStart.isAfter(rangeEnd)) || (rule.until && periodStart.isAfter(rule.until))) {
+        break;
+      }
+
+      for (const day of RecurrenceUtils.getCandidates(rule, periodStart, startDay)) {
+        if (day.isBefore(startDay)) continue;
+
+        const occurrence = day.clone().add(timeOffset, 'ms');
+        if ((rule.until && day.isAfter(rule.until)) || (rangeEnd && occurrence.isAfter(rangeEnd))) {
+          return occurrences;
+        }
+
+        generated++;
+        if (!occurrence.isBefore(rangeStart) && !excluded.has(day.format(DATE_KEY_FORMAT))) {
+          occurrences.push(occurrence.toDate());
+          if (limit && occurrences.length >= limit) {
+            return occurrences;
+          }
+        }
+        if (rule.count && generated >= rule.count) {
+          return occurrences;
+        }
+      }
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * 특정 날짜의 발생 시점 (규칙상 발생일이 아니거나 제외된 날이면 null)
+   * @param {String} rrule - RRULE 문자열
+   * @param {Date} dtstart - 반복 시작 시점
+   * @param {String} dateKey - YYYY-MM-DD
+   * @param {Array<String>} exdates - 제외한 날짜 목록
+   * @returns {Date|null}
+   */
+  static getOccurrence(rrule, dtstart, dateKey, exdates = []) {
+    const day = moment.utc(dateKey, DATE_KEY_FORMAT, true);
+    if (!day.isValid()) return null;
+
+    const [occurrence] = RecurrenceUtils.expand(rrule, dtstart, {
+      from: day.toDate(),
+      to: day.clone().endOf('day').toDate(),
+      exdates
+    });
+
+    return occurrence || null;
+  }
+
+  /**
+   * 마지막 발생 시점 (COUNT/UNTIL이 없는 무기한 반복이면 null)
+   * UNTIL은 해당 날짜의 끝으로 계산합니다.
+   */
+  static getEndDate(rrule, dtstart) {
+    const rule = typeof rrule === 'string' ? RecurrenceUtils.parse(rrule) : rrule;
+
+    if (rule.until) {
+      return rule.until.clone().endOf('day').toDate();
+    }
+    if (rule.count) {
+      const occurrences = RecurrenceUtils.expand(rule, dtstart);
+      return occurrences.length > 0 ? occurrences[occurrences.length - 1] : moment.utc(dtstart).toDate();
+    }
+
+    return null;
+  }
+
+  /**
+   * 특정 날짜를 기준으로 규칙을 둘로 나눔 ("이 발생 및 이후" 수정/삭제)
+   * COUNT는 앞뒤로 나누고, 그 외에는 앞 규칙에 전날까지의 UNTIL을 붙입니다.
+   * @param {String} rrule - RRULE 문자열
+   * @param {Date} dtstart - 반복 시작 시점
+   * @param {String} dateKey - 나누는 날짜 (YYYY-MM-DD, 뒤 규칙의 첫 발생일)
+   * @returns {Object} { before, after } (앞/뒤 규칙, 해당 구간에 발생이 없으면 null)
+   */
+  static split(rrule, dtstart, dateKey) {
+    const rule = RecurrenceUtils.parse(rrule);
+    const boundary = moment.utc(dateKey, DATE_KEY_FORMAT, true);
+    if (!boundary.isValid()) throw new Error('INVALID_RANGE');
+
+    // 제외 날짜와 관계없이 규칙상 발생한 수 (COUNT 기준)
+    const generatedBefore = RecurrenceUtils.expand(rule, dtstart, {
+      to: boundary.clone().subtract(1, 'ms').toDate()
+    }).length;
+
+    const before = { ...rule };
+    const after = { ...rule };
+
+    if (rule.count) {
+      before.count = generatedBefore;
+      after.count = rule.count - generatedBefore;
+    } else {
+      before.until = boundary.clone().subtract(1, 'day');
+    }
+
+    const hasAfter = rule.count
+      ? after.count > 0
+      : !rule.until || !boundary.isAfter(rule.until);
+
+    return {
+      before: generatedBefore > 0 ? RecurrenceUtils.format(before) : null,
+      after: hasAfter ? RecurrenceUtils.format(after) : null
+    };
+  }
+
+  /**
+   * 반복 단위 기간의 시작일 (주는 월요일 시작)
+   */
+  static getPeriodStart(freq, day) {
+    switch (freq) {
+      case 'WEEKLY':
+        return day.clone().startOf('isoWeek');
+      case 'MONTHLY':
+        return day.clone().startOf('month');
+      case 'YEARLY':
+        return day.clone().startOf('year');
+      default:
+        return day.clone().startOf('day');
+    }
+  }
+
+  /**
+   * 한 기간 안의 발생 후보일 (오름차순)
+   */
+  static getCandidates(rule, periodStart, startDay) {
+    switch (rule.freq) {
+      case 'DAILY':
+        return RecurrenceUtils.matchesFilters(rule, periodStart) ? [periodStart] : [];
+
+      case 'WEEKLY': {
+        const weekdays = rule.byDay.length > 0
+          ? rule.byDay.map(day => day.weekday)
+          : [startDay.day()];
+        return [0, 1, 2, 3, 4, 5, 6]
+          .map(offset => periodStart.clone().add(offset, 'days'))
+          .filter(day => weekdays.includes(day.day()));
+      }
+
+      case 'MONTHLY':
+        return RecurrenceUtils.getMonthlyCandidates(rule, periodStart, startDay);
+
+      case 'YEARLY': {
+        // 2월 29일 시작은 평년에 2월 28일
+        const month = periodStart.clone().month(startDay.month());
+        return [month.date(Math.min(startDay.date(), month.daysInMonth()))];
+      }
+
+      default:
+        return [];
+    }
+  }
+
+  static getMonthlyCandidates(rule, monthStart, startDay) {
+    const daysInMonth = monthStart.daysInMonth();
+
+    if (rule.byMonthDay.length === 0 && rule.byDay.length === 0) {
+      return [monthStart.clone().date(Math.min(startDay.date(), daysInMonth))];
+    }
+
+    const dates = new Set();
+
+    if (rule.byMonthDay.length > 0) {
+      rule.byMonthDay.forEach(value => {
+        const date = value > 0 ? value : daysInMonth + value + 1;
+        if (date >= 1 && date <= daysInMonth) dates.add(date);
+      });
+    }
+
+    if (rule.byDay.length > 0) {
+      const byDayDates = new Set();
+
+      rule.byDay.forEach(({ weekday, ordinal }) => {
+        const matching = [];
+        for (let date = 1; date <= daysInMonth; date++) {
+          if (monthStart.clone().date(date).day() === weekday) matching.push(date);
+        }
+
+        if (ordinal === null) {
+          matching.forEach(date => byDayDates.add(date));
+        } else {
+          const date = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+          if (date) byDayDates.add(date);
+        }
+      });
+
+      // BYMONTHDAY와 함께 쓰면 두 조건을 모두 만족하는 날짜만
+      if (rule.byMonthDay.length > 0) {
+        [...dates].forEach(date => {
+          if (!byDayDates.has(date)) dates.delete(date);
+        });
+      } else {
+        byDayDates.forEach(date => dates.add(date));
+      }
+    }
+
+    return [...dates].sort((a, b) => a - b).map(date => monthStart.clone().date(date));
+  }
+
+  /**
+   * 일간 반복의 BYDAY/BYMONTHDAY 필터
+   */
+  static matchesFilters(rule, day) {
+    if (rule.byDay.length > 0 && !rule.byDay.some(item => item.weekday === day.day())) {
+      return false;
+    }
+    if (rule.byMonthDay.length > 0) {
+      const daysInMonth = day.daysInMonth();
+      return rule.byMonthDay.some(value => (value > 0 ? value : daysInMonth + value + 1) === day.date());
+    }
+    return true;
+  }
+}
+
+RecurrenceUtils.DATE_KEY_FORMAT = DATE_KEY_FORMAT;
+RecurrenceUtils.WEEKDAYS = WEEKDAYS;
+
+module.exports = RecurrenceUtils;
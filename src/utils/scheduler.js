@@ -1,16 +1,73 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
 const cron = require('node-cron');
+const ScheduledJob = require('../models/ScheduledJob');
+const JobRun = require('../models/JobRun');
+const User = require('../models/User');
+const Reminder = require('../models/Reminder');
+const GrowthAlbum = require('../models/GrowthAlbum');
 const reminderService = require('../services/reminderService');
 const notificationService = require('../services/notificationService');
+const analysisService = require('../services/analysisService');
+const pomodoroService = require('../services/pomodoroService');
+const timeAttackService = require('../services/timeAttackService');
+const subscriptionService = require('../services/subscriptionService');
 const logger = require('../utils/logger');
 
+// 확인하지 않은 알림 재발송 간격과 최대 횟수 (초과 시 놓침 처리)
+const REMINDER_ESCALATION_MINUTES = parseInt(process.env.REMINDER_ESCALATION_MINUTES) || 15;
+const REMINDER_MAX_ESCALATIONS = parseInt(process.env.REMINDER_MAX_ESCALATIONS) || 2;
+
+// 작업 잠금 유지 시간 (실행 중 인스턴스가 죽어도 이 시간 후 다른 인스턴스가 실행 가능)
+const LOCK_TTL_MS = parseInt(process.env.SCHEDULER_LOCK_TTL_MS) || 10 * 60 * 1000;
+
+// 일일 정리 기준
+const REMINDER_HISTORY_RETENTION_DAYS = parseInt(process.env.REMINDER_HISTORY_RETENTION_DAYS) || 30;
+// 업로드 직후 DB 저장 전인 파일을 지우지 않도록 일정 시간 지난 파일만 정리
+const ORPHAN_UPLOAD_MIN_AGE_HOURS = parseInt(process.env.ORPHAN_UPLOAD_MIN_AGE_HOURS) || 24;
+const GROWTH_ALBUM_UPLOAD_DIRS = [
+  path.join(__dirname, '../../uploads/growth-album/original'),
+  path.join(__dirname, '../../uploads/growth-album/thumbnails')
+];
+
+// 서버 기본 작업 (시작 시 작업 저장소에 등록)
+const SYSTEM_JOBS = [
+  { name: 'reminder-check', cronExpression: '* * * * *' },        // 매분 알림 체크
+  { name: 'reminder-follow-up', cronExpression: '* * * * *' },    // 매분 다시 알림/미확인 재알림
+  { name: 'session-recovery', cronExpression: '*/5 * * * *' },    // 5분마다 방치된 세션 자동 종료
+  { name: 'subscription-maintenance', cronExpression: '15 * * * *' }, // 매시 15분 구독 만료/유예 전환
+  { name: 'daily-cleanup', cronExpression: '0 0 * * *' },         // 매일 자정 정리
+  { name: 'weekly-stats', cronExpression: '0 0 * * 0' }           // 매주 일요일 자정 주간 통계
+];
+
 class SchedulerService {
   constructor() {
     this.isRunning = false;
     this.cronJobs = new Map();
+    this.handlers = new Map();
+    this.instanceId = `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+
+    this.registerHandler('reminder-check', () => this.checkReminders());
+    this.registerHandler('reminder-follow-up', () => this.checkReminderFollowUps());
+    this.registerHandler('session-recovery', () => this.recoverAbandonedSessions());
+    this.registerHandler('subscription-maintenance', () => subscriptionService.processDueSubscriptions());
+    this.registerHandler('daily-cleanup', () => this.dailyCleanup());
+    this.registerHandler('weekly-stats', () => this.generateWeeklyStats());
+  }
+
+  /**
+   * 작업 핸들러 등록 (작업 저장소의 handler 이름과 연결)
+   */
+  registerHandler(name, handler) {
+    this.handlers.set(name, handler);
   }
 
   /**
    * 스케줄러 시작
+   * 작업 저장소(MongoDB)의 작업을 모두 불러와 cron에 등록합니다.
+   * 모든 인스턴스가 cron을 돌리지만 실제 실행은 잠금을 얻은 한 인스턴스만 합니다.
    */
   async start() {
     try {
@@ -22,26 +79,21 @@ class SchedulerService {
       // 알림 서비스 초기화
       await notificationService.initialize();
 
-      // 매분마다 알림 체크 (실제 운영에서는 매분)
-      this.cronJobs.set('reminder-check', cron.schedule('* * * * *', async () => {
-        await this.checkReminders();
-      }, {
-        scheduled: false
-      }));
-
-      // 매일 자정에 통계 정리 (00:00)
-      this.cronJobs.set('daily-cleanup', cron.schedule('0 0 * * *', async () => {
-        await this.dailyCleanup();
-      }, {
-        scheduled: false
-      }));
-
-      // 매주 일요일 자정에 주간 통계 생성 (00:00 on Sunday)
-      this.cronJobs.set('weekly-stats', cron.schedule('0 0 * * 0', async () => {
-        await this.generateWeeklyStats();
-      }, {
-        scheduled: false
-      }));
+      // 기본 작업 등록 (관리자가 비활성화한 상태는 유지)
+      for (const job of SYSTEM_JOBS) {
+        await ScheduledJob.updateOne(
+          { name: job.name },
+          {
+            $set: { cronExpression: job.cronExpression, handler: job.name, isSystem: true },
+            $setOnInsert: { enabled: true }
+          },
+          { upsert: true }
+        );
+      }
+
+      // 재시작 전에 추가된 작업 포함 모든 활성 작업 로드
+      const jobs = await ScheduledJob.find({ enabled: true });
+      jobs.forEach(job => this.scheduleCron(job.name, job.cronExpression));
 
       // 모든 cron job 시작
       this.cronJobs.forEach((job, name) => {
@@ -50,7 +102,7 @@ class SchedulerService {
       });
 
       this.isRunning = true;
-      logger.info('⏰ 스케줄러 시작 완료');
+      logger.info('⏰ 스케줄러 시작 완료', { instanceId: this.instanceId });
 
     } catch (error) {
       logger.error(`스케줄러 시작 실패: ${error.message}`);
@@ -68,6 +120,18 @@ class SchedulerService {
         logger.info(`Cron job 종료: ${name}`);
       });
 
+      // 이 인스턴스가 잡고 있던 잠금 해제
+      ScheduledJob.updateMany(
+        { 'lock.owner': this.instanceId },
+        { $set: { 'lock.owner': null, 'lock.lockedUntil': null } }
+      ).catch(err => {
+        logger.error(`스케줄 작업 잠금 해제 실패: ${err.message}`);
+      });
+
+      notificationService.shutdown().catch(err => {
+        logger.error(`알림 서비스 종료 실패: ${err.message}`);
+      });
+
       this.isRunning = false;
       logger.info('스케줄러 종료 완료');
 
@@ -77,25 +141,176 @@ class SchedulerService {
   }
 
   /**
-   * 현재 시간의 알림 체크 및 발송
+   * cron 작업 생성 (실행 시 executeJob으로 잠금 후 실행)
+   */
+  scheduleCron(name, cronExpression) {
+    const existing = this.cronJobs.get(name);
+    if (existing) {
+      existing.stop();
+    }
+
+    const job = cron.schedule(cronExpression, async (now) => {
+      const tickAt = now instanceof Date ? now : new Date();
+      await this.executeJob(name, { trigger: 'cron', tickAt });
+    }, {
+      scheduled: false
+    });
+
+    this.cronJobs.set(name, job);
+    return job;
+  }
+
+  /**
+   * 작업 실행 (분산 잠금 획득 → 핸들러 실행 → 실행 이력 기록)
+   * cron 실행은 같은 실행 시점(tickAt)에 대해 한 번만 수행됩니다.
+   */
+  async executeJob(name, { trigger = 'cron', tickAt = new Date() } = {}) {
+    // 핸들러가 없는 인스턴스는 잠금 전에 빠짐 (핸들러가 있는 인스턴스의 실행 시점을 가져가지 않도록)
+    let definition;
+    try {
+      definition = await ScheduledJob.findOne({ name }).select('handler').lean();
+    } catch (error) {
+      logger.error(`스케줄 작업 조회 실패: ${error.message}`, { name });
+      return { executed: false, reason: 'lock_error' };
+    }
+
+    const handler = definition && this.handlers.get(definition.handler);
+    if (!handler) {
+      logger.warn(`등록되지 않은 작업 핸들러: ${definition?.handler}`, { name });
+      return { executed: false, reason: 'handler_not_registered' };
+    }
+
+    const now = new Date();
+    const lockQuery = {
+      name,
+      handler: definition.handler,
+      $or: [
+        { 'lock.lockedUntil': null },
+        { 'lock.lockedUntil': { $lte: now } }
+      ]
+    };
+    const lockUpdate = {
+      'lock.owner': this.instanceId,
+      'lock.lockedUntil': new Date(now.getTime() + LOCK_TTL_MS)
+    };
+
+    if (trigger === 'cron') {
+      const tickKey = new Date(Math.floor(tickAt.getTime() / 1000) * 1000);
+      lockQuery.enabled = true;
+      lockQuery.lastTickAt = { $ne: tickKey };
+      lockUpdate.lastTickAt = tickKey;
+    }
+
+    let job;
+    try {
+      job = await ScheduledJob.findOneAndUpdate(lockQuery, { $set: lockUpdate }, { new: true });
+    } catch (error) {
+      logger.error(`스케줄 작업 잠금 실패: ${error.message}`, { name });
+      return { executed: false, reason: 'lock_error' };
+    }
+
+    if (!job) {
+      // 다른 인스턴스가 이미 실행했거나 실행 중
+      logger.debug('스케줄 작업 건너뜀 (잠금 획득 실패)', { name, trigger });
+      return { executed: false, reason: 'locked' };
+    }
+
+    const startedAt = new Date();
+    let run;
+    try {
+      run = await JobRun.create({
+        jobName: name,
+        instanceId: this.instanceId,
+        trigger,
+        status: 'running',
+        startedAt
+      });
+    } catch (error) {
+      logger.error(`스케줄 작업 실행 이력 생성 실패: ${error.message}`, { name });
+      await this.releaseLock(name);
+      return { executed: false, reason: 'run_record_error' };
+    }
+
+    let status = 'success';
+    let errorMessage = null;
+    let result = null;
+
+    try {
+      result = await handler(job.payload);
+    } catch (error) {
+      status = 'failed';
+      errorMessage = error.message;
+      logger.error(`스케줄 작업 실행 실패: ${name} - ${error.message}`);
+    }
+
+    const finishedAt = new Date();
+    const durationMs = finishedAt - startedAt;
+
+    try {
+      await JobRun.updateOne({ _id: run._id }, {
+        $set: {
+          status,
+          finishedAt,
+          durationMs,
+          error: errorMessage,
+          result: result === undefined ? null : result
+        }
+      });
+
+      await ScheduledJob.updateOne({ name, 'lock.owner': this.instanceId }, {
+        $set: {
+          lastRunAt: startedAt,
+          lastStatus: status,
+          lastError: errorMessage,
+          lastDurationMs: durationMs,
+          'lock.owner': null,
+          'lock.lockedUntil': null
+        },
+        $inc: { runCount: 1 }
+      });
+    } catch (error) {
+      logger.error(`스케줄 작업 실행 기록 실패: ${error.message}`, { name });
+    }
+
+    return {
+      executed: true,
+      runId: run._id,
+      status,
+      durationMs,
+      error: errorMessage
+    };
+  }
+
+  /**
+   * 작업 잠금 해제
+   */
+  async releaseLock(name) {
+    try {
+      await ScheduledJob.updateOne(
+        { name, 'lock.owner': this.instanceId },
+        { $set: { 'lock.owner': null, 'lock.lockedUntil': null } }
+      );
+    } catch (error) {
+      logger.error(`스케줄 작업 잠금 해제 실패: ${error.message}`, { name });
+    }
+  }
+
+  /**
+   * 현재 시간의 알림 체크 및 발송 (사용자별 현지 시각 기준)
    */
   async checkReminders() {
     try {
       const now = new Date();
-      const hour = now.getHours();
-      const minute = now.getMinutes();
-      const dayOfWeek = now.getDay();
 
-      // 현재 시간에 설정된 알림들 조회
-      const reminders = await reminderService.getRemindersByTime(hour, minute, dayOfWeek);
+      // 각 사용자의 시간대에서 지금이 알림 시각인 알림들 조회
+      const reminders = await reminderService.getRemindersByTime(now);
 
       if (reminders.length === 0) {
         return;
       }
 
-      logger.info(`⏰ ${hour}:${minute.toString().padStart(2, '0')} 알림 체크`, {
-        reminderCount: reminders.length,
-        dayOfWeek
+      logger.info(`⏰ ${now.toISOString()} 알림 체크`, {
+        reminderCount: reminders.length
       });
 
       const notifications = [];
@@ -124,7 +339,8 @@ class SchedulerService {
             reminderId: reminder._id,
             userId: reminder.userId._id,
             title: reminder.title,
-            time: `${hour}:${minute.toString().padStart(2, '0')}`
+            time: reminder.timeString,
+            timezone: reminder.userId.timezone
           });
 
         } catch (error) {
@@ -146,58 +362,240 @@ class SchedulerService {
   }
 
   /**
-   * 일일 정리 작업
+   * 다시 알림 시각이 된 알림과 확인하지 않은 알림 재발송, 놓친 알림 처리
    */
-  async dailyCleanup() {
+  async checkReminderFollowUps() {
     try {
-      logger.info('일일 정리 작업 시작');
+      const now = new Date();
+      const reminders = await reminderService.getFollowUpReminders(now, REMINDER_ESCALATION_MINUTES);
 
-      // TODO: 일일 통계 정리, 오래된 로그 삭제 등
-      // 1. 오래된 알림 완료 기록 정리 (30일 이상)
-      // 2. 일일 통계 업데이트
-      // 3. 로그 파일 정리
+      if (reminders.length === 0) {
+        return;
+      }
 
-      logger.info('일일 정리 작업 완료');
+      const escalationThreshold = new Date(now.getTime() - REMINDER_ESCALATION_MINUTES * 60 * 1000);
+      const notifications = [];
+      let missedCount = 0;
+
+      for (const reminder of reminders) {
+        try {
+          const occurrences = reminder.completionHistory.filter(record =>
+            (record.status === 'snoozed' && record.snoozedUntil <= now) ||
+            (record.status === 'pending' && record.notifiedAt && record.notifiedAt <= escalationThreshold)
+          );
+
+          for (const occurrence of occurrences) {
+            // 재알림 횟수를 모두 소진했으면 놓친 알림으로 기록
+            if (occurrence.status === 'pending' && occurrence.escalationCount >= REMINDER_MAX_ESCALATIONS) {
+              await reminder.markMissed(occurrence);
+              missedCount += 1;
+              continue;
+            }
+
+            await reminder.recordFollowUp(occurrence);
+
+            if (notificationService.isNotificationEnabled(reminder.userId, 'reminder')) {
+              notifications.push({
+                user: reminder.userId,
+                message: notificationService.createReminderFollowUpNotification(reminder, reminder.userId, occurrence)
+              });
+            }
+          }
+
+        } catch (error) {
+          logger.error('후속 알림 처리 실패', {
+            reminderId: reminder._id,
+            error: error.message
+          });
+        }
+      }
+
+      if (notifications.length > 0) {
+        await notificationService.sendBulkNotifications(notifications);
+      }
+
+      logger.info('후속 알림 처리 완료', {
+        reminderCount: reminders.length,
+        sentCount: notifications.length,
+        missedCount
+      });
 
     } catch (error) {
-      logger.error(`일일 정리 작업 실패: ${error.message}`);
+      logger.error(`후속 알림 처리 실패: ${error.message}`);
+    }
+  }
+
+  /**
+   * 방치된 포모도로/타임어택 세션 자동 종료
+   * 앱이 종료되어 완료 요청이 오지 않은 세션이 새 세션 생성을 막지 않도록 합니다.
+   * @returns {Object} 처리 결과
+   */
+  async recoverAbandonedSessions() {
+    const [pomodoro, timeAttack] = await Promise.all([
+      pomodoroService.recoverAbandonedSessions(),
+      timeAttackService.recoverAbandonedSessions()
+    ]);
+
+    return { pomodoro, timeAttack };
+  }
+
+  /**
+   * 일일 정리 작업
+   * 단계별로 실행하며 한 단계가 실패해도 나머지 단계는 계속 진행합니다.
+   * @returns {Object} 단계별 처리 건수와 실패한 단계
+   */
+  async dailyCleanup() {
+    logger.info('일일 정리 작업 시작');
+
+    const now = new Date();
+
+    const steps = {
+      // 1. 오래된 알림 완료 기록 정리
+      reminderHistory: () => Reminder.pruneCompletionHistory(
+        new Date(now.getTime() - REMINDER_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      ),
+      // 2. 방치된 포모도로 세션 자동 종료 (세션 복구 작업과 같은 경로)
+      pomodoroSessions: () => pomodoroService.recoverAbandonedSessions(null, now),
+      // 3. 방치된 타임어택 세션 포기 처리 (세션 복구 작업과 같은 경로)
+      timeAttackSessions: () => timeAttackService.recoverAbandonedSessions(null, now),
+      // 4. 성장앨범에서 참조하지 않는 업로드 파일 삭제
+      orphanedUploads: () => this.cleanupOrphanedUploads(now)
+    };
+
+    const result = { failedSteps: [] };
+
+    for (const [step, run] of Object.entries(steps)) {
+      try {
+        result[step] = await run();
+      } catch (error) {
+        result.failedSteps.push(step);
+        logger.error(`일일 정리 단계 실패: ${step} - ${error.message}`);
+      }
+    }
+
+    logger.info('일일 정리 작업 완료', result);
+
+    return result;
+  }
+
+  /**
+   * 성장앨범 레코드가 없는 업로드 파일 삭제
+   * @param {Date} now - 기준 시점
+   * @returns {Number} 삭제한 파일 수
+   */
+  async cleanupOrphanedUploads(now = new Date()) {
+    const [imagePaths, thumbnailPaths] = await Promise.all([
+      GrowthAlbum.distinct('imagePath'),
+      GrowthAlbum.distinct('thumbnailPath')
+    ]);
+
+    // 배포 경로가 바뀌어도 비교되도록 파일 이름 기준으로 확인
+    const referenced = new Set(
+      [...imagePaths, ...thumbnailPaths].filter(Boolean).map(filePath => path.basename(filePath))
+    );
+    const minAgeMs = ORPHAN_UPLOAD_MIN_AGE_HOURS * 60 * 60 * 1000;
+    let removedCount = 0;
+
+    for (const dir of GROWTH_ALBUM_UPLOAD_DIRS) {
+      let fileNames;
+      try {
+        fileNames = await fs.readdir(dir);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      for (const fileName of fileNames) {
+        if (referenced.has(fileName)) continue;
+
+        const filePath = path.join(dir, fileName);
+        try {
+          const stat = await fs.stat(filePath);
+          if (!stat.isFile() || now - stat.mtime < minAgeMs) continue;
+
+          await fs.unlink(filePath);
+          removedCount += 1;
+        } catch (error) {
+          logger.warn(`업로드 파일 정리 실패: ${filePath}`, { error: error.message });
+        }
+      }
     }
+
+    return removedCount;
   }
 
   /**
    * 주간 통계 생성
+   * 활성 사용자별로 직전 주 요약을 WeeklySummary 컬렉션에 저장합니다.
+   * @returns {Object} 처리 결과
    */
   async generateWeeklyStats() {
-    try {
-      logger.info('주간 통계 생성 시작');
+    logger.info('주간 통계 생성 시작');
 
-      // TODO: 주간 통계 데이터 생성
-      // 1. 사용자별 주간 알림 완료율
-      // 2. 가장 많이 사용되는 알림 시간대
-      // 3. 위치 기반 알림 효과 분석
+    const now = new Date();
+    const result = { userCount: 0, generatedCount: 0, failedCount: 0 };
 
-      logger.info('주간 통계 생성 완료');
+    const cursor = User.find({ isActive: true }).select('_id timezone').cursor();
 
-    } catch (error) {
-      logger.error(`주간 통계 생성 실패: ${error.message}`);
+    for await (const user of cursor) {
+      result.userCount += 1;
+
+      try {
+        await analysisService.generateWeeklySummary(user, now);
+        result.generatedCount += 1;
+      } catch (error) {
+        result.failedCount += 1;
+        logger.error('사용자 주간 통계 생성 실패', {
+          userId: user._id,
+          error: error.message
+        });
+      }
     }
+
+    logger.info('주간 통계 생성 완료', result);
+
+    return result;
   }
 
   /**
-   * 특정 시간에 실행될 작업 추가
+   * 특정 시간에 실행될 작업 추가 (작업 저장소에 저장되어 재시작 후에도 유지)
+   * @param {String} name - 작업 이름
+   * @param {String} cronExpression - cron 표현식
+   * @param {Function|String} task - 실행 함수 또는 등록된 핸들러 이름
+   * @param {Object} payload - 핸들러에 전달할 데이터
    */
-  addScheduledTask(name, cronExpression, task) {
+  async addScheduledTask(name, cronExpression, task, payload = null) {
     try {
-      if (this.cronJobs.has(name)) {
+      if (!cron.validate(cronExpression)) {
+        logger.warn(`유효하지 않은 cron 표현식: ${cronExpression}`, { name });
+        return false;
+      }
+
+      const handlerName = typeof task === 'string' ? task : name;
+
+      // 재시작 후 저장소에서 불러온 작업이면 핸들러만 다시 연결
+      if (this.cronJobs.has(name) && this.handlers.has(handlerName)) {
         logger.warn(`이미 존재하는 스케줄 작업: ${name}`);
         return false;
       }
 
-      const job = cron.schedule(cronExpression, task, {
-        scheduled: this.isRunning
-      });
+      if (typeof task === 'function') {
+        this.registerHandler(handlerName, task);
+      } else if (!this.handlers.has(handlerName)) {
+        logger.warn(`등록되지 않은 작업 핸들러: ${handlerName}`, { name });
+        return false;
+      }
+
+      await ScheduledJob.updateOne(
+        { name },
+        {
+          $set: { cronExpression, handler: handlerName, payload, enabled: true },
+          $setOnInsert: { isSystem: false }
+        },
+        { upsert: true }
+      );
 
-      this.cronJobs.set(name, job);
+      const job = this.scheduleCron(name, cronExpression);
       
       if (this.isRunning) {
         job.start();
@@ -215,16 +613,20 @@ class SchedulerService {
   /**
    * 스케줄 작업 제거
    */
-  removeScheduledTask(name) {
+  async removeScheduledTask(name) {
     try {
       const job = this.cronJobs.get(name);
-      if (!job) {
+      const { deletedCount } = await ScheduledJob.deleteOne({ name, isSystem: false });
+
+      if (!job && deletedCount === 0) {
         logger.warn(`존재하지 않는 스케줄 작업: ${name}`);
         return false;
       }
 
-      job.stop();
-      this.cronJobs.delete(name);
+      if (job) {
+        job.stop();
+        this.cronJobs.delete(name);
+      }
 
       logger.info(`스케줄 작업 제거: ${name}`);
       return true;
@@ -236,32 +638,63 @@ class SchedulerService {
   }
 
   /**
-   * 실행 중인 스케줄 작업 목록 조회
+   * 스케줄 작업 목록 조회 (작업 저장소 기준, 모든 인스턴스 공통)
    */
-  getScheduledTasks() {
-    const tasks = [];
-    
-    this.cronJobs.forEach((job, name) => {
-      tasks.push({
-        name,
-        running: job.running || false
-      });
-    });
-
-    return tasks;
+  async getScheduledTasks() {
+    const jobs = await ScheduledJob.find().sort({ isSystem: -1, name: 1 });
+
+    return jobs.map(job => ({
+      name: job.name,
+      cronExpression: job.cronExpression,
+      handler: job.handler,
+      enabled: job.enabled,
+      isSystem: job.isSystem,
+      running: job.isLocked,
+      lockedBy: job.isLocked ? job.lock.owner : null,
+      scheduledOnThisInstance: this.cronJobs.has(job.name),
+      handlerRegistered: this.handlers.has(job.handler),
+      lastRunAt: job.lastRunAt,
+      lastStatus: job.lastStatus,
+      lastError: job.lastError,
+      lastDurationMs: job.lastDurationMs,
+      runCount: job.runCount
+    }));
   }
 
   /**
    * 스케줄러 상태 조회
    */
-  getStatus() {
+  async getStatus() {
+    const tasks = await this.getScheduledTasks();
+
     return {
       isRunning: this.isRunning,
-      totalTasks: this.cronJobs.size,
-      tasks: this.getScheduledTasks()
+      instanceId: this.instanceId,
+      totalTasks: tasks.length,
+      tasks
     };
   }
 
+  /**
+   * 작업 실행 이력 조회
+   */
+  async getRunHistory(name = null, limit = 20) {
+    return JobRun.getRecentRuns(name, limit);
+  }
+
+  /**
+   * 작업 수동 실행 (다른 인스턴스에서 실행 중이면 건너뜀)
+   */
+  async runTask(name) {
+    const exists = await ScheduledJob.exists({ name });
+    if (!exists) {
+      throw new Error('TASK_NOT_FOUND');
+    }
+
+    logger.info(`스케줄 작업 수동 실행: ${name}`);
+    return this.executeJob(name, { trigger: 'manual' });
+  }
+
   /**
    * 수동으로 알림 체크 실행 (테스트용)
    */
@@ -67,6 +67,14 @@ class TimerUtils {
     };
   }
 
+  /**
+   * 방치 세션 자동 정리 기준 (ms)
+   * 타이머가 끝나거나 일시정지된 뒤 이 시간 동안 요청이 없으면 세션을 자동으로 종료합니다.
+   */
+  static get SESSION_IDLE_TIMEOUT_MS() {
+    return (parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30) * 60 * 1000;
+  }
+
   /**
    * 포모도로 사이클 ID 생성
    * @param {String} userId - 사용자 ID
@@ -155,19 +163,39 @@ class TimerUtils {
    * 다음 세션 유형 결정
    * @param {String} currentType - 현재 세션 유형
    * @param {Number} completedFocusSessions - 완료된 집중 세션 수
+   * @param {Number} longBreakInterval - 긴 휴식 간격 (집중 세션 수)
    * @returns {String} 다음 세션 유형
    */
-  static getNextSessionType(currentType, completedFocusSessions = 0) {
+  static getNextSessionType(currentType, completedFocusSessions = 0, longBreakInterval = 4) {
     if (currentType === 'focus') {
       // 집중 세션 후에는 휴식
-      // 4번째 집중 세션 후에는 긴 휴식
-      return (completedFocusSessions % 4 === 0) ? 'long_break' : 'break';
+      // N번째 집중 세션 후에는 긴 휴식 (기본 4번째)
+      return (completedFocusSessions % longBreakInterval === 0) ? 'long_break' : 'break';
     } else {
       // 휴식 세션 후에는 집중
       return 'focus';
     }
   }
 
+  /**
+   * 포모도로 사이클 세션 순서 생성
+   * 예: 집중 4회 → [focus, break, focus, break, focus, break, focus, long_break]
+   * @param {Number} focusSessions - 사이클 내 집중 세션 수
+   * @param {Number} longBreakInterval - 긴 휴식 간격 (집중 세션 수)
+   * @returns {Array} 세션 유형 배열
+   */
+  static buildCycleSequence(focusSessions = 4, longBreakInterval = 4) {
+    const sequence = [];
+
+    for (let completed = 1; completed <= focusSessions; completed++) {
+      sequence.push('focus');
+      // 마지막 집중 뒤에는 항상 긴 휴식
+      sequence.push(this.getNextSessionType('focus', completed === focusSessions ? 0 : completed, longBreakInterval));
+    }
+
+    return sequence;
+  }
+
   /**
    * 다음 세션 시간 결정
    * @param {String} sessionType - 세션 유형
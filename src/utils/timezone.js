@@ -0,0 +1,123 @@
+const moment = require('moment-timezone');
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Seoul';
+
+/**
+ * 사용자 시간대 유틸리티
+ * User.timezone(IANA 이름) 기준의 현지 시각/날짜 계산
+ */
+class TimezoneUtils {
+  /**
+   * 유효한 IANA 시간대 반환 (없거나 잘못된 경우 기본 시간대)
+   * @param {String} timezone - 시간대 이름
+   * @returns {String} 유효한 시간대 이름
+   */
+  static resolveTimezone(timezone) {
+    return timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * 특정 시점의 현지 시각 정보
+   * @param {Date} date - 기준 시점
+   * @param {String} timezone - 시간대 이름
+   * @returns {Object} { hour, minute, dayOfWeek, dateString, utcOffset }
+   */
+  static getLocalTime(date, timezone) {
+    const local = moment.tz(date, TimezoneUtils.resolveTimezone(timezone));
+
+    return {
+      hour: local.hour(),
+      minute: local.minute(),
+      dayOfWeek: local.day(),
+      dateString: local.format('YYYY-MM-DD'),
+      utcOffset: local.utcOffset()
+    };
+  }
+
+  /**
+   * 특정 시점의 현지 날짜 문자열 (YYYY-MM-DD)
+   * @param {Date} date - 기준 시점
+   * @param {String} timezone - 시간대 이름
+   * @returns {String} 현지 날짜
+   */
+  static getLocalDateString(date, timezone) {
+    return moment.tz(date, TimezoneUtils.resolveTimezone(timezone)).format('YYYY-MM-DD');
+  }
+
+  /**
+   * 현지 날짜의 시작/끝 시점 (UTC Date)
+   * @param {Date|String} date - 기준 시점 또는 현지 날짜 문자열(YYYY-MM-DD)
+   * @param {String} timezone - 시간대 이름
+   * @returns {Object} { start, end }
+   */
+  static getLocalDayRange(date, timezone) {
+    const zone = TimezoneUtils.resolveTimezone(timezone);
+    const local = typeof date === 'string'
+      ? moment.tz(date, 'YYYY-MM-DD', zone)
+      : moment.tz(date, zone);
+
+    return {
+      start: local.clone().startOf('day').toDate(),
+      end: local.clone().endOf('day').toDate()
+    };
+  }
+
+  /**
+   * 이번 분에 해당하는 현지 시각 목록
+   * 서머타임 시작으로 건너뛴 현지 시각(예: 02:00~02:59)은 전환 직후 분에 함께 포함됩니다.
+   * @param {Date} date - 기준 시점
+   * @param {String} timezone - 시간대 이름
+   * @returns {Array} [{ hour, minute, dayOfWeek }]
+   */
+  static getLocalTimeSlots(date, timezone) {
+    const zone = TimezoneUtils.resolveTimezone(timezone);
+    const current = moment.tz(date, zone);
+    const previous = moment.tz(new Date(current.valueOf() - 60 * 1000), zone);
+
+    const slots = [{
+      hour: current.hour(),
+      minute: current.minute(),
+      dayOfWeek: current.day()
+    }];
+
+    // 오프셋이 늘었다면 그만큼의 현지 시각이 존재하지 않았음
+    const skippedMinutes = current.utcOffset() - previous.utcOffset();
+    if (skippedMinutes > 0) {
+      const wallClock = moment.utc([
+        current.year(), current.month(), current.date(), current.hour(), current.minute()
+      ]);
+
+      for (let offset = 1; offset <= skippedMinutes; offset++) {
+        const skipped = wallClock.clone().subtract(offset, 'minutes');
+        slots.push({
+          hour: skipped.hour(),
+          minute: skipped.minute(),
+          dayOfWeek: skipped.day()
+        });
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * 현지 기준 주(일요일 시작)의 시작/끝 시점과 주 키
+   * @param {Date} date - 기준 시점
+   * @param {String} timezone - 시간대 이름
+   * @returns {Object} { start, end, weekKey } (weekKey 예: "2025-W30")
+   */
+  static getLocalWeekRange(date, timezone) {
+    const local = moment.tz(date, TimezoneUtils.resolveTimezone(timezone));
+    const start = local.clone().startOf('week');
+
+    return {
+      start: start.toDate(),
+      end: local.clone().endOf('week').toDate(),
+      weekKey: start.format('gggg-[W]ww')
+    };
+  }
+}
+
+TimezoneUtils.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+module.exports = TimezoneUtils;
@@ -0,0 +1,158 @@
+/**
+ * 결제 웹훅 테스트
+ * 서명 검증(허용 시각, 위조 서명)과 같은 이벤트 ID의 중복 처리 확인
+ */
+
+jest.mock('../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/models/BillingEvent', () => ({
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const BillingEvent = require('../../src/models/BillingEvent');
+const billingService = require('../../src/services/billingService');
+
+describe('billingService 웹훅', () => {
+  const originalEnv = { ...process.env };
+  const rawBody = JSON.stringify({ id: 'evt_1', type: 'invoice.paid', created: 1700000000, data: {} });
+
+  beforeEach(() => {
+    process.env.BILLING_WEBHOOK_SECRET = 'whsec_test';
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  describe('서명 검증', () => {
+    const now = 1700000000 * 1000;
+
+    it('같은 비밀키로 서명한 본문은 통과한다', () => {
+      const header = billingService.signWebhookPayload(rawBody, 1700000000);
+
+      expect(() => billingService.verifyWebhookSignature(rawBody, header, now)).not.toThrow();
+    });
+
+    it('본문이 바뀌면 거부한다', () => {
+      const header = billingService.signWebhookPayload(rawBody, 1700000000);
+
+      expect(() => billingService.verifyWebhookSignature(`${rawBody} `, header, now))
+        .toThrow('INVALID_WEBHOOK_SIGNATURE');
+    });
+
+    it('다른 비밀키로 만든 서명은 거부한다', () => {
+      process.env.BILLING_WEBHOOK_SECRET = 'whsec_other';
+      const header = billingService.signWebhookPayload(rawBody, 1700000000);
+      process.env.BILLING_WEBHOOK_SECRET = 'whsec_test';
+
+      expect(() => billingService.verifyWebhookSignature(rawBody, header, now))
+        .toThrow('INVALID_WEBHOOK_SIGNATURE');
+    });
+
+    it('허용 시각을 벗어난 서명은 거부한다', () => {
+      const header = billingService.signWebhookPayload(rawBody, 1700000000);
+
+      expect(() => billingService.verifyWebhookSignature(rawBody, header, now + 299 * 1000)).not.toThrow();
+      expect(() => billingService.verifyWebhookSignature(rawBody, header, now + 301 * 1000))
+        .toThrow('INVALID_WEBHOOK_SIGNATURE');
+    });
+
+    it('형식이 잘못된 헤더는 거부한다', () => {
+      ['', 't=abc,v1=00', 't=1700000000', 't=1700000000,v1=zz'].forEach(header => {
+        expect(() => billingService.verifyWebhookSignature(rawBody, header, now))
+          .toThrow('INVALID_WEBHOOK_SIGNATURE');
+      });
+    });
+
+    it('비밀키가 없으면 처리하지 않는다', () => {
+      delete process.env.BILLING_WEBHOOK_SECRET;
+
+      expect(() => billingService.verifyWebhookSignature(rawBody, 't=1,v1=00', now))
+        .toThrow('WEBHOOK_NOT_CONFIGURED');
+    });
+  });
+
+  describe('중복 이벤트', () => {
+    const event = billingService.parseWebhookEvent(rawBody);
+
+    const createRecord = () => ({ save: jest.fn().mockResolvedValue() });
+
+    it('처음 받은 이벤트는 반영하고 결과를 기록한다', async () => {
+      const record = createRecord();
+      BillingEvent.create.mockResolvedValue(record);
+      const apply = jest.fn().mockResolvedValue({ status: 'processed' });
+
+      const result = await billingService.processEvent('checkout', event, apply);
+
+      expect(apply).toHaveBeenCalledTimes(1);
+      expect(record.status).toBe('processed');
+      expect(record.save).toHaveBeenCalled();
+      expect(result).toMatchObject({ eventId: 'evt_1', status: 'processed', duplicate: false });
+    });
+
+    it('이미 처리한 이벤트는 다시 반영하지 않는다', async () => {
+      BillingEvent.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      BillingEvent.findOneAndUpdate.mockResolvedValue(null);
+      BillingEvent.findOne.mockResolvedValue({ status: 'processed' });
+      const apply = jest.fn();
+
+      const result = await billingService.processEvent('checkout', event, apply);
+
+      expect(apply).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ eventId: 'evt_1', status: 'processed', duplicate: true });
+    });
+
+    it('실패했던 이벤트는 재전송 시 다시 처리한다', async () => {
+      const record = createRecord();
+      BillingEvent.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+      BillingEvent.findOneAndUpdate.mockResolvedValue(record);
+      const apply = jest.fn().mockResolvedValue({ status: 'processed' });
+
+      const result = await billingService.processEvent('checkout', event, apply);
+
+      const [query] = BillingEvent.findOneAndUpdate.mock.calls[0];
+      expect(query.$or).toEqual(expect.arrayContaining([{ status: 'failed' }]));
+      expect(apply).toHaveBeenCalledTimes(1);
+      expect(result.duplicate).toBe(false);
+    });
+
+    it('반영 중 오류가 나면 failed로 기록하고 오류를 전달한다', async () => {
+      const record = createRecord();
+      BillingEvent.create.mockResolvedValue(record);
+      const apply = jest.fn().mockRejectedValue(new Error('DB_DOWN'));
+
+      await expect(billingService.processEvent('checkout', event, apply)).rejects.toThrow('DB_DOWN');
+      expect(record.status).toBe('failed');
+      expect(record.error).toBe('DB_DOWN');
+    });
+
+    it('중복 키 외의 저장 오류는 그대로 전달한다', async () => {
+      BillingEvent.create.mockRejectedValue(new Error('DB_DOWN'));
+
+      await expect(billingService.processEvent('checkout', event, jest.fn())).rejects.toThrow('DB_DOWN');
+      expect(BillingEvent.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('시뮬레이터', () => {
+    it('BILLING_SIMULATOR_ENABLED=true일 때만 사용할 수 있다', () => {
+      delete process.env.BILLING_SIMULATOR_ENABLED;
+      delete process.env.NODE_ENV;
+      expect(billingService.isSimulatorEnabled()).toBe(false);
+
+      process.env.NODE_ENV = 'development';
+      expect(billingService.isSimulatorEnabled()).toBe(false);
+
+      process.env.BILLING_SIMULATOR_ENABLED = 'true';
+      expect(billingService.isSimulatorEnabled()).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * 푸시 프로바이더 레지스트리 테스트
+ * 실제 프로바이더 설정이 없을 때 환경별 가짜 프로바이더 대체 동작 확인
+ */
+
+jest.mock('../../../src/utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const { PushProviderRegistry, FakeProvider } = require('../../../src/services/push');
+
+describe('PushProviderRegistry', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.PUSH_PROVIDER;
+    delete process.env.PUSH_IOS_PROVIDER;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  const initialize = async () => {
+    const registry = new PushProviderRegistry();
+    await registry.initialize();
+    return registry;
+  };
+
+  it('PUSH_PROVIDER=fake면 모든 플랫폼에 가짜 프로바이더를 사용한다', async () => {
+    process.env.NODE_ENV = 'production';
+    process.env.PUSH_PROVIDER = 'fake';
+
+    const registry = await initialize();
+
+    ['ios', 'android', 'web'].forEach(platform => {
+      expect(registry.getProvider(platform)).toBeInstanceOf(FakeProvider);
+    });
+  });
+
+  it('테스트 환경에서는 기본으로 가짜 프로바이더를 사용한다', async () => {
+    process.env.NODE_ENV = 'test';
+
+    const registry = await initialize();
+
+    expect(registry.getProvider('android')).toBe(registry.getProviderByName('fake'));
+  });
+
+  it('개발 환경에서 설정된 프로바이더가 없으면 가짜 프로바이더로 대체한다', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const registry = await initialize();
+
+    expect(registry.getProvider('ios')).toBeInstanceOf(FakeProvider);
+    expect(registry.getProvider('web')).toBeInstanceOf(FakeProvider);
+  });
+
+  it('운영 환경에서 설정된 프로바이더가 없으면 대체하지 않는다', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const registry = await initialize();
+
+    expect(registry.getProvider('ios')).toBeNull();
+    expect(registry.getProvider('android')).toBeNull();
+    expect(registry.getProvider('web')).toBeNull();
+  });
+});
+
+describe('FakeProvider', () => {
+  it('발송 내역을 기록하고 토큰 규칙에 따라 실패를 돌려준다', async () => {
+    const provider = new FakeProvider();
+    const notification = { title: '제목', body: '내용', data: {} };
+
+    const sent = await provider.send('token-1', notification);
+    const invalid = await provider.send('invalid-token', notification);
+    const failed = await provider.send('fail-token', notification);
+
+    expect(sent.success).toBe(true);
+    expect(provider.sent).toHaveLength(1);
+    expect(invalid).toMatchObject({ success: false, invalidToken: true });
+    expect(failed).toMatchObject({ success: false, retryable: true });
+
+    provider.reset();
+    expect(provider.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * 반복 규칙(RRULE) 유틸리티 테스트
+ * 규칙 파싱/정규화, 기간 내 발생일 계산, 종료 시점 계산 확인
+ */
+
+const RecurrenceUtils = require('../../src/utils/recurrence');
+
+const keys = dates => dates.map(date => RecurrenceUtils.toDateKey(date));
+const utc = value => new Date(`${value}Z`);
+
+describe('RecurrenceUtils', () => {
+  describe('normalize', () => {
+    it('접두어와 대소문자를 정리하고 기본 INTERVAL을 생략한다', () => {
+      expect(RecurrenceUtils.normalize('RRULE:freq=weekly;interval=1;byday=mo,we'))
+        .toBe('FREQ=WEEKLY;BYDAY=MO,WE');
+    });
+
+    it('잘못된 규칙은 INVALID_RRULE로 거부한다', () => {
+      [
+        '',
+        'INTERVAL=2',
+        'FREQ=HOURLY',
+        'FREQ=DAILY;COUNT=3;UNTIL=20251231',
+        'FREQ=WEEKLY;BYDAY=2MO',
+        'FREQ=WEEKLY;BYMONTHDAY=1',
+        'FREQ=DAILY;FREQ=WEEKLY',
+        'FREQ=DAILY;WKST=SU'
+      ].forEach(rule => {
+        expect(() => RecurrenceUtils.normalize(rule)).toThrow('INVALID_RRULE');
+      });
+    });
+  });
+
+  describe('expand', () => {
+    const dtstart = utc('2025-01-01T09:00:00'); // 수요일
+
+    it('매일 반복은 기간 내 모든 날짜에 시작 시각으로 발생한다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=DAILY', dtstart, {
+        from: utc('2025-01-03T00:00:00'),
+        to: utc('2025-01-05T23:59:59')
+      });
+
+      expect(keys(occurrences)).toEqual(['2025-01-03', '2025-01-04', '2025-01-05']);
+      expect(occurrences[0].toISOString()).toBe('2025-01-03T09:00:00.000Z');
+    });
+
+    it('INTERVAL은 시작일부터 간격을 센다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=DAILY;INTERVAL=3', dtstart, {
+        from: utc('2025-01-05T00:00:00'),
+        to: utc('2025-01-12T23:59:59')
+      });
+
+      expect(keys(occurrences)).toEqual(['2025-01-07', '2025-01-10']);
+    });
+
+    it('주간 BYDAY는 지정한 요일에만 발생하고 시작일 이전은 건너뛴다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=WEEKLY;BYDAY=MO,WE', dtstart, {
+        to: utc('2025-01-13T23:59:59')
+      });
+
+      expect(keys(occurrences)).toEqual(['2025-01-01', '2025-01-06', '2025-01-08', '2025-01-13']);
+    });
+
+    it('월간 반복은 시작일 날짜가 없는 달에 말일로 발생한다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=MONTHLY;COUNT=4', utc('2025-01-31T09:00:00'));
+
+      expect(keys(occurrences)).toEqual(['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+    });
+
+    it('BYMONTHDAY로 지정한 날짜가 없는 달은 건너뛴다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=MONTHLY;BYMONTHDAY=31;COUNT=3', dtstart);
+
+      expect(keys(occurrences)).toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+    });
+
+    it('순번 있는 BYDAY로 매월 N번째/마지막 요일에 발생한다', () => {
+      expect(keys(RecurrenceUtils.expand('FREQ=MONTHLY;BYDAY=2MO;COUNT=3', dtstart)))
+        .toEqual(['2025-01-13', '2025-02-10', '2025-03-10']);
+      expect(keys(RecurrenceUtils.expand('FREQ=MONTHLY;BYDAY=-1FR;COUNT=2', dtstart)))
+        .toEqual(['2025-01-31', '2025-02-28']);
+    });
+
+    it('COUNT는 제외 날짜를 포함해 시작일부터 센다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=DAILY;COUNT=4', dtstart, {
+        from: utc('2025-01-02T00:00:00'),
+        exdates: ['2025-01-03']
+      });
+
+      expect(keys(occurrences)).toEqual(['2025-01-02', '2025-01-04']);
+    });
+
+    it('UNTIL 날짜까지 발생한다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=WEEKLY;UNTIL=20250115', dtstart);
+
+      expect(keys(occurrences)).toEqual(['2025-01-01', '2025-01-08', '2025-01-15']);
+    });
+
+    it('limit만큼 발생하면 멈춘다', () => {
+      const occurrences = RecurrenceUtils.expand('FREQ=WEEKLY;BYDAY=FR', dtstart, { limit: 1 });
+
+      expect(keys(occurrences)).toEqual(['2025-01-03']);
+    });
+
+    it('무기한 반복은 조회 끝이나 limit이 없으면 거부한다', () => {
+      expect(() => RecurrenceUtils.expand('FREQ=DAILY', dtstart)).toThrow('INVALID_RANGE');
+    });
+  });
+
+  describe('getOccurrence', () => {
+    const dtstart = utc('2025-01-01T09:00:00');
+
+    it('발생일이면 해당 시점을, 아니면 null을 반환한다', () => {
+      expect(RecurrenceUtils.getOccurrence('FREQ=WEEKLY', dtstart, '2025-01-08').toISOString())
+        .toBe('2025-01-08T09:00:00.000Z');
+      expect(RecurrenceUtils.getOccurrence('FREQ=WEEKLY', dtstart, '2025-01-09')).toBeNull();
+      expect(RecurrenceUtils.getOccurrence('FREQ=WEEKLY', dtstart, '2025-01-08', ['2025-01-08'])).toBeNull();
+      expect(RecurrenceUtils.getOccurrence('FREQ=WEEKLY', dtstart, '2025-13-01')).toBeNull();
+    });
+  });
+
+  describe('split', () => {
+    const dtstart = utc('2025-01-01T09:00:00');
+
+    it('앞 규칙은 전날까지의 UNTIL로 끝나고 뒤 규칙은 원래 규칙을 이어간다', () => {
+      expect(RecurrenceUtils.split('FREQ=WEEKLY;BYDAY=MO,WE', dtstart, '2025-01-13')).toEqual({
+        before: 'FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20250112',
+        after: 'FREQ=WEEKLY;BYDAY=MO,WE'
+      });
+    });
+
+    it('나눈 두 규칙의 발생을 합치면 원래 발생과 같다', () => {
+      const rule = 'FREQ=DAILY;INTERVAL=2;UNTIL=20250131';
+      const { before, after } = RecurrenceUtils.split(rule, dtstart, '2025-01-10');
+      const nextStart = RecurrenceUtils.getOccurrence(rule, dtstart, '2025-01-11');
+
+      expect(keys([
+        ...RecurrenceUtils.expand(before, dtstart),
+        ...RecurrenceUtils.expand(after, nextStart)
+      ])).toEqual(keys(RecurrenceUtils.expand(rule, dtstart)));
+    });
+
+    it('COUNT는 나눈 날짜 전후로 나뉜다', () => {
+      expect(RecurrenceUtils.split('FREQ=DAILY;COUNT=10', dtstart, '2025-01-04')).toEqual({
+        before: 'FREQ=DAILY;COUNT=3',
+        after: 'FREQ=DAILY;COUNT=7'
+      });
+    });
+
+    it('COUNT는 제외한 날짜도 발생 수에 포함한다', () => {
+      const { before } = RecurrenceUtils.split('FREQ=DAILY;COUNT=10', dtstart, '2025-01-04');
+
+      expect(RecurrenceUtils.expand(before, dtstart, { exdates: ['2025-01-02'] })).toHaveLength(2);
+    });
+
+    it('시작일에서 나누면 앞 규칙이 없다', () => {
+      expect(RecurrenceUtils.split('FREQ=DAILY', dtstart, '2025-01-01')).toEqual({
+        before: null,
+        after: 'FREQ=DAILY'
+      });
+    });
+
+    it('마지막 발생 이후에서 나누면 뒤 규칙이 없다', () => {
+      expect(RecurrenceUtils.split('FREQ=DAILY;COUNT=3', dtstart, '2025-01-05').after).toBeNull();
+      expect(RecurrenceUtils.split('FREQ=DAILY;UNTIL=20250103', dtstart, '2025-01-05').after).toBeNull();
+    });
+
+    it('잘못된 날짜는 거부한다', () => {
+      expect(() => RecurrenceUtils.split('FREQ=DAILY', dtstart, '2025-02-30')).toThrow('INVALID_RANGE');
+    });
+  });
+
+  describe('getEndDate', () => {
+    const dtstart = utc('2025-01-01T09:00:00');
+
+    it('무기한 반복은 null, COUNT는 마지막 발생, UNTIL은 그날의 끝', () => {
+      expect(RecurrenceUtils.getEndDate('FREQ=DAILY', dtstart)).toBeNull();
+      expect(RecurrenceUtils.getEndDate('FREQ=DAILY;COUNT=3', dtstart).toISOString())
+        .toBe('2025-01-03T09:00:00.000Z');
+      expect(RecurrenceUtils.getEndDate('FREQ=DAILY;UNTIL=20250110', dtstart).toISOString())
+        .toBe('2025-01-10T23:59:59.999Z');
+    });
+  });
+});